@@ -0,0 +1,72 @@
+import { summarizeAdaptation } from '../utils/aiOpponent.js'
+
+const CHART_WIDTH = 240
+const CHART_HEIGHT = 72
+
+function percent(value) {
+  return `${Math.round(value * 100)}%`
+}
+
+function downloadCurve(curve) {
+  const blob = new Blob([JSON.stringify(curve, null, 2)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `tuggy-ai-curve-${Date.now()}.json`
+  link.click()
+
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * An adaptive AI's win chance over the match against the chance it was aiming for,
+ * with its average pace and yours, and the raw curve as a download
+ */
+export default function AdaptationChart({ curve }) {
+  const summary = summarizeAdaptation(curve)
+  if (!summary) return null
+
+  const { samples, targetWinProbability } = curve
+  const duration = Math.max(1, samples[samples.length - 1].t)
+  const y = probability => (1 - probability) * CHART_HEIGHT
+  const points = samples
+    .map(sample => `${((sample.t / duration) * CHART_WIDTH).toFixed(1)},${y(sample.winProbability).toFixed(1)}`)
+    .join(' ')
+
+  return (
+    <div className="rounded-2xl px-4 py-3 text-xs text-white shadow-2xl space-y-2" style={{ backgroundColor: '#2D3540' }}>
+      <div className="flex items-center justify-between gap-4">
+        <span className="uppercase tracking-[0.2em] opacity-80">AI adaptation</span>
+        <span className="font-semibold" style={{ color: '#FFD700' }}>Target {percent(targetWinProbability)}</span>
+      </div>
+      <svg width={CHART_WIDTH} height={CHART_HEIGHT} className="block rounded-lg" style={{ backgroundColor: 'rgba(255, 255, 255, 0.08)' }}>
+        <line
+          x1="0"
+          x2={CHART_WIDTH}
+          y1={y(targetWinProbability)}
+          y2={y(targetWinProbability)}
+          stroke="#FFD700"
+          strokeDasharray="4 4"
+          strokeOpacity="0.7"
+        />
+        <polyline points={points} fill="none" stroke="#F1F2F6" strokeWidth="1.5" />
+      </svg>
+      <div className="opacity-90">
+        AI win chance averaged {percent(summary.winProbability)}, within 10 points of target {percent(summary.nearTarget)} of the time
+      </div>
+      <div className="flex items-center justify-between gap-4">
+        <span className="opacity-80">
+          Your pace {summary.userRate.toFixed(1)}/s, AI {summary.aiRate.toFixed(1)}/s
+        </span>
+        <button
+          onClick={() => downloadCurve(curve)}
+          className="px-3 py-1 rounded-lg font-semibold"
+          style={{ backgroundColor: '#35679B', border: 'none', outline: 'none', color: 'white' }}
+        >
+          Download
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,159 @@
+import { useEffect, useState } from 'react'
+import { CALIBRATION_PHASES } from '../utils/calibration'
+
+// Time to get into position before sampling, and sampling time per phase (ms)
+const SETTLE_DURATION = 1500
+const CAPTURE_DURATION = 2500
+
+/**
+ * Guided calibration overlay
+ * Walks the players through holding their tongue center, left and right,
+ * then shows the derived thresholds before the match starts
+ */
+export default function CalibrationWizard({ players, onBegin, onPhase, onFinish, onComplete, onSkip }) {
+  // 'intro' -> 'running' -> 'done'
+  const [status, setStatus] = useState('intro')
+  const [phaseIndex, setPhaseIndex] = useState(0)
+  const [stage, setStage] = useState('settle') // 'settle' or 'capture'
+  const [results, setResults] = useState(null)
+
+  // Drive the phase timeline while running
+  useEffect(() => {
+    if (status !== 'running') return
+
+    const phase = CALIBRATION_PHASES[phaseIndex]
+
+    if (stage === 'settle') {
+      onPhase(null)
+      const timeoutId = setTimeout(() => setStage('capture'), SETTLE_DURATION)
+      return () => clearTimeout(timeoutId)
+    }
+
+    onPhase(phase.id)
+    const timeoutId = setTimeout(() => {
+      onPhase(null)
+      if (phaseIndex + 1 < CALIBRATION_PHASES.length) {
+        setPhaseIndex(phaseIndex + 1)
+        setStage('settle')
+      } else {
+        setResults(onFinish())
+        setStatus('done')
+      }
+    }, CAPTURE_DURATION)
+    return () => clearTimeout(timeoutId)
+  }, [status, phaseIndex, stage, onPhase, onFinish])
+
+  const handleStart = () => {
+    onBegin()
+    setResults(null)
+    setPhaseIndex(0)
+    setStage('settle')
+    setStatus('running')
+  }
+
+  const phase = CALIBRATION_PHASES[phaseIndex]
+  // An unreliable result was not applied, so the players are asked to redo the calibration
+  const needsRedo = status === 'done' && results && players.some(player => results[player.id] && !results[player.id].reliable)
+
+  return (
+    <div className="absolute inset-0 flex items-center justify-center z-20" style={{ backgroundColor: 'rgba(26, 59, 88, 0.85)' }}>
+      <div className="rounded-3xl px-8 py-8 max-w-lg w-full mx-4 shadow-2xl text-white space-y-5" style={{ backgroundColor: '#2D3540' }}>
+        <div>
+          <p className="text-[11px] uppercase tracking-[0.28em] opacity-80" style={{ color: '#FFD700' }}>Calibration</p>
+          <h2 className="text-3xl font-semibold">
+            {status === 'intro' && 'Tune the tracking to you'}
+            {status === 'running' && (stage === 'settle' ? `Get ready: ${phase.label}` : `Hold it: ${phase.label}`)}
+            {status === 'done' && 'Calibration complete'}
+          </h2>
+        </div>
+
+        {status === 'intro' && (
+          <p className="text-sm opacity-90">
+            {players.length > 1 ? 'Both players' : 'You'} will hold the tongue in the center, then left, then right.
+            Keep your face in view of the camera the whole time.
+          </p>
+        )}
+
+        {status === 'running' && (
+          <>
+            <p className="text-lg">{phase.instruction}</p>
+            <div className="flex gap-2">
+              {CALIBRATION_PHASES.map((item, index) => (
+                <div
+                  key={item.id}
+                  className="flex-1 h-2 rounded-full"
+                  style={{
+                    backgroundColor: index < phaseIndex || (index === phaseIndex && stage === 'capture')
+                      ? '#FFD700'
+                      : 'rgba(255, 255, 255, 0.2)'
+                  }}
+                />
+              ))}
+            </div>
+          </>
+        )}
+
+        {status === 'done' && results && (
+          <div className="space-y-3">
+            {players.map(player => {
+              const result = results[player.id]
+              return (
+                <div key={player.id} className="rounded-xl px-4 py-3 text-sm" style={{ backgroundColor: '#35679B' }}>
+                  <div className="font-semibold">{player.label}</div>
+                  {result ? (
+                    <>
+                      <div className="opacity-90">
+                        Left &lt; {result.leftThreshold.toFixed(4)} · Right &gt; {result.rightThreshold.toFixed(4)}
+                      </div>
+                      <div className="opacity-90">Min mouth opening: {(result.minOpeningRatio * 100).toFixed(0)}%</div>
+                      {!result.reliable && (
+                        <div className="text-xs" style={{ color: '#FFD700' }}>
+                          Left and right were hard to tell apart from center, so these were not applied and the
+                          previous thresholds are kept. Recalibrate with bigger movements.
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <div className="text-xs" style={{ color: '#FFD700' }}>
+                      Not enough samples, using default thresholds.
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        <div className="flex gap-3 justify-end">
+          {status !== 'running' && (
+            <button
+              onClick={onSkip}
+              className="px-5 py-3 rounded-xl font-semibold"
+              style={{ backgroundColor: '#F1F2F6', border: 'none', outline: 'none', color: '#2D3540' }}
+            >
+              {status === 'done' ? 'Use defaults' : 'Skip'}
+            </button>
+          )}
+          {status !== 'running' && (
+            <button
+              onClick={handleStart}
+              className="px-5 py-3 rounded-xl font-semibold"
+              style={{ backgroundColor: status === 'done' && !needsRedo ? '#35679B' : '#FFD700', border: 'none', outline: 'none', color: status === 'done' && !needsRedo ? 'white' : '#1A3B58' }}
+            >
+              {status === 'done' ? 'Recalibrate' : 'Start calibration'}
+            </button>
+          )}
+          {status === 'done' && (
+            <button
+              onClick={() => onComplete(results)}
+              className="px-5 py-3 rounded-xl font-semibold"
+              style={{ backgroundColor: needsRedo ? '#35679B' : '#FFD700', border: 'none', outline: 'none', color: needsRedo ? 'white' : '#1A3B58' }}
+            >
+              {needsRedo ? 'Start anyway' : 'Start match'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
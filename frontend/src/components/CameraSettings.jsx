@@ -0,0 +1,65 @@
+import { RESOLUTION_PRESETS } from '../utils/cameraDevices'
+
+/**
+ * Camera and resolution picker
+ * Choices are remembered by useCameraDevices and take effect on the next tracking start
+ */
+export default function CameraSettings({ devices, settings, selectedCameraMissing, onSelectCamera, onSelectResolution }) {
+  const selectStyle = { backgroundColor: '#35679B', color: 'white', border: 'none', outline: 'none' }
+
+  return (
+    <div className="rounded-2xl px-5 py-4 flex flex-col gap-3 text-sm text-white" style={{ backgroundColor: '#2D3540' }}>
+      <div className="text-[11px] uppercase tracking-[0.28em] opacity-80">Camera</div>
+      <div className="flex flex-col gap-2 md:flex-row">
+        <select
+          value={settings.deviceId || ''}
+          onChange={(event) => onSelectCamera(event.target.value || null)}
+          className="flex-1 px-3 py-2 rounded-xl text-xs font-semibold"
+          style={selectStyle}
+        >
+          <option value="">Default camera</option>
+          {devices.map(device => (
+            <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+          ))}
+          {selectedCameraMissing && (
+            <option value={settings.deviceId}>Saved camera (not connected)</option>
+          )}
+        </select>
+        <select
+          value={settings.resolution}
+          onChange={(event) => onSelectResolution(event.target.value)}
+          className="px-3 py-2 rounded-xl text-xs font-semibold"
+          style={selectStyle}
+        >
+          {RESOLUTION_PRESETS.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.label}</option>
+          ))}
+        </select>
+      </div>
+      {selectedCameraMissing && (
+        <div className="text-xs" style={{ color: '#FFD700' }}>
+          The saved camera is not connected. Plug it in or pick another one.
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Camera error with a recovery hint and retry action, shown over the camera view
+ */
+export function CameraErrorNotice({ cameraError, onRetry }) {
+  return (
+    <div className="text-white text-sm text-center px-4 space-y-2">
+      <div className="font-semibold">{cameraError.message}</div>
+      <div className="text-xs opacity-80">{cameraError.hint}</div>
+      <button
+        onClick={onRetry}
+        className="px-4 py-2 rounded-xl text-xs font-semibold"
+        style={{ backgroundColor: '#FFD700', color: '#1A3B58', border: 'none', outline: 'none' }}
+      >
+        Retry camera
+      </button>
+    </div>
+  )
+}
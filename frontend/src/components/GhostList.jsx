@@ -0,0 +1,106 @@
+import { useState } from 'react'
+
+const chipStyle = {
+  backgroundColor: '#35679B',
+  border: 'none',
+  outline: 'none',
+  color: 'white'
+}
+
+/**
+ * Save the run that just finished as a ghost (end of a solo match)
+ */
+export function SaveGhostCard({ defaultName, finalScore, onSave }) {
+  const [name, setName] = useState(defaultName)
+  const [saved, setSaved] = useState(false)
+
+  const handleSave = () => {
+    onSave(name.trim() || defaultName)
+    setSaved(true)
+  }
+
+  return (
+    <div className="rounded-2xl px-4 py-3 text-xs text-white shadow-2xl space-y-2 w-64" style={{ backgroundColor: '#2D3540' }}>
+      <div className="flex items-center justify-between gap-4">
+        <span className="uppercase tracking-[0.2em] opacity-80">Ghost</span>
+        <span className="font-semibold">Your score {finalScore}</span>
+      </div>
+      {saved ? (
+        <div className="opacity-90">Saved. Race it from the start screen.</div>
+      ) : (
+        <div className="flex gap-2">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={32}
+            className="flex-1 min-w-0 rounded-lg px-2 py-1 text-xs"
+            style={{ backgroundColor: '#F1F2F6', color: '#2D3540', border: 'none', outline: 'none' }}
+          />
+          <button onClick={handleSave} className="px-3 py-1 rounded-lg font-semibold" style={{ ...chipStyle, backgroundColor: '#FFD700', color: '#1A3B58' }}>
+            Save
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Saved ghosts on the start screen: race one, download it as a file or delete it, or import a ghost file
+ */
+export default function GhostList({ ghosts, error, onRace, onDownload, onDelete, onImport }) {
+  return (
+    <div className="rounded-2xl px-5 py-4 text-sm text-white space-y-3" style={{ backgroundColor: '#2D3540' }}>
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <div className="text-[11px] uppercase tracking-[0.28em] opacity-80">Ghosts</div>
+          <div className="opacity-90">Race a saved run, yours or a teammate's</div>
+        </div>
+        <label className="px-3 py-2 rounded-xl text-xs font-semibold cursor-pointer whitespace-nowrap" style={chipStyle}>
+          Import
+          <input type="file" accept=".json" className="hidden" onChange={onImport} />
+        </label>
+      </div>
+
+      {error && (
+        <div className="text-xs" style={{ color: '#FFD700' }}>Could not load ghost: {error}</div>
+      )}
+
+      {ghosts.length === 0 ? (
+        <div className="text-xs opacity-80">No ghosts yet. Finish a classic or timed solo match to save one.</div>
+      ) : (
+        <div className="space-y-2 max-h-48 overflow-y-auto">
+          {ghosts.map(ghost => (
+            <div key={ghost.id} className="flex items-center justify-between gap-3 rounded-xl px-3 py-2" style={{ backgroundColor: 'rgba(255, 255, 255, 0.08)' }}>
+              <div className="min-w-0">
+                <div className="font-semibold truncate">{ghost.name}</div>
+                <div className="text-xs opacity-80">
+                  {new Date(ghost.recordedAt).toLocaleDateString()} · score {ghost.finalScore}
+                </div>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <button
+                  onClick={() => onRace(ghost)}
+                  className="px-3 py-1 rounded-lg text-xs font-semibold"
+                  style={{ ...chipStyle, backgroundColor: '#FFD700', color: '#1A3B58' }}
+                >
+                  Race
+                </button>
+                <button onClick={() => onDownload(ghost)} className="px-3 py-1 rounded-lg text-xs font-semibold" style={chipStyle}>
+                  Download
+                </button>
+                <button
+                  onClick={() => onDelete(ghost.id)}
+                  className="px-3 py-1 rounded-lg text-xs font-semibold"
+                  style={{ ...chipStyle, backgroundColor: '#B23A48' }}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
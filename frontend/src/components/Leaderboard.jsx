@@ -0,0 +1,244 @@
+import { useState } from 'react'
+import { HISTORY_MODES, leaderboard, personalBests, sideOf } from '../utils/matchHistory'
+import { exportMatchJSON, exportMatchesCSV, exportHistoryBundle, downloadExport } from '../utils/matchExport'
+
+// Recent matches listed under a profile's personal bests
+const RECENT_MATCHES = 10
+
+const chipStyle = { backgroundColor: '#35679B', border: 'none', outline: 'none', color: 'white' }
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`
+}
+
+function exportDate() {
+  return new Date().toISOString().slice(0, 10)
+}
+
+function ColorDot({ color }) {
+  return <span className="inline-block h-2.5 w-2.5 rounded-full shrink-0" style={{ backgroundColor: color || 'rgba(255, 255, 255, 0.3)' }} />
+}
+
+/**
+ * Leaderboard screen: per-mode rankings of the saved profiles, a chosen profile's personal bests
+ * and latest matches, and the whole match history with its exports (JSON, CSV) and import
+ * importMessage: result of the last import, shown next to the Import button
+ */
+export default function Leaderboard({ records, profiles, onClose, onDeleteProfile, onImport, importMessage }) {
+  const [mode, setMode] = useState(HISTORY_MODES[0].id)
+  const [profileId, setProfileId] = useState(null)
+
+  const rows = leaderboard(records, profiles, mode)
+  const profile = profiles.find(candidate => candidate.id === profileId) || null
+  const bests = profile ? personalBests(records, profile.id) : []
+  const recent = profile ? records.filter(record => sideOf(record, profile.id) !== -1).slice(0, RECENT_MATCHES) : []
+
+  return (
+    <div className="relative w-full h-screen flex flex-col items-center gap-6 px-6 py-10 overflow-y-auto" style={{ backgroundColor: '#1A3B58' }}>
+      <div className="w-full max-w-3xl flex items-center justify-between">
+        <div>
+          <p className="text-[12px] tracking-[0.34em] uppercase" style={{ color: '#FFD700' }}>Records</p>
+          <h2 className="text-4xl font-bold text-white">Leaderboard</h2>
+        </div>
+        <button
+          onClick={onClose}
+          className="px-4 py-2 rounded-xl text-sm font-semibold"
+          style={{ backgroundColor: '#FFD700', border: 'none', outline: 'none', color: '#1A3B58' }}
+        >
+          Back
+        </button>
+      </div>
+
+      <div className="w-full max-w-3xl flex flex-wrap gap-2">
+        {HISTORY_MODES.map(option => (
+          <button
+            key={option.id}
+            onClick={() => setMode(option.id)}
+            className="px-3 py-2 rounded-xl text-xs font-semibold"
+            style={{
+              backgroundColor: mode === option.id ? '#FFD700' : '#35679B',
+              color: mode === option.id ? '#1A3B58' : 'white',
+              border: 'none',
+              outline: 'none'
+            }}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="w-full max-w-3xl rounded-2xl px-5 py-4 text-sm text-white" style={{ backgroundColor: '#2D3540' }}>
+        {rows.length === 0 ? (
+          <div className="opacity-80">No ranked matches in this mode yet. Play with a profile to get on the board.</div>
+        ) : (
+          <table className="w-full text-left">
+            <thead className="text-[11px] uppercase tracking-[0.2em] opacity-80">
+              <tr>
+                <th className="py-1 pr-2">#</th>
+                <th className="py-1 pr-2">Player</th>
+                <th className="py-1 pr-2">W-L-D</th>
+                <th className="py-1 pr-2">Win %</th>
+                <th className="py-1 pr-2">Best score</th>
+                <th className="py-1">Peak /s</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => (
+                <tr
+                  key={row.profileId}
+                  onClick={() => setProfileId(row.profileId)}
+                  className="cursor-pointer"
+                  style={{ backgroundColor: row.profileId === profileId ? 'rgba(255, 215, 0, 0.15)' : 'transparent' }}
+                >
+                  <td className="py-1.5 pr-2 font-semibold">{index + 1}</td>
+                  <td className="py-1.5 pr-2">
+                    <span className="flex items-center gap-2"><ColorDot color={row.color} />{row.name}</span>
+                  </td>
+                  <td className="py-1.5 pr-2">{row.wins}-{row.losses}-{row.draws}</td>
+                  <td className="py-1.5 pr-2">{Math.round(row.winRate * 100)}%</td>
+                  <td className="py-1.5 pr-2">{row.bestScore}</td>
+                  <td className="py-1.5">{row.peakRate}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="w-full max-w-3xl rounded-2xl px-5 py-4 text-sm text-white space-y-3" style={{ backgroundColor: '#2D3540' }}>
+        <div className="flex items-center justify-between gap-3">
+          <div className="text-[11px] uppercase tracking-[0.28em] opacity-80">Personal bests</div>
+          <div className="flex flex-wrap justify-end gap-2">
+            {profiles.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setProfileId(option.id)}
+                className="px-3 py-1.5 rounded-xl text-xs font-semibold flex items-center gap-2"
+                style={{
+                  backgroundColor: option.id === profileId ? '#FFD700' : '#35679B',
+                  color: option.id === profileId ? '#1A3B58' : 'white',
+                  border: 'none',
+                  outline: 'none'
+                }}
+              >
+                <ColorDot color={option.color} />
+                {option.name}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {!profile ? (
+          <div className="opacity-80">{profiles.length > 0 ? 'Pick a player.' : 'No profiles yet. Add one on the start screen.'}</div>
+        ) : (
+          <>
+            {bests.length === 0 ? (
+              <div className="opacity-80">{profile.name} hasn't finished a match yet.</div>
+            ) : (
+              <div className="grid grid-cols-2 gap-2">
+                {bests.map(best => (
+                  <div key={best.mode} className="rounded-xl px-3 py-2" style={{ backgroundColor: 'rgba(255, 255, 255, 0.08)' }}>
+                    <div className="font-semibold">{best.label}</div>
+                    <div className="text-xs opacity-90">
+                      {best.wins}/{best.played} won · best score {best.bestScore} · peak {best.peakRate}/s
+                      {best.fastestWinMs !== null && ` · fastest win ${formatSeconds(best.fastestWinMs)}`}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {recent.length > 0 && (
+              <div className="space-y-1">
+                <div className="text-xs opacity-80">Latest matches</div>
+                {recent.map(record => {
+                  const side = sideOf(record, profile.id)
+                  const result = !record.winner ? 'Draw' : (record.winner === `player${side + 1}` ? 'Win' : 'Loss')
+                  return (
+                    <div key={record.id} className="flex items-center justify-between gap-3 text-xs">
+                      <span className="opacity-80">{new Date(record.playedAt).toLocaleString()}</span>
+                      <span className="flex-1 truncate">vs {record.opponent}</span>
+                      <span>{record.counts[side]}-{record.counts[1 - side]}</span>
+                      <span className="w-10 text-right font-semibold" style={{ color: result === 'Win' ? '#FFD700' : 'white' }}>{result}</span>
+                    </div>
+                  )
+                })}
+              </div>
+            )}
+
+            <button
+              onClick={() => {
+                onDeleteProfile(profile.id)
+                setProfileId(null)
+              }}
+              className="px-3 py-1.5 rounded-lg text-xs font-semibold"
+              style={{ backgroundColor: '#B23A48', border: 'none', outline: 'none', color: 'white' }}
+            >
+              Delete {profile.name}
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="w-full max-w-3xl rounded-2xl px-5 py-4 text-sm text-white space-y-3" style={{ backgroundColor: '#2D3540' }}>
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <div className="text-[11px] uppercase tracking-[0.28em] opacity-80">Match history</div>
+            <div className="opacity-90">{records.length} {records.length === 1 ? 'match' : 'matches'} saved</div>
+          </div>
+          <div className="flex flex-wrap justify-end gap-2">
+            <button
+              onClick={() => downloadExport(exportHistoryBundle(profiles, records), `tuggy-history-${exportDate()}.json`)}
+              className="px-3 py-2 rounded-xl text-xs font-semibold"
+              style={chipStyle}
+            >
+              Export all (JSON)
+            </button>
+            <button
+              onClick={() => downloadExport(exportMatchesCSV(records), `tuggy-history-${exportDate()}.csv`, 'text/csv')}
+              className="px-3 py-2 rounded-xl text-xs font-semibold"
+              style={chipStyle}
+            >
+              Export all (CSV)
+            </button>
+            <label className="px-3 py-2 rounded-xl text-xs font-semibold cursor-pointer" style={{ ...chipStyle, backgroundColor: '#FFD700', color: '#1A3B58' }}>
+              Import
+              <input type="file" accept=".json" className="hidden" onChange={onImport} />
+            </label>
+          </div>
+        </div>
+
+        {importMessage && (
+          <div className="text-xs" style={{ color: '#FFD700' }}>{importMessage}</div>
+        )}
+
+        {records.length > 0 && (
+          <div className="space-y-1 max-h-64 overflow-y-auto">
+            {records.map(record => (
+              <div key={record.id} className="flex items-center justify-between gap-3 text-xs">
+                <span className="opacity-80 whitespace-nowrap">{new Date(record.playedAt).toLocaleString()}</span>
+                <span className="flex-1 truncate">
+                  {record.sides[0].name} {record.counts[0]} - {record.counts[1]} {record.sides[1].name}
+                </span>
+                <button
+                  onClick={() => downloadExport(exportMatchJSON(record), `tuggy-match-${record.id}.json`)}
+                  className="px-2 py-1 rounded-lg font-semibold"
+                  style={chipStyle}
+                >
+                  JSON
+                </button>
+                <button
+                  onClick={() => downloadExport(exportMatchesCSV([record]), `tuggy-match-${record.id}.csv`, 'text/csv')}
+                  className="px-2 py-1 rounded-lg font-semibold"
+                  style={chipStyle}
+                >
+                  CSV
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,116 @@
+import { useState } from 'react'
+
+const SIDE_LABELS = { 1: 'Left (Blue)', 2: 'Right (White)' }
+
+/**
+ * Online match lobby: create a room or join one by code, then ready up
+ * match is the state from useNetworkMatch; shown until the relay starts the countdown
+ */
+export default function OnlineLobby({ match, onCreate, onJoin, onReady, onLeave }) {
+  const [name, setName] = useState('')
+  const [code, setCode] = useState('')
+  const { status, error, room, side, latency } = match
+  const isConnecting = status === 'connecting'
+  const buttonStyle = { backgroundColor: '#FFD700', color: '#1A3B58', border: 'none', outline: 'none' }
+  const inputStyle = { backgroundColor: '#35679B', color: 'white', border: 'none', outline: 'none' }
+
+  const me = room?.players.find(player => player.side === side)
+  const opponent = room?.players.find(player => player.side !== side)
+
+  return (
+    <div className="w-[24rem] rounded-2xl px-6 py-5 flex flex-col gap-4 text-sm text-white shadow-2xl" style={{ backgroundColor: '#2D3540' }}>
+      <div className="flex items-center justify-between">
+        <div className="text-[11px] uppercase tracking-[0.28em] opacity-80">Online match</div>
+        <span className="text-xs px-3 py-1 rounded-full" style={{
+          backgroundColor: status === 'connected' ? '#FFD700' : 'rgba(255, 255, 255, 0.2)',
+          color: status === 'connected' ? '#1A3B58' : 'white'
+        }}>
+          {status === 'connected' ? `Connected${latency !== null ? ` - ${latency} ms` : ''}` : (isConnecting ? 'Connecting...' : 'Offline')}
+        </span>
+      </div>
+
+      {!room ? (
+        <>
+          <input
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            placeholder="Your name"
+            maxLength={20}
+            className="px-3 py-2 rounded-xl text-sm placeholder-white/60"
+            style={inputStyle}
+          />
+          <button
+            onClick={() => onCreate(name.trim())}
+            disabled={isConnecting}
+            className="px-5 py-3 rounded-xl font-semibold disabled:opacity-50"
+            style={buttonStyle}
+          >
+            Create room
+          </button>
+          <div className="flex gap-2">
+            <input
+              value={code}
+              onChange={(event) => setCode(event.target.value.toUpperCase())}
+              placeholder="Room code"
+              maxLength={4}
+              className="flex-1 px-3 py-2 rounded-xl text-sm tracking-[0.3em] uppercase placeholder-white/60"
+              style={inputStyle}
+            />
+            <button
+              onClick={() => onJoin(code, name.trim())}
+              disabled={isConnecting || code.trim().length === 0}
+              className="px-5 py-2 rounded-xl font-semibold disabled:opacity-50"
+              style={{ backgroundColor: '#F1F2F6', color: '#2D3540', border: 'none', outline: 'none' }}
+            >
+              Join
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="text-center">
+            <div className="text-[11px] uppercase tracking-[0.28em] opacity-80">Room code</div>
+            <div className="text-4xl font-bold tracking-[0.3em]" style={{ color: '#FFD700' }}>{room.code}</div>
+            <div className="text-xs opacity-80">Share it with the other player on your network</div>
+          </div>
+          <div className="flex flex-col gap-2">
+            {[me, opponent].map((player, index) => (
+              <div key={index} className="flex items-center justify-between px-3 py-2 rounded-xl" style={{ backgroundColor: '#35679B' }}>
+                <span>
+                  {player ? `${player.name}${index === 0 ? ' (you)' : ''}` : 'Waiting for opponent...'}
+                  {player && <span className="opacity-80"> - {SIDE_LABELS[player.side]}</span>}
+                </span>
+                {player && (
+                  <span className="text-xs font-semibold" style={{ color: player.ready ? '#FFD700' : 'white' }}>
+                    {player.ready ? 'Ready' : 'Not ready'}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => onReady(!me?.ready)}
+              disabled={!opponent}
+              className="flex-1 px-5 py-3 rounded-xl font-semibold disabled:opacity-50"
+              style={buttonStyle}
+            >
+              {me?.ready ? 'Not ready' : 'Ready'}
+            </button>
+            <button
+              onClick={onLeave}
+              className="px-5 py-3 rounded-xl font-semibold"
+              style={{ backgroundColor: '#1A3B58', color: 'white', border: 'none', outline: 'none' }}
+            >
+              Leave
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && (
+        <div className="text-xs" style={{ color: '#FFD700' }}>{error}</div>
+      )}
+    </div>
+  )
+}
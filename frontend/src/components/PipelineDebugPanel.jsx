@@ -0,0 +1,58 @@
+import { PIPELINE_STAGES } from '../utils/frameScheduler'
+
+const STAGE_LABELS = {
+  send: 'FaceMesh',
+  results: 'Landmarks',
+  detect: 'Tongue',
+  state: 'State'
+}
+
+/**
+ * Detection pipeline telemetry (from the hooks' metrics)
+ * Effective FPS against the target, latency, per-stage timings and the FaceMesh input size
+ */
+export default function PipelineDebugPanel({ metrics }) {
+  if (!metrics) {
+    return (
+      <div className="px-4 py-3 text-xs text-white opacity-80" style={{ backgroundColor: '#2D3540' }}>
+        Waiting for detection frames...
+      </div>
+    )
+  }
+
+  const behind = metrics.fps < metrics.targetFps * 0.9
+  // Widest bar = slowest stage
+  const slowest = Math.max(1, ...PIPELINE_STAGES.map(stage => metrics.stages[stage]))
+
+  return (
+    <div className="px-4 py-3 text-xs text-white space-y-2" style={{ backgroundColor: '#2D3540' }}>
+      <div className="flex items-center justify-between">
+        <span className="uppercase tracking-[0.2em] opacity-80">Pipeline</span>
+        <span className="font-semibold" style={{ color: behind ? '#FFD700' : 'white' }}>
+          {metrics.fps} / {metrics.targetFps} FPS
+        </span>
+      </div>
+      <div className="flex justify-between opacity-80">
+        <span>Latency {metrics.latency.toFixed(1)} ms</span>
+        <span>Input {metrics.inputWidth}×{metrics.inputHeight} ({Math.round(metrics.inputScale * 100)}%)</span>
+      </div>
+      {PIPELINE_STAGES.map(stage => (
+        <div key={stage} className="flex items-center gap-2">
+          <span className="w-16 opacity-80">{STAGE_LABELS[stage]}</span>
+          <div className="flex-1 h-1.5 rounded-full" style={{ backgroundColor: 'rgba(255, 255, 255, 0.1)' }}>
+            <div
+              className="h-full rounded-full"
+              style={{ width: `${(metrics.stages[stage] / slowest) * 100}%`, backgroundColor: '#35679B' }}
+            />
+          </div>
+          <span className="w-14 text-right tabular-nums">{metrics.stages[stage].toFixed(1)} ms</span>
+        </div>
+      ))}
+      <div className="flex justify-between opacity-60">
+        <span>Processed {metrics.processed}</span>
+        <span>Skipped {metrics.skipped}</span>
+        <span>Dropped {metrics.dropped}</span>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,99 @@
+import { useState } from 'react'
+import { PROFILE_COLORS } from '../utils/profileStore'
+
+const SLOT_LABELS = ['You / Player 1', 'Player 2 (dual player)']
+
+function chipStyle(selected) {
+  return {
+    backgroundColor: selected ? '#FFD700' : '#35679B',
+    color: selected ? '#1A3B58' : 'white',
+    border: 'none',
+    outline: 'none'
+  }
+}
+
+/**
+ * Who is playing: a profile (or guest) for each side, a form for new profiles and the way to the leaderboard
+ * selectedIds: [left, right] profile ids (null = guest)
+ */
+export default function ProfilePicker({ profiles, selectedIds, error, onSelect, onCreate, onShowLeaderboard }) {
+  const [name, setName] = useState('')
+  const [color, setColor] = useState(PROFILE_COLORS[0])
+
+  const handleCreate = (event) => {
+    event.preventDefault()
+    if (!name.trim()) return
+    onCreate(name, color)
+    setName('')
+  }
+
+  return (
+    <div className="rounded-2xl px-5 py-4 text-sm text-white space-y-3" style={{ backgroundColor: '#2D3540' }}>
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <div className="text-[11px] uppercase tracking-[0.28em] opacity-80">Players</div>
+          <div className="opacity-90">Pick a profile to keep your matches and records</div>
+        </div>
+        <button
+          onClick={onShowLeaderboard}
+          className="px-3 py-2 rounded-xl text-xs font-semibold whitespace-nowrap"
+          style={chipStyle(false)}
+        >
+          Leaderboard
+        </button>
+      </div>
+
+      {error && (
+        <div className="text-xs" style={{ color: '#FFD700' }}>Profiles are unavailable: {error}</div>
+      )}
+
+      {SLOT_LABELS.map((label, side) => (
+        <div key={label} className="space-y-1">
+          <div className="text-xs opacity-80">{label}</div>
+          <div className="flex flex-wrap gap-2">
+            {[null, ...profiles].map(profile => {
+              const id = profile?.id || null
+              return (
+                <button
+                  key={id || 'guest'}
+                  onClick={() => onSelect(side, id)}
+                  className="px-3 py-1.5 rounded-xl text-xs font-semibold flex items-center gap-2"
+                  style={chipStyle(selectedIds[side] === id)}
+                >
+                  {profile && <span className="h-2.5 w-2.5 rounded-full" style={{ backgroundColor: profile.color }} />}
+                  {profile ? profile.name : 'Guest'}
+                </button>
+              )
+            })}
+          </div>
+        </div>
+      ))}
+
+      <form onSubmit={handleCreate} className="flex items-center gap-2">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="New profile name"
+          maxLength={24}
+          className="flex-1 min-w-0 rounded-lg px-2 py-1.5 text-xs"
+          style={{ backgroundColor: '#F1F2F6', color: '#2D3540', border: 'none', outline: 'none' }}
+        />
+        <div className="flex gap-1">
+          {PROFILE_COLORS.map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setColor(option)}
+              aria-label={`Color ${option}`}
+              className="h-5 w-5 rounded-full"
+              style={{ backgroundColor: option, border: color === option ? '2px solid white' : '2px solid transparent', outline: 'none' }}
+            />
+          ))}
+        </div>
+        <button type="submit" className="px-3 py-1.5 rounded-lg text-xs font-semibold" style={chipStyle(true)}>
+          Add
+        </button>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,43 @@
+const REASON_LABELS = {
+  pull: 'pulled over',
+  time: 'on time',
+  suddenDeath: 'sudden death'
+}
+
+/**
+ * Per-round results of a best-of-N series (from the match state)
+ * One cell per round in the side colors of its winner; rounds not played yet stay empty
+ */
+export default function RoundScoreboard({ rounds, totalRounds, seriesWins, labels }) {
+  return (
+    <div className="rounded-2xl px-4 py-3 text-xs text-white shadow-2xl" style={{ backgroundColor: '#2D3540' }}>
+      <div className="flex items-center justify-between gap-4 mb-2">
+        <span className="uppercase tracking-[0.2em] opacity-80">Series</span>
+        <span className="font-semibold">
+          {labels[0]} {seriesWins[0]} - {seriesWins[1]} {labels[1]}
+        </span>
+      </div>
+      <div className="flex gap-2">
+        {Array.from({ length: totalRounds }, (_, index) => {
+          const result = rounds[index]
+          const style = !result || !result.winner
+            ? { backgroundColor: 'rgba(255, 255, 255, 0.1)', color: 'white' }
+            : (result.winner === 'player1'
+              ? { backgroundColor: '#35679B', color: 'white' }
+              : { backgroundColor: '#F1F2F6', color: '#2D3540' })
+
+          return (
+            <div key={index} className="flex-1 min-w-[4.5rem] rounded-lg px-2 py-1 text-center" style={style}>
+              <div className="font-semibold">R{index + 1}</div>
+              <div className="opacity-80">
+                {result
+                  ? `${result.scores[0]}-${result.scores[1]}${result.winner ? `, ${REASON_LABELS[result.reason]}` : ', draw'}`
+                  : '-'}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -1,18 +1,174 @@
-import { useRef, useEffect, useState, useCallback } from 'react'
+import { useRef, useEffect, useState, useCallback, useReducer } from 'react'
 import { useTongueDetection } from '../hooks/useTongueDetection'
-import { useDualTongueDetection } from '../hooks/useDualTongueDetection'
+import { useMultiTongueDetection } from '../hooks/useMultiTongueDetection'
+import { useCameraDevices } from '../hooks/useCameraDevices'
+import { useNetworkMatch } from '../hooks/useNetworkMatch'
 import TugOfWar3D from './TugOfWar3D'
-import { AIOpponent } from '../utils/aiOpponent.js'
+import CalibrationWizard from './CalibrationWizard'
+import PipelineDebugPanel from './PipelineDebugPanel'
+import CameraSettings, { CameraErrorNotice } from './CameraSettings'
+import OnlineLobby from './OnlineLobby'
+import RoundScoreboard from './RoundScoreboard'
+import AdaptationChart from './AdaptationChart'
+import GhostList, { SaveGhostCard } from './GhostList'
+import ProfilePicker from './ProfilePicker'
+import Leaderboard from './Leaderboard'
+import {
+  AIOpponent,
+  AI_DIFFICULTIES,
+  AI_PERSONALITIES,
+  DEFAULT_AI_DIFFICULTY,
+  DEFAULT_AI_PERSONALITY,
+  describeAI
+} from '../utils/aiOpponent.js'
+import { DetectionEngine } from '../utils/detectionEngine'
+import { DEFAULT_MODEL_URL } from '../utils/tongueDetector'
+import { randomSeed } from '../utils/seededRandom'
+import { listProfiles, createProfile, deleteProfile, saveMatch, listMatches, importHistory } from '../utils/profileStore'
+import { MatchTimeline, createMatchRecord } from '../utils/matchHistory'
+import { parseImport } from '../utils/matchExport'
+import { GhostRecorder, GhostOpponent, loadGhosts, saveGhost, deleteGhost, parseGhost, downloadGhost } from '../utils/ghosts'
+import { parseSession, downloadSession } from '../utils/sessionRecorder'
+import { MATCH_PHASES, createMatchState, matchReducer } from '../utils/matchState'
+import { playerReadiness, allPlayersReady } from '../utils/readyCheck'
+import { MATCH_FORMATS, DEFAULT_MATCH_FORMAT, getMatchFormat } from '../utils/matchFormats'
+
+/**
+ * FaceMesh loading progress under the camera placeholder
+ */
+function AssetProgressBar({ status }) {
+  if (!status || status.phase === 'ready') return null
+
+  return (
+    <div className="mt-2 h-1.5 w-40 mx-auto rounded-full" style={{ backgroundColor: 'rgba(255, 255, 255, 0.2)' }}>
+      <div
+        className="h-full rounded-full transition-all"
+        style={{ width: `${Math.round(status.progress * 100)}%`, backgroundColor: '#FFD700' }}
+      />
+    </div>
+  )
+}
+
+const FACE_STATUS_LABELS = {
+  waiting: 'waiting for face',
+  lost: 'face lost',
+  reacquired: 'face found'
+}
+
+/**
+ * Face tracking status under a player label, shown while the face is missing or just came back
+ */
+function FaceStatusLabel({ status }) {
+  const label = FACE_STATUS_LABELS[status]
+  if (!label) return null
+
+  return (
+    <div className="font-normal" style={{ color: status === 'lost' ? '#B23A48' : 'inherit', opacity: status === 'lost' ? 1 : 0.8 }}>
+      {label}
+    </div>
+  )
+}
+
+/**
+ * Ready check status under a player label: ready, or what the player still has to do
+ */
+function ReadyIndicator({ player }) {
+  const readiness = playerReadiness(player)
+  const todo = !readiness.faceVisible
+    ? 'show your face'
+    : (!readiness.centered ? 'move to the center' : (!readiness.tongueIn ? 'tongue in' : null))
+
+  return (
+    <div className="font-normal" style={{ opacity: todo ? 0.8 : 1 }}>
+      {todo ? `Not ready: ${todo}` : 'Ready'}
+    </div>
+  )
+}
+
+// Local matches start once everyone has been ready this long, after a 3-2-1 countdown
+const READY_HOLD_MS = 800
+const COUNTDOWN_MS = 3000
+
+/**
+ * Round clock as m:ss
+ */
+function formatClock(ms) {
+  const seconds = Math.ceil(ms / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
 
 /**
  * Main Tongue Game Component
  */
 export default function TongueGame() {
-  // Game mode: 'ai' or 'human'
+  // Game mode: 'ai', 'human' (1v1), 'team' (2v2) or 'online' (1v1 against another browser)
+  // Both human modes share one camera; AI and online use the single-player camera
   const [gameMode, setGameMode] = useState(null) // null = not selected yet
   const [showModeSelector, setShowModeSelector] = useState(true)
+  const isSharedCamera = gameMode === 'human' || gameMode === 'team'
+  const usesLocalCamera = gameMode === 'ai' || gameMode === 'online'
+  const sharedPlayerCount = gameMode === 'team' ? 4 : 2
+
+  // Recorded landmark session to replay instead of the camera (null = live camera)
+  const [replaySession, setReplaySession] = useState(null)
+  const [replayName, setReplayName] = useState(null)
+  const [replayError, setReplayError] = useState(null)
+  const detectionSource = replaySession ? 'replay' : 'camera'
 
-  // Player 1 detection (for AI mode)
+  // Match format for local matches (online matches are always classic, the relay decides them)
+  const [matchFormatId, setMatchFormatId] = useState(DEFAULT_MATCH_FORMAT)
+
+  // AI opponent preset and personality (solo mode)
+  const [aiDifficulty, setAiDifficulty] = useState(DEFAULT_AI_DIFFICULTY)
+  const [aiPersonality, setAiPersonality] = useState(DEFAULT_AI_PERSONALITY)
+  // Seed of the AI's randomness: a new one every match, unless it's a rematch on the same seed
+  const [aiSeed, setAiSeed] = useState(randomSeed)
+  // How the AI paced itself this match, refreshed by the game loop as it samples
+  const [adaptationCurve, setAdaptationCurve] = useState(null)
+
+  // Saved ghosts, the one raced in place of the AI (null = race the AI) and the recording of this run
+  const [ghosts, setGhosts] = useState(loadGhosts)
+  const [raceGhost, setRaceGhost] = useState(null)
+  const [ghostError, setGhostError] = useState(null)
+  const [ghostRecorder] = useState(() => new GhostRecorder())
+
+  // Player profiles (kept in IndexedDB), the profile on each side (null = guest) and the leaderboard screen
+  const [profiles, setProfiles] = useState([])
+  const [profileError, setProfileError] = useState(null)
+  const [sideProfileIds, setSideProfileIds] = useState([null, null])
+  const [showLeaderboard, setShowLeaderboard] = useState(false)
+  const [matchRecords, setMatchRecords] = useState([])
+  const [importMessage, setImportMessage] = useState(null)
+  // Counts, rope and tongue states over the match, saved with it
+  const [matchTimeline] = useState(() => new MatchTimeline())
+  useEffect(() => {
+    listProfiles()
+      .then(setProfiles)
+      .catch(err => setProfileError(err.message))
+  }, [])
+
+  // Tongue detection method: landmark heuristics, TF.js model or both fused
+  const [detectionMode, setDetectionMode] = useState('landmarks')
+
+  // Camera and resolution (remembered between visits)
+  const {
+    devices: cameraDevices,
+    settings: cameraSettings,
+    selectedCameraMissing,
+    selectCamera,
+    selectResolution,
+    refreshDevices: refreshCameraDevices
+  } = useCameraDevices()
+
+  // One detection engine behind both hooks: the camera and FaceMesh stay up when the mode changes,
+  // each hook reconfigures the engine's players and thresholds when it starts
+  const [detectionEngine] = useState(() => new DetectionEngine())
+  useEffect(() => {
+    return () => detectionEngine.dispose()
+  }, [detectionEngine])
+
+  // Player 1 detection (for AI and online modes)
+  // Counter thresholds are the engine's defaults until the calibration wizard replaces them before each match
   const {
     videoRef: player1VideoRef,
     canvasRef: player1CanvasRef,
@@ -21,122 +177,218 @@ export default function TongueGame() {
     count: player1Count,
     tongueState: player1TongueState,
     error: player1Error,
+    isRecording: player1IsRecording,
+    detectionMode: player1DetectionMode,
+    assetStatus: player1AssetStatus,
+    cameraError: player1CameraError,
+    lastGesture: player1LastGesture,
+    faceStatus: player1FaceStatus,
+    faceCentered: player1FaceCentered,
+    tongueOut: player1TongueOut,
+    metrics: player1Metrics,
     startDetection: player1StartDetection,
     stopDetection: player1StopDetection,
+    retryCamera: player1RetryCamera,
+    startRecording: player1StartRecording,
+    stopRecording: player1StopRecording,
+    beginCalibration: player1BeginCalibration,
+    setCalibrationPhase: player1SetCalibrationPhase,
+    finishCalibration: player1FinishCalibration,
+    cancelCalibration: player1CancelCalibration,
     resetCount: player1ResetCount
   } = useTongueDetection({
+    engine: detectionEngine,
+    source: detectionSource,
+    replaySession,
+    detectionMode,
+    cameraDeviceId: cameraSettings.deviceId,
+    cameraResolution: cameraSettings.resolution,
     smoothingWindow: 5,
     minConfidence: 0.4,
-    leftThreshold: -0.001,
-    rightThreshold: 0.001,
-    minHoldFrames: 2
+    minHoldFrames: 2,
+    minHoldMs: 50, // New state must be held this long before it counts
+    refractoryMs: 120 // Ignore a second count right after one
   })
 
-  // Dual detection (for human mode - detects both players in same camera)
+  // Shared camera detection (human and team modes - every player in the same camera)
   const {
-    videoRef: dualVideoRef,
-    canvasRef: dualCanvasRef,
-    isActive: dualIsActive,
-    isDetecting: dualIsDetecting,
-    player1Count: dualPlayer1Count,
-    player2Count: dualPlayer2Count,
-    player1TongueState: dualPlayer1TongueState,
-    player2TongueState: dualPlayer2TongueState,
-    error: dualError,
+    videoRef: sharedVideoRef,
+    canvasRef: sharedCanvasRef,
+    isActive: sharedIsActive,
+    isDetecting: sharedIsDetecting,
+    players: sharedPlayers,
+    teams: sharedTeams,
+    teamCounts: sharedTeamCounts,
+    error: sharedError,
     detectedFaces,
-    startDetection: dualStartDetection,
-    stopDetection: dualStopDetection,
-    resetCounts: dualResetCounts
-  } = useDualTongueDetection({
+    isRecording: sharedIsRecording,
+    detectionMode: sharedDetectionMode,
+    assetStatus: sharedAssetStatus,
+    cameraError: sharedCameraError,
+    metrics: sharedMetrics,
+    swapPlayers: sharedSwapPlayers,
+    swapSides: sharedSwapSides,
+    startDetection: sharedStartDetection,
+    stopDetection: sharedStopDetection,
+    retryCamera: sharedRetryCamera,
+    startRecording: sharedStartRecording,
+    stopRecording: sharedStopRecording,
+    beginCalibration: sharedBeginCalibration,
+    setCalibrationPhase: sharedSetCalibrationPhase,
+    finishCalibration: sharedFinishCalibration,
+    cancelCalibration: sharedCancelCalibration,
+    resetCounts: sharedResetCounts
+  } = useMultiTongueDetection({
+    engine: detectionEngine,
+    playerCount: sharedPlayerCount,
+    source: detectionSource,
+    replaySession,
+    detectionMode,
+    cameraDeviceId: cameraSettings.deviceId,
+    cameraResolution: cameraSettings.resolution,
     smoothingWindow: 5,
     minConfidence: 0.3, // Lower confidence threshold for easier detection
-    leftThreshold: -0.0003, // Closer to zero - easier to detect left movements (smaller movements trigger)
-    rightThreshold: 0.0003, // Closer to zero - easier to detect right movements (smaller movements trigger)
-    minHoldFrames: 1 // Reduced frames needed for state change - more responsive
+    minHoldFrames: 1, // Reduced frames needed for state change - more responsive
+    minHoldMs: 30,
+    refractoryMs: 120
   })
+  // Each side's pull is the sum of its players' counts
+  const [sharedLeftPull, sharedRightPull] = sharedTeamCounts
+
+  // Online match - our count goes to the relay, which sends back both sides and the winner
+  const {
+    status: networkStatus,
+    error: networkError,
+    room: networkRoom,
+    side: networkSide,
+    phase: networkPhase,
+    counts: networkCounts,
+    tongueStates: networkTongueStates,
+    winner: networkWinner,
+    countdown: networkCountdown,
+    latency: networkLatency,
+    createRoom: networkCreateRoom,
+    joinRoom: networkJoinRoom,
+    setReady: networkSetReady,
+    leaveRoom: networkLeaveRoom,
+    disconnect: networkDisconnect
+  } = useNetworkMatch({ count: player1Count, tongueState: player1TongueState })
+  const opponentSide = networkSide === 2 ? 1 : 2
 
-  // Game state
-  const [aiScore, setAiScore] = useState(0)
-  const [gameOver, setGameOver] = useState(false)
+  // Match phase, scores, rope position and winner (see matchState); calibration is the
+  // 'calibrating' phase, run after the camera starts and before counting begins
+  const [match, dispatchMatch] = useReducer(matchReducer, undefined, createMatchState)
+  const isCalibrating = match.phase === MATCH_PHASES.CALIBRATING
+  const matchOver = match.phase === MATCH_PHASES.FINISHED
+
+  // Pipeline telemetry panel under the camera view
+  const [showDebug, setShowDebug] = useState(false)
+
+  // Camera labels are only readable once a camera is open
+  useEffect(() => {
+    if (player1IsActive || sharedIsActive) {
+      refreshCameraDevices()
+    }
+  }, [player1IsActive, sharedIsActive, refreshCameraDevices])
+
+  // AI opponent, stepped by the game loop
   const aiOpponentRef = useRef(null)
   const gameLoopRef = useRef(null)
-  const lastTimeRef = useRef(null)
-  const frozenPlayer1CountRef = useRef(null) // Store count when game ends
-  const frozenPlayer2CountRef = useRef(null) // Store count when game ends
+  // Read by the game loop each frame, so count changes don't restart it
+  const player1CountRef = useRef(player1Count)
+  useEffect(() => {
+    player1CountRef.current = player1Count
+  }, [player1Count])
+  // The adaptive AI steers by where the rope is
+  const ropePositionRef = useRef(match.ropePosition)
+  useEffect(() => {
+    ropePositionRef.current = match.ropePosition
+  }, [match.ropePosition])
 
-  // Initialize AI opponent (only for AI mode)
+  // Initialize AI opponent (only for AI mode), again whenever its preset, personality or seed changes;
+  // a ghost being raced takes its place
   useEffect(() => {
-    if (gameMode === 'ai' && !aiOpponentRef.current) {
-      aiOpponentRef.current = new AIOpponent({
-        baseRate: 0.5,
-        randomness: 0.3,
-        minInterval: 500,
-        maxInterval: 2000
-      })
-    } else if (gameMode === 'human' && aiOpponentRef.current) {
-      // Clean up AI opponent when switching to human mode
+    if (gameMode === 'ai') {
+      aiOpponentRef.current = raceGhost
+        ? new GhostOpponent(raceGhost)
+        : new AIOpponent({ difficulty: aiDifficulty, personality: aiPersonality, seed: aiSeed })
+    } else if ((isSharedCamera || gameMode === 'online') && aiOpponentRef.current) {
+      // Clean up AI opponent when switching to a human mode
       aiOpponentRef.current = null
     }
-  }, [gameMode])
+  }, [gameMode, isSharedCamera, aiDifficulty, aiPersonality, aiSeed, raceGhost])
 
-  // Freeze counts when game ends
+  // Feed the match its counts: each side's summed pull with a shared camera, our count against the AI's
+  // score (also fed by the game loop as the AI pulls) and online, the relay's counts
   useEffect(() => {
-    if (gameOver) {
-      if (gameMode === 'ai') {
-        if (frozenPlayer1CountRef.current === null) {
-          frozenPlayer1CountRef.current = player1Count
-        }
-      } else if (gameMode === 'human') {
-        if (frozenPlayer1CountRef.current === null) {
-          frozenPlayer1CountRef.current = dualPlayer1Count
-        }
-        if (frozenPlayer2CountRef.current === null) {
-          frozenPlayer2CountRef.current = dualPlayer2Count
-        }
-      }
-    } else {
-      frozenPlayer1CountRef.current = null
-      frozenPlayer2CountRef.current = null
+    if (isSharedCamera) {
+      dispatchMatch({ type: 'COUNTS', counts: [sharedLeftPull, sharedRightPull], at: Date.now() })
+    } else if (gameMode === 'ai') {
+      dispatchMatch({ type: 'COUNTS', counts: [player1Count, aiOpponentRef.current?.getScore() || 0], at: Date.now() })
+    }
+  }, [gameMode, isSharedCamera, player1Count, sharedLeftPull, sharedRightPull])
+
+  useEffect(() => {
+    if (gameMode === 'online') {
+      dispatchMatch({ type: 'COUNTS', counts: [networkCounts[1], networkCounts[2]], at: Date.now() })
+    }
+  }, [gameMode, networkCounts])
+
+  // Ready check: every player the mode needs is in view, centered, with their tongue in
+  // (re-sent on entering the check, in case everyone already is)
+  const readyPlayers = usesLocalCamera
+    ? [{ faceStatus: player1FaceStatus, faceCentered: player1FaceCentered, tongueOut: player1TongueOut }]
+    : sharedPlayers
+  const everyoneReady = allPlayersReady(readyPlayers, usesLocalCamera ? 1 : sharedPlayerCount)
+  const isReadyCheck = match.phase === MATCH_PHASES.READY
+  useEffect(() => {
+    if (isReadyCheck) {
+      dispatchMatch({ type: 'READY', ready: everyoneReady, at: Date.now() })
     }
-  }, [gameOver, player1Count, dualPlayer1Count, dualPlayer2Count, gameMode])
+  }, [isReadyCheck, everyoneReady])
 
-  // Get effective counts (frozen if game over, otherwise live)
-  const effectivePlayer1Count = gameOver && frozenPlayer1CountRef.current !== null
-    ? frozenPlayer1CountRef.current
-    : (gameMode === 'ai' ? player1Count : dualPlayer1Count)
+  // Online, the relay runs the match: follow its start, result and return to the lobby
+  useEffect(() => {
+    if (gameMode !== 'online' || !networkPhase || isCalibrating) return
 
-  const effectivePlayer2Count = gameOver && frozenPlayer2CountRef.current !== null
-    ? frozenPlayer2CountRef.current
-    : (gameMode === 'ai' ? aiScore : dualPlayer2Count)
+    if (networkPhase === 'playing' && (match.phase === MATCH_PHASES.LOBBY || match.phase === MATCH_PHASES.COUNTDOWN)) {
+      dispatchMatch({ type: 'START', at: Date.now(), countdownMs: 0 })
+    } else if (networkPhase === 'finished' && !matchOver) {
+      dispatchMatch({ type: 'FINISH', winner: networkWinner ? `player${networkWinner}` : null, at: Date.now() })
+    } else if ((networkPhase === 'waiting' || networkPhase === 'lobby') && match.phase !== MATCH_PHASES.LOBBY) {
+      dispatchMatch({ type: 'RESET' })
+    }
+  }, [gameMode, networkPhase, networkWinner, isCalibrating, matchOver, match.phase])
 
-  // Determine scores based on game mode
-  // Player 1 = Blue character (left side) = leftmost face in camera
-  // Player 2 = Red character (right side) = rightmost face in camera
-  const player1Score = effectivePlayer1Count  // Blue/Left character
-  const player2Score = effectivePlayer2Count   // Red/Right character
+  // Player 1 = Blue side (left), Player 2 = White side (right)
+  const [player1Score, player2Score] = match.scores
 
-  // Game loop to update AI score (only in AI mode) and check win conditions
+  // Game loop: advances the match clock (ready hold, countdown, play) and steps the AI opponent (only in AI mode)
   useEffect(() => {
-    if (!gameMode || gameOver) return
+    if (gameMode === 'online') return // Nothing to simulate, the relay runs the clock
+    if (![MATCH_PHASES.READY, MATCH_PHASES.COUNTDOWN, MATCH_PHASES.PLAYING].includes(match.phase)) return
     if (gameMode === 'ai' && (!player1IsActive || !aiOpponentRef.current)) return
-    if (gameMode === 'human' && !dualIsActive) return
+    if (isSharedCamera && !sharedIsActive) return
 
-    const gameLoop = (currentTime) => {
-      if (!lastTimeRef.current) {
-        lastTimeRef.current = currentTime
-      }
+    const isPlaying = match.phase === MATCH_PHASES.PLAYING
+    let lastTime = null
+    let curveSamples = null
 
-      const deltaTime = currentTime - lastTimeRef.current
-      lastTimeRef.current = currentTime
+    const gameLoop = (currentTime) => {
+      const deltaTime = lastTime === null ? 0 : currentTime - lastTime
+      lastTime = currentTime
+      const now = Date.now()
 
-      // Update AI opponent (only in AI mode, use live count for AI updates during game)
-      if (gameMode === 'ai' && aiOpponentRef.current) {
-        aiOpponentRef.current.update(player1Count, deltaTime)
-        setAiScore(aiOpponentRef.current.getScore())
+      if (isPlaying && gameMode === 'ai' && aiOpponentRef.current) {
+        aiOpponentRef.current.update(player1CountRef.current, deltaTime, ropePositionRef.current)
+        dispatchMatch({ type: 'COUNTS', counts: [player1CountRef.current, aiOpponentRef.current.getScore()], at: now })
+        ghostRecorder.update(player1CountRef.current, deltaTime)
+        if (aiOpponentRef.current.adaptationCurve && aiOpponentRef.current.adaptationCurve.length !== curveSamples) {
+          curveSamples = aiOpponentRef.current.adaptationCurve.length
+          setAdaptationCurve(aiOpponentRef.current.getAdaptationCurve())
+        }
       }
-
-      // Win condition is now checked in TugOfWar3D based on rope knot position
-      // No need to check here - TugOfWar3D will call onWinnerChange callback
+      dispatchMatch({ type: 'TICK', at: now })
 
       gameLoopRef.current = requestAnimationFrame(gameLoop)
     }
@@ -148,42 +400,45 @@ export default function TongueGame() {
         cancelAnimationFrame(gameLoopRef.current)
         gameLoopRef.current = null
       }
-      lastTimeRef.current = null
     }
-  }, [gameMode, player1IsActive, dualIsActive, gameOver, player1Count, dualPlayer1Count, dualPlayer2Count, aiScore])
+  }, [gameMode, isSharedCamera, player1IsActive, sharedIsActive, match.phase, ghostRecorder])
 
   // Handle game mode selection
   const handleModeSelect = useCallback(async (mode) => {
     setGameMode(mode)
     setShowModeSelector(false)
+    ghostRecorder.reset()
+    // Online, the relay decides the winner and the match only mirrors it
+    dispatchMatch({
+      type: 'RESET',
+      options: {
+        authoritative: mode !== 'online',
+        format: getMatchFormat(mode === 'online' ? DEFAULT_MATCH_FORMAT : matchFormatId),
+        countdownMs: COUNTDOWN_MS,
+        readyHoldMs: READY_HOLD_MS
+      }
+    })
+    dispatchMatch({ type: 'CALIBRATE' })
     
     // Small delay to ensure video refs are set
     await new Promise(resolve => setTimeout(resolve, 300))
     
-    if (mode === 'ai') {
+    if (mode === 'ai' || mode === 'online') {
       // Start detection for player 1 only
       try {
         await player1StartDetection()
       } catch (err) {
         console.error('Failed to start player 1 detection:', err)
       }
-    } else if (mode === 'human') {
-      // Start dual detection (both players in same camera)
+    } else if (mode === 'human' || mode === 'team') {
+      // Start shared camera detection (every player in the same camera)
       try {
-        await dualStartDetection()
+        await sharedStartDetection()
       } catch (err) {
-        console.error('Failed to start dual detection:', err)
-        // If dual detection fails, fall back to AI mode
+        console.error('Failed to start shared camera detection:', err)
+        // If shared camera detection fails, fall back to AI mode (its effect creates the AI opponent)
         setGameMode('ai')
         setShowModeSelector(false)
-        if (!aiOpponentRef.current) {
-          aiOpponentRef.current = new AIOpponent({
-            baseRate: 0.5,
-            randomness: 0.3,
-            minInterval: 500,
-            maxInterval: 2000
-          })
-        }
         try {
           await player1StartDetection()
         } catch (err2) {
@@ -191,51 +446,349 @@ export default function TongueGame() {
         }
       }
     }
-  }, [player1StartDetection, dualStartDetection])
-
-  // Reset game
-  const handleReset = useCallback(() => {
-    setGameOver(false)
-    setAiScore(0)
-    frozenPlayer1CountRef.current = null
-    frozenPlayer2CountRef.current = null
+  }, [matchFormatId, ghostRecorder, player1StartDetection, sharedStartDetection])
+
+  // Reset game; the new match starts after the ready check. A new seed recreates the AI, otherwise
+  // resetting it replays the last match's randomness
+  const restartMatch = useCallback((sameSeed) => {
+    if (!sameSeed) {
+      setAiSeed(randomSeed())
+    }
     if (aiOpponentRef.current) {
       aiOpponentRef.current.reset()
     }
-    if (gameMode === 'ai') {
+    setAdaptationCurve(null)
+    ghostRecorder.reset()
+    if (usesLocalCamera) {
       player1ResetCount()
-    } else if (gameMode === 'human') {
-      dualResetCounts()
+    } else if (isSharedCamera) {
+      sharedResetCounts()
+    }
+    // Online, the relay starts matches: playing again asks the opponent for a rematch
+    if (gameMode === 'online') {
+      if (networkPhase === 'finished') {
+        networkSetReady(true)
+      }
+      return
+    }
+    dispatchMatch({ type: 'READY_CHECK' })
+  }, [ghostRecorder, player1ResetCount, sharedResetCounts, gameMode, isSharedCamera, usesLocalCamera, networkPhase, networkSetReady])
+
+  const handleReset = useCallback(() => restartMatch(false), [restartMatch])
+  const handleRematchSameSeed = useCallback(() => restartMatch(true), [restartMatch])
+
+  // Next round of a series; the AI starts the round fresh too (a closer winds back down)
+  const handleNextRound = useCallback(() => {
+    if (aiOpponentRef.current) {
+      aiOpponentRef.current.nextRound()
     }
-    lastTimeRef.current = null
-  }, [player1ResetCount, dualResetCounts, gameMode])
+    dispatchMatch({ type: 'NEXT_ROUND' })
+  }, [])
 
   // Return to mode selection
   const handleReturnToModeSelect = useCallback(() => {
-    if (gameMode === 'ai') {
-      player1StopDetection()
-    } else if (gameMode === 'human') {
-      dualStopDetection()
-    }
+    // Paused rather than stopped, so the next mode starts without reopening the camera
+    detectionEngine.pause()
+    networkDisconnect()
+    player1CancelCalibration()
+    sharedCancelCalibration()
     setGameMode(null)
     setShowModeSelector(true)
-    setGameOver(false)
-    setAiScore(0)
-    frozenPlayer1CountRef.current = null
-    frozenPlayer2CountRef.current = null
+    dispatchMatch({ type: 'RESET' })
     if (aiOpponentRef.current) {
       aiOpponentRef.current.reset()
     }
     player1ResetCount()
-    dualResetCounts()
-    lastTimeRef.current = null
-  }, [gameMode, player1StopDetection, dualStopDetection, player1ResetCount, dualResetCounts])
+    sharedResetCounts()
+  }, [detectionEngine, networkDisconnect, player1ResetCount, sharedResetCounts, player1CancelCalibration, sharedCancelCalibration])
+
+  // Calibration wizard callbacks, routed to the hook for the current mode
+  const handleCalibrationBegin = useCallback(() => {
+    if (usesLocalCamera) {
+      player1BeginCalibration()
+    } else {
+      sharedBeginCalibration()
+    }
+  }, [usesLocalCamera, player1BeginCalibration, sharedBeginCalibration])
+
+  const handleCalibrationPhase = useCallback((phase) => {
+    if (usesLocalCamera) {
+      player1SetCalibrationPhase(phase)
+    } else {
+      sharedSetCalibrationPhase(phase)
+    }
+  }, [usesLocalCamera, player1SetCalibrationPhase, sharedSetCalibrationPhase])
+
+  const handleCalibrationFinish = useCallback(() => {
+    if (usesLocalCamera) {
+      return { player1: player1FinishCalibration() }
+    }
+    // Keyed by wizard player id
+    return Object.fromEntries(sharedFinishCalibration().map((result, index) => [`player${index + 1}`, result]))
+  }, [usesLocalCamera, player1FinishCalibration, sharedFinishCalibration])
+
+  // Counts made while calibrating don't belong to the match; online, the lobby comes next
+  const handleCalibrationComplete = useCallback(() => {
+    if (gameMode === 'online') {
+      dispatchMatch({ type: 'RESET' })
+    }
+    handleReset()
+  }, [gameMode, handleReset])
+
+  const handleCalibrationSkip = useCallback(() => {
+    if (usesLocalCamera) {
+      player1CancelCalibration()
+    } else {
+      sharedCancelCalibration()
+    }
+    handleCalibrationComplete()
+  }, [usesLocalCamera, player1CancelCalibration, sharedCancelCalibration, handleCalibrationComplete])
+
+  // Shared camera player label, e.g. 'Player 1 (Left)' or 'Player 3 (Right team)'
+  const sharedPlayerLabel = (index) => {
+    const side = sharedTeams[1].includes(index) ? 'Right' : 'Left'
+    return `Player ${index + 1} (${sharedPlayerCount > 2 ? `${side} team` : side})`
+  }
+
+  // From the mode's player count: the engine only resizes its players once tracking starts
+  const calibrationPlayers = usesLocalCamera
+    ? [{ id: 'player1', label: 'You' }]
+    : Array.from({ length: sharedPlayerCount }, (_, index) => ({ id: `player${index + 1}`, label: sharedPlayerLabel(index) }))
+
+  // Load a recorded session file to drive the game without a webcam
+  const handleReplayFile = useCallback(async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const session = parseSession(await file.text())
+      setReplaySession(session)
+      setReplayName(file.name)
+      setReplayError(null)
+    } catch (err) {
+      setReplaySession(null)
+      setReplayName(null)
+      setReplayError(err.message)
+    }
+  }, [])
+
+  const handleClearReplay = useCallback(() => {
+    setReplaySession(null)
+    setReplayName(null)
+    setReplayError(null)
+  }, [])
+
+  // Ghosts: race one in place of the AI, keep this run, or bring in a teammate's file
+  const handleRaceGhost = useCallback((ghost) => {
+    setRaceGhost(ghost)
+    handleModeSelect('ai')
+  }, [handleModeSelect])
+
+  const handleSaveGhost = useCallback((name) => {
+    setGhosts(saveGhost(ghostRecorder.toGhost(name)))
+  }, [ghostRecorder])
+
+  const handleDeleteGhost = useCallback((id) => {
+    setGhosts(deleteGhost(id))
+  }, [])
+
+  // Profiles: a new one takes the first side if nobody is on it yet
+  const handleSelectProfile = useCallback((side, id) => {
+    setSideProfileIds(ids => ids.map((current, index) => (index === side ? id : current)))
+  }, [])
+
+  const handleCreateProfile = useCallback(async (name, color) => {
+    try {
+      const profile = await createProfile(name, color)
+      setProfiles(list => [...list, profile])
+      setSideProfileIds(ids => (ids[0] ? ids : [profile.id, ids[1]]))
+    } catch (err) {
+      setProfileError(err.message)
+    }
+  }, [])
+
+  const handleDeleteProfile = useCallback(async (id) => {
+    try {
+      await deleteProfile(id)
+      setProfiles(list => list.filter(profile => profile.id !== id))
+      setSideProfileIds(ids => ids.map(current => (current === id ? null : current)))
+    } catch (err) {
+      setProfileError(err.message)
+    }
+  }, [])
+
+  const handleShowLeaderboard = useCallback(async () => {
+    setShowLeaderboard(true)
+    try {
+      setMatchRecords(await listMatches())
+    } catch (err) {
+      setProfileError(err.message)
+    }
+  }, [])
+
+  // Import a history bundle or a single exported match, then show the merged history
+  const handleImportHistory = useCallback(async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const { profiles: importedProfiles, matches: importedMatches } = parseImport(await file.text())
+      await importHistory(importedProfiles, importedMatches)
+      const [storedProfiles, storedMatches] = await Promise.all([listProfiles(), listMatches()])
+      setProfiles(storedProfiles)
+      setMatchRecords(storedMatches)
+      setImportMessage(`Imported ${importedMatches.length} ${importedMatches.length === 1 ? 'match' : 'matches'} and ${importedProfiles.length} ${importedProfiles.length === 1 ? 'profile' : 'profiles'} from ${file.name}`)
+    } catch (err) {
+      setImportMessage(`Could not import ${file.name}: ${err.message}`)
+    }
+  }, [])
+
+  const handleGhostFile = useCallback(async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      setGhosts(saveGhost(parseGhost(await file.text())))
+      setGhostError(null)
+    } catch (err) {
+      setGhostError(err.message)
+    }
+  }, [])
+
+  // Pausing tracking pauses the match with it (online, the relay's match carries on)
+  const isTracking = usesLocalCamera ? player1IsActive : sharedIsActive
+  const handleToggleTracking = useCallback(() => {
+    if (isTracking) {
+      if (usesLocalCamera) {
+        player1StopDetection()
+      } else {
+        sharedStopDetection()
+      }
+      if (gameMode !== 'online') {
+        dispatchMatch({ type: 'PAUSE', at: Date.now() })
+      }
+      return
+    }
+
+    dispatchMatch({ type: 'RESUME', at: Date.now() })
+    if (usesLocalCamera) {
+      player1StartDetection()
+    } else {
+      sharedStartDetection()
+    }
+  }, [gameMode, isTracking, usesLocalCamera, player1StartDetection, player1StopDetection, sharedStartDetection, sharedStopDetection])
 
-  const modeLabel = gameMode === 'ai' ? 'Solo vs AI' : 'Dual Player'
-  const liveStatus = gameOver ? 'Finished round' : 'Live match'
-  const trackingStatus = gameMode === 'ai'
+  // Toggle landmark recording; stopping downloads the session file
+  const isRecording = usesLocalCamera ? player1IsRecording : sharedIsRecording
+  const handleToggleRecording = useCallback(() => {
+    const startRecording = usesLocalCamera ? player1StartRecording : sharedStartRecording
+    const stopRecording = usesLocalCamera ? player1StopRecording : sharedStopRecording
+
+    if (!isRecording) {
+      startRecording()
+      return
+    }
+
+    const session = stopRecording()
+    if (session && session.frames.length > 0) {
+      downloadSession(session, `tuggy-${gameMode}-${Date.now()}.jsonl`)
+    }
+  }, [gameMode, usesLocalCamera, isRecording, player1StartRecording, player1StopRecording, sharedStartRecording, sharedStopRecording])
+
+  const modeLabel = {
+    ai: raceGhost ? 'Solo vs Ghost' : 'Solo vs AI',
+    team: '2v2 Teams',
+    online: 'Online 1v1'
+  }[gameMode] || 'Dual Player'
+  const liveStatus = {
+    [MATCH_PHASES.FINISHED]: 'Finished round',
+    [MATCH_PHASES.PAUSED]: 'Paused',
+    [MATCH_PHASES.READY]: 'Get ready',
+    [MATCH_PHASES.COUNTDOWN]: 'Starting',
+    [MATCH_PHASES.ROUND_OVER]: 'Round over'
+  }[match.phase] || 'Live match'
+  // Profiles on the [left, right] sides: the first pick is the local player (on our side online), the second
+  // only plays in dual player; teams play without profiles
+  const profileFor = slot => profiles.find(profile => profile.id === sideProfileIds[slot]) || null
+  const localSide = gameMode === 'online' && networkSide === 2 ? 1 : 0
+  const sideProfiles = {
+    ai: [profileFor(0), null],
+    human: [profileFor(0), profileFor(1)],
+    online: localSide === 1 ? [null, profileFor(0)] : [profileFor(0), null]
+  }[gameMode] || [null, null]
+  const youLabel = profileFor(0)?.name || 'You'
+  const sideLabels = {
+    ai: [youLabel, raceGhost ? `${raceGhost.name} (ghost)` : describeAI(aiDifficulty, aiPersonality)],
+    human: [sideProfiles[0]?.name || 'Player 1', sideProfiles[1]?.name || 'Player 2'],
+    team: ['Blue Team', 'White Team'],
+    online: networkSide ? (localSide === 1 ? ['Opponent', youLabel] : [youLabel, 'Opponent']) : null
+  }[gameMode] || ['Player 1', 'Player 2']
+  const falseStarters = sideLabels.filter((_, side) => match.falseStarts[side])
+  // Format, round and clock for the HUD, e.g. 'Best of 3 · Round 2 · 0:42'
+  const { format } = match
+  const isSeries = format.rounds > 1
+  const roundClock = match.overtime
+    ? 'Sudden death'
+    : (format.timeLimitMs ? formatClock(Math.max(0, format.timeLimitMs - match.elapsedMs)) : null)
+  const formatLabel = [format.label, isSeries ? `Round ${match.round}` : null, roundClock].filter(Boolean).join(' · ')
+  const lastRound = match.roundResults[match.roundResults.length - 1]
+  const roundWinnerLabel = lastRound?.winner ? sideLabels[lastRound.winner === 'player1' ? 0 : 1] : null
+  // 3-2-1 before GO: the relay's countdown online, otherwise the match's
+  const countdown = gameMode === 'online' ? networkCountdown : match.countdown
+  const showGo = gameMode !== 'online' && match.phase === MATCH_PHASES.PLAYING && match.elapsedMs < 800
+  const trackingStatus = usesLocalCamera
     ? (player1IsDetecting ? 'Tracking tongue movement' : 'Waiting for camera')
-    : (dualIsDetecting ? 'Tracking both players' : 'Waiting for faces')
+    : (sharedIsDetecting ? (sharedPlayers.length > 2 ? 'Tracking all players' : 'Tracking both players') : 'Waiting for faces')
+
+  // Sample the match for its timeline while it is played
+  const tongueStatesKey = (usesLocalCamera ? [player1TongueState] : sharedPlayers.map(player => player.tongueState)).join()
+  useEffect(() => {
+    if (match.phase !== MATCH_PHASES.PLAYING && match.phase !== MATCH_PHASES.FINISHED) return
+    matchTimeline.record({
+      round: match.round,
+      startedAt: match.startedAt,
+      counts: [player1Score, player2Score],
+      ropePosition: match.ropePosition,
+      tongueStates: tongueStatesKey ? tongueStatesKey.split(',') : []
+    }, Date.now())
+  }, [matchTimeline, match.phase, match.round, match.startedAt, match.ropePosition, player1Score, player2Score, tongueStatesKey])
+
+  // Keep every finished match in the history, once
+  const [leftLabel, rightLabel] = sideLabels
+  const [leftProfileId, rightProfileId] = sideProfiles.map(profile => profile?.id || null)
+  const matchSavedRef = useRef(false)
+  useEffect(() => {
+    if (!matchOver) {
+      matchSavedRef.current = false
+      return
+    }
+    if (matchSavedRef.current) return
+    matchSavedRef.current = true
+
+    const record = createMatchRecord(match, {
+      mode: gameMode,
+      opponent: localSide === 1 ? leftLabel : rightLabel,
+      sides: [{ profileId: leftProfileId, name: leftLabel }, { profileId: rightProfileId, name: rightLabel }],
+      timeline: matchTimeline.samples
+    })
+    saveMatch(record).catch(err => setProfileError(err.message))
+  }, [matchOver, match, matchTimeline, gameMode, localSide, leftLabel, rightLabel, leftProfileId, rightProfileId])
+
+  if (showModeSelector && showLeaderboard) {
+    return (
+      <Leaderboard
+        records={matchRecords}
+        profiles={profiles}
+        onClose={() => setShowLeaderboard(false)}
+        onDeleteProfile={handleDeleteProfile}
+        onImport={handleImportHistory}
+        importMessage={importMessage}
+      />
+    )
+  }
 
   // Show mode selector if not selected yet
   if (showModeSelector) {
@@ -252,8 +805,20 @@ export default function TongueGame() {
           </div>
 
           <div className="w-full max-w-xl flex flex-col gap-4">
+            <ProfilePicker
+              profiles={profiles}
+              selectedIds={sideProfileIds}
+              error={profileError}
+              onSelect={handleSelectProfile}
+              onCreate={handleCreateProfile}
+              onShowLeaderboard={handleShowLeaderboard}
+            />
+
             <button
-              onClick={() => handleModeSelect('ai')}
+              onClick={() => {
+                setRaceGhost(null)
+                handleModeSelect('ai')
+              }}
               className="cursor-pointer group rounded-3xl border p-8 text-left transition-all shadow-2xl flex flex-col gap-3 transform hover:scale-[1.02]"
               style={{ 
                 backgroundColor: '#35679B', 
@@ -301,6 +866,196 @@ export default function TongueGame() {
                 Two players, one camera. Stay left and right of center to keep the rope balanced.
               </p>
             </button>
+
+            <button
+              onClick={() => handleModeSelect('team')}
+              className="group rounded-3xl border p-8 text-left transition-all shadow-2xl flex flex-col gap-3 transform hover:scale-[1.02] cursor-pointer"
+              style={{ 
+                backgroundColor: '#35679B', 
+                border: 'none',
+                outline: 'none'
+              }}
+              onMouseEnter={(e) => {
+                e.currentTarget.style.backgroundColor = '#4A7DB0'
+              }}
+              onMouseLeave={(e) => {
+                e.currentTarget.style.backgroundColor = '#35679B'
+              }}
+            >
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-xs uppercase tracking-[0.3em] text-white">Teams</span>
+                <span className="px-3 py-1 text-xs rounded-full text-white" style={{ backgroundColor: '#2D3540', border: 'none' }}>2v2</span>
+              </div>
+              <div className="text-3xl font-semibold text-white">Team Tug</div>
+              <p className="text-white text-sm opacity-90">
+                Four players, one camera. The two on the left pull against the two on the right, and every wiggle adds to your side.
+              </p>
+            </button>
+
+            <button
+              onClick={() => handleModeSelect('online')}
+              className="group rounded-3xl border p-8 text-left transition-all shadow-2xl flex flex-col gap-3 transform hover:scale-[1.02] cursor-pointer"
+              style={{ 
+                backgroundColor: '#35679B', 
+                border: 'none',
+                outline: 'none'
+              }}
+              onMouseEnter={(e) => {
+                e.currentTarget.style.backgroundColor = '#4A7DB0'
+              }}
+              onMouseLeave={(e) => {
+                e.currentTarget.style.backgroundColor = '#35679B'
+              }}
+            >
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-xs uppercase tracking-[0.3em] text-white">Versus</span>
+                <span className="px-3 py-1 text-xs rounded-full text-white" style={{ backgroundColor: '#2D3540', border: 'none' }}>LAN</span>
+              </div>
+              <div className="text-3xl font-semibold text-white">Play Online</div>
+              <p className="text-white text-sm opacity-90">
+                One camera each. Create a room, share the code with someone on your network and pull from your own screens.
+              </p>
+            </button>
+
+            <div className="rounded-2xl px-5 py-4 flex items-center justify-between gap-3 text-sm" style={{ backgroundColor: '#2D3540' }}>
+              <div className="text-white">
+                <div className="text-[11px] uppercase tracking-[0.28em] opacity-80">Match format</div>
+                <div className="opacity-90">Timed rounds go to sudden death on a tie; online is always classic</div>
+              </div>
+              <div className="flex flex-wrap justify-end gap-2">
+                {Object.values(MATCH_FORMATS).map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => setMatchFormatId(option.id)}
+                    className="px-3 py-2 rounded-xl text-xs font-semibold whitespace-nowrap"
+                    style={{
+                      backgroundColor: matchFormatId === option.id ? '#FFD700' : '#35679B',
+                      color: matchFormatId === option.id ? '#1A3B58' : 'white',
+                      border: 'none',
+                      outline: 'none'
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="rounded-2xl px-5 py-4 flex items-center justify-between gap-3 text-sm" style={{ backgroundColor: '#2D3540' }}>
+              <div className="text-white">
+                <div className="text-[11px] uppercase tracking-[0.28em] opacity-80">AI opponent</div>
+                <div className="opacity-90">
+                  {AI_PERSONALITIES[aiPersonality].description}
+                  {aiPersonality === 'adaptive' &&
+                    `, aiming for a ${Math.round(AI_DIFFICULTIES[aiDifficulty].targetWinProbability * 100)}% AI win chance`}
+                </div>
+              </div>
+              <div className="flex flex-col items-end gap-2">
+                {[
+                  { options: AI_DIFFICULTIES, selected: aiDifficulty, select: setAiDifficulty },
+                  { options: AI_PERSONALITIES, selected: aiPersonality, select: setAiPersonality }
+                ].map(({ options, selected, select }, row) => (
+                  <div key={row} className="flex flex-wrap justify-end gap-2">
+                    {Object.values(options).map(option => (
+                      <button
+                        key={option.id}
+                        onClick={() => select(option.id)}
+                        className="px-3 py-2 rounded-xl text-xs font-semibold whitespace-nowrap"
+                        style={{
+                          backgroundColor: selected === option.id ? '#FFD700' : '#35679B',
+                          color: selected === option.id ? '#1A3B58' : 'white',
+                          border: 'none',
+                          outline: 'none'
+                        }}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <GhostList
+              ghosts={ghosts}
+              error={ghostError}
+              onRace={handleRaceGhost}
+              onDownload={downloadGhost}
+              onDelete={handleDeleteGhost}
+              onImport={handleGhostFile}
+            />
+
+            <div className="rounded-2xl px-5 py-4 flex items-center justify-between gap-3 text-sm" style={{ backgroundColor: '#2D3540' }}>
+              <div className="text-white">
+                <div className="text-[11px] uppercase tracking-[0.28em] opacity-80">Tongue detection</div>
+                <div className="opacity-90">
+                  {DEFAULT_MODEL_URL
+                    ? "Model modes fall back to landmarks if the model can't load"
+                    : 'Model modes need a tongue model (set VITE_TONGUE_MODEL_URL)'}
+                </div>
+              </div>
+              <div className="flex gap-2">
+                {[
+                  { id: 'landmarks', label: 'Landmarks' },
+                  { id: 'model', label: 'Model' },
+                  { id: 'fused', label: 'Fused' }
+                ].map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => setDetectionMode(option.id)}
+                    disabled={option.id !== 'landmarks' && !DEFAULT_MODEL_URL}
+                    className="px-3 py-2 rounded-xl text-xs font-semibold disabled:opacity-40"
+                    style={{
+                      backgroundColor: detectionMode === option.id ? '#FFD700' : '#35679B',
+                      color: detectionMode === option.id ? '#1A3B58' : 'white',
+                      border: 'none',
+                      outline: 'none'
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="rounded-2xl px-5 py-4 flex items-center justify-between gap-3 text-sm" style={{ backgroundColor: '#2D3540' }}>
+              <div className="text-white">
+                <div className="text-[11px] uppercase tracking-[0.28em] opacity-80">Input source</div>
+                <div>
+                  {replaySession
+                    ? `Replay: ${replayName} (${replaySession.frames.length} frames)`
+                    : 'Live camera'}
+                </div>
+                {replayError && (
+                  <div className="text-xs" style={{ color: '#FFD700' }}>Could not load session: {replayError}</div>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <label className="px-3 py-2 rounded-xl cursor-pointer text-xs font-semibold" style={{ backgroundColor: '#35679B', color: 'white' }}>
+                  Load session
+                  <input type="file" accept=".jsonl,.json" className="hidden" onChange={handleReplayFile} />
+                </label>
+                {replaySession && (
+                  <button
+                    onClick={handleClearReplay}
+                    className="px-3 py-2 rounded-xl text-xs font-semibold"
+                    style={{ backgroundColor: '#F1F2F6', color: '#2D3540', border: 'none', outline: 'none' }}
+                  >
+                    Use camera
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {!replaySession && (
+              <CameraSettings
+                devices={cameraDevices}
+                settings={cameraSettings}
+                selectedCameraMissing={selectedCameraMissing}
+                onSelectCamera={selectCamera}
+                onSelectResolution={selectResolution}
+              />
+            )}
           </div>
         </div>
       </div>
@@ -321,26 +1076,123 @@ export default function TongueGame() {
           <span className="px-3 py-1 rounded-full text-xs" style={{ backgroundColor: '#FFD700', border: 'none', color: '#1A3B58' }}>
             {liveStatus}
           </span>
+          {falseStarters.length > 0 && (
+            <span className="px-3 py-1 rounded-full text-xs text-white" style={{ backgroundColor: '#B23A48', border: 'none' }}>
+              False start: {falseStarters.join(', ')}
+            </span>
+          )}
         </div>
       </div>
 
+      {isCalibrating && (
+        <CalibrationWizard
+          players={calibrationPlayers}
+          onBegin={handleCalibrationBegin}
+          onPhase={handleCalibrationPhase}
+          onFinish={handleCalibrationFinish}
+          onComplete={handleCalibrationComplete}
+          onSkip={handleCalibrationSkip}
+        />
+      )}
+
       <div className="absolute inset-0 w-full h-full">
         <TugOfWar3D
           player1Score={player1Score}
           player2Score={player2Score}
           gameMode={gameMode}
-          gameOver={gameOver}
+          teamSize={gameMode === 'team' ? 2 : 1}
+          playerLabels={sideLabels}
+          playerColors={sideProfiles.map(profile => profile?.color || null)}
+          ropePosition={match.ropePosition}
+          winner={match.winner}
+          formatLabel={formatLabel}
+          finishReason={match.finishReason}
+          seriesScore={isSeries ? match.seriesWins : null}
+          gameOver={matchOver}
           onReset={handleReset}
-          onWinnerChange={(winner) => {
-            if (!gameOver) {
-              setGameOver(true)
-            }
-          }}
+          seed={gameMode === 'ai' && !raceGhost ? aiSeed : null}
+          onRematchSameSeed={handleRematchSameSeed}
         />
       </div>
 
-      {/* Camera Overlay - Solo AI mode */}
-      {gameMode === 'ai' && (
+      {/* Series scoreboard under the HUD */}
+      {isSeries && match.phase !== MATCH_PHASES.ROUND_OVER && (
+        <div className="absolute top-32 left-1/2 -translate-x-1/2 z-40 pointer-events-none">
+          <RoundScoreboard rounds={match.roundResults} totalRounds={format.rounds} seriesWins={match.seriesWins} labels={sideLabels} />
+        </div>
+      )}
+
+      {/* How an adaptive AI paced itself, once the match is over */}
+      {matchOver && gameMode === 'ai' && aiPersonality === 'adaptive' && adaptationCurve && (
+        <div className="absolute bottom-6 left-6 z-40">
+          <AdaptationChart curve={adaptationCurve} />
+        </div>
+      )}
+
+      {/* Save a single-round solo run to race later */}
+      {matchOver && gameMode === 'ai' && format.rounds === 1 && ghostRecorder.hasRun() && (
+        <div className="absolute bottom-6 right-6 z-40">
+          <SaveGhostCard defaultName={`Run ${ghosts.length + 1}`} finalScore={player1Score} onSave={handleSaveGhost} />
+        </div>
+      )}
+
+      {/* Between rounds of a series */}
+      {match.phase === MATCH_PHASES.ROUND_OVER && (
+        <div className="absolute inset-0 z-40 flex items-center justify-center" style={{ backgroundColor: 'rgba(26, 59, 88, 0.85)' }}>
+          <div className="text-center space-y-5 max-w-lg px-4">
+            <p className="text-[12px] tracking-[0.34em] uppercase" style={{ color: '#FFD700' }}>Round {lastRound?.round} of {format.rounds}</p>
+            <div className="text-5xl font-bold text-white">
+              {roundWinnerLabel
+                ? `${roundWinnerLabel} ${roundWinnerLabel === 'You' ? 'take' : 'takes'} the round`
+                : 'Round drawn'}
+            </div>
+            <RoundScoreboard rounds={match.roundResults} totalRounds={format.rounds} seriesWins={match.seriesWins} labels={sideLabels} />
+            <button
+              onClick={handleNextRound}
+              className="px-8 py-4 font-semibold rounded-xl text-lg shadow-lg"
+              style={{ backgroundColor: '#FFD700', border: 'none', outline: 'none', color: '#1A3B58' }}
+            >
+              Next round
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Online lobby, until the relay starts the match */}
+      {gameMode === 'online' && !isCalibrating && !['countdown', 'playing', 'finished'].includes(networkPhase) && (
+        <div className="absolute inset-0 z-40 flex items-center justify-center bg-black/40">
+          <OnlineLobby
+            match={{ status: networkStatus, error: networkError, room: networkRoom, side: networkSide, latency: networkLatency }}
+            onCreate={networkCreateRoom}
+            onJoin={networkJoinRoom}
+            onReady={networkSetReady}
+            onLeave={networkLeaveRoom}
+          />
+        </div>
+      )}
+
+      {/* Ready check, until every player is in position */}
+      {isReadyCheck && (
+        <div className="absolute inset-0 z-40 flex items-center justify-center pointer-events-none">
+          <div className="rounded-2xl px-8 py-6 text-center shadow-2xl" style={{ backgroundColor: '#2D3540' }}>
+            <p className="text-[12px] tracking-[0.34em] uppercase mb-2" style={{ color: '#FFD700' }}>Get ready</p>
+            <p className="text-lg text-white">Face the camera, stay centered and keep your tongue in</p>
+            <p className="text-sm text-white opacity-80 mt-1">
+              {everyoneReady ? 'Everyone is ready...' : 'The countdown starts when everyone is ready'}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Countdown to the start, then GO */}
+      {(countdown !== null || showGo) && (
+        <div className="absolute inset-0 z-40 flex items-center justify-center pointer-events-none">
+          <div className="text-9xl font-bold" style={{ color: '#FFD700' }}>{countdown ?? 'GO!'}</div>
+        </div>
+      )}
+
+      {/* Camera Overlay - Solo AI and online modes */}
+      {usesLocalCamera && (
         <div className="absolute top-6 right-6 z-30 w-[22rem]">
           <div className="rounded-2xl border overflow-hidden shadow-2xl" style={{ backgroundColor: '#35679B', border: 'none' }}>
             <div className="flex items-center justify-between px-4 py-3" style={{ backgroundColor: 'rgba(255, 255, 255, 0.1)' }}>
@@ -372,82 +1224,120 @@ export default function TongueGame() {
               
               {!player1IsDetecting && (
                 <div className="absolute inset-0 flex items-center justify-center bg-black/60">
-                  <div className="text-white text-sm text-center px-3">
-                    {player1Error ? `Error: ${player1Error}` : 'Initializing camera...'}
-                  </div>
+                  {player1CameraError ? (
+                    <CameraErrorNotice cameraError={player1CameraError} onRetry={player1RetryCamera} />
+                  ) : (
+                    <div className="text-white text-sm text-center px-3">
+                      {player1Error ? `Error: ${player1Error}` : (player1AssetStatus?.message || 'Initializing camera...')}
+                      {!player1Error && <AssetProgressBar status={player1AssetStatus} />}
+                    </div>
+                  )}
                 </div>
               )}
               
+              {player1IsDetecting && isReadyCheck && (
+                <div className="absolute top-3 left-3 px-3 py-1 rounded text-xs font-semibold" style={{ backgroundColor: '#35679B', color: 'white' }}>
+                  You
+                  <ReadyIndicator player={readyPlayers[0]} />
+                </div>
+              )}
+
               {player1IsDetecting && (
                 <div className="absolute bottom-3 left-3 bg-black/60 text-white px-3 py-2 rounded-lg text-xs border border-white/10">
                   <div className="font-semibold">State: {player1TongueState}</div>
+                  <div className="text-slate-300">Detection: {player1DetectionMode}</div>
+                  {player1LastGesture && (
+                    <div className="text-slate-300">Gesture: {player1LastGesture.type}</div>
+                  )}
+                  {gameMode === 'online' && networkTongueStates[opponentSide] && (
+                    <div className="text-slate-300">Opponent: {networkTongueStates[opponentSide]}</div>
+                  )}
                   <div className="text-slate-300">Keep shoulders level for steady tracking</div>
                 </div>
               )}
             </div>
+            {showDebug && <PipelineDebugPanel metrics={player1Metrics} />}
           </div>
         </div>
       )}
 
       {/* Dual Camera Overlay - Human mode */}
-      {gameMode === 'human' && (
+      {isSharedCamera && (
         <div className="absolute top-6 right-6 z-30 w-[22rem]">
           <div className="rounded-2xl border overflow-hidden shadow-2xl" style={{ backgroundColor: '#35679B', border: 'none' }}>
             <div className="flex items-center justify-between px-4 py-3" style={{ backgroundColor: 'rgba(255, 255, 255, 0.1)' }}>
               <div>
                 <p className="text-[11px] uppercase tracking-[0.28em] text-white opacity-80">Shared Camera</p>
-                <p className="text-sm text-white">Left player on the left, right player on the right.</p>
+                <p className="text-sm text-white">
+                  {sharedPlayers.length > 2 ? 'Left team on the left, right team on the right.' : 'Left player on the left, right player on the right.'}
+                </p>
               </div>
               <span className="text-xs px-3 py-1 rounded-full text-white" style={{
-                backgroundColor: dualIsDetecting ? '#FFD700' : 'rgba(255, 255, 255, 0.2)',
+                backgroundColor: sharedIsDetecting ? '#FFD700' : 'rgba(255, 255, 255, 0.2)',
                 border: 'none',
-                color: dualIsDetecting ? '#1A3B58' : 'white'
+                color: sharedIsDetecting ? '#1A3B58' : 'white'
               }}>
-                {dualIsDetecting ? 'Tracking' : 'Init'}
+                {sharedIsDetecting ? 'Tracking' : 'Init'}
               </span>
             </div>
             <div className="relative w-full aspect-video bg-black/40">
               <video
-                ref={dualVideoRef}
+                ref={sharedVideoRef}
                 playsInline
                 muted
                 className="w-full h-full object-contain"
                 style={{ transform: 'scaleX(-1)' }} // Mirror for user
               />
               <canvas
-                ref={dualCanvasRef}
+                ref={sharedCanvasRef}
                 className="absolute inset-0 w-full h-full pointer-events-none"
                 style={{ transform: 'scaleX(-1)' }}
               />
               
-              {!dualIsDetecting && (
+              {!sharedIsDetecting && (
                 <div className="absolute inset-0 flex items-center justify-center bg-black/60">
-                  <div className="text-white text-sm text-center px-3">
-                    {dualError ? `Error: ${dualError}` : 'Initializing face detection...'}
-                  </div>
+                  {sharedCameraError ? (
+                    <CameraErrorNotice cameraError={sharedCameraError} onRetry={sharedRetryCamera} />
+                  ) : (
+                    <div className="text-white text-sm text-center px-3">
+                      {sharedError ? `Error: ${sharedError}` : (sharedAssetStatus?.message || 'Initializing face detection...')}
+                      {!sharedError && <AssetProgressBar status={sharedAssetStatus} />}
+                    </div>
+                  )}
                 </div>
               )}
               
-              {dualIsDetecting && (
+              {sharedIsDetecting && (
                 <>
-                  <div className="absolute top-3 left-3 text-white px-3 py-1 rounded text-xs font-semibold" style={{ backgroundColor: '#35679B' }}>
-                    Player 1 (Left)
-                  </div>
-                  <div className="absolute top-3 right-3 px-3 py-1 rounded text-xs font-semibold" style={{ backgroundColor: '#F1F2F6', color: '#2D3540' }}>
-                    Player 2 (Right)
+                  {/* Player labels on top, tongue states at the bottom, in screen order (left team blue) */}
+                  <div className="absolute top-3 left-3 right-3 flex justify-between gap-2">
+                    {sharedPlayers.map((player, index) => (
+                      <div key={index} className="px-3 py-1 rounded text-xs font-semibold" style={sharedTeams[1].includes(index)
+                        ? { backgroundColor: '#F1F2F6', color: '#2D3540' }
+                        : { backgroundColor: '#35679B', color: 'white' }}>
+                        {sharedPlayers.length > 2 ? `P${index + 1}` : sharedPlayerLabel(index)}
+                        {isReadyCheck ? <ReadyIndicator player={player} /> : <FaceStatusLabel status={player.faceStatus} />}
+                      </div>
+                    ))}
                   </div>
-                  <div className="absolute bottom-3 left-3 text-white px-3 py-2 rounded text-xs shadow-lg" style={{ backgroundColor: '#35679B' }}>
-                    P1: {dualPlayer1TongueState}
-                  </div>
-                  <div className="absolute bottom-3 right-3 px-3 py-2 rounded text-xs shadow-lg" style={{ backgroundColor: '#F1F2F6', color: '#2D3540' }}>
-                    P2: {dualPlayer2TongueState}
+                  <div className="absolute bottom-3 left-3 right-3 flex justify-between gap-2">
+                    {sharedPlayers.map((player, index) => (
+                      <div key={index} className="px-3 py-2 rounded text-xs shadow-lg" style={sharedTeams[1].includes(index)
+                        ? { backgroundColor: '#F1F2F6', color: '#2D3540' }
+                        : { backgroundColor: '#35679B', color: 'white' }}>
+                        P{index + 1}: {player.tongueState}
+                        {player.lastGesture && <div className="opacity-80">{player.lastGesture.type}</div>}
+                      </div>
+                    ))}
                   </div>
                   <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 bg-black/65 text-white px-3 py-2 rounded text-xs border border-white/10">
-                    Faces detected: {detectedFaces}/2
+                    Faces detected: {detectedFaces}/{sharedPlayers.length}
+                    <div className="text-slate-300">Detection: {sharedDetectionMode}</div>
                   </div>
                 </>
               )}
             </div>
+            {showDebug && <PipelineDebugPanel metrics={sharedMetrics} />}
           </div>
         </div>
       )}
@@ -457,36 +1347,74 @@ export default function TongueGame() {
         <div className="rounded-2xl border px-5 py-4 flex flex-col gap-4 md:flex-row md:items-center md:justify-between" style={{ backgroundColor: '#2D3540', border: 'none' }}>
           <div className="flex flex-wrap items-center gap-3 text-sm text-white">
             <span className="px-3 py-1 rounded-full text-white" style={{ backgroundColor: '#35679B', border: 'none' }}>
-              {gameMode === 'ai'
+              {usesLocalCamera
                 ? (player1IsActive ? 'Camera live' : 'Camera idle')
-                : `${detectedFaces}/2 faces`}
+                : `${detectedFaces}/${sharedPlayers.length} faces`}
             </span>
             <span className="text-white opacity-80">{trackingStatus}</span>
           </div>
 
           <div className="flex flex-wrap gap-3 justify-end">
             <button
-              onClick={gameMode === 'ai' 
-                ? (player1IsActive ? player1StopDetection : player1StartDetection)
-                : (dualIsActive ? dualStopDetection : dualStartDetection)
-              }
+              onClick={handleToggleTracking}
               className="px-5 py-3 rounded-xl font-semibold transition transform hover:-translate-y-0.5 text-white border"
               style={{
-                backgroundColor: (gameMode === 'ai' ? player1IsActive : dualIsActive) ? '#35679B' : '#FFD700',
+                backgroundColor: isTracking ? '#35679B' : '#FFD700',
                 border: 'none',
                 outline: 'none',
-                color: (gameMode === 'ai' ? player1IsActive : dualIsActive) ? 'white' : '#1A3B58'
+                color: isTracking ? 'white' : '#1A3B58'
               }}
             >
-              {(gameMode === 'ai' ? player1IsActive : dualIsActive) ? 'Pause Tracking' : 'Start Tracking'}
+              {isTracking ? 'Pause Tracking' : 'Start Tracking'}
             </button>
+
+            {detectionSource === 'camera' && (
+              <button
+                onClick={handleToggleRecording}
+                disabled={!(usesLocalCamera ? player1IsActive : sharedIsActive)}
+                className="px-5 py-3 rounded-xl font-semibold text-white border transition transform hover:-translate-y-0.5 disabled:opacity-50"
+                style={{ backgroundColor: isRecording ? '#B23A48' : '#35679B', border: 'none', outline: 'none' }}
+              >
+                {isRecording ? 'Save Recording' : 'Record Session'}
+              </button>
+            )}
             
+            {gameMode !== 'online' && (
+              <button
+                onClick={handleReset}
+                className="px-5 py-3 rounded-xl font-semibold border transition transform hover:-translate-y-0.5"
+                style={{ backgroundColor: '#F1F2F6', border: 'none', outline: 'none', color: '#2D3540' }}
+              >
+                Reset Game
+              </button>
+            )}
+
             <button
-              onClick={handleReset}
-              className="px-5 py-3 rounded-xl font-semibold border transition transform hover:-translate-y-0.5"
-              style={{ backgroundColor: '#F1F2F6', border: 'none', outline: 'none', color: '#2D3540' }}
+              onClick={() => dispatchMatch({ type: 'CALIBRATE' })}
+              disabled={isCalibrating}
+              className="px-5 py-3 rounded-xl font-semibold text-white border transition transform hover:-translate-y-0.5 disabled:opacity-50"
+              style={{ backgroundColor: '#35679B', border: 'none', outline: 'none' }}
+            >
+              Calibrate
+            </button>
+
+            {isSharedCamera && (
+              <button
+                onClick={() => (gameMode === 'team' ? sharedSwapSides() : sharedSwapPlayers(1, 2))}
+                disabled={!sharedIsActive}
+                className="px-5 py-3 rounded-xl font-semibold text-white border transition transform hover:-translate-y-0.5 disabled:opacity-50"
+                style={{ backgroundColor: '#35679B', border: 'none', outline: 'none' }}
+              >
+                {gameMode === 'team' ? 'Swap Sides' : 'Swap Players'}
+              </button>
+            )}
+
+            <button
+              onClick={() => setShowDebug(!showDebug)}
+              className="px-5 py-3 rounded-xl font-semibold text-white border transition transform hover:-translate-y-0.5"
+              style={{ backgroundColor: showDebug ? '#FFD700' : '#35679B', border: 'none', outline: 'none', color: showDebug ? '#1A3B58' : 'white' }}
             >
-              Reset Game
+              Debug
             </button>
 
             <button
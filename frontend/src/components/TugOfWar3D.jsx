@@ -1,4 +1,4 @@
-import { useEffect, useRef, useState, useCallback } from 'react'
+import { useEffect, useRef, useCallback } from 'react'
 import { Engine, Scene, ArcRotateCamera, HemisphericLight, DirectionalLight, Vector3, MeshBuilder, StandardMaterial, Color3 } from '@babylonjs/core'
 
 /**
@@ -45,18 +45,51 @@ function createCharacter(scene, color, name) {
   return character
 }
 
+/**
+ * Add teammates behind a side's lead character, each holding a rope end
+ * direction is -1 for the left side (teammates further left), 1 for the right side
+ */
+function addTeammates(scene, leadCharacter, color, name, count, direction) {
+  const spacing = 2.2
+  const ropeMaterial = new StandardMaterial(`${name}TeamRopeMat`, scene)
+  ropeMaterial.diffuseColor = new Color3(0.55, 0.27, 0.07) // Brown, as the main rope
+
+  for (let i = 1; i <= count; i++) {
+    // Parented to the lead, so teammates are dragged along with it
+    const teammate = createCharacter(scene, color, `${name}Mate${i}`)
+    teammate.parent = leadCharacter
+    teammate.position.x = direction * spacing * i
+
+    const ropeSegment = MeshBuilder.CreateCylinder(`${name}TeamRope${i}`, { height: spacing, diameter: 0.3 }, scene)
+    ropeSegment.material = ropeMaterial
+    ropeSegment.rotation.z = Math.PI / 2
+    ropeSegment.parent = leadCharacter
+    ropeSegment.position.x = direction * spacing * (i - 0.5)
+    ropeSegment.position.y = -0.5 // Rope height (1.5) relative to the character (2)
+  }
+}
+
 /**
  * 3D Tug of War Game Component using Babylon.js
- * Displays two stylized 3D characters pulling a rope, with position based on score difference
+ * Displays two stylized 3D characters pulling a rope; renders the match state it is given (see matchState)
+ * ropePosition: knot position in % of the rope (50 = center, past 10 / 90 = a side has won)
+ * winner: 'player1' / 'player2' / null, shown once gameOver is set
+ * teamSize > 1 adds teammates behind each character (team modes, scores are team totals)
+ * playerLabels: optional [left, right] names replacing the mode defaults
+ * playerColors: optional [left, right] profile colors, drawn as a ring around each side's badge
+ * formatLabel: match format (and round / clock) shown next to "Rope balance"
+ * finishReason / seriesScore: how the match was won ('pull', 'time', 'suddenDeath') and the [left, right]
+ *   round wins of a series, for the end screen
+ * seed: the AI's seed, shown on the end screen with a rematch on it (onRematchSameSeed)
  */
-export default function TugOfWar3D({ player1Score, player2Score, gameMode = 'ai', gameOver, onReset, onWinnerChange }) {
+export default function TugOfWar3D({ player1Score, player2Score, ropePosition = 50, winner = null, gameMode = 'ai', teamSize = 1, playerLabels, formatLabel, finishReason, seriesScore, gameOver, onReset, seed = null, onRematchSameSeed, playerColors }) {
   // For backward compatibility, support old prop names
   const userScore = player1Score ?? 0
   const aiScore = player2Score ?? 0
   
   // Determine player labels based on game mode
-  const player1Label = gameMode === 'ai' ? 'You' : 'Player 1'
-  const player2Label = gameMode === 'ai' ? 'AI' : 'Player 2'
+  const player1Label = playerLabels?.[0] || (gameMode === 'ai' ? 'You' : (gameMode === 'team' ? 'Blue Team' : 'Player 1'))
+  const player2Label = playerLabels?.[1] || (gameMode === 'ai' ? 'AI' : (gameMode === 'team' ? 'White Team' : 'Player 2'))
   const canvasRef = useRef(null)
   const engineRef = useRef(null)
   const sceneRef = useRef(null)
@@ -64,42 +97,6 @@ export default function TugOfWar3D({ player1Score, player2Score, gameMode = 'ai'
   const aiCharRef = useRef(null)
   const ropeRef = useRef(null)
   const ropeKnotRef = useRef(null)
-  const [winner, setWinner] = useState(null) // 'user' or 'ai' or null
-  const frozenRopePositionRef = useRef(null)
-
-  // Calculate rope position (0-100%, where 50% is center)
-  // Win condition: when knot passes character's line (not clamped)
-  // Player 1 is on LEFT (lower %), Player 2 is on RIGHT (higher %)
-  const calculateRopePosition = () => {
-    const scoreDifference = userScore - aiScore
-    const maxScoreDifference = 20 // Maximum expected score difference for full rope movement
-    
-    // Center at 50%, move +/-40% based on score difference
-    // When player1Score > player2Score (positive difference), rope moves LEFT (lower %)
-    // When player1Score < player2Score (negative difference), rope moves RIGHT (higher %)
-    const position = 50 - (scoreDifference / maxScoreDifference) * 40
-    
-    // Don't clamp - allow rope to move past character lines for win detection
-    return position
-  }
-
-  // Calculate current rope position
-  const currentRopePosition = calculateRopePosition()
-
-  // Freeze rope position when game ends
-  useEffect(() => {
-    if (gameOver && frozenRopePositionRef.current === null) {
-      frozenRopePositionRef.current = currentRopePosition
-    } else if (!gameOver) {
-      frozenRopePositionRef.current = null
-      setWinner(null)
-    }
-  }, [gameOver, currentRopePosition])
-
-  // Use frozen position if game is over, otherwise calculate dynamically
-  const ropePosition = gameOver && frozenRopePositionRef.current !== null
-    ? frozenRopePositionRef.current
-    : currentRopePosition
 
   // Initialize Babylon.js scene
   useEffect(() => {
@@ -170,12 +167,14 @@ export default function TugOfWar3D({ player1Score, player2Score, gameMode = 'ai'
     const userChar = createCharacter(scene, new Color3(0.21, 0.40, 0.61), 'user') // #35679B
     userChar.position.x = -12
     userChar.position.y = 2
+    addTeammates(scene, userChar, new Color3(0.21, 0.40, 0.61), 'user', teamSize - 1, -1)
     userCharRef.current = userChar
 
     // Create AI character (right side, off-white)
     const aiChar = createCharacter(scene, new Color3(0.95, 0.95, 0.96), 'ai') // #F1F2F6
     aiChar.position.x = 12
     aiChar.position.y = 2
+    addTeammates(scene, aiChar, new Color3(0.95, 0.95, 0.96), 'ai', teamSize - 1, 1)
     aiCharRef.current = aiChar
 
     // Create rope
@@ -220,7 +219,7 @@ export default function TugOfWar3D({ player1Score, player2Score, gameMode = 'ai'
       window.removeEventListener('resize', handleResize)
       engine.dispose()
     }
-  }, []) // Only run once on mount
+  }, [teamSize]) // Rebuilt only when the team size changes
 
   // Update rope position smoothly
   const updateRopePosition = useCallback((position) => {
@@ -301,26 +300,9 @@ export default function TugOfWar3D({ player1Score, player2Score, gameMode = 'ai'
     
     // Update knot position (moves based on score)
     ropeKnotRef.current.position.x = worldX
-    
-    // Check win conditions: knot passes character's base line
-    if (!gameOver) {
-      if (worldX <= baseUserX && winner !== 'player1') {
-        // Knot passed player 1's line - player 1 wins
-        setWinner('player1')
-        if (onWinnerChange) {
-          onWinnerChange('player1')
-        }
-      } else if (worldX >= baseAiX && winner !== 'player2') {
-        // Knot passed player 2's line - player 2 wins
-        setWinner('player2')
-        if (onWinnerChange) {
-          onWinnerChange('player2')
-        }
-      }
-    }
-  }, [gameOver, winner, onWinnerChange])
+  }, [])
 
-  // Update rope position when score changes
+  // Update rope position when the match moves the knot
   useEffect(() => {
     if (sceneRef.current && ropeRef.current && ropeKnotRef.current) {
       updateRopePosition(ropePosition)
@@ -328,7 +310,24 @@ export default function TugOfWar3D({ player1Score, player2Score, gameMode = 'ai'
   }, [ropePosition, updateRopePosition])
 
   const player1Wins = winner === 'player1'
-  const player2Wins = winner === 'player2'
+  const winnerLabel = player1Wins ? player1Label : player2Label
+  // Timed formats can end level (no sudden death), and so can a series of drawn rounds
+  const isDraw = !winner && Boolean(finishReason) && finishReason !== 'external'
+
+  let finishNote
+  if (isDraw) {
+    finishNote = seriesScore ? `The series ends level at ${seriesScore[0]}-${seriesScore[1]}.` : 'The rope was dead center when time ran out.'
+  } else if (seriesScore) {
+    finishNote = `${winnerLabel} ${winnerLabel === 'You' ? 'take' : 'takes'} the series ${Math.max(...seriesScore)}-${Math.min(...seriesScore)}.`
+  } else if (finishReason === 'time') {
+    finishNote = `${winnerLabel} ${winnerLabel === 'You' ? 'were' : 'was'} ahead when time ran out.`
+  } else if (finishReason === 'suddenDeath') {
+    finishNote = `${winnerLabel} scored first in sudden death.`
+  } else if (player1Wins) {
+    finishNote = gameMode === 'ai' ? 'You pulled past the finish line.' : `${player1Label} held the lead to the end.`
+  } else {
+    finishNote = gameMode === 'ai' ? 'AI dragged the rope across the threshold.' : `${player2Label} took the final pull.`
+  }
 
   return (
     <div className="relative w-full h-full">
@@ -336,7 +335,10 @@ export default function TugOfWar3D({ player1Score, player2Score, gameMode = 'ai'
       <div className="absolute top-5 left-1/2 transform -translate-x-1/2 z-10">
         <div className="rounded-2xl border px-6 py-4 flex items-center gap-6 shadow-2xl" style={{ backgroundColor: '#2D3540'}}>
           <div className="flex items-center gap-3">
-            <div className="h-12 w-12 rounded-xl flex items-center justify-center text-white font-semibold" style={{ backgroundColor: '#35679B', border: 'none', outline: 'none' }}>
+            <div
+              className="h-12 w-12 rounded-xl flex items-center justify-center text-white font-semibold"
+              style={{ backgroundColor: '#35679B', border: 'none', outline: 'none', boxShadow: playerColors?.[0] ? `0 0 0 3px ${playerColors[0]}` : 'none' }}
+            >
               {player1Label.slice(0, 1)}
             </div>
             <div>
@@ -345,12 +347,22 @@ export default function TugOfWar3D({ player1Score, player2Score, gameMode = 'ai'
             </div>
           </div>
 
-          <div className="px-4 py-2 rounded-xl text-xs uppercase tracking-[0.2em]" style={{ backgroundColor: '#FFD700', color: '#1A3B58', border: 'none' }}>
-            Rope balance
+          <div className="flex items-center gap-2">
+            <div className="px-4 py-2 rounded-xl text-xs uppercase tracking-[0.2em]" style={{ backgroundColor: '#FFD700', color: '#1A3B58', border: 'none' }}>
+              Rope balance
+            </div>
+            {formatLabel && (
+              <div className="px-3 py-2 rounded-xl text-xs uppercase tracking-[0.2em] text-white whitespace-nowrap" style={{ backgroundColor: '#35679B', border: 'none' }}>
+                {formatLabel}
+              </div>
+            )}
           </div>
 
           <div className="flex items-center gap-3">
-            <div className="h-12 w-12 rounded-xl flex items-center justify-center font-semibold" style={{ backgroundColor: '#F1F2F6', border: 'none', outline: 'none', color: '#2D3540' }}>
+            <div
+              className="h-12 w-12 rounded-xl flex items-center justify-center font-semibold"
+              style={{ backgroundColor: '#F1F2F6', border: 'none', outline: 'none', color: '#2D3540', boxShadow: playerColors?.[1] ? `0 0 0 3px ${playerColors[1]}` : 'none' }}
+            >
               {player2Label.slice(0, 1)}
             </div>
             <div>
@@ -370,18 +382,16 @@ export default function TugOfWar3D({ player1Score, player2Score, gameMode = 'ai'
         />
 
         {/* Win/Lose Overlay */}
-        {gameOver && (winner !== null || ropePosition <= 10 || ropePosition >= 90) && (
+        {gameOver && (winner || isDraw) && (
           <div className="absolute inset-0 flex items-center justify-center z-30" style={{ backgroundColor: 'rgba(26, 59, 88, 0.9)' }}>
             <div className="text-center space-y-4 max-w-lg px-4">
               <div className="text-6xl font-bold text-white">
-                {player1Wins
-                  ? (player1Label === 'You' ? 'You win!' : `${player1Label} wins!`)
-                  : `${player2Label} wins!`}
+                {isDraw
+                  ? "It's a draw!"
+                  : (winnerLabel === 'You' ? 'You win!' : `${winnerLabel} wins!`)}
               </div>
               <div className="text-lg text-white opacity-90">
-                {player1Wins 
-                  ? (gameMode === 'ai' ? 'You pulled past the finish line.' : 'Player 1 held the lead to the end.')
-                  : (gameMode === 'ai' ? 'AI dragged the rope across the threshold.' : 'Player 2 took the final pull.')}
+                {finishNote}
               </div>
               <div className="flex items-center justify-center gap-4 text-sm text-white">
                 <span className="px-3 py-2 rounded-lg text-white" style={{ backgroundColor: '#35679B', border: '2px solid #FFD700' }}>
@@ -391,21 +401,37 @@ export default function TugOfWar3D({ player1Score, player2Score, gameMode = 'ai'
                   {player2Label}: {Math.floor(aiScore)}
                 </span>
               </div>
-              {onReset && (
-                <button
-                  onClick={onReset}
-                  className="px-8 py-4 font-semibold rounded-xl transition-colors text-lg shadow-lg border"
-                  style={{ backgroundColor: '#FFD700', border: '2px solid #FFD700', outline: 'none', color: '#1A3B58' }}
-                  onMouseEnter={(e) => {
-                    e.currentTarget.style.backgroundColor = '#FFE500'
-                  }}
-                  onMouseLeave={(e) => {
-                    e.currentTarget.style.backgroundColor = '#FFD700'
-                  }}
-                >
-                  Play again
-                </button>
+              {seed !== null && (
+                <div className="text-xs text-white opacity-80 tracking-[0.2em] uppercase">
+                  AI seed {seed}
+                </div>
               )}
+              <div className="flex items-center justify-center gap-3">
+                {onReset && (
+                  <button
+                    onClick={onReset}
+                    className="px-8 py-4 font-semibold rounded-xl transition-colors text-lg shadow-lg border"
+                    style={{ backgroundColor: '#FFD700', border: '2px solid #FFD700', outline: 'none', color: '#1A3B58' }}
+                    onMouseEnter={(e) => {
+                      e.currentTarget.style.backgroundColor = '#FFE500'
+                    }}
+                    onMouseLeave={(e) => {
+                      e.currentTarget.style.backgroundColor = '#FFD700'
+                    }}
+                  >
+                    Play again
+                  </button>
+                )}
+                {seed !== null && onRematchSameSeed && (
+                  <button
+                    onClick={onRematchSameSeed}
+                    className="px-6 py-4 font-semibold rounded-xl text-lg shadow-lg"
+                    style={{ backgroundColor: '#35679B', border: '2px solid #FFD700', outline: 'none', color: 'white' }}
+                  >
+                    Rematch same seed
+                  </button>
+                )}
+              </div>
             </div>
           </div>
         )}
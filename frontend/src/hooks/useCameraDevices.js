@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  listCameras,
+  watchCameras,
+  loadCameraSettings,
+  saveCameraSettings
+} from '../utils/cameraDevices'
+
+/**
+ * Custom hook for camera selection
+ * Lists cameras (kept up to date on hot-plug), and remembers the chosen camera and resolution
+ * Pass settings.deviceId / settings.resolution to the detection hooks as cameraDeviceId / cameraResolution
+ */
+export function useCameraDevices() {
+  const [devices, setDevices] = useState([])
+  const [settings, setSettings] = useState(() => loadCameraSettings())
+
+  /**
+   * Re-read the camera list (also picks up labels once permission is granted)
+   */
+  const refreshDevices = useCallback(async () => {
+    try {
+      setDevices(await listCameras())
+    } catch {
+      setDevices([])
+    }
+  }, [])
+
+  // Initial list, then follow hot-plug events
+  useEffect(() => {
+    let cancelled = false
+    const updateDevices = () => {
+      listCameras()
+        .then(list => {
+          if (!cancelled) setDevices(list)
+        })
+        .catch(() => {})
+    }
+    updateDevices()
+    const unwatch = watchCameras(updateDevices)
+    return () => {
+      cancelled = true
+      unwatch()
+    }
+  }, [])
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(current => {
+      const next = { ...current, ...changes }
+      saveCameraSettings(next)
+      return next
+    })
+  }, [])
+
+  /**
+   * Choose a camera (null = browser default)
+   */
+  const selectCamera = useCallback((deviceId) => {
+    updateSettings({ deviceId: deviceId || null })
+  }, [updateSettings])
+
+  /**
+   * Choose a resolution preset id
+   */
+  const selectResolution = useCallback((resolution) => {
+    updateSettings({ resolution })
+  }, [updateSettings])
+
+  // A saved camera that is no longer plugged in is treated as missing
+  const selectedCameraMissing = settings.deviceId !== null &&
+    devices.length > 0 &&
+    !devices.some(device => device.deviceId === settings.deviceId)
+
+  return {
+    devices,
+    settings,
+    selectedCameraMissing,
+    selectCamera,
+    selectResolution,
+    refreshDevices
+  }
+}
@@ -0,0 +1,63 @@
+import { useState, useEffect, useRef, useCallback, useSyncExternalStore } from 'react'
+import { DetectionEngine } from '../utils/detectionEngine'
+
+/**
+ * React adapter for a DetectionEngine - the base of the tongue detection hooks
+ * options.engine: share an engine between hooks or components (its owner disposes it); otherwise the hook owns one
+ * options.onGesture: called with each recognized gesture
+ * Every other option is engine configuration (see DetectionEngine), applied when detection starts
+ */
+export function useDetectionEngine(options = {}) {
+  const [ownEngine] = useState(() => (options.engine ? null : new DetectionEngine()))
+  const engine = options.engine || ownEngine
+  const state = useSyncExternalStore(engine.subscribe, engine.getState)
+
+  const videoRef = useRef(null)
+  const canvasRef = useRef(null)
+  // Read on start, so a start right after an options change (e.g. a mode switch) uses the new options
+  const optionsRef = useRef(options)
+  const onGestureRef = useRef(options.onGesture)
+
+  useEffect(() => {
+    optionsRef.current = options
+    onGestureRef.current = options.onGesture
+  })
+
+  useEffect(() => {
+    return engine.subscribeGestures(event => onGestureRef.current?.(event))
+  }, [engine])
+
+  /**
+   * Apply the current options, show the camera in videoRef / canvasRef and start
+   */
+  const startDetection = useCallback(async () => {
+    const { engine: _engine, onGesture: _onGesture, ...config } = optionsRef.current
+    engine.configure(config)
+    engine.setView(videoRef.current, canvasRef.current)
+    await engine.start()
+  }, [engine])
+
+  /**
+   * Stop detecting and keep the camera open (the next start is instant)
+   */
+  const pauseDetection = useCallback(() => engine.pause(), [engine])
+
+  /**
+   * Stop detecting and close the camera
+   */
+  const stopDetection = useCallback(() => engine.stop(), [engine])
+
+  /**
+   * Retry after a camera error
+   */
+  const retryCamera = useCallback(async () => {
+    engine.setView(videoRef.current, canvasRef.current)
+    await engine.retry()
+  }, [engine])
+
+  useEffect(() => {
+    return () => ownEngine?.dispose()
+  }, [ownEngine])
+
+  return { engine, state, videoRef, canvasRef, startDetection, pauseDetection, stopDetection, retryCamera }
+}
@@ -0,0 +1,108 @@
+import { useMemo, useCallback } from 'react'
+import { useDetectionEngine } from './useDetectionEngine'
+import { initialPlayerState } from '../utils/detectionEngine'
+import { MAX_PLAYERS, buildTeams, sumTeamCounts } from '../utils/teams'
+
+function clampPlayerCount(count) {
+  return Math.min(MAX_PLAYERS, Math.max(1, count || 2))
+}
+
+// Stands in for players the engine has no state for yet (options reach it on start)
+const IDLE_PLAYER = initialPlayerState()
+
+/**
+ * Custom hook for tongue detection of up to 4 players sharing one camera
+ * Each face gets a player slot (see FaceIdentityTracker); new faces fill slots from the left of the mirrored preview
+ * options.playerCount: number of players, 1 to 4 (default 2); takes effect on the next start
+ * options.teams: [leftTeam, rightTeam] lists of player indices (default: left half vs right half, see buildTeams)
+ * options.playerThresholds: per-player { leftThreshold, rightThreshold } fallbacks (default: options.leftThreshold / rightThreshold)
+ * options.faceTracking: FaceIdentityTracker options (e.g. gracePeriodMs)
+ * options.engine: a DetectionEngine to share (e.g. with useTongueDetection), so the camera and FaceMesh stay up between modes
+ * Other options (source, detectionMode, camera, filter, frame pacing, gestures) are as in useTongueDetection
+ * Players are numbered from 1 in events and functions (event.player, getTransitionLog(player))
+ */
+export function useMultiTongueDetection(options = {}) {
+  const playerCount = clampPlayerCount(options.playerCount)
+  const teams = useMemo(() => options.teams || buildTeams(playerCount), [options.teams, playerCount])
+
+  const { engine, state, videoRef, canvasRef, startDetection, pauseDetection, stopDetection, retryCamera } =
+    useDetectionEngine({ ...options, playerCount, teams, playerThresholds: options.playerThresholds })
+
+  // Always playerCount entries, also before the first start or while a shared engine is set up for another mode
+  const players = useMemo(
+    () => Array.from({ length: playerCount }, (_, index) => state.players[index] || IDLE_PLAYER),
+    [state.players, playerCount]
+  )
+
+  const startRecording = useCallback(() => engine.startRecording(), [engine])
+  const stopRecording = useCallback(() => engine.stopRecording(), [engine])
+
+  /**
+   * Apply calibrated thresholds to each player's counter and detector
+   * results[i] is player i+1's calibration; null (or missing) restores that player's configured defaults
+   */
+  const applyCalibration = useCallback((results) => engine.applyCalibration(results), [engine])
+  const beginCalibration = useCallback(() => engine.beginCalibration(), [engine])
+  const setCalibrationPhase = useCallback((phase) => engine.setCalibrationPhase(phase), [engine])
+
+  /**
+   * Finish calibration and apply each player's result (unreliable ones are returned but not applied)
+   * @returns {Array} Calibration result (or null) per player
+   */
+  const finishCalibration = useCallback(() => engine.finishCalibration(), [engine])
+  const cancelCalibration = useCallback(() => engine.cancelCalibration(), [engine])
+
+  /**
+   * Swap which faces drive two players, numbered from 1 (fixes a wrong assignment)
+   */
+  const swapPlayers = useCallback((playerA = 1, playerB = 2) => engine.swapPlayers(playerA, playerB), [engine])
+
+  /**
+   * Swap the faces of the two teams, player by player (fixes a whole side being mirrored)
+   */
+  const swapSides = useCallback(() => engine.swapSides(), [engine])
+
+  const getTransitionLog = useCallback((player) => engine.getTransitionLog(player), [engine])
+
+  /**
+   * Subscribe to gesture events from all players (event.player is 1 to playerCount)
+   * Returns an unsubscribe function
+   */
+  const subscribeGestures = useCallback((listener) => engine.subscribeGestures(listener), [engine])
+  const resetCounts = useCallback(() => engine.resetCounts(), [engine])
+
+  return {
+    engine,
+    videoRef,
+    canvasRef,
+    isActive: state.isActive,
+    isDetecting: state.isDetecting,
+    players,
+    playerCount,
+    teams,
+    teamCounts: sumTeamCounts(players.map(player => player.count), teams),
+    error: state.error,
+    detectedFaces: state.detectedFaces,
+    isRecording: state.isRecording,
+    detectionMode: state.detectionMode,
+    assetStatus: state.assetStatus,
+    cameraError: state.cameraError,
+    metrics: state.metrics,
+    startDetection,
+    pauseDetection,
+    stopDetection,
+    retryCamera,
+    startRecording,
+    stopRecording,
+    beginCalibration,
+    setCalibrationPhase,
+    finishCalibration,
+    cancelCalibration,
+    applyCalibration,
+    swapPlayers,
+    swapSides,
+    subscribeGestures,
+    getTransitionLog,
+    resetCounts
+  }
+}
@@ -0,0 +1,212 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { RelayClient } from '../utils/relayClient'
+
+const EMPTY_COUNTS = { 1: 0, 2: 0 }
+
+/**
+ * Custom hook for a head-to-head match against another browser through the relay server
+ * Only this player's count and tongue state are sent; the relay owns the start time, both counts and the winner
+ * options.count / options.tongueState: the local player's live values (from useTongueDetection)
+ * options.url: relay address (default DEFAULT_RELAY_URL)
+ * Sides: 1 = left (blue), 2 = right (white), as in TugOfWar3D
+ */
+export function useNetworkMatch(options = {}) {
+  // 'idle', 'connecting', 'connected' or 'disconnected'
+  const [status, setStatus] = useState('idle')
+  const [error, setError] = useState(null)
+  // Room as described by the relay: { code, phase, matchId, startAt, winner, players: [{ side, name, ready }] }
+  const [room, setRoom] = useState(null)
+  const [side, setSide] = useState(null)
+  const [counts, setCounts] = useState(EMPTY_COUNTS)
+  const [tongueStates, setTongueStates] = useState({})
+  const [winner, setWinner] = useState(null)
+  // Seconds until the agreed start (null outside a countdown)
+  const [countdown, setCountdown] = useState(null)
+  const [latency, setLatency] = useState(null)
+
+  const clientRef = useRef(null)
+  const startAtRef = useRef(null)
+  const countdownTimerRef = useRef(null)
+  // Local pull since the agreed start; counts made before it are false starts and never sent
+  const progressRef = useRef(0)
+  const lastCountRef = useRef(options.count || 0)
+
+  const stopCountdown = useCallback(() => {
+    if (countdownTimerRef.current) {
+      clearInterval(countdownTimerRef.current)
+      countdownTimerRef.current = null
+    }
+  }, [])
+
+  const handleMessage = useCallback((message, client) => {
+    switch (message.type) {
+      case 'joined':
+        setSide(message.side)
+        setRoom(message.room)
+        setError(null)
+        break
+      case 'room':
+        setRoom(message)
+        break
+      case 'start':
+        startAtRef.current = message.startAt
+        progressRef.current = 0
+        setCounts(EMPTY_COUNTS)
+        setTongueStates({})
+        setWinner(null)
+        stopCountdown()
+        countdownTimerRef.current = setInterval(() => {
+          const remaining = startAtRef.current - client.serverNow()
+          setCountdown(remaining > 0 ? Math.ceil(remaining / 1000) : null)
+          if (remaining <= 0) stopCountdown()
+        }, 100)
+        break
+      case 'state':
+        setCounts(message.counts)
+        setTongueStates(message.tongueStates)
+        break
+      case 'finished':
+        startAtRef.current = null
+        stopCountdown()
+        setCountdown(null)
+        setCounts(message.counts)
+        setWinner(message.winner)
+        break
+      case 'left':
+        setRoom(null)
+        setSide(null)
+        break
+      case 'pong':
+        setLatency(client.getLatency())
+        break
+      case 'error':
+        setError(message.message)
+        break
+      case 'disconnected':
+        startAtRef.current = null
+        stopCountdown()
+        if (clientRef.current === client) {
+          clientRef.current = null // The next create / join reconnects
+        }
+        setStatus('disconnected')
+        setRoom(null)
+        setSide(null)
+        setError('Lost connection to the match relay')
+        break
+      default:
+        break
+    }
+  }, [stopCountdown])
+
+  /**
+   * Connect to the relay if not connected yet
+   */
+  const connect = useCallback(async () => {
+    if (clientRef.current) return clientRef.current
+
+    const client = new RelayClient({ url: options.url })
+    client.on('*', (message) => handleMessage(message, client))
+    setStatus('connecting')
+    setError(null)
+    try {
+      await client.connect()
+    } catch (err) {
+      client.close()
+      setStatus('idle')
+      setError(err.message)
+      throw err
+    }
+    clientRef.current = client
+    setStatus('connected')
+    return client
+  }, [options.url, handleMessage])
+
+  const createRoom = useCallback(async (name) => {
+    try {
+      const client = await connect()
+      client.createRoom(name)
+    } catch (err) {
+      console.error('Failed to create room:', err)
+    }
+  }, [connect])
+
+  const joinRoom = useCallback(async (code, name) => {
+    try {
+      const client = await connect()
+      client.joinRoom(code, name)
+    } catch (err) {
+      console.error('Failed to join room:', err)
+    }
+  }, [connect])
+
+  /**
+   * Ready up (also asks for a rematch after a finished match)
+   */
+  const setReady = useCallback((ready = true) => {
+    clientRef.current?.setReady(ready)
+  }, [])
+
+  const leaveRoom = useCallback(() => {
+    clientRef.current?.leaveRoom()
+  }, [])
+
+  /**
+   * Leave the room and close the connection
+   */
+  const disconnect = useCallback(() => {
+    startAtRef.current = null
+    stopCountdown()
+    if (clientRef.current) {
+      clientRef.current.close()
+      clientRef.current = null
+    }
+    setStatus('idle')
+    setRoom(null)
+    setSide(null)
+    setCounts(EMPTY_COUNTS)
+    setTongueStates({})
+    setWinner(null)
+    setCountdown(null)
+    setLatency(null)
+    setError(null)
+  }, [stopCountdown])
+
+  // Stream the local player's pull once the agreed start has passed
+  useEffect(() => {
+    const count = options.count || 0
+    const gained = Math.max(0, count - lastCountRef.current) // A count reset (e.g. recalibration) is not a loss
+    lastCountRef.current = count
+
+    const client = clientRef.current
+    if (!client || startAtRef.current === null || client.serverNow() < startAtRef.current) return
+
+    progressRef.current += gained
+    client.sendCount(progressRef.current, options.tongueState)
+  }, [options.count, options.tongueState])
+
+  useEffect(() => {
+    return () => {
+      stopCountdown()
+      clientRef.current?.close()
+      clientRef.current = null
+    }
+  }, [stopCountdown])
+
+  return {
+    status,
+    error,
+    room,
+    side,
+    phase: room?.phase || null,
+    counts,
+    tongueStates,
+    winner,
+    countdown,
+    latency,
+    createRoom,
+    joinRoom,
+    setReady,
+    leaveRoom,
+    disconnect
+  }
+}
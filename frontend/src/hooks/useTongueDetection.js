@@ -1,325 +1,110 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
-import { FaceDetector } from '../utils/faceDetection'
-import { TongueDetector } from '../utils/tongueDetector'
-import { TongueTracker } from '../utils/tongueTracker'
-import { MovementCounter } from '../utils/movementCounter'
+import { useCallback } from 'react'
+import { useDetectionEngine } from './useDetectionEngine'
 
 /**
  * Custom hook for tongue movement detection
+ * Single-player view of a DetectionEngine (pass options.engine to share one with other hooks)
+ * options.source: 'camera' (default) or 'replay' to feed options.replaySession instead of the webcam
+ * options.detectionMode: 'landmarks' (default), 'model' or 'fused', with the model loaded from options.modelUrl
+ * options.compensateHeadPose: measure the mouth in a head-aligned frame (default true)
+ * options.assetBase: where the FaceMesh files are loaded from (default: our own origin, see VITE_MEDIAPIPE_ASSET_BASE)
+ * options.cameraDeviceId / options.cameraResolution: camera and resolution preset to open (see useCameraDevices)
+ * options.useWorker: run FaceMesh in a Web Worker (default: when supported, falls back to the main thread)
+ * options.filter: position smoothing - 'weighted' (default), 'oneEuro', 'kalman' or 'ema', tuned with options.filterParams
+ * options.targetFps: detection rate to aim for (default 30); options.adaptiveResolution / options.minInputScale
+ *   let the scheduler shrink the FaceMesh input when frames fall behind (see metrics)
+ * options.onGesture: called with each recognized gesture (see subscribeGestures for multiple listeners)
  */
 export function useTongueDetection(options = {}) {
-  const [isActive, setIsActive] = useState(false)
-  const [count, setCount] = useState(0)
-  const [tongueState, setTongueState] = useState('CENTER')
-  const [isDetecting, setIsDetecting] = useState(false)
-  const [error, setError] = useState(null)
-
-  const videoRef = useRef(null)
-  const canvasRef = useRef(null)
-  const animationFrameRef = useRef(null)
-  const isActiveRef = useRef(false)
-  
-  const faceDetectorRef = useRef(null)
-  const tongueDetectorRef = useRef(null)
-  const tongueTrackerRef = useRef(null)
-  const movementCounterRef = useRef(null)
+  const { engine, state, videoRef, canvasRef, startDetection, pauseDetection, stopDetection, retryCamera } =
+    useDetectionEngine({
+      ...options,
+      playerCount: 1,
+      playerThresholds: undefined,
+      teams: undefined,
+      minHoldFrames: options.minHoldFrames || 3
+    })
+  const player = state.players[0]
+
+  const startRecording = useCallback(() => engine.startRecording(), [engine])
+  const stopRecording = useCallback(() => engine.stopRecording(), [engine])
 
   /**
-   * Handle face detection results
+   * Apply calibrated thresholds to the counter and detector
+   * Passing null restores the configured defaults
    */
-  const handleFaceResults = useCallback((results) => {
-    if (!tongueDetectorRef.current || !tongueTrackerRef.current || !movementCounterRef.current) {
-      return
-    }
-
-    const video = videoRef.current
-    if (!video || video.videoWidth === 0) return
-
-    const videoWidth = video.videoWidth
-    const videoHeight = video.videoHeight
-
-    // Extract mouth region
-    const mouthRegion = faceDetectorRef.current.extractMouthRegion(
-      results.multiFaceLandmarks?.[0],
-      videoWidth,
-      videoHeight
-    )
-
-    if (!mouthRegion) {
-      setTongueState('CENTER')
-      return
-    }
-
-    // Crop mouth region
-    const mouthCanvas = faceDetectorRef.current.cropMouthRegion(video, mouthRegion)
-
-    // Detect tongue
-    tongueDetectorRef.current.detect(mouthRegion, mouthCanvas, videoWidth, videoHeight)
-      .then(detection => {
-        if (!detection) {
-          setTongueState('CENTER')
-          return
-        }
-
-        // Update tracker
-        const trackedPosition = tongueTrackerRef.current.update(detection)
-
-        if (trackedPosition && trackedPosition.isVisible && detection.tongueOut) {
-          // Update counter - only count when tongue is out
-          const counterResult = movementCounterRef.current.update(
-            trackedPosition.relativeX,
-            detection.tongueOut
-          )
-          
-          setCount(counterResult.count)
-          setTongueState(counterResult.state)
-        } else {
-          // Update counter with tongue not out (resets to center)
-          const counterResult = movementCounterRef.current.update(
-            trackedPosition?.relativeX || null,
-            false
-          )
-          setTongueState(counterResult.state)
-        }
-      })
-      .catch(() => {
-        // Error handled silently
-      })
-  }, [])
+  const applyCalibration = useCallback((result) => engine.applyCalibration([result]), [engine])
 
   /**
-   * Initialize detection pipeline
+   * Start collecting calibration samples
    */
-  const initialize = useCallback(async () => {
-    try {
-      // Initialize face detector with callback
-      const faceDetector = new FaceDetector()
-      await faceDetector.initialize(handleFaceResults)
-      faceDetectorRef.current = faceDetector
-
-      // Initialize tongue detector
-      const tongueDetector = new TongueDetector()
-      await tongueDetector.initialize(false) // Use landmark-based for now
-      tongueDetectorRef.current = tongueDetector
-
-      // Initialize tracker
-      const tracker = new TongueTracker({
-        smoothingWindow: options.smoothingWindow || 5,
-        minConfidence: options.minConfidence || 0.3
-      })
-      tongueTrackerRef.current = tracker
-
-      // Initialize counter
-      const counter = new MovementCounter({
-        leftThreshold: options.leftThreshold || -0.005,
-        rightThreshold: options.rightThreshold || 0.005,
-        minHoldFrames: options.minHoldFrames || 3
-      })
-      movementCounterRef.current = counter
-
-      setError(null)
-    } catch (err) {
-      setError(err.message)
-    }
-  }, [options, handleFaceResults])
+  const beginCalibration = useCallback(() => engine.beginCalibration(), [engine])
 
   /**
-   * Process video frame
+   * Set the calibration phase being sampled ('center', 'left', 'right' or null to pause)
    */
-  const processFrame = useCallback(async () => {
-    if (!isActiveRef.current || !videoRef.current || !faceDetectorRef.current) {
-      return
-    }
-
-    const video = videoRef.current
-    const canvas = canvasRef.current
-
-    if (video.readyState === video.HAVE_ENOUGH_DATA) {
-      try {
-        // Get video dimensions (source dimensions for detection)
-        const videoWidth = video.videoWidth
-        const videoHeight = video.videoHeight
-
-        if (videoWidth === 0 || videoHeight === 0) {
-          animationFrameRef.current = requestAnimationFrame(processFrame)
-          return
-        }
-
-        // Check if FaceDetector is actually initialized before processing
-        const faceDetector = faceDetectorRef.current
-        if (!faceDetector || !faceDetector.isInitialized || !faceDetector.faceMesh) {
-          // Wait a bit and try again
-          animationFrameRef.current = requestAnimationFrame(processFrame)
-          return
-        }
-
-        // Process frame with face detection
-        await faceDetector.send(video)
-
-        // Note: Face detection results come via callback
-        // For now, we'll process synchronously
-        // In a real implementation, you'd handle the async callback properly
-        
-        // Draw video to canvas for processing
-        // Use displayed size (CSS dimensions) not source dimensions to avoid scaling mismatch
-        if (canvas) {
-          const rect = video.getBoundingClientRect()
-          canvas.width = rect.width
-          canvas.height = rect.height
-          
-          const ctx = canvas.getContext('2d')
-          // Draw video to match displayed size
-          ctx.drawImage(video, 0, 0, rect.width, rect.height)
-        }
-
-        // Continue processing loop
-        animationFrameRef.current = requestAnimationFrame(processFrame)
-      } catch (err) {
-        // Continue processing loop on error
-        animationFrameRef.current = requestAnimationFrame(processFrame)
-      }
-    } else {
-      animationFrameRef.current = requestAnimationFrame(processFrame)
-    }
-  }, [])
+  const setCalibrationPhase = useCallback((phase) => engine.setCalibrationPhase(phase), [engine])
 
   /**
-   * Start camera and detection
+   * Finish calibration and apply the result
+   * Returns the result, or null if not enough samples were collected (defaults are kept)
+   * An unreliable result (result.reliable false) is returned but not applied
    */
-  const startDetection = useCallback(async () => {
-    try {
-      if (!videoRef.current) {
-        throw new Error('Video element not available')
-      }
-
-      const video = videoRef.current
-
-      // Stop any existing stream first
-      if (video.srcObject) {
-        const existingStream = video.srcObject
-        existingStream.getTracks().forEach(track => track.stop())
-        video.srcObject = null
-      }
-
-      // Initialize if not already done
-      if (!faceDetectorRef.current) {
-        await initialize()
-        // Give MediaPipe a moment to be fully ready
-        await new Promise(resolve => setTimeout(resolve, 100))
-      }
-
-      // Get user media
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          width: { ideal: 1280 },
-          height: { ideal: 720 },
-          facingMode: 'user'
-        }
-      })
-
-      // Set stream and wait for video to be ready
-      video.srcObject = stream
-      
-      // Wait for video metadata to load
-      await new Promise((resolve, reject) => {
-        const onLoadedMetadata = () => {
-          video.removeEventListener('loadedmetadata', onLoadedMetadata)
-          resolve()
-        }
-        const onError = (err) => {
-          video.removeEventListener('error', onError)
-          reject(err)
-        }
-        video.addEventListener('loadedmetadata', onLoadedMetadata)
-        video.addEventListener('error', onError)
-        
-        // If already loaded, resolve immediately
-        if (video.readyState >= 1) {
-          video.removeEventListener('loadedmetadata', onLoadedMetadata)
-          video.removeEventListener('error', onError)
-          resolve()
-        }
-      })
-
-      // Play video and wait for it to start
-      try {
-        await video.play()
-      } catch (playErr) {
-        // Ignore AbortError - it means play was interrupted, which is fine
-      }
-
-      isActiveRef.current = true
-      setIsActive(true)
-      setIsDetecting(true)
-      setError(null)
-
-      // Start processing loop
-      processFrame()
-    } catch (err) {
-      isActiveRef.current = false
-      setError(err.message)
-      setIsActive(false)
-      setIsDetecting(false)
-    }
-  }, [initialize, processFrame])
+  const finishCalibration = useCallback(() => engine.finishCalibration()[0] || null, [engine])
 
   /**
-   * Stop detection
+   * Abort calibration and keep the configured defaults
    */
-  const stopDetection = useCallback(() => {
-    isActiveRef.current = false
-    setIsActive(false)
-    setIsDetecting(false)
-
-    if (animationFrameRef.current) {
-      cancelAnimationFrame(animationFrameRef.current)
-      animationFrameRef.current = null
-    }
-
-    if (videoRef.current && videoRef.current.srcObject) {
-      const stream = videoRef.current.srcObject
-      stream.getTracks().forEach(track => track.stop())
-      videoRef.current.srcObject = null
-    }
-  }, [])
+  const cancelCalibration = useCallback(() => engine.cancelCalibration(), [engine])
 
   /**
-   * Reset counter
+   * Get the counter's transition log (why each count did or didn't happen)
    */
-  const resetCount = useCallback(() => {
-    if (movementCounterRef.current) {
-      movementCounterRef.current.reset()
-      setCount(0)
-      setTongueState('CENTER')
-    }
-  }, [])
+  const getTransitionLog = useCallback(() => engine.getTransitionLog(1), [engine])
 
   /**
-   * Cleanup on unmount
+   * Subscribe to gesture events
+   * Returns an unsubscribe function
    */
-  useEffect(() => {
-    return () => {
-      stopDetection()
-      if (faceDetectorRef.current) {
-        faceDetectorRef.current.dispose()
-      }
-      if (tongueDetectorRef.current) {
-        tongueDetectorRef.current.dispose()
-      }
-    }
-  }, [stopDetection])
+  const subscribeGestures = useCallback((listener) => engine.subscribeGestures(listener), [engine])
 
+  /**
+   * Reset counter
+   */
+  const resetCount = useCallback(() => engine.resetCounts(), [engine])
 
   return {
+    engine,
     videoRef,
     canvasRef,
-    isActive,
-    isDetecting,
-    count,
-    tongueState,
-    error,
+    isActive: state.isActive,
+    isDetecting: state.isDetecting,
+    count: player.count,
+    tongueState: player.tongueState,
+    error: state.error,
+    isRecording: state.isRecording,
+    detectionMode: state.detectionMode,
+    assetStatus: state.assetStatus,
+    cameraError: state.cameraError,
+    calibration: player.calibration,
+    lastGesture: player.lastGesture,
+    faceStatus: player.faceStatus,
+    faceCentered: player.faceCentered,
+    tongueOut: player.tongueOut,
+    metrics: state.metrics,
     startDetection,
+    pauseDetection,
     stopDetection,
+    retryCamera,
+    startRecording,
+    stopRecording,
+    beginCalibration,
+    setCalibrationPhase,
+    finishCalibration,
+    cancelCalibration,
+    applyCalibration,
+    subscribeGestures,
+    getTransitionLog,
     resetCount
   }
 }
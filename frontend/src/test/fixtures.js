@@ -0,0 +1,36 @@
+/**
+ * Test Fixtures - Valid saved data for the unit tests; spread one and override the fields a test is about
+ */
+
+import { GHOST_FORMAT_VERSION } from '../utils/ghosts'
+
+// A ghost file as GhostRecorder writes it: three counts over three seconds of play
+export const GHOST = {
+  version: GHOST_FORMAT_VERSION,
+  id: 'ghost-1',
+  name: 'Ada',
+  recordedAt: '2026-01-02T18:30:00.000Z',
+  finalScore: 3,
+  durationMs: 3000,
+  events: [{ t: 500, count: 1 }, { t: 1200, count: 2 }, { t: 2500, count: 3 }]
+}
+
+export const PROFILE = { id: 'ada', name: 'Ada', color: '#35679B', createdAt: '2026-01-01T10:00:00.000Z' }
+
+// A classic match Ada (profile 'ada') won against the AI, as createMatchRecord stores it
+export const MATCH_RECORD = {
+  id: 'match-1',
+  playedAt: '2026-01-02T18:30:00.000Z',
+  mode: 'ai',
+  format: 'classic',
+  opponent: 'Normal Steady AI',
+  sides: [{ profileId: 'ada', name: 'Ada' }, { profileId: null, name: 'Normal Steady AI' }],
+  winner: 'player1',
+  finishReason: 'pull',
+  counts: [42, 30],
+  rounds: 1,
+  seriesWins: [1, 0],
+  durationMs: 21500,
+  peakRates: [6, 3],
+  timeline: [{ t: 0, round: 1, counts: [0, 0], ropePosition: 50, tongueStates: ['CENTER'] }]
+}
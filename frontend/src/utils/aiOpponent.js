@@ -1,67 +1,293 @@
 /**
  * AI Opponent for Tug of War Game
- * Reactive AI that responds to user performance
+ * Pulls at a rate set by its difficulty, shaped over the match by its personality
+ * All its randomness comes from a seeded generator, so the same seed and the same inputs replay a match exactly
  */
+
+import { createSeededRandom, randomSeed } from './seededRandom'
+
+// Difficulty presets: baseRate is wiggles per second, randomness the spread of the gaps between them,
+// mirrorRatio how a taunter paces itself against you, targetWinProbability the AI's win chance an
+// adaptive AI steers the rope toward
+export const AI_DIFFICULTIES = {
+  easy: { id: 'easy', label: 'Easy', baseRate: 0.8, randomness: 0.4, mirrorRatio: 0.8, targetWinProbability: 0.25 },
+  normal: { id: 'normal', label: 'Normal', baseRate: 1.6, randomness: 0.3, mirrorRatio: 0.95, targetWinProbability: 0.45 },
+  hard: { id: 'hard', label: 'Hard', baseRate: 2.6, randomness: 0.2, mirrorRatio: 1.05, targetWinProbability: 0.6 },
+  insane: { id: 'insane', label: 'Insane', baseRate: 3.6, randomness: 0.1, mirrorRatio: 1.2, targetWinProbability: 0.75 }
+}
+
+// Personalities: how the pulling rate changes over the match
+export const AI_PERSONALITIES = {
+  steady: { id: 'steady', label: 'Steady', description: 'Same pace from start to finish' },
+  sprinter: { id: 'sprinter', label: 'Sprinter', description: 'Short bursts, then a breather' },
+  closer: { id: 'closer', label: 'Closer', description: 'Starts slow, finishes strong' },
+  taunter: { id: 'taunter', label: 'Taunter', description: 'Matches your pace' },
+  adaptive: { id: 'adaptive', label: 'Adaptive', description: 'Reads your pace and rubber-bands to keep it close' }
+}
+
+export const DEFAULT_AI_DIFFICULTY = 'normal'
+export const DEFAULT_AI_PERSONALITY = 'steady'
+
+// Sprinter: burst and rest lengths (ms) and rate multipliers
+const SPRINT_BURST_MS = [1500, 3000]
+const SPRINT_REST_MS = [2000, 4000]
+const SPRINT_BURST_MULTIPLIER = 2
+const SPRINT_REST_MULTIPLIER = 0.35
+
+// Closer: multiplier ramps from start to end over this much play time
+const CLOSER_START_MULTIPLIER = 0.6
+const CLOSER_END_MULTIPLIER = 1.5
+const CLOSER_RAMP_MS = 45000
+
+// Taunter and adaptive: how quickly the estimate of your pace follows you (per second)
+const PACE_SMOOTHING = 0.8
+
+// Adaptive: rope % per logit of win probability (the knot 12% toward the AI's side is about a 73% chance),
+// extra wiggles per second per % the rope is off target / per % per second it is drifting away,
+// and the range its rate is kept in
+const WIN_PROBABILITY_SCALE = 12
+const ADAPTIVE_POSITION_GAIN = 0.15
+const ADAPTIVE_DRIFT_GAIN = 0.1
+const ADAPTIVE_RATE_RANGE = [0.3, 8]
+
+// Adaptation curve: one sample per this much play time
+const CURVE_SAMPLE_MS = 500
+
+/**
+ * AI's chance of winning with the knot at this rope position (the AI pulls toward 100)
+ */
+export function winProbability(ropePosition) {
+  return 1 / (1 + Math.exp(-(ropePosition - 50) / WIN_PROBABILITY_SCALE))
+}
+
+/**
+ * Rope position at which the AI's chance of winning is `probability`
+ */
+export function ropeTargetFor(probability) {
+  const clamped = Math.min(0.95, Math.max(0.05, probability))
+  return 50 + WIN_PROBABILITY_SCALE * Math.log(clamped / (1 - clamped))
+}
+
+/**
+ * Averages of an adaptation curve, to check an adaptive AI is as fair as it was asked to be
+ * nearTarget is the share of samples within 10 points of the target win probability
+ */
+export function summarizeAdaptation(curve) {
+  const { samples, targetWinProbability } = curve
+  if (samples.length === 0) return null
+
+  const mean = key => samples.reduce((sum, sample) => sum + sample[key], 0) / samples.length
+  const nearTarget = samples.filter(sample => Math.abs(sample.winProbability - targetWinProbability) <= 0.1).length
+
+  return {
+    userRate: mean('userRate'),
+    aiRate: mean('aiRate'),
+    winProbability: mean('winProbability'),
+    nearTarget: nearTarget / samples.length
+  }
+}
+
+/**
+ * Label for the HUD, e.g. 'Hard Sprinter AI'
+ */
+export function describeAI(difficulty, personality) {
+  const difficultyLabel = (AI_DIFFICULTIES[difficulty] || AI_DIFFICULTIES[DEFAULT_AI_DIFFICULTY]).label
+  const personalityLabel = (AI_PERSONALITIES[personality] || AI_PERSONALITIES[DEFAULT_AI_PERSONALITY]).label
+  return `${difficultyLabel} ${personalityLabel} AI`
+}
+
 export class AIOpponent {
+  /**
+   * options.difficulty: preset id from AI_DIFFICULTIES (default 'normal')
+   * options.personality: id from AI_PERSONALITIES (default 'steady')
+   * options.baseRate / options.randomness / options.targetWinProbability: override the preset
+   * options.minInterval / options.maxInterval: bounds on the gap between two pulls (ms)
+   * options.seed: seed for its randomness (default: a new random seed)
+   * options.createRandom: seed => generator of floats in [0, 1) (default: createSeededRandom)
+   * options.clock: () => ms, used when update is called without a deltaTime (default: Date.now)
+   */
   constructor(options = {}) {
+    this.seed = options.seed ?? randomSeed()
+    this.createRandom = options.createRandom || createSeededRandom
+    this.random = this.createRandom(this.seed)
+    this.clock = options.clock || Date.now
+
+    this.difficulty = AI_DIFFICULTIES[options.difficulty] || AI_DIFFICULTIES[DEFAULT_AI_DIFFICULTY]
+    this.personality = AI_PERSONALITIES[options.personality] || AI_PERSONALITIES[DEFAULT_AI_PERSONALITY]
+
     // Base scoring rate (points per second)
-    this.baseRate = options.baseRate || 0.5
-    
+    this.baseRate = options.baseRate || this.difficulty.baseRate
+
     // Current score
     this.score = 0
-    
-    // Difficulty multiplier (increases as user score increases)
+
+    // Rate multiplier from the personality, recomputed every update
     this.difficultyMultiplier = 1.0
-    
+
     // Randomness factor (0-1, adds natural variation)
-    this.randomness = options.randomness || 0.3
-    
+    this.randomness = options.randomness ?? this.difficulty.randomness
+
+    // AI's win chance the adaptive personality keeps the rope at
+    this.targetWinProbability = options.targetWinProbability ?? this.difficulty.targetWinProbability
+
     // Minimum time between score increments (ms)
-    this.minInterval = options.minInterval || 500
-    
+    this.minInterval = options.minInterval || 120
+
     // Maximum time between score increments (ms)
-    this.maxInterval = options.maxInterval || 2000
-    
+    this.maxInterval = options.maxInterval || 4000
+
     // Last update timestamp
     this.lastUpdateTime = null
-    
+
     // Time accumulator for scoring
     this.timeAccumulator = 0
-    
+
+    // Play time since the last reset (ms), for personalities that change over the match
+    this.elapsed = 0
+
+    // Your recent pace (wiggles per second) and score at the last update, for the taunter and adaptive AI
+    this.userRate = 0
+    this.lastUserScore = null
+
+    // Last rope position the AI was shown, and how fast it is moving (% per second)
+    this.ropePosition = 50
+    this.ropeDrift = 0
+
+    // Samples of pace and win chance over the match (all rounds), and the round being played
+    this.adaptationCurve = []
+    this.round = 1
+    this.matchElapsed = 0
+    this.nextSampleAt = 0
+
+    // Sprinter state: bursting or resting, and for how much longer
+    this.sprinting = false
+    this.sprintRemaining = this.randomBetween(SPRINT_REST_MS)
+
     // Target interval for next score increment
     this.targetInterval = this.calculateTargetInterval()
   }
 
   /**
-   * Calculate target interval based on current difficulty
+   * Uniform random number in [min, max) from the seeded generator
+   */
+  randomBetween([min, max]) {
+    return min + this.random() * (max - min)
+  }
+
+  /**
+   * Calculate target interval from the base rate (the personality speeds up or slows down the clock instead)
    */
   calculateTargetInterval() {
-    const baseInterval = (this.minInterval + this.maxInterval) / 2
-    const adjustedInterval = baseInterval / this.difficultyMultiplier
-    
+    const baseInterval = 1000 / Math.max(0.05, this.baseRate)
+
     // Add randomness
-    const randomFactor = 1 + (Math.random() - 0.5) * this.randomness * 2
-    return Math.max(this.minInterval, Math.min(this.maxInterval, adjustedInterval * randomFactor))
+    const randomFactor = 1 + (this.random() - 0.5) * this.randomness * 2
+    return Math.max(this.minInterval, Math.min(this.maxInterval, baseInterval * randomFactor))
+  }
+
+  /**
+   * Rate multiplier for the personality at this point of the match
+   */
+  personalityMultiplier(deltaTime) {
+    switch (this.personality.id) {
+      case 'sprinter':
+        this.sprintRemaining -= deltaTime
+        if (this.sprintRemaining <= 0) {
+          this.sprinting = !this.sprinting
+          this.sprintRemaining = this.randomBetween(this.sprinting ? SPRINT_BURST_MS : SPRINT_REST_MS)
+        }
+        return this.sprinting ? SPRINT_BURST_MULTIPLIER : SPRINT_REST_MULTIPLIER
+
+      case 'closer': {
+        const progress = Math.min(1, this.elapsed / CLOSER_RAMP_MS)
+        return CLOSER_START_MULTIPLIER + (CLOSER_END_MULTIPLIER - CLOSER_START_MULTIPLIER) * progress
+      }
+
+      case 'taunter':
+        // Your pace in place of its own; never quite stops, so an idle player still gets pulled
+        return Math.max(0.25, (this.userRate * this.difficulty.mirrorRatio) / this.baseRate)
+
+      case 'adaptive': {
+        // Match your pace, plus a pull back toward the target spot that eases off as the rope heads there
+        const error = ropeTargetFor(this.targetWinProbability) - this.ropePosition
+        const rate = this.userRate + ADAPTIVE_POSITION_GAIN * error - ADAPTIVE_DRIFT_GAIN * this.ropeDrift
+        const [minRate, maxRate] = ADAPTIVE_RATE_RANGE
+        return Math.min(maxRate, Math.max(minRate, rate)) / this.baseRate
+      }
+
+      default:
+        return 1
+    }
+  }
+
+  /**
+   * Follow the user's pace from their score changes
+   */
+  trackUserRate(userScore, deltaTime) {
+    if (this.lastUserScore === null || userScore < this.lastUserScore) {
+      this.lastUserScore = userScore
+      return
+    }
+    if (deltaTime <= 0) return
+
+    const seconds = deltaTime / 1000
+    const instantRate = (userScore - this.lastUserScore) / seconds
+    const blend = 1 - Math.exp(-PACE_SMOOTHING * seconds)
+    this.userRate += (instantRate - this.userRate) * blend
+    this.lastUserScore = userScore
+  }
+
+  /**
+   * Follow the rope, for the adaptive AI
+   */
+  trackRope(ropePosition, deltaTime) {
+    if (ropePosition === undefined || ropePosition === null) return
+    if (deltaTime > 0) {
+      const seconds = deltaTime / 1000
+      const blend = 1 - Math.exp(-PACE_SMOOTHING * 4 * seconds)
+      this.ropeDrift += ((ropePosition - this.ropePosition) / seconds - this.ropeDrift) * blend
+    }
+    this.ropePosition = ropePosition
+  }
+
+  /**
+   * Add a sample to the adaptation curve every CURVE_SAMPLE_MS of play
+   */
+  recordAdaptation() {
+    if (this.matchElapsed < this.nextSampleAt) return
+    this.nextSampleAt = this.matchElapsed + CURVE_SAMPLE_MS
+    this.adaptationCurve.push({
+      t: Math.round(this.matchElapsed),
+      round: this.round,
+      userRate: this.userRate,
+      aiRate: this.baseRate * this.difficultyMultiplier,
+      ropePosition: this.ropePosition,
+      winProbability: winProbability(this.ropePosition)
+    })
   }
 
   /**
    * Update AI score based on user performance
    * @param {number} userScore - Current user score
    * @param {number} deltaTime - Time elapsed since last update (ms)
+   * @param {number} ropePosition - Where the knot is (optional; the adaptive AI steers by it)
    */
-  update(userScore, deltaTime) {
+  update(userScore, deltaTime, ropePosition) {
     if (deltaTime === undefined || deltaTime === null) {
-      const now = Date.now()
-      deltaTime = this.lastUpdateTime ? now - this.lastUpdateTime : 0
+      const now = this.clock()
+      deltaTime = this.lastUpdateTime !== null ? now - this.lastUpdateTime : 0
       this.lastUpdateTime = now
     }
 
-    // Update difficulty based on user score
-    // As user score increases, AI becomes more aggressive
-    this.difficultyMultiplier = 1.0 + (userScore / 50) * 0.5 // Gradually increases difficulty
-    
-    // Accumulate time
-    this.timeAccumulator += deltaTime
+    this.elapsed += deltaTime
+    this.matchElapsed += deltaTime
+    this.trackUserRate(userScore, deltaTime)
+    this.trackRope(ropePosition, deltaTime)
+    this.difficultyMultiplier = this.personalityMultiplier(deltaTime)
+    this.recordAdaptation()
+
+    // Accumulate time, faster or slower as the personality pulls harder or eases off
+    this.timeAccumulator += deltaTime * this.difficultyMultiplier
 
     // Check if it's time to increment score
     if (this.timeAccumulator >= this.targetInterval) {
@@ -79,13 +305,60 @@ export class AIOpponent {
   }
 
   /**
-   * Reset AI opponent
+   * Label for the HUD, e.g. 'Hard Sprinter AI'
+   */
+  getLabel() {
+    return describeAI(this.difficulty.id, this.personality.id)
+  }
+
+  /**
+   * How the AI paced itself against you this match: a copy of the samples, with the settings behind them
+   */
+  getAdaptationCurve() {
+    return {
+      seed: this.seed,
+      difficulty: this.difficulty.id,
+      personality: this.personality.id,
+      targetWinProbability: this.targetWinProbability,
+      samples: [...this.adaptationCurve]
+    }
+  }
+
+  /**
+   * Reset AI opponent for a new match; the generator restarts from the seed, so the match can be replayed
    */
   reset() {
+    this.random = this.createRandom(this.seed)
+    this.startRound()
+    this.adaptationCurve = []
+    this.round = 1
+    this.matchElapsed = 0
+    this.nextSampleAt = 0
+  }
+
+  /**
+   * Next round of a series: start fresh but keep adding to this match's adaptation curve
+   */
+  nextRound() {
+    this.startRound()
+    this.round += 1
+  }
+
+  /**
+   * Clear the per-round state
+   */
+  startRound() {
     this.score = 0
     this.difficultyMultiplier = 1.0
     this.timeAccumulator = 0
     this.lastUpdateTime = null
+    this.elapsed = 0
+    this.userRate = 0
+    this.lastUserScore = null
+    this.ropePosition = 50
+    this.ropeDrift = 0
+    this.sprinting = false
+    this.sprintRemaining = this.randomBetween(SPRINT_REST_MS)
     this.targetInterval = this.calculateTargetInterval()
   }
 
@@ -95,5 +368,6 @@ export class AIOpponent {
   setDifficulty(baseRate, randomness) {
     this.baseRate = baseRate
     this.randomness = randomness
+    this.targetInterval = this.calculateTargetInterval()
   }
 }
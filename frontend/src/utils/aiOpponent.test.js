@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest'
+import { AIOpponent, winProbability, ropeTargetFor } from './aiOpponent'
+import { createSeededRandom } from './seededRandom'
+
+const STEP_MS = 100
+
+// Play `ms` of a match against a user wiggling `userRate` times a second; returns the AI's score after each step
+function play(ai, ms, { userRate = 0, ropePosition } = {}) {
+  const scores = []
+  for (let t = STEP_MS; t <= ms; t += STEP_MS) {
+    ai.update(Math.floor((t / 1000) * userRate), STEP_MS, ropePosition)
+    scores.push(ai.getScore())
+  }
+  return scores
+}
+
+describe('createSeededRandom', () => {
+  it('gives the same sequence for the same seed', () => {
+    const a = createSeededRandom(42)
+    const b = createSeededRandom(42)
+    const first = Array.from({ length: 20 }, a)
+    expect(Array.from({ length: 20 }, b)).toEqual(first)
+    expect(first.every(value => value >= 0 && value < 1)).toBe(true)
+  })
+
+  it('gives different sequences for different seeds', () => {
+    const a = createSeededRandom(1)
+    const b = createSeededRandom(2)
+    expect(Array.from({ length: 5 }, a)).not.toEqual(Array.from({ length: 5 }, b))
+  })
+})
+
+describe('AIOpponent', () => {
+  it('replays a match exactly from the same seed and inputs', () => {
+    const options = { seed: 1234, difficulty: 'hard', personality: 'sprinter' }
+    const first = play(new AIOpponent(options), 30000, { userRate: 2 })
+    const second = play(new AIOpponent(options), 30000, { userRate: 2 })
+    expect(second).toEqual(first)
+  })
+
+  it('replays the match again after reset', () => {
+    const ai = new AIOpponent({ seed: 99, personality: 'closer' })
+    const first = play(ai, 20000)
+    ai.reset()
+    expect(ai.getScore()).toBe(0)
+    expect(play(ai, 20000)).toEqual(first)
+  })
+
+  it('plays a different match with another seed', () => {
+    const first = play(new AIOpponent({ seed: 1, personality: 'sprinter' }), 30000)
+    const second = play(new AIOpponent({ seed: 2, personality: 'sprinter' }), 30000)
+    expect(second).not.toEqual(first)
+  })
+
+  it('pulls at about its difficulty rate when steady', () => {
+    const scores = play(new AIOpponent({ seed: 7, difficulty: 'normal' }), 60000)
+    // Normal is 1.6 wiggles per second
+    expect(scores.at(-1)).toBeGreaterThan(80)
+    expect(scores.at(-1)).toBeLessThan(110)
+  })
+
+  it('measures time with its clock when no deltaTime is given, from a first reading of 0', () => {
+    let now = 0
+    const clocked = new AIOpponent({ seed: 5, clock: () => now })
+    const stepped = new AIOpponent({ seed: 5 })
+    clocked.update(0)
+    stepped.update(0, 0)
+    for (let step = 1; step <= 100; step++) {
+      now = step * STEP_MS
+      clocked.update(0)
+      stepped.update(0, STEP_MS)
+      expect(clocked.getScore()).toBe(stepped.getScore())
+    }
+    expect(clocked.getScore()).toBeGreaterThan(0)
+    expect(clocked.getAdaptationCurve().samples.map(sample => sample.t)).toEqual(
+      stepped.getAdaptationCurve().samples.map(sample => sample.t)
+    )
+  })
+
+  it('follows your pace as a taunter', () => {
+    const idle = play(new AIOpponent({ seed: 3, personality: 'taunter' }), 30000, { userRate: 0 })
+    const chased = play(new AIOpponent({ seed: 3, personality: 'taunter' }), 30000, { userRate: 4 })
+    expect(chased.at(-1)).toBeGreaterThan(idle.at(-1) * 2)
+  })
+
+  it('pulls harder as an adaptive AI when the rope is away from its target', () => {
+    const losing = play(new AIOpponent({ seed: 8, personality: 'adaptive' }), 20000, { userRate: 2, ropePosition: 20 })
+    const winning = play(new AIOpponent({ seed: 8, personality: 'adaptive' }), 20000, { userRate: 2, ropePosition: 80 })
+    expect(losing.at(-1)).toBeGreaterThan(winning.at(-1))
+  })
+
+  it('records an adaptation curve sample every half second of play', () => {
+    const ai = new AIOpponent({ seed: 11, personality: 'adaptive' })
+    play(ai, 5000, { userRate: 2, ropePosition: 50 })
+    const curve = ai.getAdaptationCurve()
+    expect(curve.seed).toBe(11)
+    expect(curve.samples.length).toBe(10)
+    expect(curve.samples[0].winProbability).toBeCloseTo(0.5)
+  })
+})
+
+describe('winProbability', () => {
+  it('is even at the center and inverted by ropeTargetFor', () => {
+    expect(winProbability(50)).toBe(0.5)
+    expect(winProbability(ropeTargetFor(0.7))).toBeCloseTo(0.7)
+    expect(winProbability(70)).toBeGreaterThan(winProbability(60))
+  })
+})
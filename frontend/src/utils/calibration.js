@@ -0,0 +1,151 @@
+/**
+ * Calibration - Derives per-player MovementCounter thresholds and a minimum
+ * mouth-opening ratio from samples taken while the player holds their tongue
+ * center, left and right
+ */
+
+export const CALIBRATION_PHASES = [
+  { id: 'center', label: 'Center', instruction: 'Stick your tongue straight out and hold it in the middle' },
+  { id: 'left', label: 'Left', instruction: 'Hold your tongue out to the left' },
+  { id: 'right', label: 'Right', instruction: 'Hold your tongue out to the right' }
+]
+
+// Counter thresholds for a player who hasn't calibrated: symmetric and the same for every player,
+// since where a player sits in front of the camera doesn't change how far their tongue moves
+export const DEFAULT_THRESHOLDS = { leftThreshold: -0.0003, rightThreshold: 0.0003 }
+
+// Opening ratio used while collecting samples, so partially open mouths still produce detections
+export const CALIBRATION_MIN_OPENING_RATIO = 0.15
+
+/**
+ * Mean and standard deviation of a list of numbers
+ */
+function describe(values) {
+  if (values.length === 0) {
+    return { mean: 0, std: 0, count: 0 }
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length
+  const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length
+  return { mean, std: Math.sqrt(variance), count: values.length }
+}
+
+/**
+ * Value at a given percentile (0-1) of a list of numbers
+ */
+function percentile(values, p) {
+  if (values.length === 0) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.floor(p * (sorted.length - 1))))
+  return sorted[index]
+}
+
+/**
+ * Collects samples for one player and computes thresholds from them
+ */
+export class CalibrationSession {
+  constructor(options = {}) {
+    // Minimum samples per phase for a usable calibration
+    this.minSamples = options.minSamples || 10
+    // Thresholds sit this far (0-1) from the center mean towards each side mean
+    this.thresholdPosition = options.thresholdPosition || 0.5
+    // Required separation between a side and center, in pooled standard deviations
+    this.minSeparation = options.minSeparation || 2
+    // Fraction of the observed low opening ratio kept as the minimum
+    this.openingMargin = options.openingMargin || 0.8
+
+    this.phase = null
+    this.samples = { center: [], left: [], right: [] }
+    this.openingRatios = []
+  }
+
+  /**
+   * Set the phase being recorded (null pauses collection)
+   */
+  setPhase(phase) {
+    this.phase = phase
+  }
+
+  /**
+   * Add a sample for the current phase
+   */
+  addSample(relativeX, openingRatio) {
+    if (!this.phase || !this.samples[this.phase]) return
+    if (relativeX === null || relativeX === undefined || Number.isNaN(relativeX)) return
+
+    this.samples[this.phase].push(relativeX)
+    if (openingRatio !== undefined && openingRatio !== null) {
+      this.openingRatios.push(openingRatio)
+    }
+  }
+
+  /**
+   * Number of samples collected per phase
+   */
+  getSampleCounts() {
+    return {
+      center: this.samples.center.length,
+      left: this.samples.left.length,
+      right: this.samples.right.length
+    }
+  }
+
+  /**
+   * Compute thresholds from the collected samples
+   * Returns null when a phase has too few samples
+   */
+  computeThresholds() {
+    const center = describe(this.samples.center)
+    let left = describe(this.samples.left)
+    let right = describe(this.samples.right)
+
+    if (center.count < this.minSamples || left.count < this.minSamples || right.count < this.minSamples) {
+      return null
+    }
+
+    // Mirroring or head angle can flip the sign convention; the counter only
+    // needs one low and one high threshold, so order the sides by value
+    const swapped = left.mean > right.mean
+    if (swapped) {
+      [left, right] = [right, left]
+    }
+
+    const leftThreshold = center.mean + (left.mean - center.mean) * this.thresholdPosition
+    const rightThreshold = center.mean + (right.mean - center.mean) * this.thresholdPosition
+
+    // Separation of each side from center in units of pooled noise
+    const separation = (side) => {
+      const pooledStd = Math.sqrt((center.std * center.std + side.std * side.std) / 2) || Number.EPSILON
+      return Math.abs(side.mean - center.mean) / pooledStd
+    }
+    const leftSeparation = separation(left)
+    const rightSeparation = separation(right)
+
+    const lowOpening = percentile(this.openingRatios, 0.1)
+    const minOpeningRatio = Math.min(0.5, Math.max(CALIBRATION_MIN_OPENING_RATIO, lowOpening * this.openingMargin))
+
+    return {
+      leftThreshold,
+      rightThreshold,
+      minOpeningRatio,
+      reliable: leftSeparation >= this.minSeparation && rightSeparation >= this.minSeparation,
+      swapped,
+      stats: {
+        center,
+        left,
+        right,
+        leftSeparation,
+        rightSeparation,
+        lowOpening
+      }
+    }
+  }
+
+  /**
+   * Clear all samples
+   */
+  reset() {
+    this.phase = null
+    this.samples = { center: [], left: [], right: [] }
+    this.openingRatios = []
+  }
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest'
+import { CalibrationSession, CALIBRATION_MIN_OPENING_RATIO, DEFAULT_THRESHOLDS } from './calibration'
+
+// Record `count` samples for a phase, alternating `spread` either side of `mean`
+function record(session, phase, mean, { count = 10, spread = 0.0001, openingRatio = 0.4 } = {}) {
+  session.setPhase(phase)
+  for (let i = 0; i < count; i++) {
+    session.addSample(mean + (i % 2 === 0 ? spread : -spread), openingRatio)
+  }
+  session.setPhase(null)
+}
+
+function calibrated(options, { center = 0, left = -0.004, right = 0.004, spread } = {}) {
+  const session = new CalibrationSession(options)
+  record(session, 'center', center, { spread })
+  record(session, 'left', left, { spread })
+  record(session, 'right', right, { spread })
+  return session
+}
+
+describe('DEFAULT_THRESHOLDS', () => {
+  it('is symmetric around the center', () => {
+    expect(DEFAULT_THRESHOLDS.leftThreshold).toBe(-DEFAULT_THRESHOLDS.rightThreshold)
+    expect(DEFAULT_THRESHOLDS.rightThreshold).toBeGreaterThan(0)
+  })
+})
+
+describe('CalibrationSession', () => {
+  it('puts each threshold halfway between the center and that side', () => {
+    const result = calibrated({}, { center: 0.001, left: -0.003, right: 0.005 }).computeThresholds()
+    expect(result.leftThreshold).toBeCloseTo(-0.001)
+    expect(result.rightThreshold).toBeCloseTo(0.003)
+    expect(result.reliable).toBe(true)
+    expect(result.swapped).toBe(false)
+  })
+
+  it('moves the thresholds with thresholdPosition', () => {
+    const result = calibrated({ thresholdPosition: 0.25 }).computeThresholds()
+    expect(result.leftThreshold).toBeCloseTo(-0.001)
+    expect(result.rightThreshold).toBeCloseTo(0.001)
+  })
+
+  it('orders the sides by value when the sign convention is flipped', () => {
+    const result = calibrated({}, { left: 0.004, right: -0.004 }).computeThresholds()
+    expect(result.swapped).toBe(true)
+    expect(result.leftThreshold).toBeCloseTo(-0.002)
+    expect(result.rightThreshold).toBeCloseTo(0.002)
+  })
+
+  it('is unreliable when a side is within the noise of the center', () => {
+    const result = calibrated({}, { left: -0.0002, right: 0.004, spread: 0.0002 }).computeThresholds()
+    expect(result.stats.leftSeparation).toBeLessThan(2)
+    expect(result.stats.rightSeparation).toBeGreaterThanOrEqual(2)
+    expect(result.reliable).toBe(false)
+  })
+
+  it('needs minSamples in every phase', () => {
+    const session = new CalibrationSession()
+    record(session, 'center', 0)
+    record(session, 'left', -0.004)
+    record(session, 'right', 0.004, { count: 9 })
+    expect(session.getSampleCounts()).toEqual({ center: 10, left: 10, right: 9 })
+    expect(session.computeThresholds()).toBeNull()
+  })
+
+  it('ignores samples while paused and samples without a position', () => {
+    const session = new CalibrationSession()
+    session.addSample(0.001, 0.4)
+    session.setPhase('center')
+    session.addSample(null, 0.4)
+    session.addSample(NaN, 0.4)
+    session.addSample(0.002, 0.4)
+    expect(session.getSampleCounts()).toEqual({ center: 1, left: 0, right: 0 })
+
+    session.reset()
+    expect(session.getSampleCounts()).toEqual({ center: 0, left: 0, right: 0 })
+    // Reset also pauses collection
+    session.addSample(0.001, 0.4)
+    expect(session.getSampleCounts().center).toBe(0)
+  })
+
+  it('keeps a margin below the low opening ratio, within bounds', () => {
+    const wide = calibrated().computeThresholds()
+    expect(wide.minOpeningRatio).toBeCloseTo(0.32)
+
+    const session = new CalibrationSession()
+    record(session, 'center', 0, { openingRatio: 0.1 })
+    record(session, 'left', -0.004, { openingRatio: 0.1 })
+    record(session, 'right', 0.004, { openingRatio: 0.1 })
+    expect(session.computeThresholds().minOpeningRatio).toBe(CALIBRATION_MIN_OPENING_RATIO)
+  })
+})
@@ -0,0 +1,184 @@
+/**
+ * Camera Devices - Camera enumeration, saved camera settings and getUserMedia error handling
+ */
+
+export const RESOLUTION_PRESETS = [
+  { id: '480p', label: '640 × 480', width: 640, height: 480 },
+  { id: '720p', label: '1280 × 720', width: 1280, height: 720 },
+  { id: '1080p', label: '1920 × 1080', width: 1920, height: 1080 }
+]
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  // null = browser default (front-facing) camera
+  deviceId: null,
+  resolution: '720p'
+}
+
+// Kinds of camera failure, each with a message and a hint on how to recover
+export const CAMERA_ERRORS = {
+  PERMISSION_DENIED: 'permission-denied',
+  DEVICE_BUSY: 'device-busy',
+  NOT_FOUND: 'not-found',
+  OVERCONSTRAINED: 'overconstrained',
+  DISCONNECTED: 'disconnected',
+  UNSUPPORTED: 'unsupported',
+  UNKNOWN: 'unknown'
+}
+
+const ERROR_DETAILS = {
+  [CAMERA_ERRORS.PERMISSION_DENIED]: {
+    message: 'Camera access was blocked',
+    hint: 'Allow camera access in the browser address bar, then retry.'
+  },
+  [CAMERA_ERRORS.DEVICE_BUSY]: {
+    message: 'Camera is in use by another app',
+    hint: 'Close other apps or tabs using the camera (video calls, OBS), then retry.'
+  },
+  [CAMERA_ERRORS.NOT_FOUND]: {
+    message: 'No camera found',
+    hint: 'Plug in a camera or pick another one in the camera settings, then retry.'
+  },
+  [CAMERA_ERRORS.OVERCONSTRAINED]: {
+    message: 'Camera does not support the selected settings',
+    hint: 'Pick a lower resolution or another camera, then retry.'
+  },
+  [CAMERA_ERRORS.DISCONNECTED]: {
+    message: 'Camera was disconnected',
+    hint: 'Reconnect the camera or pick another one, then retry.'
+  },
+  [CAMERA_ERRORS.UNSUPPORTED]: {
+    message: 'Camera access is not available in this browser',
+    hint: 'Use a recent Chrome, Edge or Firefox over https or localhost.'
+  },
+  [CAMERA_ERRORS.UNKNOWN]: {
+    message: 'Could not start the camera',
+    hint: 'Retry, or pick another camera in the camera settings.'
+  }
+}
+
+const STORAGE_KEY = 'tuggy-arena.camera'
+
+/**
+ * Describe a camera error kind: { kind, message, hint }
+ */
+export function describeCameraError(kind, detail = null) {
+  const details = ERROR_DETAILS[kind] || ERROR_DETAILS[CAMERA_ERRORS.UNKNOWN]
+  return { kind, message: details.message, hint: details.hint, detail }
+}
+
+/**
+ * Map a getUserMedia error to a camera error kind
+ * @returns {Object} { kind, message, hint, detail }
+ */
+export function classifyCameraError(error) {
+  switch (error?.name) {
+    case 'NotAllowedError':
+    case 'PermissionDeniedError':
+    case 'SecurityError':
+      return describeCameraError(CAMERA_ERRORS.PERMISSION_DENIED, error.message)
+    case 'NotReadableError':
+    case 'TrackStartError':
+    case 'AbortError':
+      return describeCameraError(CAMERA_ERRORS.DEVICE_BUSY, error.message)
+    case 'NotFoundError':
+    case 'DevicesNotFoundError':
+      return describeCameraError(CAMERA_ERRORS.NOT_FOUND, error.message)
+    case 'OverconstrainedError':
+    case 'ConstraintNotSatisfiedError':
+      // The selected camera itself is gone when the failing constraint is deviceId
+      if (error.constraint === 'deviceId') {
+        return describeCameraError(CAMERA_ERRORS.NOT_FOUND, 'Selected camera is not connected')
+      }
+      return describeCameraError(CAMERA_ERRORS.OVERCONSTRAINED, error.constraint ? `Unsupported ${error.constraint}` : error.message)
+    default:
+      if (!navigator.mediaDevices?.getUserMedia) {
+        return describeCameraError(CAMERA_ERRORS.UNSUPPORTED)
+      }
+      return describeCameraError(CAMERA_ERRORS.UNKNOWN, error?.message || null)
+  }
+}
+
+/**
+ * List connected cameras
+ * Labels are empty until camera permission is granted, so a numbered fallback is used
+ * @returns {Promise<Array>} [{ deviceId, label }]
+ */
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return []
+
+  const devices = await navigator.mediaDevices.enumerateDevices()
+  return devices
+    .filter(device => device.kind === 'videoinput')
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `Camera ${index + 1}`
+    }))
+}
+
+/**
+ * Call listener whenever cameras are plugged in or removed
+ * @returns {Function} Unsubscribe
+ */
+export function watchCameras(listener) {
+  if (!navigator.mediaDevices?.addEventListener) return () => {}
+
+  navigator.mediaDevices.addEventListener('devicechange', listener)
+  return () => navigator.mediaDevices.removeEventListener('devicechange', listener)
+}
+
+/**
+ * Load saved camera settings (defaults when nothing is saved or storage is unavailable)
+ */
+export function loadCameraSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return { ...DEFAULT_CAMERA_SETTINGS, ...saved }
+  } catch {
+    return { ...DEFAULT_CAMERA_SETTINGS }
+  }
+}
+
+/**
+ * Save camera settings
+ */
+export function saveCameraSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      deviceId: settings.deviceId || null,
+      resolution: settings.resolution || DEFAULT_CAMERA_SETTINGS.resolution
+    }))
+  } catch {
+    // Private mode / storage full - settings just won't persist
+  }
+}
+
+/**
+ * Build getUserMedia video constraints from camera settings
+ * A chosen camera is required exactly; the resolution is only a preference
+ */
+export function buildVideoConstraints(settings = {}) {
+  const preset = RESOLUTION_PRESETS.find(option => option.id === settings.resolution) ||
+    RESOLUTION_PRESETS.find(option => option.id === DEFAULT_CAMERA_SETTINGS.resolution)
+
+  const constraints = {
+    width: { ideal: preset.width },
+    height: { ideal: preset.height }
+  }
+  if (settings.deviceId) {
+    constraints.deviceId = { exact: settings.deviceId }
+  } else {
+    constraints.facingMode = 'user'
+  }
+  return constraints
+}
+
+/**
+ * Open the camera with the given settings
+ * Rejects with the original getUserMedia error (see classifyCameraError)
+ */
+export function openCamera(settings = {}) {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    return Promise.reject(new Error('getUserMedia is not available'))
+  }
+  return navigator.mediaDevices.getUserMedia({ video: buildVideoConstraints(settings) })
+}
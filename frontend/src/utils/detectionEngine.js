@@ -0,0 +1,1035 @@
+import { FaceDetector } from './faceDetection'
+import { TongueDetector, DEFAULT_MODEL_URL } from './tongueDetector'
+import { TongueModelWorkerClient } from './tongueModelWorkerClient'
+import { TongueModelRunner } from './tongueModelRunner'
+import { isWorkerInferenceSupported } from './faceMeshWorkerClient'
+import { TongueTracker } from './tongueTracker'
+import { MovementCounter } from './movementCounter'
+import { SessionPlayer } from './sessionRecorder'
+import { CalibrationSession, CALIBRATION_MIN_OPENING_RATIO, DEFAULT_THRESHOLDS } from './calibration'
+import { GestureRecognizer } from './gestureRecognizer'
+import { FrameScheduler } from './frameScheduler'
+import { FaceIdentityTracker, FACE_STATUS } from './faceIdentityTracker'
+import { MAX_PLAYERS, buildTeams } from './teams'
+import { openCamera, classifyCameraError, describeCameraError, CAMERA_ERRORS } from './cameraDevices'
+import { isFaceCentered } from './readyCheck'
+
+// Options the per-player pipelines are built from; changing one rebuilds them (camera and FaceMesh stay up)
+// detectionMode / modelUrl are applied to the existing detectors instead, so calibrations survive
+const PIPELINE_OPTIONS = [
+  'playerThresholds', 'leftThreshold', 'rightThreshold', 'minOpeningRatio', 'compensateHeadPose',
+  'smoothingWindow', 'filter', 'filterParams', 'minConfidence',
+  'minHoldFrames', 'minHoldMs', 'refractoryMs', 'hysteresis', 'gestureOptions', 'faceTracking'
+]
+const SCHEDULER_OPTIONS = ['targetFps', 'adaptiveResolution', 'minInputScale']
+
+// Frames failing one after another before face tracking is reported as stopped (about a second at 30 FPS)
+const MAX_FRAME_ERRORS = 30
+
+/**
+ * State of a player before any frame was processed
+ */
+export function initialPlayerState() {
+  return {
+    count: 0,
+    tongueState: 'CENTER',
+    lastGesture: null,
+    calibration: null,
+    faceStatus: FACE_STATUS.WAITING,
+    faceCentered: false,
+    tongueOut: false
+  }
+}
+
+function pickKey(options, names) {
+  return JSON.stringify(names.map(name => options[name] ?? null))
+}
+
+/**
+ * Resolves once the video knows its frame size
+ */
+function waitForMetadata(video) {
+  return new Promise((resolve, reject) => {
+    if (video.readyState >= 1) {
+      resolve()
+      return
+    }
+    const onLoadedMetadata = () => {
+      video.removeEventListener('loadedmetadata', onLoadedMetadata)
+      video.removeEventListener('error', onError)
+      resolve()
+    }
+    const onError = (err) => {
+      video.removeEventListener('loadedmetadata', onLoadedMetadata)
+      video.removeEventListener('error', onError)
+      reject(err)
+    }
+    video.addEventListener('loadedmetadata', onLoadedMetadata)
+    video.addEventListener('error', onError)
+  })
+}
+
+/**
+ * Detection Engine - Camera, FaceMesh and one detection pipeline per player, without React
+ * The camera stream and FaceMesh outlive pause() and configure(), so switching player count,
+ * thresholds or detection mode doesn't reopen the camera or reload the model
+ * In the model detection modes the TF.js tongue model runs in its own worker where supported
+ * (see TongueModelWorkerClient), otherwise on the main thread (see TongueModelRunner); either way it
+ * is loaded once and every player's detector gets its detections
+ *
+ * Options (all optional, change them later with configure):
+ * - playerCount: 1 to 4 (default 1); faces keep their player slot across frames when there are several
+ * - teams: [leftTeam, rightTeam] player indices (default: left half vs right half, see buildTeams)
+ * - playerThresholds / leftThreshold / rightThreshold: counter fallbacks used when not calibrated (default DEFAULT_THRESHOLDS)
+ * - source: 'camera' (default) or 'replay' with replaySession (replaySpeed, replayLoop)
+ * - detectionMode, modelUrl, compensateHeadPose, minOpeningRatio: tongue detection (see TongueDetector)
+ * - filter, filterParams, smoothingWindow, minConfidence: tracking (see TongueTracker)
+ * - minHoldFrames, minHoldMs, refractoryMs, hysteresis: counting (see MovementCounter)
+ * - gestureOptions, faceTracking, targetFps, adaptiveResolution, minInputScale, useWorker, assetBase
+ * - cameraDeviceId / cameraResolution: camera to open (a change reopens it on the next start)
+ *
+ * State (getState / subscribe): { isActive, isDetecting, error, cameraError, assetStatus, detectionMode,
+ * metrics, detectedFaces, isRecording, players: [{ count, tongueState, lastGesture, calibration, faceStatus,
+ * faceCentered, tongueOut }] } - faceCentered / tongueOut feed the pre-match ready check (see readyCheck)
+ * Players are numbered from 1 in events and methods taking a player (gesture event.player, getTransitionLog)
+ */
+export class DetectionEngine {
+  constructor(options = {}) {
+    this.options = {}
+    this.listeners = new Set()
+    this.gestureListeners = new Set()
+    this.state = {
+      isActive: false,
+      isDetecting: false,
+      error: null,
+      cameraError: null,
+      assetStatus: null,
+      detectionMode: 'landmarks',
+      metrics: null,
+      detectedFaces: 0,
+      isRecording: false,
+      players: [initialPlayerState()]
+    }
+
+    this.faceDetector = null
+    this.faceMeshLoading = null
+    this.pipelines = []
+    this.pipelineKey = null
+    this.preparing = null
+    this.faceIdentityTracker = null
+    this.frameScheduler = null
+    this.schedulerKey = null
+    // Shared tongue model (worker or main thread, model modes only), the setup it was loaded for, why it
+    // didn't load, and the detector setup the pipelines were made for
+    this.tongueModel = null
+    this.tongueModelKey = null
+    this.tongueModelError = null
+    this.tongueWorkerFailed = false
+    this.detectorKey = null
+    // Frames in a row FaceMesh failed on
+    this.frameErrors = 0
+    // Players' work on the last FaceMesh results (model inference is async), awaited before the next frame
+    this.resultsWork = null
+
+    this.stream = null
+    this.cameraKey = null
+    this.video = null
+    this.canvas = null
+    this.ownVideo = null
+    this.replayPlayer = null
+    this.animationFrame = null
+    this.running = false
+    // Bumped by every start / pause, so a slow start that was superseded gives up
+    this.startAttempt = 0
+
+    // Bound so they can be passed around as plain callbacks (e.g. to useSyncExternalStore)
+    this.subscribe = this.subscribe.bind(this)
+    this.getState = this.getState.bind(this)
+    this.handleResults = this.handleResults.bind(this)
+    this.processFrame = this.processFrame.bind(this)
+
+    this.configure(options)
+  }
+
+  /**
+   * Change options; pipelines are rebuilt right away while running, otherwise on the next start
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options }
+    this.teams = this.options.teams || buildTeams(this.getPlayerCount())
+    // Until the pipelines are rebuilt on start, there is still a player entry for every configured player
+    const count = this.getPlayerCount()
+    if (!this.running && this.state.players.length !== count) {
+      this.setState({ players: Array.from({ length: count }, (_, index) => this.state.players[index] || initialPlayerState()) })
+    }
+    if (this.running && this.options.source !== 'replay') {
+      this.preparePipelines().catch(err => this.setState({ error: err.message }))
+    }
+  }
+
+  getPlayerCount() {
+    return Math.min(MAX_PLAYERS, Math.max(1, this.options.playerCount || 1))
+  }
+
+  getTeams() {
+    return this.teams
+  }
+
+  getState() {
+    return this.state
+  }
+
+  /**
+   * Listen for state changes; the listener gets the new state
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.unsubscribe(listener)
+  }
+
+  unsubscribe(listener) {
+    this.listeners.delete(listener)
+  }
+
+  /**
+   * Listen for gesture events from every player (event.player is 1 to playerCount)
+   * @returns {Function} Unsubscribe
+   */
+  subscribeGestures(listener) {
+    this.gestureListeners.add(listener)
+    return () => {
+      this.gestureListeners.delete(listener)
+    }
+  }
+
+  /**
+   * Merge changes into the state and notify listeners (nothing happens when nothing changed)
+   */
+  setState(changes) {
+    if (Object.keys(changes).every(key => this.state[key] === changes[key])) return
+    this.state = { ...this.state, ...changes }
+    this.listeners.forEach(listener => listener(this.state))
+  }
+
+  updatePlayer(index, changes) {
+    const player = this.state.players[index]
+    if (!player || Object.keys(changes).every(key => player[key] === changes[key])) return
+    const players = [...this.state.players]
+    players[index] = { ...player, ...changes }
+    this.setState({ players })
+  }
+
+  /**
+   * Video and canvas to show the camera in; without a video the engine uses a hidden one of its own
+   */
+  setView(video, canvas) {
+    const nextVideo = video || null
+    if (this.video && this.video !== nextVideo && this.stream && this.video.srcObject === this.stream) {
+      this.video.srcObject = null
+    }
+    this.video = nextVideo
+    this.canvas = canvas || null
+
+    // Already streaming: move the picture to the new element
+    if (this.running && this.stream) {
+      this.showStream(this.getVideo()).catch(() => {})
+    }
+  }
+
+  getVideo() {
+    if (this.video) return this.video
+    if (!this.ownVideo) {
+      this.ownVideo = document.createElement('video')
+      this.ownVideo.muted = true
+      this.ownVideo.playsInline = true
+    }
+    return this.ownVideo
+  }
+
+  /**
+   * Fallback counter thresholds for a player (used when not calibrated; DEFAULT_THRESHOLDS unless configured)
+   */
+  getDefaultThresholds(index) {
+    const playerThresholds = this.options.playerThresholds?.[index] || {}
+    return {
+      leftThreshold: playerThresholds.leftThreshold ?? this.options.leftThreshold ?? DEFAULT_THRESHOLDS.leftThreshold,
+      rightThreshold: playerThresholds.rightThreshold ?? this.options.rightThreshold ?? DEFAULT_THRESHOLDS.rightThreshold
+    }
+  }
+
+  getPipelineKey() {
+    return `${this.getPlayerCount()}:${pickKey(this.options, PIPELINE_OPTIONS)}`
+  }
+
+  /**
+   * Build one detection pipeline per player
+   * FaceMesh and the frame scheduler are shared, so this is cheap enough to redo on every reconfiguration
+   */
+  async buildPipelines() {
+    const options = this.options
+    const count = this.getPlayerCount()
+    const key = this.getPipelineKey()
+    const pipelines = []
+    for (let index = 0; index < count; index++) {
+      const tongueDetector = new TongueDetector({
+        minOpeningRatio: options.minOpeningRatio,
+        compensateHeadPose: options.compensateHeadPose
+      })
+
+      const thresholds = this.getDefaultThresholds(index)
+      pipelines.push({
+        tongueDetector,
+        tongueTracker: new TongueTracker({
+          smoothingWindow: options.smoothingWindow || 5,
+          filter: options.filter,
+          filterParams: options.filterParams,
+          minConfidence: options.minConfidence || 0.3
+        }),
+        movementCounter: new MovementCounter({
+          leftThreshold: thresholds.leftThreshold,
+          rightThreshold: thresholds.rightThreshold,
+          minHoldFrames: options.minHoldFrames !== undefined ? options.minHoldFrames : 1,
+          minHoldMs: options.minHoldMs,
+          refractoryMs: options.refractoryMs,
+          hysteresis: options.hysteresis
+        }),
+        gestureRecognizer: new GestureRecognizer(options.gestureOptions),
+        calibration: null,
+        // Last error the pipeline threw, until it processes a frame again
+        error: null
+      })
+    }
+    await this.initializeTongueDetectors(pipelines)
+
+    this.pipelines.forEach(pipeline => pipeline.tongueDetector.dispose())
+    this.pipelines = pipelines
+    this.pipelineKey = key
+    // A single player just takes the first face, there is no one to mix them up with
+    this.faceIdentityTracker = count > 1 ? new FaceIdentityTracker({ ...options.faceTracking, slotCount: count }) : null
+    this.faceDetector?.setMaxNumFaces(count)
+    this.setState({
+      players: Array.from({ length: count }, initialPlayerState),
+      detectionMode: pipelines[0].tongueDetector.getMode()
+    })
+  }
+
+  /**
+   * Make sure the pipelines match the current options
+   * Concurrent callers share one run, which repeats if the options change while detectors load
+   */
+  preparePipelines() {
+    if (!this.preparing) {
+      this.preparing = this.syncPipelines().finally(() => {
+        this.preparing = null
+      })
+    }
+    return this.preparing
+  }
+
+  async syncPipelines() {
+    while (this.pipelineKey !== this.getPipelineKey()) {
+      await this.buildPipelines()
+    }
+
+    if (this.detectorKey !== this.getDetectorKey()) {
+      await this.initializeTongueDetectors(this.pipelines)
+      this.setState({ detectionMode: this.pipelines[0].tongueDetector.getMode() })
+    }
+  }
+
+  getDetectorKey() {
+    return JSON.stringify([this.options.detectionMode || 'landmarks', this.options.modelUrl ?? null, this.tongueWorkerFailed])
+  }
+
+  /**
+   * Set the pipelines' tongue detectors up for the configured detection mode
+   * Landmark heuristics by default; 'model' / 'fused' fall back to heuristics if the model can't load
+   */
+  async initializeTongueDetectors(pipelines) {
+    const key = this.getDetectorKey()
+    const mode = this.options.detectionMode || 'landmarks'
+    await this.prepareTongueModel(mode, pipelines[0].tongueDetector.getModelOptions())
+    for (const pipeline of pipelines) {
+      await pipeline.tongueDetector.initialize(mode, {
+        externalModel: Boolean(this.tongueModel),
+        modelError: this.tongueModelError || 'No tongue model configured'
+      })
+    }
+    this.detectorKey = key
+  }
+
+  /**
+   * Load the tongue model for the model modes, once for all players: in its worker where supported,
+   * otherwise (or after the worker failed) on the main thread; none in landmarks mode
+   */
+  async prepareTongueModel(mode, modelOptions) {
+    const modelUrl = mode === 'landmarks' ? null : (this.options.modelUrl || DEFAULT_MODEL_URL)
+    const useWorker = !this.tongueWorkerFailed && (this.options.useWorker ?? isWorkerInferenceSupported())
+    const key = JSON.stringify([modelUrl, useWorker])
+    if (this.tongueModelKey === key) return
+
+    this.closeTongueModel()
+    this.tongueModelKey = key
+    if (!modelUrl) return
+
+    if (useWorker) {
+      const client = new TongueModelWorkerClient({
+        onFatalError: (error) => this.handleTongueWorkerLost(client, error)
+      })
+      try {
+        await client.load(modelUrl, modelOptions)
+        this.tongueModel = client
+        return
+      } catch (err) {
+        console.warn('Tongue model worker unavailable, running the model on the main thread:', err)
+        client.close()
+      }
+    }
+
+    const runner = new TongueModelRunner()
+    try {
+      await runner.load(modelUrl, modelOptions)
+      this.tongueModel = runner
+    } catch (err) {
+      console.warn('Tongue model could not load, using landmark heuristics:', err)
+      runner.close()
+      this.tongueModelError = err.message
+    }
+  }
+
+  closeTongueModel() {
+    if (this.tongueModel) {
+      this.tongueModel.close()
+      this.tongueModel = null
+    }
+    this.tongueModelKey = null
+    this.tongueModelError = null
+  }
+
+  /**
+   * The tongue model worker died mid-session: load the model on the main thread instead
+   */
+  handleTongueWorkerLost(client, error) {
+    if (this.tongueModel !== client) return
+
+    console.warn('Tongue model worker stopped, running the model on the main thread:', error)
+    this.tongueModel = null
+    this.tongueModelKey = null
+    this.tongueWorkerFailed = true
+    this.preparePipelines().catch(err => this.setState({ error: err.message }))
+  }
+
+  ensureFaceDetector() {
+    if (!this.faceDetector) {
+      this.faceDetector = new FaceDetector({
+        useWorker: this.options.useWorker,
+        assetBase: this.options.assetBase,
+        maxNumFaces: this.getPlayerCount(),
+        onProgress: (assetStatus) => this.setState({ assetStatus }),
+        // The worker died and FaceMesh now runs on the main thread: frames are going through again
+        onFallback: () => {
+          this.frameErrors = 0
+        },
+        onError: (err) => {
+          this.pause()
+          this.setState({ error: err.message })
+        }
+      })
+    }
+    return this.faceDetector
+  }
+
+  /**
+   * Load FaceMesh once; later starts reuse it
+   */
+  async ensureFaceMesh() {
+    const faceDetector = this.ensureFaceDetector()
+    if (faceDetector.isInitialized) return
+
+    if (!this.faceMeshLoading) {
+      this.faceMeshLoading = faceDetector.initialize(this.handleResults)
+        // Give MediaPipe a moment to be fully ready
+        .then(() => new Promise(resolve => setTimeout(resolve, 100)))
+        .finally(() => {
+          this.faceMeshLoading = null
+        })
+    }
+    await this.faceMeshLoading
+  }
+
+  ensureScheduler() {
+    const key = pickKey(this.options, SCHEDULER_OPTIONS)
+    if (this.frameScheduler && this.schedulerKey === key) return
+
+    this.frameScheduler = new FrameScheduler({
+      targetFps: this.options.targetFps,
+      adaptiveResolution: this.options.adaptiveResolution,
+      minInputScale: this.options.minInputScale,
+      onMetrics: (metrics) => this.setState({ metrics })
+    })
+    this.schedulerKey = key
+  }
+
+  /**
+   * Open the configured camera, reusing the open stream when the camera settings haven't changed
+   */
+  async openStream() {
+    const key = JSON.stringify([this.options.cameraDeviceId ?? null, this.options.cameraResolution ?? null])
+    if (this.stream && this.stream.active && this.cameraKey === key) {
+      return this.stream
+    }
+    this.closeStream()
+
+    // Failures get a specific, recoverable camera error
+    let stream
+    try {
+      stream = await openCamera({ deviceId: this.options.cameraDeviceId, resolution: this.options.cameraResolution })
+    } catch (cameraErr) {
+      const classified = classifyCameraError(cameraErr)
+      this.setState({ cameraError: classified })
+      throw new Error(classified.message)
+    }
+
+    // Camera unplugged mid-session: stop tracking and report it
+    stream.getVideoTracks().forEach(track => {
+      track.addEventListener('ended', () => {
+        if (this.stream !== stream) return
+        this.stop()
+        const disconnected = describeCameraError(CAMERA_ERRORS.DISCONNECTED)
+        this.setState({ cameraError: disconnected, error: disconnected.message })
+      })
+    })
+
+    this.stream = stream
+    this.cameraKey = key
+    return stream
+  }
+
+  closeStream() {
+    if (!this.stream) return
+    this.stream.getTracks().forEach(track => track.stop())
+    for (const video of [this.video, this.ownVideo]) {
+      if (video && video.srcObject === this.stream) {
+        video.srcObject = null
+      }
+    }
+    this.stream = null
+    this.cameraKey = null
+  }
+
+  async showStream(video) {
+    if (video.srcObject !== this.stream) {
+      video.srcObject = this.stream
+    }
+    await waitForMetadata(video)
+    try {
+      await video.play()
+    } catch {
+      // Ignore AbortError - it means play was interrupted, which is fine
+    }
+  }
+
+  /**
+   * Start (or resume) detection
+   * Errors are reported through state.error / state.cameraError
+   * @returns {Promise<boolean>} Whether detection is running
+   */
+  async start() {
+    const attempt = ++this.startAttempt
+    try {
+      if (this.options.source === 'replay') {
+        await this.startReplay()
+        return true
+      }
+
+      this.stopLoop()
+      await this.ensureFaceMesh()
+      await this.preparePipelines()
+      this.ensureScheduler()
+
+      await this.openStream()
+      await this.showStream(this.getVideo())
+      if (attempt !== this.startAttempt) return false // Paused or restarted meanwhile
+
+      this.running = true
+      this.setState({ isActive: true, isDetecting: true, error: null, cameraError: null })
+      this.frameScheduler.reset()
+      this.resetFaceTracking()
+      this.processFrame()
+      return true
+    } catch (err) {
+      if (attempt !== this.startAttempt) return false
+      this.running = false
+      this.stopLoop()
+      this.setState({ error: err.message, isActive: false, isDetecting: false })
+      return false
+    }
+  }
+
+  /**
+   * Reopen the camera after a camera error (e.g. once permission was granted or the camera was freed)
+   */
+  retry() {
+    this.stop()
+    this.setState({ cameraError: null, error: null })
+    return this.start()
+  }
+
+  /**
+   * Feed a recorded session through the pipelines instead of the camera
+   */
+  async startReplay() {
+    if (!this.options.replaySession) {
+      throw new Error('No session loaded to replay')
+    }
+
+    // Replays only need the landmark helpers, FaceMesh is set up on the first camera start
+    this.stopLoop()
+    this.closeStream()
+    this.ensureFaceDetector()
+    await this.preparePipelines()
+    this.ensureScheduler()
+
+    const player = new SessionPlayer(this.options.replaySession, {
+      speed: this.options.replaySpeed !== undefined ? this.options.replaySpeed : 1,
+      loop: this.options.replayLoop || false,
+      onEnd: () => {
+        this.running = false
+        this.setState({ isActive: false, isDetecting: false })
+      }
+    })
+    this.replayPlayer = player
+
+    this.running = true
+    this.setState({ isActive: true, isDetecting: true, error: null })
+
+    // Replayed frames are paced by the recording, the scheduler only measures them
+    const scheduler = this.frameScheduler
+    scheduler.reset()
+    this.resetFaceTracking()
+    player.play((results) => {
+      scheduler.beginFrame()
+      Promise.resolve(this.handleResults(results)).finally(() => scheduler.endFrame())
+    })
+  }
+
+  stopLoop() {
+    if (this.replayPlayer) {
+      this.replayPlayer.stop()
+      this.replayPlayer = null
+    }
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame)
+      this.animationFrame = null
+    }
+  }
+
+  /**
+   * Stop detecting but keep the camera open, so start() resumes instantly
+   */
+  pause() {
+    this.startAttempt++
+    this.running = false
+    this.stopLoop()
+    this.setState({ isActive: false, isDetecting: false })
+  }
+
+  /**
+   * Stop detecting and close the camera
+   */
+  stop() {
+    this.pause()
+    this.closeStream()
+  }
+
+  /**
+   * Release the camera, FaceMesh and detectors; start() sets them up again
+   */
+  dispose() {
+    this.stop()
+    if (this.faceDetector) {
+      this.faceDetector.dispose()
+      this.faceDetector = null
+    }
+    this.pipelines.forEach(pipeline => pipeline.tongueDetector.dispose())
+    this.pipelines = []
+    this.pipelineKey = null
+    this.closeTongueModel()
+    this.detectorKey = null
+    this.setState({ isRecording: false })
+  }
+
+  /**
+   * Send one frame through FaceMesh and wait for every player's results, timed by the frame scheduler
+   * (which drops new frames until then, so model inference can't queue up or overlap for a player)
+   * A failed frame is skipped; when frames keep failing, tracking is reported as stopped in state.error
+   */
+  async detectFrame(video) {
+    const scheduler = this.frameScheduler
+    scheduler.beginFrame()
+    try {
+      await this.faceDetector.send(scheduler.getInput(video))
+      await this.resultsWork
+      if (this.frameErrors >= MAX_FRAME_ERRORS) {
+        this.setState({ error: null })
+      }
+      this.frameErrors = 0
+    } catch (err) {
+      this.frameErrors++
+      if (this.frameErrors === MAX_FRAME_ERRORS) {
+        this.setState({ error: `Face tracking stopped: ${err.message}` })
+      }
+    } finally {
+      this.resultsWork = null
+      scheduler.endFrame()
+    }
+  }
+
+  /**
+   * Frame loop: hand frames to FaceMesh at the scheduler's pace and draw the preview
+   */
+  processFrame() {
+    if (!this.running || !this.faceDetector) return
+
+    const video = this.getVideo()
+    const canvas = this.canvas
+    try {
+      const faceDetector = this.faceDetector
+      if (video.readyState === video.HAVE_ENOUGH_DATA && video.videoWidth > 0 && video.videoHeight > 0 &&
+        faceDetector.isInitialized && faceDetector.faceMesh) {
+        // Not awaited, so the preview keeps drawing while FaceMesh and the players' pipelines work
+        if (this.frameScheduler.shouldProcess()) {
+          this.detectFrame(video)
+        }
+
+        // Use displayed size (CSS dimensions) not source dimensions to avoid scaling mismatch
+        if (canvas) {
+          const rect = video.getBoundingClientRect()
+          canvas.width = rect.width
+          canvas.height = rect.height
+          canvas.getContext('2d').drawImage(video, 0, 0, rect.width, rect.height)
+        }
+      }
+    } catch {
+      // Keep the loop going
+    }
+    this.animationFrame = requestAnimationFrame(this.processFrame)
+  }
+
+  /**
+   * Deliver a player's gesture events to subscribers
+   */
+  emitGestures(events, index) {
+    if (events.length === 0) return
+
+    const tagged = events.map(event => ({ ...event, player: index + 1 }))
+    tagged.forEach(event => {
+      this.gestureListeners.forEach(listener => listener(event))
+    })
+    this.updatePlayer(index, { lastGesture: tagged[tagged.length - 1] })
+  }
+
+  /**
+   * Handle FaceMesh (or replayed) results - run every player's face through their pipeline
+   * Mouths are cropped before this returns; the returned promise settles once every player is done
+   */
+  handleResults(results) {
+    const pipelines = this.pipelines
+    if (pipelines.length === 0 || !this.faceDetector) return
+
+    // Replayed frames carry their own frame size and capture time
+    const video = this.getVideo()
+    const frameSize = results.frameSize || (video.videoWidth > 0
+      ? { width: video.videoWidth, height: video.videoHeight }
+      : null)
+    if (!frameSize) return
+
+    const videoWidth = frameSize.width
+    const videoHeight = frameSize.height
+    const timestamp = results.timestamp ?? Date.now()
+    const scheduler = this.frameScheduler
+    const resultsStart = performance.now()
+
+    const faces = results.multiFaceLandmarks || []
+    this.setState({ detectedFaces: faces.length })
+
+    // Mouths are cropped from the frame FaceMesh ran on, so they line up with its landmarks; that frame
+    // may be downscaled (see FrameScheduler) and is only valid during this call
+    const cropSource = results.image && results.image.width > 0 ? results.image : video
+    const cropScale = cropSource === video ? 1 : cropSource.width / videoWidth
+
+    // Faces keep their slot across frames; a missing face is held for the grace period
+    const tracking = this.faceIdentityTracker
+      ? this.faceIdentityTracker.update(faces, videoWidth, videoHeight, timestamp)
+      : { assignments: [faces[0] || null], statuses: [faces[0] ? FACE_STATUS.TRACKED : FACE_STATUS.WAITING] }
+
+    // Player not in view: center state, and gestures see the tongue as gone
+    const idle = (pipeline, index) => {
+      this.updatePlayer(index, { tongueState: 'CENTER', tongueOut: false })
+      this.emitGestures(pipeline.gestureRecognizer.update(null, timestamp), index)
+    }
+
+    const processPlayer = async (pipeline, index) => {
+      const landmarks = tracking.assignments[index]
+      this.updatePlayer(index, {
+        faceStatus: tracking.statuses[index],
+        faceCentered: isFaceCentered(landmarks, pipelines.length)
+      })
+      const mouthRegion = landmarks ? this.faceDetector.extractMouthRegion(landmarks, videoWidth, videoHeight) : null
+      if (!mouthRegion) {
+        idle(pipeline, index)
+        return
+      }
+
+      // Only the model modes need pixels, and there are none when replaying landmarks
+      const mouthCanvas = results.isReplay || pipeline.tongueDetector.getMode() === 'landmarks'
+        ? null
+        : this.faceDetector.cropMouthRegion(cropSource, mouthRegion, cropScale)
+
+      try {
+        const detectStart = performance.now()
+        // The shared model's detection is made once here and handed to the player's detector
+        const modelDetection = this.tongueModel && mouthCanvas
+          ? await this.tongueModel.detect(mouthCanvas, mouthRegion).catch(() => undefined)
+          : undefined
+        const detection = await pipeline.tongueDetector.detect(mouthRegion, mouthCanvas, videoWidth, videoHeight, modelDetection)
+        const stateStart = performance.now()
+        scheduler?.recordStage('detect', stateStart - detectStart)
+
+        if (!detection) {
+          idle(pipeline, index)
+          scheduler?.recordStage('state', performance.now() - stateStart)
+          this.clearPipelineError(pipeline)
+          return
+        }
+
+        const trackedPosition = pipeline.tongueTracker.update(detection, timestamp)
+
+        // Collect calibration samples while a calibration phase is running
+        if (pipeline.calibration && trackedPosition && detection.tongueOut) {
+          pipeline.calibration.addSample(trackedPosition.relativeX, detection.openingRatio)
+        }
+
+        this.emitGestures(
+          pipeline.gestureRecognizer.update(pipeline.tongueTracker.getVisibility() ? trackedPosition : null, timestamp),
+          index
+        )
+
+        // Only count while the tongue is out; otherwise the counter returns to center
+        const tongueOut = Boolean(trackedPosition && trackedPosition.isVisible && detection.tongueOut)
+        const counterResult = pipeline.movementCounter.update(
+          tongueOut ? trackedPosition.relativeX : (trackedPosition?.relativeX ?? null),
+          tongueOut,
+          timestamp
+        )
+        this.updatePlayer(index, tongueOut
+          ? { count: counterResult.count, tongueState: counterResult.state, tongueOut }
+          : { tongueState: counterResult.state, tongueOut })
+        scheduler?.recordStage('state', performance.now() - stateStart)
+        this.clearPipelineError(pipeline)
+      } catch (err) {
+        this.reportPipelineError(pipeline, index, err)
+      }
+    }
+
+    // Players run side by side; each crops its mouth before its first await, while the frame is valid
+    this.resultsWork = Promise.all(pipelines.map(processPlayer)).then(() => {
+      scheduler?.recordStage('results', performance.now() - resultsStart)
+    })
+    return this.resultsWork
+  }
+
+  /**
+   * A player's pipeline threw: their counting stalls, so say so in state.error (logged once per failure)
+   */
+  reportPipelineError(pipeline, index, err) {
+    const message = `Player ${index + 1} detection failed: ${err.message}`
+    if (pipeline.error !== message) {
+      console.error(message, err)
+      pipeline.error = message
+    }
+    this.setState({ error: message })
+  }
+
+  /**
+   * The player's pipeline works again: drop its error (unless something else was reported since)
+   */
+  clearPipelineError(pipeline) {
+    if (!pipeline.error) return
+    if (this.state.error === pipeline.error) {
+      this.setState({ error: null })
+    }
+    pipeline.error = null
+  }
+
+  /**
+   * Forget face assignments, so the next faces seen are assigned by position again
+   */
+  resetFaceTracking() {
+    this.faceIdentityTracker?.reset()
+    this.setState({ players: this.state.players.map(player => ({ ...player, faceStatus: FACE_STATUS.WAITING })) })
+  }
+
+  /**
+   * Start recording FaceMesh landmarks from the camera
+   */
+  startRecording() {
+    const faceDetector = this.faceDetector
+    if (!faceDetector || !faceDetector.isInitialized) return
+
+    const video = this.getVideo()
+    faceDetector.startRecording({
+      width: video.videoWidth || 0,
+      height: video.videoHeight || 0
+    })
+    this.setState({ isRecording: true })
+  }
+
+  /**
+   * Stop recording and return the recorded session
+   */
+  stopRecording() {
+    this.setState({ isRecording: false })
+    return this.faceDetector ? this.faceDetector.stopRecording() : null
+  }
+
+  /**
+   * Apply calibrated thresholds to each player's counter and detector
+   * results[i] is player i+1's calibration; null (or missing) restores that player's configured defaults
+   */
+  applyCalibration(results = []) {
+    const defaultMinOpening = this.options.minOpeningRatio || 0.3
+
+    this.pipelines.forEach((pipeline, index) => {
+      const result = results[index] || null
+      if (result) {
+        pipeline.movementCounter.setThresholds(result.leftThreshold, result.rightThreshold)
+        pipeline.tongueDetector.setMinOpeningRatio(result.minOpeningRatio)
+        pipeline.gestureRecognizer.setCenter(result.stats.center.mean)
+      } else {
+        const thresholds = this.getDefaultThresholds(index)
+        pipeline.movementCounter.setThresholds(thresholds.leftThreshold, thresholds.rightThreshold)
+        pipeline.tongueDetector.setMinOpeningRatio(defaultMinOpening)
+        pipeline.gestureRecognizer.setCenter(0)
+      }
+      this.updatePlayer(index, { calibration: result })
+    })
+  }
+
+  /**
+   * Start collecting calibration samples for every player
+   * The mouth-opening gate is relaxed so every held tongue position is sampled
+   */
+  beginCalibration() {
+    this.pipelines.forEach(pipeline => {
+      pipeline.calibration = new CalibrationSession()
+      pipeline.tongueDetector.setMinOpeningRatio(CALIBRATION_MIN_OPENING_RATIO)
+    })
+  }
+
+  /**
+   * Set the calibration phase being sampled ('center', 'left', 'right' or null to pause)
+   */
+  setCalibrationPhase(phase) {
+    this.pipelines.forEach(pipeline => {
+      pipeline.calibration?.setPhase(phase)
+    })
+  }
+
+  /**
+   * Finish calibration and apply each player's result
+   * A player without enough samples gets the configured defaults (null result); an unreliable result
+   * (sides hard to tell from center) is not applied, the player keeps the thresholds they had before
+   * @returns {Array} Calibration result (or null) per player, unreliable ones included
+   */
+  finishCalibration() {
+    const results = this.pipelines.map(pipeline => {
+      const result = pipeline.calibration ? pipeline.calibration.computeThresholds() : null
+      pipeline.calibration = null
+      return result
+    })
+
+    this.applyCalibration(results.map((result, index) => (
+      result && !result.reliable ? this.state.players[index]?.calibration || null : result
+    )))
+    return results
+  }
+
+  /**
+   * Abort calibration and keep the configured defaults
+   */
+  cancelCalibration() {
+    this.pipelines.forEach(pipeline => {
+      pipeline.calibration = null
+    })
+    this.applyCalibration([])
+  }
+
+  /**
+   * Exchange the faces of each [a, b] pair of player indices
+   * Each player's calibration follows their face; counts stay with the player
+   */
+  swapFaces(pairs) {
+    const tracker = this.faceIdentityTracker
+    const pipelines = this.pipelines
+    const validPairs = pairs.filter(([a, b]) => a !== b && pipelines[a] && pipelines[b])
+    if (!tracker || validPairs.length === 0) return
+
+    const calibrations = this.state.players.map(player => player.calibration)
+    const swapped = [...calibrations]
+    validPairs.forEach(([a, b]) => {
+      tracker.swapSlots(a, b)
+      swapped[a] = calibrations[b]
+      swapped[b] = calibrations[a]
+    })
+
+    // Smoothing and gesture history belong to the previous face
+    const statuses = tracker.getStatuses()
+    validPairs.flat().forEach(index => {
+      pipelines[index].tongueTracker.reset()
+      pipelines[index].gestureRecognizer.reset()
+      this.updatePlayer(index, { tongueState: 'CENTER', faceStatus: statuses[index] })
+    })
+
+    if (calibrations.some(Boolean)) {
+      this.applyCalibration(swapped)
+    }
+  }
+
+  /**
+   * Swap which faces drive two players, numbered from 1 (fixes a wrong assignment)
+   */
+  swapPlayers(playerA = 1, playerB = 2) {
+    this.swapFaces([[playerA - 1, playerB - 1]])
+  }
+
+  /**
+   * Swap the faces of the two teams, player by player (fixes a whole side being mirrored)
+   */
+  swapSides() {
+    const [leftTeam, rightTeam] = this.teams
+    this.swapFaces(leftTeam.slice(0, rightTeam.length).map((player, i) => [player, rightTeam[i]]))
+  }
+
+  /**
+   * Get a player's counter transition log (why each count did or didn't happen)
+   */
+  getTransitionLog(player = 1) {
+    const pipeline = this.pipelines[player - 1]
+    return pipeline ? pipeline.movementCounter.getTransitionLog() : []
+  }
+
+  /**
+   * Reset every player's count and gesture history
+   */
+  resetCounts() {
+    this.pipelines.forEach(pipeline => {
+      pipeline.movementCounter.reset()
+      pipeline.gestureRecognizer.reset()
+    })
+    this.setState({
+      players: this.state.players.map(player => ({ ...player, count: 0, tongueState: 'CENTER', lastGesture: null }))
+    })
+  }
+}
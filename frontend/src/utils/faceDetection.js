@@ -1,42 +1,211 @@
 import { FaceMesh } from '@mediapipe/face_mesh'
+import { SessionRecorder } from './sessionRecorder'
+import { FaceMeshWorkerClient, isWorkerInferenceSupported } from './faceMeshWorkerClient'
+import { extractMouthRegion } from './mouthRegion'
+
+// FaceMesh wasm / model files are served from our own origin (see mediapipeAssets in vite.config.js)
+// VITE_MEDIAPIPE_ASSET_BASE points them elsewhere, e.g. https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/
+export const DEFAULT_MEDIAPIPE_ASSET_BASE = import.meta.env.VITE_MEDIAPIPE_ASSET_BASE ||
+  `${import.meta.env.BASE_URL}mediapipe/face_mesh/`
+
+// Files checked before loading, so a missing or unreachable asset base fails fast
+const REQUIRED_ASSETS = ['face_mesh.js', 'face_mesh.binarypb', 'face_mesh_solution_packed_assets.data']
+
+// Most faces FaceMesh can be asked to track (one per player)
+export const MAX_FACES = 4
+
+const FACE_MESH_OPTIONS = {
+  maxNumFaces: 2, // Default: 2 faces for dual mode, see the maxNumFaces option
+  refineLandmarks: true,
+  minDetectionConfidence: 0.5,
+  minTrackingConfidence: 0.5
+}
 
 /**
  * Face Detection Module using MediaPipe Face Mesh
  * Detects facial landmarks and extracts mouth region
+ * Inference runs in a Web Worker where supported, otherwise on the main thread; a worker that
+ * dies mid-session is replaced by FaceMesh on the main thread
  */
 export class FaceDetector {
-  constructor() {
+  constructor(options = {}) {
     this.faceMesh = null
     this.isInitialized = false
     this.onResultsCallback = null
+    this.recorder = null
+    // Run FaceMesh in a worker (default: when the browser supports it)
+    this.useWorker = options.useWorker !== undefined ? options.useWorker : isWorkerInferenceSupported()
+    // Whether inference actually runs in the worker (false after a fallback)
+    this.inWorker = false
+    // Where the FaceMesh files are loaded from (absolute, the worker resolves relative URLs against its own script)
+    this.assetBase = resolveAssetBase(options.assetBase || DEFAULT_MEDIAPIPE_ASSET_BASE)
+    // Give up loading FaceMesh after this long (ms)
+    this.loadTimeout = options.loadTimeout || 30000
+    // Give up on the worker sooner, so a hung worker doesn't hold up the main-thread fallback (ms)
+    this.workerTimeout = options.workerTimeout || 10000
+    // Called after inference moved to the main thread because the worker died (error)
+    this.onFallback = options.onFallback || null
+    // Called when face tracking stopped and couldn't be restarted (error)
+    this.onError = options.onError || null
+    this.disposed = false
+    // Loading progress listener: ({ phase, progress, message }) with phase 'assets' | 'runtime' | 'ready'
+    this.onProgress = options.onProgress || null
+    // Faces to track (1 to MAX_FACES)
+    this.maxNumFaces = clampFaceCount(options.maxNumFaces || FACE_MESH_OPTIONS.maxNumFaces)
   }
 
   /**
    * Initialize MediaPipe Face Mesh
+   * Checks the asset base, then tries the worker first and falls back to the main thread if it can't start
+   * Rejects with a readable error if the assets can't be reached or loading times out
    */
   async initialize(onResults) {
     this.onResultsCallback = onResults
+    this.disposed = false
+
+    this.reportProgress('assets', 0, 'Checking face tracking files...')
+    await this.checkAssets()
+
+    this.reportProgress('runtime', 0.4, 'Loading face tracking model...')
+    if (this.useWorker) {
+      const client = new FaceMeshWorkerClient({
+        assetBase: this.assetBase,
+        initTimeout: this.workerTimeout,
+        onFatalError: (error) => this.handleWorkerLost(client, error)
+      })
+      this.setupFaceMesh(client)
+      try {
+        await client.initialize()
+        this.inWorker = true
+        this.isInitialized = true
+        this.reportProgress('ready', 1, 'Face tracking ready')
+        return
+      } catch (error) {
+        console.warn('FaceMesh worker unavailable, running on the main thread:', error)
+        client.close()
+        this.reportProgress('runtime', 0.6, 'Loading face tracking model on the main thread...')
+      }
+    }
+
+    await this.initializeMainThread()
+    this.reportProgress('ready', 1, 'Face tracking ready')
+  }
 
-    this.faceMesh = new FaceMesh({
+  /**
+   * Load FaceMesh on the main thread
+   */
+  async initializeMainThread() {
+    const faceMesh = new FaceMesh({
       locateFile: (file) => {
-        return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`
+        return `${this.assetBase}${file}`
       }
     })
+    this.setupFaceMesh(faceMesh)
+    try {
+      await withTimeout(
+        faceMesh.initialize(),
+        this.loadTimeout,
+        `Face tracking model did not load within ${Math.round(this.loadTimeout / 1000)}s from ${this.assetBase}`
+      )
+    } catch (error) {
+      faceMesh.close()
+      this.faceMesh = null
+      throw error
+    }
+    this.inWorker = false
+    this.isInitialized = true
+  }
 
-    this.faceMesh.setOptions({
-      maxNumFaces: 2, // Support up to 2 faces for multiplayer mode
-      refineLandmarks: true,
-      minDetectionConfidence: 0.5,
-      minTrackingConfidence: 0.5
-    })
+  /**
+   * The worker died after it was running: carry on with FaceMesh on the main thread
+   * Frames aren't sent meanwhile (isInitialized is false)
+   */
+  async handleWorkerLost(client, error) {
+    if (this.faceMesh !== client) return
+
+    console.warn('FaceMesh worker stopped, moving face tracking to the main thread:', error)
+    this.isInitialized = false
+    this.inWorker = false
+    this.faceMesh = null
+    this.reportProgress('runtime', 0.6, 'Face tracking worker stopped, loading on the main thread...')
+    try {
+      await this.initializeMainThread()
+    } catch (fallbackError) {
+      if (!this.disposed && this.onError) {
+        this.onError(new Error(`Face tracking stopped: ${fallbackError.message}`))
+      }
+      return
+    }
+    if (this.disposed) {
+      this.dispose()
+      return
+    }
+    this.reportProgress('ready', 1, 'Face tracking ready')
+    if (this.onFallback) {
+      this.onFallback(error)
+    }
+  }
+
+  /**
+   * Make sure the FaceMesh files can be fetched from the asset base
+   */
+  async checkAssets() {
+    for (let i = 0; i < REQUIRED_ASSETS.length; i++) {
+      const url = `${this.assetBase}${REQUIRED_ASSETS[i]}`
+      let response
+      try {
+        response = await withTimeout(fetch(url, { method: 'HEAD' }), this.loadTimeout, `Timed out reaching ${url}`)
+      } catch (error) {
+        throw new Error(`Face tracking files unreachable at ${this.assetBase} (${error.message})`)
+      }
+      // SPA fallbacks answer unknown paths with index.html
+      const contentType = response.headers.get('content-type') || ''
+      if (!response.ok || contentType.includes('text/html')) {
+        throw new Error(`Face tracking file missing: ${url} (HTTP ${response.status})`)
+      }
+      this.reportProgress('assets', ((i + 1) / REQUIRED_ASSETS.length) * 0.4, 'Checking face tracking files...')
+    }
+  }
+
+  reportProgress(phase, progress, message) {
+    if (this.onProgress) {
+      this.onProgress({ phase, progress, message })
+    }
+  }
+
+  /**
+   * Configure a FaceMesh (or worker client) and route its results
+   */
+  setupFaceMesh(faceMesh) {
+    this.faceMesh = faceMesh
+
+    this.faceMesh.setOptions({ ...FACE_MESH_OPTIONS, maxNumFaces: this.maxNumFaces })
 
     this.faceMesh.onResults((results) => {
+      if (this.recorder) {
+        this.recorder.record(results)
+      }
       if (this.onResultsCallback) {
         this.onResultsCallback(results)
       }
     })
+  }
 
-    this.isInitialized = true
+  /**
+   * Check if inference runs off the main thread
+   */
+  isUsingWorker() {
+    return this.inWorker
+  }
+
+  /**
+   * Change how many faces are tracked (takes effect on the next frame)
+   */
+  setMaxNumFaces(count) {
+    this.maxNumFaces = clampFaceCount(count)
+    if (this.faceMesh) {
+      this.faceMesh.setOptions({ maxNumFaces: this.maxNumFaces })
+    }
   }
 
   /**
@@ -50,76 +219,43 @@ export class FaceDetector {
   }
 
   /**
-   * Extract mouth region coordinates from face landmarks
-   * MediaPipe Face Mesh has 468 landmarks
-   * Mouth landmarks: 61, 146, 91, 181, 84, 17, 314, 405, 320, 307, 375, 321
-   * Inner mouth: 13, 14, 312, 317, 318, 324
+   * Start recording landmark results into a session
    */
-  extractMouthRegion(landmarks, imageWidth, imageHeight) {
-    if (!landmarks || landmarks.length === 0) {
-      return null
-    }
+  startRecording(options = {}) {
+    this.recorder = new SessionRecorder(options)
+    this.recorder.start()
+  }
 
-    // Key mouth landmark indices
-    // Outer mouth: 61, 146, 91, 181, 84, 17, 314, 405, 320, 307, 375, 321
-    // Inner mouth (with refineLandmarks): 13, 14, 312, 317, 318, 324, 78, 95, 88, 178, 87, 14, 317, 402, 318, 324
-    // Better inner lip landmarks for tongue detection
-    const mouthOuterIndices = [61, 146, 91, 181, 84, 17, 314, 405, 320, 307, 375, 321]
-    const mouthInnerIndices = [13, 14, 78, 95, 88, 178, 87, 312, 317, 318, 324, 402]
-    
-    // Get mouth outer points
-    const mouthPoints = mouthOuterIndices.map(idx => {
-      const landmark = landmarks[idx]
-      return {
-        x: landmark.x * imageWidth,
-        y: landmark.y * imageHeight
-      }
-    })
+  /**
+   * Stop recording and return the recorded session (null if not recording)
+   */
+  stopRecording() {
+    if (!this.recorder) return null
+    const session = this.recorder.stop()
+    this.recorder = null
+    return session
+  }
 
-    // Calculate bounding box with padding
-    const xs = mouthPoints.map(p => p.x)
-    const ys = mouthPoints.map(p => p.y)
-    
-    const minX = Math.min(...xs)
-    const maxX = Math.max(...xs)
-    const minY = Math.min(...ys)
-    const maxY = Math.max(...ys)
-
-    // Add padding (20% on each side)
-    const paddingX = (maxX - minX) * 0.2
-    const paddingY = (maxY - minY) * 0.2
-
-    const x = Math.max(0, minX - paddingX)
-    const y = Math.max(0, minY - paddingY)
-    const width = Math.min(imageWidth - x, maxX - minX + paddingX * 2)
-    const height = Math.min(imageHeight - y, maxY - minY + paddingY * 2)
-
-    // Get mouth center
-    const centerX = (minX + maxX) / 2
-    const centerY = (minY + maxY) / 2
-
-    // Get inner mouth landmarks for tongue detection
-    const innerMouthLandmarks = mouthInnerIndices.map(idx => {
-      const landmark = landmarks[idx]
-      return {
-        x: landmark.x * imageWidth,
-        y: landmark.y * imageHeight
-      }
-    })
+  /**
+   * Check if results are being recorded
+   */
+  isRecording() {
+    return this.recorder !== null && this.recorder.isRecording
+  }
 
-    return {
-      boundingBox: { x, y, width, height },
-      center: { x: centerX, y: centerY },
-      innerLandmarks: innerMouthLandmarks,
-      outerLandmarks: mouthPoints,
-      allLandmarks: landmarks
-    }
+  /**
+   * Extract mouth region coordinates from face landmarks (see mouthRegion)
+   */
+  extractMouthRegion(landmarks, imageWidth, imageHeight) {
+    return extractMouthRegion(landmarks, imageWidth, imageHeight)
   }
 
   /**
    * Crop mouth region from image
+   * @param {number} scale - Image size relative to the frame size mouthRegion was measured in
+   *   (e.g. the downscaled frame FaceMesh ran on)
    */
-  cropMouthRegion(imageElement, mouthRegion) {
+  cropMouthRegion(imageElement, mouthRegion, scale = 1) {
     if (!mouthRegion) return null
 
     const canvas = document.createElement('canvas')
@@ -132,7 +268,7 @@ export class FaceDetector {
     
     ctx.drawImage(
       imageElement,
-      x, y, width, height,
+      x * scale, y * scale, width * scale, height * scale,
       0, 0, width, height
     )
 
@@ -150,10 +286,30 @@ export class FaceDetector {
    * Dispose resources
    */
   dispose() {
+    this.disposed = true
+    this.recorder = null
     if (this.faceMesh) {
       this.faceMesh.close()
       this.faceMesh = null
     }
     this.isInitialized = false
+    this.inWorker = false
   }
 }
+
+function clampFaceCount(count) {
+  return Math.min(MAX_FACES, Math.max(1, Math.round(count)))
+}
+
+function resolveAssetBase(base) {
+  const withSlash = base.endsWith('/') ? base : `${base}/`
+  return new URL(withSlash, window.location.href).href
+}
+
+function withTimeout(promise, ms, message) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
@@ -0,0 +1,275 @@
+/**
+ * Face Identity Tracker - Keeps each player on the same face across frames
+ * Faces are matched to player slots by position, size and landmark geometry,
+ * so players can lean, cross or drop out briefly without their assignment changing
+ *
+ * Slot status:
+ * - 'waiting': no face assigned yet
+ * - 'tracked': face matched this frame
+ * - 'lost': face missing; the slot is held for gracePeriodMs before any new face may take it
+ * - 'reacquired': face matched again after being lost (shown for reacquiredHoldMs, otherwise like 'tracked')
+ */
+
+export const FACE_STATUS = {
+  WAITING: 'waiting',
+  TRACKED: 'tracked',
+  LOST: 'lost',
+  REACQUIRED: 'reacquired'
+}
+
+// Stable landmarks for the face center: nose tip, eye corners, mouth corners, chin, forehead
+const CENTER_LANDMARKS = [1, 33, 263, 61, 291, 152, 10]
+// Cheek to cheek, used as face size
+const FACE_WIDTH_LANDMARKS = [234, 454]
+// Landmark pairs whose distances (relative to face width) describe face shape
+// Mouth points are left out, they move with the tongue
+const GEOMETRY_PAIRS = [
+  [33, 263], // Outer eye corners
+  [133, 362], // Inner eye corners
+  [1, 152], // Nose tip to chin
+  [10, 152], // Forehead to chin
+  [168, 1] // Between the eyes to nose tip
+]
+
+function distance(a, b) {
+  const dx = a.x - b.x
+  const dy = a.y - b.y
+  return Math.sqrt(dx * dx + dy * dy)
+}
+
+/**
+ * Describe a face for matching: center and size in pixels, shape ratios
+ */
+export function describeFace(landmarks, frameWidth, frameHeight) {
+  const toPixels = (index) => {
+    const landmark = landmarks[index]
+    return landmark ? { x: landmark.x * frameWidth, y: landmark.y * frameHeight } : null
+  }
+
+  const centerPoints = CENTER_LANDMARKS.map(toPixels).filter(Boolean)
+  if (centerPoints.length === 0) return null
+  const center = {
+    x: centerPoints.reduce((sum, p) => sum + p.x, 0) / centerPoints.length,
+    y: centerPoints.reduce((sum, p) => sum + p.y, 0) / centerPoints.length
+  }
+
+  const [leftCheek, rightCheek] = FACE_WIDTH_LANDMARKS.map(toPixels)
+  const size = leftCheek && rightCheek ? Math.max(1, distance(leftCheek, rightCheek)) : 1
+
+  const geometry = GEOMETRY_PAIRS.map(([a, b]) => {
+    const pa = toPixels(a)
+    const pb = toPixels(b)
+    return pa && pb ? distance(pa, pb) / size : 0
+  })
+
+  return { center, size, geometry }
+}
+
+export class FaceIdentityTracker {
+  constructor(options = {}) {
+    // Number of player slots
+    this.slotCount = options.slotCount || 2
+    // How long a lost face keeps its slot reserved (ms)
+    this.gracePeriodMs = options.gracePeriodMs || 1500
+    // Largest move between frames, in face widths (widens while a face is lost)
+    this.maxMove = options.maxMove || 1.0
+    // Matches costing more than this are rejected
+    this.maxCost = options.maxCost || 1.0
+    // Cost weights for position, size and geometry
+    this.positionWeight = options.positionWeight || 0.6
+    this.sizeWeight = options.sizeWeight || 0.2
+    this.geometryWeight = options.geometryWeight || 0.2
+    // How fast the stored face shape follows new observations (0-1)
+    this.geometrySmoothing = options.geometrySmoothing || 0.1
+    // How long 'reacquired' is reported after a face comes back (ms)
+    this.reacquiredHoldMs = options.reacquiredHoldMs || 1000
+    // Camera preview is mirrored, so the rightmost camera face is on the left of the screen and takes slot 0
+    this.mirrored = options.mirrored !== undefined ? options.mirrored : true
+
+    this.reset()
+  }
+
+  /**
+   * Match this frame's faces to slots
+   * @param {Array} faces - FaceMesh multiFaceLandmarks
+   * @param {number} frameWidth - Frame width in pixels
+   * @param {number} frameHeight - Frame height in pixels
+   * @param {number} timestamp - Frame time in ms
+   * @returns {Object} { assignments: landmarks or null per slot, statuses, events }
+   */
+  update(faces, frameWidth, frameHeight, timestamp = Date.now()) {
+    const events = []
+    const observations = (faces || [])
+      .map(landmarks => ({ landmarks, descriptor: describeFace(landmarks, frameWidth, frameHeight) }))
+      .filter(observation => observation.descriptor !== null)
+
+    // Lost slots past the grace period are open to any face again
+    this.slots.forEach(slot => {
+      if (slot.status === FACE_STATUS.LOST && timestamp - slot.lastSeen > this.gracePeriodMs) {
+        slot.reserved = false
+      }
+    })
+
+    const matches = this.matchObservations(observations, timestamp)
+    const assignments = new Array(this.slotCount).fill(null)
+    const matchedObservations = new Set()
+
+    matches.forEach((observationIndex, slotIndex) => {
+      if (observationIndex === null) return
+      this.assign(slotIndex, observations[observationIndex], timestamp, events)
+      assignments[slotIndex] = observations[observationIndex].landmarks
+      matchedObservations.add(observationIndex)
+    })
+
+    // Unmatched faces fill open slots in screen order
+    const openSlots = this.slots
+      .map((slot, index) => ({ slot, index }))
+      .filter(({ slot, index }) => assignments[index] === null && !slot.reserved)
+    const newcomers = observations
+      .map((observation, index) => ({ observation, index }))
+      .filter(({ index }) => !matchedObservations.has(index))
+      .sort((a, b) => this.mirrored
+        ? b.observation.descriptor.center.x - a.observation.descriptor.center.x
+        : a.observation.descriptor.center.x - b.observation.descriptor.center.x)
+
+    newcomers.forEach(({ observation }, i) => {
+      if (i >= openSlots.length) return
+      const slotIndex = openSlots[i].index
+      this.assign(slotIndex, observation, timestamp, events)
+      assignments[slotIndex] = observation.landmarks
+    })
+
+    // Slots without a face this frame
+    this.slots.forEach((slot, index) => {
+      if (assignments[index] !== null) return
+      if (slot.status === FACE_STATUS.TRACKED || slot.status === FACE_STATUS.REACQUIRED) {
+        slot.status = FACE_STATUS.LOST
+        events.push({ type: 'lost', slot: index, timestamp })
+      }
+    })
+
+    return { assignments, statuses: this.getStatuses(timestamp), events }
+  }
+
+  /**
+   * Lowest-cost matching of observations to known slots
+   * Exhaustive search - at most 4 faces and 4 slots
+   * @returns {Array} Observation index (or null) per slot
+   */
+  matchObservations(observations, timestamp) {
+    const candidates = this.slots
+      .map((slot, index) => ({ slot, index }))
+      .filter(({ slot }) => slot.descriptor !== null && slot.reserved)
+
+    const costs = candidates.map(({ slot }) => observations.map(observation => this.matchCost(slot, observation.descriptor, timestamp)))
+
+    let best = { cost: Infinity, choice: [] }
+    const used = new Set()
+    const search = (candidateIndex, choice, cost) => {
+      if (cost >= best.cost) return
+      if (candidateIndex === candidates.length) {
+        best = { cost, choice: [...choice] }
+        return
+      }
+      // Leave this slot unmatched (costs as much as the worst allowed match)
+      choice.push(null)
+      search(candidateIndex + 1, choice, cost + this.maxCost)
+      choice.pop()
+
+      observations.forEach((observation, observationIndex) => {
+        const matchCost = costs[candidateIndex][observationIndex]
+        if (used.has(observationIndex) || matchCost > this.maxCost) return
+        used.add(observationIndex)
+        choice.push(observationIndex)
+        search(candidateIndex + 1, choice, cost + matchCost)
+        choice.pop()
+        used.delete(observationIndex)
+      })
+    }
+    search(0, [], 0)
+
+    const matches = new Array(this.slotCount).fill(null)
+    candidates.forEach(({ index }, i) => {
+      matches[index] = best.choice[i] ?? null
+    })
+    return matches
+  }
+
+  /**
+   * Cost of matching an observed face to a slot (0 = identical, Infinity = impossible)
+   */
+  matchCost(slot, descriptor, timestamp) {
+    const known = slot.descriptor
+    // Lost faces may have moved further, so the allowed move grows with time missing
+    const missingFor = slot.status === FACE_STATUS.LOST ? timestamp - slot.lastSeen : 0
+    const allowedMove = known.size * this.maxMove * (1 + missingFor / this.gracePeriodMs)
+
+    const positionCost = distance(known.center, descriptor.center) / allowedMove
+    if (positionCost > 1) return Infinity
+
+    const sizeCost = Math.abs(Math.log(descriptor.size / known.size)) / Math.log(1.5)
+    const geometryCost = known.geometry.reduce((sum, value, i) => sum + Math.abs(value - descriptor.geometry[i]), 0) /
+      known.geometry.length / 0.1
+
+    return this.positionWeight * positionCost + this.sizeWeight * sizeCost + this.geometryWeight * geometryCost
+  }
+
+  assign(slotIndex, observation, timestamp, events) {
+    const slot = this.slots[slotIndex]
+    const { descriptor } = observation
+
+    if (slot.status === FACE_STATUS.WAITING || !slot.reserved) {
+      events.push({ type: 'acquired', slot: slotIndex, timestamp })
+      slot.geometry = descriptor.geometry
+    } else if (slot.status === FACE_STATUS.LOST) {
+      events.push({ type: 'reacquired', slot: slotIndex, timestamp, lostFor: timestamp - slot.lastSeen })
+      slot.reacquiredAt = timestamp
+    }
+
+    // Position and size follow the face directly, shape is averaged
+    const geometry = slot.geometry
+      ? slot.geometry.map((value, i) => value + this.geometrySmoothing * (descriptor.geometry[i] - value))
+      : descriptor.geometry
+    slot.geometry = geometry
+    slot.descriptor = { center: descriptor.center, size: descriptor.size, geometry }
+    slot.status = FACE_STATUS.TRACKED
+    slot.reserved = true
+    slot.lastSeen = timestamp
+  }
+
+  /**
+   * Status per slot
+   */
+  getStatuses(timestamp = Date.now()) {
+    return this.slots.map(slot => {
+      if (slot.status === FACE_STATUS.TRACKED && slot.reacquiredAt !== null &&
+        timestamp - slot.reacquiredAt < this.reacquiredHoldMs) {
+        return FACE_STATUS.REACQUIRED
+      }
+      return slot.status
+    })
+  }
+
+  /**
+   * Exchange two slots (fix a wrong assignment)
+   */
+  swapSlots(a = 0, b = 1) {
+    const slot = this.slots[a]
+    this.slots[a] = this.slots[b]
+    this.slots[b] = slot
+  }
+
+  /**
+   * Forget all faces
+   */
+  reset() {
+    this.slots = Array.from({ length: this.slotCount }, () => ({
+      status: FACE_STATUS.WAITING,
+      descriptor: null,
+      geometry: null,
+      reserved: false,
+      lastSeen: null,
+      reacquiredAt: null
+    }))
+  }
+}
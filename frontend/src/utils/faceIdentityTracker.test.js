@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import { FaceIdentityTracker, FACE_STATUS, describeFace } from './faceIdentityTracker'
+
+const WIDTH = 640
+const HEIGHT = 480
+
+// FaceMesh landmarks for a face centered at (x, y) (0-1) and `size` wide; `eyes` scales the eye distance
+function face(x, y = 0.5, { size = 0.15, eyes = 1 } = {}) {
+  const landmarks = Array.from({ length: 468 }, () => ({ x, y, z: 0 }))
+  landmarks[234] = { x: x - size / 2, y, z: 0 }
+  landmarks[454] = { x: x + size / 2, y, z: 0 }
+  landmarks[33] = { x: x - size * 0.3 * eyes, y, z: 0 }
+  landmarks[263] = { x: x + size * 0.3 * eyes, y, z: 0 }
+  return landmarks
+}
+
+describe('describeFace', () => {
+  it('gives the center and width in pixels and shape relative to width', () => {
+    const descriptor = describeFace(face(0.5, 0.5), WIDTH, HEIGHT)
+    expect(descriptor.center).toEqual({ x: 320, y: 240 })
+    expect(descriptor.size).toBeCloseTo(96)
+    expect(descriptor.geometry[0]).toBeCloseTo(0.6)
+  })
+})
+
+describe('FaceIdentityTracker', () => {
+  it('gives new faces slots in mirrored screen order', () => {
+    const tracker = new FaceIdentityTracker()
+    const left = face(0.25)
+    const right = face(0.75)
+    const result = tracker.update([left, right], WIDTH, HEIGHT, 0)
+    // The rightmost camera face is on the left of the mirrored screen
+    expect(result.assignments).toEqual([right, left])
+    expect(result.statuses).toEqual([FACE_STATUS.TRACKED, FACE_STATUS.TRACKED])
+    expect(result.events.map(event => [event.type, event.slot])).toEqual([['acquired', 0], ['acquired', 1]])
+
+    const unmirrored = new FaceIdentityTracker({ mirrored: false })
+    expect(unmirrored.update([left, right], WIDTH, HEIGHT, 0).assignments).toEqual([left, right])
+  })
+
+  it('keeps each player on their face as they cross', () => {
+    const tracker = new FaceIdentityTracker()
+    tracker.update([face(0.25), face(0.75, 0.5, { eyes: 1.2 })], WIDTH, HEIGHT, 0)
+    let result = null
+    for (let step = 1; step <= 10; step++) {
+      const a = face(0.75 - step * 0.05, 0.5, { eyes: 1.2 })
+      const b = face(0.25 + step * 0.05)
+      // FaceMesh doesn't keep the order of its faces either
+      result = tracker.update(step % 2 ? [a, b] : [b, a], WIDTH, HEIGHT, step * 33)
+      expect(result.assignments).toEqual([a, b])
+    }
+    expect(result.events).toEqual([])
+  })
+
+  it('holds a lost face\'s slot for the grace period, then gives it to a new face', () => {
+    const tracker = new FaceIdentityTracker({ gracePeriodMs: 1500 })
+    const b = face(0.25)
+    tracker.update([face(0.75), b], WIDTH, HEIGHT, 0)
+
+    let result = tracker.update([b], WIDTH, HEIGHT, 100)
+    expect(result.statuses).toEqual([FACE_STATUS.LOST, FACE_STATUS.TRACKED])
+    expect(result.events).toEqual([{ type: 'lost', slot: 0, timestamp: 100 }])
+
+    const stranger = face(0.5)
+    result = tracker.update([b, stranger], WIDTH, HEIGHT, 600)
+    expect(result.assignments).toEqual([null, b])
+
+    result = tracker.update([b, stranger], WIDTH, HEIGHT, 1600)
+    expect(result.assignments).toEqual([stranger, b])
+    expect(result.events).toEqual([{ type: 'acquired', slot: 0, timestamp: 1600 }])
+  })
+
+  it('reports a face that comes back within the grace period as reacquired for a while', () => {
+    const tracker = new FaceIdentityTracker({ reacquiredHoldMs: 1000 })
+    const b = face(0.25)
+    tracker.update([face(0.75), b], WIDTH, HEIGHT, 0)
+    tracker.update([b], WIDTH, HEIGHT, 100)
+
+    const back = face(0.8)
+    let result = tracker.update([back, b], WIDTH, HEIGHT, 400)
+    expect(result.assignments).toEqual([back, b])
+    expect(result.events).toEqual([{ type: 'reacquired', slot: 0, timestamp: 400, lostFor: 400 }])
+    expect(result.statuses[0]).toBe(FACE_STATUS.REACQUIRED)
+
+    result = tracker.update([back, b], WIDTH, HEIGHT, 1400)
+    expect(result.statuses[0]).toBe(FACE_STATUS.TRACKED)
+  })
+
+  it('swaps two players and keeps them swapped', () => {
+    const tracker = new FaceIdentityTracker()
+    const a = face(0.75)
+    const b = face(0.25)
+    tracker.update([a, b], WIDTH, HEIGHT, 0)
+    tracker.swapSlots(0, 1)
+    expect(tracker.update([a, b], WIDTH, HEIGHT, 33).assignments).toEqual([b, a])
+
+    tracker.reset()
+    expect(tracker.getStatuses(66)).toEqual([FACE_STATUS.WAITING, FACE_STATUS.WAITING])
+  })
+})
@@ -0,0 +1,196 @@
+/**
+ * FaceMesh Worker Client - Main-thread side of workers/faceMeshWorker.js
+ * Mirrors the parts of the MediaPipe FaceMesh API that FaceDetector uses
+ * (setOptions, onResults, initialize, send, close), so either can back FaceDetector
+ */
+
+/**
+ * Check whether this browser can run FaceMesh in a worker
+ * Needs workers, createImageBitmap and WebGL on an OffscreenCanvas
+ */
+export function isWorkerInferenceSupported() {
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap !== 'function') {
+    return false
+  }
+  try {
+    const canvas = new OffscreenCanvas(1, 1)
+    return !!(canvas.getContext('webgl2') || canvas.getContext('webgl'))
+  } catch {
+    return false
+  }
+}
+
+export class FaceMeshWorkerClient {
+  constructor(config = {}) {
+    // Base URL for face_mesh.js and its wasm / model files (must end with '/')
+    this.assetBase = config.assetBase
+    // Give up on the worker if it isn't ready within this time (ms)
+    this.initTimeout = config.initTimeout || 10000
+    // Called when a worker that was ready dies (error) - frames can't be sent any more
+    this.onFatalError = config.onFatalError || null
+    this.options = {}
+    this.resultsListener = null
+    this.worker = null
+    this.ready = false
+    this.readyPromise = null
+    this.readyHandlers = null
+    this.nextFrameId = 0
+    // Frame id -> { resolve, reject } for frames sent but not answered yet
+    this.pendingFrames = new Map()
+  }
+
+  /**
+   * Set FaceMesh options (applied when the worker initializes, or right away once it is running)
+   */
+  setOptions(options) {
+    this.options = { ...this.options, ...options }
+    if (this.worker) {
+      this.worker.postMessage({ type: 'options', options: this.options })
+    }
+  }
+
+  /**
+   * Set the results listener
+   */
+  onResults(listener) {
+    this.resultsListener = listener
+  }
+
+  /**
+   * Start the worker and load FaceMesh inside it
+   * Rejects if the worker fails to load or isn't ready within initTimeout
+   */
+  initialize() {
+    if (this.readyPromise) return this.readyPromise
+
+    this.readyPromise = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.fail(new Error(`FaceMesh worker not ready after ${this.initTimeout}ms`))
+      }, this.initTimeout)
+      this.readyHandlers = {
+        resolve: () => {
+          clearTimeout(timer)
+          this.ready = true
+          resolve()
+        },
+        reject: (error) => {
+          clearTimeout(timer)
+          reject(error)
+        }
+      }
+    })
+
+    this.worker = new Worker(new URL('../workers/faceMeshWorker.js', import.meta.url))
+    this.worker.onmessage = (event) => this.handleMessage(event.data)
+    this.worker.onerror = (event) => {
+      event.preventDefault()
+      this.fail(new Error(event.message || 'FaceMesh worker failed'))
+    }
+    this.worker.postMessage({ type: 'init', assetBase: this.assetBase, options: this.options })
+
+    return this.readyPromise
+  }
+
+  /**
+   * Send a frame to the worker (after initialize() resolved)
+   * The frame is copied into an ImageBitmap and transferred; resolves once its results were delivered
+   */
+  async send({ image }) {
+    if (!this.ready || !this.worker) {
+      throw new Error('FaceMesh worker not running')
+    }
+
+    const bitmap = await createImageBitmap(image)
+    if (!this.worker) {
+      bitmap.close()
+      throw new Error('FaceMesh worker not running')
+    }
+    const id = ++this.nextFrameId
+    return new Promise((resolve, reject) => {
+      this.pendingFrames.set(id, { resolve, reject })
+      this.worker.postMessage({ type: 'frame', id, image: bitmap }, [bitmap])
+    })
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'ready':
+        this.readyHandlers?.resolve()
+        break
+      case 'results': {
+        // The frame the landmarks came from; listeners crop from it right away, it is freed after they return
+        try {
+          if (this.resultsListener) {
+            this.resultsListener({ multiFaceLandmarks: message.multiFaceLandmarks, image: message.image })
+          }
+        } finally {
+          message.image.close()
+          this.settleFrame(message.id)
+        }
+        break
+      }
+      case 'error':
+        if (message.id === null) {
+          this.fail(new Error(message.message))
+        } else {
+          this.settleFrame(message.id, new Error(message.message))
+        }
+        break
+      default:
+        break
+    }
+  }
+
+  settleFrame(id, error = null) {
+    const pending = this.pendingFrames.get(id)
+    if (!pending) return
+    this.pendingFrames.delete(id)
+    if (error) {
+      pending.reject(error)
+    } else {
+      pending.resolve()
+    }
+  }
+
+  /**
+   * Fail initialization and any frames in flight, and stop the worker
+   * A worker that was already running reports the failure through onFatalError
+   */
+  fail(error) {
+    const wasReady = this.ready
+    this.readyHandlers?.reject(error)
+    this.stop(error, true)
+    if (wasReady && this.onFatalError) {
+      this.onFatalError(error)
+    }
+  }
+
+  /**
+   * Stop the worker; initialize() starts a new one
+   */
+  close() {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'close' })
+    }
+    this.stop(new Error('FaceMesh worker closed'), false)
+  }
+
+  /**
+   * Drop the worker and reject frames in flight (terminate: kill it rather than let it close itself)
+   */
+  stop(error, terminate) {
+    if (this.worker) {
+      this.worker.onmessage = null
+      this.worker.onerror = null
+      if (terminate) {
+        this.worker.terminate()
+      }
+      this.worker = null
+    }
+    this.ready = false
+    this.readyPromise = null
+    this.readyHandlers = null
+    this.pendingFrames.forEach(pending => pending.reject(error))
+    this.pendingFrames.clear()
+  }
+}
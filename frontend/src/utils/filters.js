@@ -0,0 +1,218 @@
+/**
+ * Smoothing Filters - Time-aware 1D filters for tongue position
+ * Each filter takes (value, timestamp in ms, weight) and returns { value, velocity }
+ * with velocity in units per second, so behavior doesn't depend on frame rate
+ * (except the legacy weighted average, which works per frame)
+ */
+
+export const FILTER_TYPES = ['weighted', 'oneEuro', 'kalman', 'ema']
+
+// Smallest time step used, so duplicate timestamps don't divide by zero (seconds)
+const MIN_DT = 1e-3
+
+function smoothingFactor(dt, cutoff) {
+  const tau = 1 / (2 * Math.PI * cutoff)
+  return 1 / (1 + tau / dt)
+}
+
+/**
+ * Frame-count weighted average (original TongueTracker behavior)
+ * More recent samples and higher weights (confidence) count more
+ */
+export class WeightedAverageFilter {
+  constructor(options = {}) {
+    this.window = options.window || 5
+    this.reset()
+  }
+
+  filter(value, timestamp, weight = 1) {
+    this.samples.push({ value, weight })
+    if (this.samples.length > this.window) {
+      this.samples.shift()
+    }
+
+    let weightedSum = 0
+    let totalWeight = 0
+    this.samples.forEach((sample, index) => {
+      const sampleWeight = (index + 1) * sample.weight
+      weightedSum += sample.value * sampleWeight
+      totalWeight += sampleWeight
+    })
+    const smoothed = totalWeight > 0 ? weightedSum / totalWeight : value
+
+    const velocity = this.lastTimestamp !== null
+      ? (smoothed - this.lastValue) / Math.max(MIN_DT, (timestamp - this.lastTimestamp) / 1000)
+      : 0
+    this.lastValue = smoothed
+    this.lastTimestamp = timestamp
+
+    return { value: smoothed, velocity }
+  }
+
+  reset() {
+    this.samples = []
+    this.lastValue = null
+    this.lastTimestamp = null
+  }
+}
+
+/**
+ * Exponential moving average with a time constant
+ * alpha = 1 - exp(-dt / timeConstant), so the same time constant gives the same lag at any frame rate
+ */
+export class EmaFilter {
+  constructor(options = {}) {
+    // Time constant (ms)
+    this.timeConstant = options.timeConstant || 80
+    this.reset()
+  }
+
+  filter(value, timestamp) {
+    if (this.value === null) {
+      this.value = value
+      this.lastTimestamp = timestamp
+      return { value, velocity: 0 }
+    }
+
+    const dtMs = Math.max(MIN_DT * 1000, timestamp - this.lastTimestamp)
+    const alpha = 1 - Math.exp(-dtMs / this.timeConstant)
+    const previous = this.value
+    this.value = previous + alpha * (value - previous)
+    this.lastTimestamp = timestamp
+
+    return { value: this.value, velocity: (this.value - previous) / (dtMs / 1000) }
+  }
+
+  reset() {
+    this.value = null
+    this.lastTimestamp = null
+  }
+}
+
+/**
+ * One Euro filter (Casiez et al. 2012)
+ * Low cutoff when still (less jitter), higher cutoff when moving fast (less lag)
+ */
+export class OneEuroFilter {
+  constructor(options = {}) {
+    // Minimum cutoff frequency (Hz) - lower = smoother at rest
+    this.minCutoff = options.minCutoff || 1.5
+    // Speed coefficient - higher = less lag during fast movement
+    // relativeX moves by hundredths per second, so beta is large compared to pixel-space defaults
+    this.beta = options.beta !== undefined ? options.beta : 20
+    // Cutoff for the velocity estimate (Hz)
+    this.derivativeCutoff = options.derivativeCutoff || 1.0
+    this.reset()
+  }
+
+  filter(value, timestamp) {
+    if (this.value === null) {
+      this.value = value
+      this.velocity = 0
+      this.lastTimestamp = timestamp
+      return { value, velocity: 0 }
+    }
+
+    const dt = Math.max(MIN_DT, (timestamp - this.lastTimestamp) / 1000)
+    this.lastTimestamp = timestamp
+
+    const rawVelocity = (value - this.value) / dt
+    const derivativeAlpha = smoothingFactor(dt, this.derivativeCutoff)
+    this.velocity = this.velocity + derivativeAlpha * (rawVelocity - this.velocity)
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.velocity)
+    const alpha = smoothingFactor(dt, cutoff)
+    this.value = this.value + alpha * (value - this.value)
+
+    return { value: this.value, velocity: this.velocity }
+  }
+
+  reset() {
+    this.value = null
+    this.velocity = 0
+    this.lastTimestamp = null
+  }
+}
+
+/**
+ * 1D constant-velocity Kalman filter
+ * State is [position, velocity]; process noise is the assumed acceleration variance
+ */
+export class KalmanFilter1D {
+  constructor(options = {}) {
+    // Acceleration noise (units^2 / s^4) - higher = follows changes faster
+    this.processNoise = options.processNoise || 1.0
+    // Measurement noise (units^2) - higher = smoother
+    this.measurementNoise = options.measurementNoise || 1e-5
+    this.reset()
+  }
+
+  filter(value, timestamp) {
+    if (this.position === null) {
+      this.position = value
+      this.velocity = 0
+      this.lastTimestamp = timestamp
+      return { value, velocity: 0 }
+    }
+
+    const dt = Math.max(MIN_DT, (timestamp - this.lastTimestamp) / 1000)
+    this.lastTimestamp = timestamp
+
+    // Predict
+    this.position += this.velocity * dt
+    const q = this.processNoise
+    const dt2 = dt * dt
+    const dt3 = dt2 * dt
+    const dt4 = dt3 * dt
+    const [p00, p01, p10, p11] = this.covariance
+    const pp00 = p00 + dt * (p10 + p01) + dt2 * p11 + q * dt4 / 4
+    const pp01 = p01 + dt * p11 + q * dt3 / 2
+    const pp10 = p10 + dt * p11 + q * dt3 / 2
+    const pp11 = p11 + q * dt2
+
+    // Update with the position measurement
+    const innovation = value - this.position
+    const s = pp00 + this.measurementNoise
+    const k0 = pp00 / s
+    const k1 = pp10 / s
+
+    this.position += k0 * innovation
+    this.velocity += k1 * innovation
+    this.covariance = [
+      (1 - k0) * pp00,
+      (1 - k0) * pp01,
+      pp10 - k1 * pp00,
+      pp11 - k1 * pp01
+    ]
+
+    return { value: this.position, velocity: this.velocity }
+  }
+
+  reset() {
+    this.position = null
+    this.velocity = 0
+    // Row-major 2x2 covariance
+    this.covariance = [1, 0, 0, 1]
+    this.lastTimestamp = null
+  }
+}
+
+/**
+ * Create a filter by type name
+ * @param {string} type - 'weighted', 'oneEuro', 'kalman' or 'ema'
+ * @param {Object} params - Filter-specific parameters
+ */
+export function createFilter(type = 'weighted', params = {}) {
+  switch (type) {
+    case 'oneEuro':
+      return new OneEuroFilter(params)
+    case 'kalman':
+      return new KalmanFilter1D(params)
+    case 'ema':
+      return new EmaFilter(params)
+    case 'weighted':
+      return new WeightedAverageFilter(params)
+    default:
+      throw new Error(`Unknown filter type: ${type}`)
+  }
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import { createFilter, EmaFilter, FILTER_TYPES, KalmanFilter1D, OneEuroFilter, WeightedAverageFilter } from './filters'
+
+// Run a filter over signal(t) sampled every `stepMs` until `untilMs`; returns the last output
+function sample(filter, signal, stepMs, untilMs) {
+  let output = null
+  for (let t = 0; t <= untilMs; t += stepMs) {
+    output = filter.filter(signal(t), t)
+  }
+  return output
+}
+
+const step = t => (t < 100 ? 0 : 0.01)
+const ramp = t => 0.02 * (t / 1000)
+
+describe('WeightedAverageFilter', () => {
+  it('weights recent samples and confident samples more', () => {
+    const filter = new WeightedAverageFilter({ window: 3 })
+    filter.filter(0, 0)
+    filter.filter(0, 33)
+    // Weights 1, 2, 3 by position
+    expect(filter.filter(6, 66).value).toBeCloseTo(3)
+    // Only the last three samples count; the newest is weighted 3 by position and 0.5 by confidence
+    expect(filter.filter(6, 100, 0.5).value).toBeCloseTo((0 * 1 + 6 * 2 + 6 * 1.5) / 4.5)
+  })
+})
+
+describe('EmaFilter', () => {
+  it('lags the same amount of time at any frame rate', () => {
+    // Jumps to 0.01 right after the first sample
+    const jump = t => (t === 0 ? 0 : 0.01)
+    const expected = 0.01 * (1 - Math.exp(-200 / 80))
+    expect(sample(new EmaFilter({ timeConstant: 80 }), jump, 40, 200).value).toBeCloseTo(expected, 8)
+    expect(sample(new EmaFilter({ timeConstant: 80 }), jump, 20, 200).value).toBeCloseTo(expected, 8)
+  })
+})
+
+describe('OneEuroFilter', () => {
+  it('follows a fast move more closely than without its speed coefficient', () => {
+    const fast = sample(new OneEuroFilter(), step, 1000 / 30, 200)
+    const still = sample(new OneEuroFilter({ beta: 0 }), step, 1000 / 30, 200)
+    expect(fast.value).toBeGreaterThan(still.value)
+    expect(fast.velocity).toBeGreaterThan(0)
+  })
+
+  it('does not divide by zero on a repeated timestamp', () => {
+    const filter = new OneEuroFilter()
+    filter.filter(0, 100)
+    const output = filter.filter(0.01, 100)
+    expect(Number.isFinite(output.value)).toBe(true)
+    expect(Number.isFinite(output.velocity)).toBe(true)
+  })
+})
+
+describe('KalmanFilter1D', () => {
+  it('learns the velocity of a steady move, in units per second', () => {
+    const output = sample(new KalmanFilter1D(), ramp, 1000 / 30, 2000)
+    expect(output.velocity).toBeCloseTo(0.02, 3)
+    expect(output.value).toBeCloseTo(ramp(2000), 3)
+  })
+})
+
+describe('createFilter', () => {
+  it('creates every listed filter type, starting from the first value', () => {
+    FILTER_TYPES.forEach(type => {
+      const filter = createFilter(type)
+      expect(filter.filter(0.005, 0)).toEqual({ value: 0.005, velocity: 0 })
+      filter.filter(0.01, 33)
+      filter.reset()
+      expect(filter.filter(-0.005, 66)).toEqual({ value: -0.005, velocity: 0 })
+    })
+  })
+
+  it('rejects an unknown type', () => {
+    expect(() => createFilter('median')).toThrow('Unknown filter type: median')
+  })
+})
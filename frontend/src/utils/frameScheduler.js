@@ -0,0 +1,208 @@
+/**
+ * Frame Scheduler - Paces frames into the detection pipeline and measures it
+ * - Skips animation frames to hold a target detection rate
+ * - Drops frames while the previous one is still in FaceMesh
+ * - Lowers the FaceMesh input resolution when frames take longer than the budget, and raises it again when there's headroom
+ * - Keeps running averages of per-stage timings (ms):
+ *   send (FaceMesh inference), results (landmark handling), detect (tongue detection), state (tracker, counter and React state)
+ *   Tongue detection is async and may start inside the results callback, so detect can overlap results;
+ *   latency is measured end to end, from sending a frame to its state update
+ */
+
+export const PIPELINE_STAGES = ['send', 'results', 'detect', 'state']
+
+export class FrameScheduler {
+  constructor(options = {}) {
+    // Target detection rate (frames per second)
+    this.targetFps = options.targetFps || 30
+    // Adapt the input resolution to the time budget
+    this.adaptiveResolution = options.adaptiveResolution !== undefined ? options.adaptiveResolution : true
+    // Input scale range and step (fraction of the camera resolution)
+    this.minInputScale = options.minInputScale || 0.5
+    this.maxInputScale = options.maxInputScale || 1
+    this.scaleStep = options.scaleStep || 0.1
+    // How often the input scale is reconsidered (ms)
+    this.adaptIntervalMs = options.adaptIntervalMs || 1000
+    // Weight of the newest sample in running averages
+    this.averagingFactor = options.averagingFactor || 0.1
+    // Metrics listener and how often it is called (ms)
+    this.onMetrics = options.onMetrics || null
+    this.metricsIntervalMs = options.metricsIntervalMs || 500
+
+    this.inputCanvas = null
+    this.reset()
+  }
+
+  /**
+   * Decide whether to run detection on this animation frame
+   * Counts a skipped frame (ahead of the target rate) or a dropped frame (pipeline busy)
+   */
+  shouldProcess(now = performance.now()) {
+    if (this.inFlight) {
+      this.dropped++
+      return false
+    }
+    // Small tolerance so a 60Hz display doesn't miss every other 30 FPS slot
+    const interval = 1000 / this.targetFps
+    if (this.lastFrameStart !== null && now - this.lastFrameStart < interval * 0.9) {
+      this.skipped++
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Mark the start of a frame sent to FaceMesh
+   */
+  beginFrame(now = performance.now()) {
+    this.inFlight = true
+    this.frameStart = now
+    this.lastFrameStart = now
+    this.frameResultsMs = 0
+  }
+
+  /**
+   * Mark the end of a frame (FaceMesh send resolved)
+   */
+  endFrame(now = performance.now()) {
+    if (!this.inFlight) return
+
+    const frameTime = now - this.frameStart
+    // Results are handled inside send, so take them out of the inference time
+    this.recordStage('send', Math.max(0, frameTime - this.frameResultsMs))
+    this.frameTime = this.average(this.frameTime, frameTime)
+    this.inFlight = false
+    this.processed++
+
+    this.frameTimestamps.push(now)
+    while (this.frameTimestamps.length > 0 && now - this.frameTimestamps[0] > 1000) {
+      this.frameTimestamps.shift()
+    }
+
+    this.adaptInputScale(now)
+    this.emitMetrics(now)
+  }
+
+  /**
+   * Record how long a pipeline stage took (ms)
+   * Recording the state stage also completes a latency sample for the latest frame
+   */
+  recordStage(stage, ms, now = performance.now()) {
+    this.stageTimes[stage] = this.average(this.stageTimes[stage], ms)
+    if (stage === 'results' && this.inFlight) {
+      this.frameResultsMs += ms
+    }
+    if (stage === 'state' && this.lastFrameStart !== null) {
+      this.latency = this.average(this.latency, now - this.lastFrameStart)
+    }
+  }
+
+  average(current, sample) {
+    return current === null ? sample : current + this.averagingFactor * (sample - current)
+  }
+
+  /**
+   * Step the input scale down when frames overrun the budget, up when there's headroom
+   */
+  adaptInputScale(now) {
+    if (!this.adaptiveResolution || now - this.lastAdaptTime < this.adaptIntervalMs) return
+    this.lastAdaptTime = now
+
+    const budget = 1000 / this.targetFps
+    const fps = this.frameTimestamps.length
+    if (fps < this.targetFps * 0.9 && this.frameTime > budget * 0.8) {
+      this.inputScale = Math.max(this.minInputScale, this.inputScale - this.scaleStep)
+    } else if (this.frameTime < budget * 0.5) {
+      this.inputScale = Math.min(this.maxInputScale, this.inputScale + this.scaleStep)
+    }
+  }
+
+  /**
+   * Get the frame to send to FaceMesh: the video itself, or a downscaled copy
+   * Landmarks are normalized, so callers keep using the full video size
+   */
+  getInput(video) {
+    if (this.inputScale >= 1) {
+      this.inputWidth = video.videoWidth
+      this.inputHeight = video.videoHeight
+      return video
+    }
+
+    if (!this.inputCanvas) {
+      this.inputCanvas = document.createElement('canvas')
+    }
+    const width = Math.max(1, Math.round(video.videoWidth * this.inputScale))
+    const height = Math.max(1, Math.round(video.videoHeight * this.inputScale))
+    if (this.inputCanvas.width !== width || this.inputCanvas.height !== height) {
+      this.inputCanvas.width = width
+      this.inputCanvas.height = height
+    }
+    this.inputCanvas.getContext('2d').drawImage(video, 0, 0, width, height)
+    this.inputWidth = width
+    this.inputHeight = height
+    return this.inputCanvas
+  }
+
+  /**
+   * Current metrics snapshot
+   * fps is detection frames completed in the last second
+   */
+  getMetrics() {
+    const stages = {}
+    PIPELINE_STAGES.forEach(stage => {
+      stages[stage] = this.stageTimes[stage] || 0
+    })
+
+    return {
+      fps: this.frameTimestamps.length,
+      targetFps: this.targetFps,
+      latency: this.latency || 0,
+      frameTime: this.frameTime || 0,
+      stages,
+      processed: this.processed,
+      skipped: this.skipped,
+      dropped: this.dropped,
+      inputScale: this.inputScale,
+      inputWidth: this.inputWidth,
+      inputHeight: this.inputHeight
+    }
+  }
+
+  emitMetrics(now) {
+    if (!this.onMetrics || now - this.lastMetricsTime < this.metricsIntervalMs) return
+    this.lastMetricsTime = now
+    this.onMetrics(this.getMetrics())
+  }
+
+  /**
+   * Set target detection rate
+   */
+  setTargetFps(fps) {
+    this.targetFps = fps
+  }
+
+  /**
+   * Reset timings, counters and input scale
+   */
+  reset() {
+    this.inFlight = false
+    this.frameStart = null
+    this.lastFrameStart = null
+    this.frameResultsMs = 0
+    this.frameTime = null
+    this.latency = null
+    this.stageTimes = {}
+    PIPELINE_STAGES.forEach(stage => {
+      this.stageTimes[stage] = null
+    })
+    this.frameTimestamps = []
+    this.processed = 0
+    this.skipped = 0
+    this.dropped = 0
+    this.inputScale = this.maxInputScale
+    this.inputWidth = 0
+    this.inputHeight = 0
+    this.lastAdaptTime = 0
+    this.lastMetricsTime = 0
+  }
+}
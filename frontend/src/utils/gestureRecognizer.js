@@ -0,0 +1,231 @@
+/**
+ * Gesture Recognizer - Turns tracked tongue positions into discrete gestures
+ * Runs on top of TongueTracker output (smoothed relativeX / relativeY)
+ *
+ * Gestures:
+ * - UP / DOWN: tongue held above / below the mouth center
+ * - HOLD_OUT: tongue kept out continuously
+ * - FLICK: quick dart to one side and back
+ * - ROLL: tongue circled around the mouth
+ * FLICK and ROLL events carry a strength: peak tongue speed (relative units per second)
+ * taken from the tracker's velocity estimate
+ */
+
+export const GESTURES = {
+  UP: 'UP',
+  DOWN: 'DOWN',
+  HOLD_OUT: 'HOLD_OUT',
+  FLICK: 'FLICK',
+  ROLL: 'ROLL'
+}
+
+const TWO_PI = Math.PI * 2
+
+export class GestureRecognizer {
+  constructor(options = {}) {
+    // Vertical thresholds on relativeY (image y grows downward, so UP is negative)
+    this.upThreshold = options.upThreshold || -0.03
+    this.downThreshold = options.downThreshold || 0.03
+    // Time a vertical position must be held before UP/DOWN fires (ms)
+    this.verticalHoldMs = options.verticalHoldMs || 150
+    // Time the tongue must stay out for HOLD_OUT (ms)
+    this.holdOutMs = options.holdOutMs || 1500
+    // Horizontal distance from center that starts a flick, and max flick duration (ms)
+    this.flickAmplitude = options.flickAmplitude || 0.01
+    this.flickWindowMs = options.flickWindowMs || 300
+    // A roll is a full turn within this time (ms), at least minRollRadius from center
+    // (radius measured in units of flickAmplitude / upThreshold)
+    this.rollWindowMs = options.rollWindowMs || 1500
+    this.minRollRadius = options.minRollRadius || 0.5
+    // Neutral tongue position (e.g. calibrated center)
+    this.centerX = options.centerX || 0
+    this.centerY = options.centerY || 0
+
+    this.reset()
+  }
+
+  /**
+   * Update with the latest tracked position
+   * @param {Object|null} position - { relativeX, relativeY, velocityX, velocityY, confidence } or null when the tongue is not out
+   * @param {number} timestamp - Frame time in ms
+   * @returns {Array} Gesture events recognized on this frame
+   */
+  update(position, timestamp = Date.now()) {
+    const events = []
+
+    if (!position) {
+      this.resetTracking()
+      return events
+    }
+
+    const x = position.relativeX - this.centerX
+    const y = (position.relativeY || 0) - this.centerY
+    const velocityX = position.velocityX || 0
+    const velocityY = position.velocityY || 0
+
+    if (this.visibleSince === null) {
+      this.visibleSince = timestamp
+    }
+
+    this.detectHoldOut(position, timestamp, events)
+    this.detectVertical(y, timestamp, events)
+    this.detectFlick(x, y, Math.abs(velocityX), timestamp, events)
+    this.detectRoll(x, y, Math.sqrt(velocityX * velocityX + velocityY * velocityY), timestamp, events)
+
+    return events
+  }
+
+  detectHoldOut(position, timestamp, events) {
+    if (this.holdOutEmitted || timestamp - this.visibleSince < this.holdOutMs) return
+
+    events.push({
+      type: GESTURES.HOLD_OUT,
+      timestamp,
+      confidence: position.confidence !== undefined ? position.confidence : 1,
+      duration: timestamp - this.visibleSince
+    })
+    this.holdOutEmitted = true
+  }
+
+  detectVertical(y, timestamp, events) {
+    let zone = null
+    if (y <= this.upThreshold) {
+      zone = GESTURES.UP
+    } else if (y >= this.downThreshold) {
+      zone = GESTURES.DOWN
+    }
+
+    // Fire once per entry into a zone, after it has been held long enough
+    if (zone !== this.verticalZone) {
+      this.verticalZone = zone
+      this.verticalSince = timestamp
+      this.verticalEmitted = false
+    }
+
+    if (!zone || this.verticalEmitted || timestamp - this.verticalSince < this.verticalHoldMs) return
+
+    const threshold = zone === GESTURES.UP ? this.upThreshold : this.downThreshold
+    events.push({
+      type: zone,
+      timestamp,
+      confidence: Math.min(1, Math.abs(y / threshold) / 2)
+    })
+    this.verticalEmitted = true
+  }
+
+  detectFlick(x, y, speed, timestamp, events) {
+    const away = Math.abs(x) >= this.flickAmplitude
+
+    if (away) {
+      if (this.flickStart === null) {
+        this.flickStart = timestamp
+        this.flickPeak = Math.abs(x)
+        this.flickPeakY = Math.abs(y)
+        this.flickPeakSpeed = speed
+        this.flickDirection = x < 0 ? 'LEFT' : 'RIGHT'
+      } else {
+        this.flickPeak = Math.max(this.flickPeak, Math.abs(x))
+        this.flickPeakY = Math.max(this.flickPeakY, Math.abs(y))
+        this.flickPeakSpeed = Math.max(this.flickPeakSpeed, speed)
+      }
+      return
+    }
+
+    if (this.flickStart === null) return
+    // Include the return stroke
+    this.flickPeakSpeed = Math.max(this.flickPeakSpeed, speed)
+
+    // Back near center - it was a flick if the excursion was short and horizontal
+    // (large vertical travel means it was part of a roll or an UP/DOWN)
+    const duration = timestamp - this.flickStart
+    const horizontal = this.flickPeakY < Math.min(Math.abs(this.upThreshold), this.downThreshold)
+    if (duration <= this.flickWindowMs && horizontal) {
+      events.push({
+        type: GESTURES.FLICK,
+        timestamp,
+        confidence: Math.min(1, this.flickPeak / (this.flickAmplitude * 2)),
+        direction: this.flickDirection,
+        duration,
+        strength: this.flickPeakSpeed
+      })
+    }
+    this.flickStart = null
+  }
+
+  detectRoll(x, y, speed, timestamp, events) {
+    // Normalize so a circle of "threshold size" in both axes has radius 1
+    const nx = x / this.flickAmplitude
+    const ny = y / Math.abs(this.upThreshold)
+    const radius = Math.sqrt(nx * nx + ny * ny)
+
+    // Passing through the center breaks a roll
+    if (radius < this.minRollRadius) {
+      this.rollSamples = []
+      this.rollPrevAngle = null
+      return
+    }
+
+    const angle = Math.atan2(ny, nx)
+    if (this.rollPrevAngle !== null) {
+      let delta = angle - this.rollPrevAngle
+      if (delta > Math.PI) delta -= TWO_PI
+      if (delta < -Math.PI) delta += TWO_PI
+      this.rollSamples.push({ delta, speed, timestamp })
+    }
+    this.rollPrevAngle = angle
+
+    // Keep only the rolling window
+    while (this.rollSamples.length > 0 && timestamp - this.rollSamples[0].timestamp > this.rollWindowMs) {
+      this.rollSamples.shift()
+    }
+
+    const turned = this.rollSamples.reduce((sum, sample) => sum + sample.delta, 0)
+    if (Math.abs(turned) < TWO_PI) return
+
+    const duration = timestamp - this.rollSamples[0].timestamp
+    events.push({
+      type: GESTURES.ROLL,
+      timestamp,
+      // Faster full turns are more deliberate
+      confidence: Math.max(0.5, 1 - (duration / this.rollWindowMs) * 0.5),
+      // Image y points down, so increasing angle is clockwise on screen
+      direction: turned > 0 ? 'CLOCKWISE' : 'COUNTERCLOCKWISE',
+      duration,
+      strength: Math.max(...this.rollSamples.map(sample => sample.speed))
+    })
+    this.rollSamples = []
+  }
+
+  /**
+   * Set the neutral tongue position
+   */
+  setCenter(centerX, centerY = 0) {
+    this.centerX = centerX
+    this.centerY = centerY
+  }
+
+  /**
+   * Clear per-visibility state (tongue went back in)
+   */
+  resetTracking() {
+    this.visibleSince = null
+    this.holdOutEmitted = false
+    this.verticalZone = null
+    this.verticalSince = null
+    this.verticalEmitted = false
+    this.flickStart = null
+    this.flickPeak = 0
+    this.flickPeakY = 0
+    this.flickPeakSpeed = 0
+    this.flickDirection = null
+    this.rollSamples = []
+    this.rollPrevAngle = null
+  }
+
+  /**
+   * Reset recognizer
+   */
+  reset() {
+    this.resetTracking()
+  }
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import { GestureRecognizer, GESTURES } from './gestureRecognizer'
+
+// Feed [timestamp, position] frames; returns every gesture event in order
+function run(recognizer, frames) {
+  return frames.flatMap(([timestamp, position]) => recognizer.update(position, timestamp))
+}
+
+const at = (relativeX, relativeY = 0, extra = {}) => ({ relativeX, relativeY, confidence: 0.9, ...extra })
+
+describe('GestureRecognizer', () => {
+  it('fires HOLD_OUT once after the tongue has been out long enough', () => {
+    const recognizer = new GestureRecognizer({ holdOutMs: 1000 })
+    const events = run(recognizer, [[0, at(0)], [900, at(0)], [1000, at(0)], [1500, at(0)]])
+    expect(events).toEqual([{ type: GESTURES.HOLD_OUT, timestamp: 1000, confidence: 0.9, duration: 1000 }])
+  })
+
+  it('starts the hold over when the tongue goes in', () => {
+    const recognizer = new GestureRecognizer({ holdOutMs: 1000 })
+    const events = run(recognizer, [[0, at(0)], [800, null], [900, at(0)], [1500, at(0)], [1900, at(0)]])
+    expect(events.map(event => [event.type, event.timestamp])).toEqual([[GESTURES.HOLD_OUT, 1900]])
+  })
+
+  it('fires UP and DOWN once per entry, after the vertical hold', () => {
+    const recognizer = new GestureRecognizer()
+    const events = run(recognizer, [
+      [0, at(0, -0.04)], [100, at(0, -0.04)], [150, at(0, -0.04)], [300, at(0, -0.04)],
+      [400, at(0, 0)],
+      [500, at(0, 0.06)], [650, at(0, 0.06)]
+    ])
+    expect(events.map(event => [event.type, event.timestamp])).toEqual([[GESTURES.UP, 150], [GESTURES.DOWN, 650]])
+    expect(events[1].confidence).toBe(1)
+  })
+
+  it('recognizes a quick horizontal dart and back as a FLICK with its peak speed', () => {
+    const recognizer = new GestureRecognizer()
+    const events = run(recognizer, [
+      [0, at(0)],
+      [33, at(-0.015, 0, { velocityX: -0.4 })],
+      [66, at(-0.02, 0, { velocityX: -0.2 })],
+      [100, at(0, 0, { velocityX: 0.5 })]
+    ])
+    expect(events).toEqual([{
+      type: GESTURES.FLICK, timestamp: 100, confidence: 1, direction: 'LEFT', duration: 67, strength: 0.5
+    }])
+  })
+
+  it('does not count a slow excursion as a flick', () => {
+    const recognizer = new GestureRecognizer({ flickWindowMs: 300 })
+    const events = run(recognizer, [[0, at(0)], [33, at(0.02)], [400, at(0.02)], [433, at(0)]])
+    expect(events).toEqual([])
+  })
+
+  it('recognizes a full turn around the mouth as a ROLL', () => {
+    const recognizer = new GestureRecognizer()
+    // A circle of threshold size: 0.01 across (flickAmplitude), 0.03 up and down (upThreshold)
+    const frames = Array.from({ length: 18 }, (_, k) => {
+      const angle = (k * Math.PI) / 8
+      return [k * 50, at(0.01 * Math.cos(angle), 0.03 * Math.sin(angle), { velocityX: 0.1, velocityY: 0.3 })]
+    })
+    const rolls = run(recognizer, frames).filter(event => event.type === GESTURES.ROLL)
+    expect(rolls).toHaveLength(1)
+    expect(rolls[0].direction).toBe('CLOCKWISE')
+    expect(rolls[0].strength).toBeCloseTo(Math.sqrt(0.1))
+  })
+
+  it('measures from a moved center', () => {
+    const recognizer = new GestureRecognizer()
+    recognizer.setCenter(0.02, 0)
+    const events = run(recognizer, [[0, at(0.02)], [33, at(0.035)], [66, at(0.02)]])
+    expect(events.map(event => [event.type, event.direction])).toEqual([[GESTURES.FLICK, 'RIGHT']])
+  })
+})
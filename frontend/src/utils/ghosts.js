@@ -0,0 +1,224 @@
+/**
+ * Ghosts - Recorded human runs to race against
+ * A ghost is the local player's MovementCounter count over one finished match, timestamped in play time
+ * (countdown and pauses left out), replayed by GhostOpponent through the same interface as AIOpponent
+ *
+ * Ghost file format (JSON):
+ *   { "version": 1, "id", "name", "recordedAt", "finalScore", "durationMs", "events": [{ "t": <ms of play>, "count" }] }
+ * One event per count change, counted from 0 at the start of the match
+ *
+ * Saved ghosts live in localStorage rather than with the profiles and match history in IndexedDB
+ * (see profileStore): the list is small and capped, the ghost picker reads it synchronously on the
+ * first render, and a ghost is a standalone file that belongs to no profile or match record
+ */
+
+export const GHOST_FORMAT_VERSION = 1
+
+const STORAGE_KEY = 'tuggy-arena.ghosts'
+
+// Most recent ghosts kept in storage
+const MAX_SAVED_GHOSTS = 20
+
+/**
+ * Records the local player's count while a match is played
+ */
+export class GhostRecorder {
+  constructor() {
+    this.reset()
+  }
+
+  /**
+   * Follow the player's count; call every frame of play with the time since the last frame (ms)
+   */
+  update(count, deltaTime) {
+    if (this.baseline === null) {
+      this.baseline = count
+    }
+    this.elapsed += deltaTime
+
+    // The detector count only grows during a match; a lower one means it was reset under us
+    const score = Math.max(0, count - this.baseline)
+    if (score !== this.score) {
+      this.score = score
+      this.events.push({ t: Math.round(this.elapsed), count: score })
+    }
+  }
+
+  /**
+   * True once anything was recorded
+   */
+  hasRun() {
+    return this.elapsed > 0
+  }
+
+  /**
+   * The recording as a ghost
+   */
+  toGhost(name) {
+    return {
+      version: GHOST_FORMAT_VERSION,
+      id: `ghost-${Date.now()}`,
+      name: name || 'Ghost',
+      recordedAt: new Date().toISOString(),
+      finalScore: this.score,
+      durationMs: Math.round(this.elapsed),
+      events: [...this.events]
+    }
+  }
+
+  /**
+   * Start over for a new match
+   */
+  reset() {
+    this.baseline = null
+    this.elapsed = 0
+    this.score = 0
+    this.events = []
+  }
+}
+
+/**
+ * Replays a ghost as Player 2, in real time
+ */
+export class GhostOpponent {
+  constructor(ghost) {
+    this.ghost = ghost
+    this.reset()
+  }
+
+  /**
+   * Advance the replay; the player's score is ignored, a ghost pulls exactly as it did
+   * @param {number} userScore - Current user score
+   * @param {number} deltaTime - Time elapsed since last update (ms)
+   */
+  update(userScore, deltaTime) {
+    this.elapsed += deltaTime || 0
+    const { events } = this.ghost
+    while (this.nextEvent < events.length && events[this.nextEvent].t <= this.elapsed) {
+      this.score = events[this.nextEvent].count
+      this.nextEvent += 1
+    }
+  }
+
+  /**
+   * Get current ghost score
+   */
+  getScore() {
+    return this.score
+  }
+
+  /**
+   * Label for the HUD
+   */
+  getLabel() {
+    return `${this.ghost.name} (ghost)`
+  }
+
+  /**
+   * Rewind to the start of the run
+   */
+  reset() {
+    this.elapsed = 0
+    this.score = 0
+    this.nextEvent = 0
+  }
+
+  /**
+   * Next round of a series: the ghost runs its match again
+   */
+  nextRound() {
+    this.reset()
+  }
+}
+
+const isNonNegative = value => typeof value === 'number' && Number.isFinite(value) && value >= 0
+
+// Events are replayed in order, so their times must never go back
+function validEvents(events) {
+  return Array.isArray(events) && events.every((event, index) =>
+    event && isNonNegative(event.t) && isNonNegative(event.count) && (index === 0 || event.t >= events[index - 1].t))
+}
+
+/**
+ * Check parsed JSON is a ghost this version can replay
+ */
+export function validateGhost(ghost) {
+  if (!ghost || typeof ghost !== 'object') {
+    throw new Error('Ghost file is not a JSON object')
+  }
+  if (ghost.version !== GHOST_FORMAT_VERSION) {
+    throw new Error(`Unsupported ghost version: ${ghost.version}`)
+  }
+  if (typeof ghost.name !== 'string') {
+    throw new Error('Ghost file has no name')
+  }
+  if (!isNonNegative(ghost.finalScore)) {
+    throw new Error('Ghost file has no final score')
+  }
+  if (!validEvents(ghost.events)) {
+    throw new Error('Ghost file has no valid events')
+  }
+  return ghost
+}
+
+/**
+ * Parse ghost file text; imported ghosts get a fresh id so they never replace a saved one
+ */
+export function parseGhost(text) {
+  const trimmed = (text || '').trim()
+  if (!trimmed) {
+    throw new Error('Ghost file is empty')
+  }
+  const ghost = validateGhost(JSON.parse(trimmed))
+  return { ...ghost, id: `ghost-${Date.now()}` }
+}
+
+/**
+ * Trigger a browser download of a ghost
+ */
+export function downloadGhost(ghost) {
+  const blob = new Blob([JSON.stringify(ghost)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `tuggy-ghost-${ghost.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`
+  link.click()
+
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Saved ghosts, newest first (empty when nothing is saved or storage is unavailable)
+ */
+export function loadGhosts() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(saved) ? saved.filter(ghost => ghost?.version === GHOST_FORMAT_VERSION) : []
+  } catch {
+    return []
+  }
+}
+
+function storeGhosts(ghosts) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(ghosts))
+  } catch {
+    // Private mode / storage full - the ghost lives until the page is closed
+  }
+  return ghosts
+}
+
+/**
+ * Save a ghost; returns the updated list
+ */
+export function saveGhost(ghost) {
+  return storeGhosts([ghost, ...loadGhosts().filter(saved => saved.id !== ghost.id)].slice(0, MAX_SAVED_GHOSTS))
+}
+
+/**
+ * Delete a saved ghost; returns the updated list
+ */
+export function deleteGhost(id) {
+  return storeGhosts(loadGhosts().filter(ghost => ghost.id !== id))
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest'
+import { GhostRecorder, GhostOpponent, validateGhost, parseGhost } from './ghosts'
+import { GHOST } from '../test/fixtures'
+
+describe('GhostRecorder', () => {
+  it('records count changes in play time, counted from the start of the match', () => {
+    const recorder = new GhostRecorder()
+    recorder.update(10, 0)
+    recorder.update(10, 400)
+    recorder.update(11, 100)
+    recorder.update(13, 500)
+    const recorded = recorder.toGhost('Ada')
+    expect(recorded.finalScore).toBe(3)
+    expect(recorded.durationMs).toBe(1000)
+    expect(recorded.events).toEqual([{ t: 500, count: 1 }, { t: 1000, count: 3 }])
+    expect(() => validateGhost(recorded)).not.toThrow()
+  })
+})
+
+describe('GhostOpponent', () => {
+  it('replays the recorded counts at their times', () => {
+    const opponent = new GhostOpponent(GHOST)
+    opponent.update(0, 499)
+    expect(opponent.getScore()).toBe(0)
+    opponent.update(0, 1)
+    expect(opponent.getScore()).toBe(1)
+    opponent.update(0, 2000)
+    expect(opponent.getScore()).toBe(3)
+    expect(opponent.getLabel()).toBe('Ada (ghost)')
+
+    opponent.nextRound()
+    expect(opponent.getScore()).toBe(0)
+  })
+})
+
+describe('validateGhost', () => {
+  it('accepts a ghost file', () => {
+    expect(validateGhost(GHOST)).toBe(GHOST)
+  })
+
+  it('rejects what is not an object or another version', () => {
+    expect(() => validateGhost(null)).toThrow('Ghost file is not a JSON object')
+    expect(() => validateGhost('ghost')).toThrow('Ghost file is not a JSON object')
+    expect(() => validateGhost({ ...GHOST, version: 2 })).toThrow('Unsupported ghost version: 2')
+  })
+
+  it('rejects a ghost without a name or final score', () => {
+    expect(() => validateGhost({ ...GHOST, name: undefined })).toThrow('Ghost file has no name')
+    expect(() => validateGhost({ ...GHOST, name: 42 })).toThrow('Ghost file has no name')
+    expect(() => validateGhost({ ...GHOST, finalScore: '3' })).toThrow('Ghost file has no final score')
+    expect(() => validateGhost({ ...GHOST, finalScore: -1 })).toThrow('Ghost file has no final score')
+  })
+
+  it('rejects missing or malformed events', () => {
+    expect(() => validateGhost({ ...GHOST, events: undefined })).toThrow('Ghost file has no valid events')
+    expect(() => validateGhost({ ...GHOST, events: [null] })).toThrow('Ghost file has no valid events')
+    expect(() => validateGhost({ ...GHOST, events: [{ t: '500', count: 1 }] })).toThrow('Ghost file has no valid events')
+  })
+
+  it('rejects negative or infinite times and counts', () => {
+    expect(() => validateGhost({ ...GHOST, events: [{ t: -1, count: 1 }] })).toThrow('Ghost file has no valid events')
+    expect(() => validateGhost({ ...GHOST, events: [{ t: 500, count: -2 }] })).toThrow('Ghost file has no valid events')
+    // JSON can't hold Infinity, but a ghost saved by other code could
+    expect(() => validateGhost({ ...GHOST, events: [{ t: Infinity, count: 1 }] })).toThrow('Ghost file has no valid events')
+  })
+
+  it('rejects events out of time order, which the replay would stall on', () => {
+    const events = [{ t: 1200, count: 2 }, { t: 500, count: 1 }]
+    expect(() => validateGhost({ ...GHOST, events })).toThrow('Ghost file has no valid events')
+    expect(() => validateGhost({ ...GHOST, events: [{ t: 500, count: 1 }, { t: 500, count: 2 }] })).not.toThrow()
+  })
+})
+
+describe('parseGhost', () => {
+  it('gives an imported ghost a fresh id', () => {
+    const parsed = parseGhost(JSON.stringify(GHOST))
+    expect(parsed.name).toBe('Ada')
+    expect(parsed.id).not.toBe(GHOST.id)
+  })
+
+  it('rejects empty text and invalid JSON', () => {
+    expect(() => parseGhost('  ')).toThrow('Ghost file is empty')
+    expect(() => parseGhost('{ nope')).toThrow(SyntaxError)
+  })
+})
@@ -0,0 +1,154 @@
+/**
+ * Head Pose - Estimates head yaw/roll/pitch from the FaceMesh landmarks and
+ * maps mouth points into a head-aligned frame, so turning or tilting the head
+ * doesn't shift the tongue position signal
+ */
+
+// FaceMesh landmark indices used for pose estimation
+const LEFT_EYE_OUTER = 33
+const RIGHT_EYE_OUTER = 263
+const LEFT_CHEEK = 234
+const RIGHT_CHEEK = 454
+const FOREHEAD = 10
+const CHIN = 152
+
+const RAD_TO_DEG = 180 / Math.PI
+
+/**
+ * Convert a normalized landmark to pixel space
+ * MediaPipe z uses roughly the same scale as x, so it is scaled by image width
+ */
+function toPixels(landmark, imageWidth, imageHeight) {
+  return {
+    x: landmark.x * imageWidth,
+    y: landmark.y * imageHeight,
+    z: (landmark.z || 0) * imageWidth
+  }
+}
+
+function rotateZ(point, angle) {
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  return {
+    x: point.x * cos - point.y * sin,
+    y: point.x * sin + point.y * cos,
+    z: point.z
+  }
+}
+
+function rotateY(point, angle) {
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  return {
+    x: point.x * cos + point.z * sin,
+    y: point.y,
+    z: -point.x * sin + point.z * cos
+  }
+}
+
+function rotateX(point, angle) {
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  return {
+    x: point.x,
+    y: point.y * cos - point.z * sin,
+    z: point.y * sin + point.z * cos
+  }
+}
+
+/**
+ * Estimate head pose from the full face mesh
+ * Returns angles in radians plus the rotation origin (face center, pixels), or null
+ */
+export function estimateHeadPose(landmarks, imageWidth, imageHeight) {
+  if (!landmarks || landmarks.length < 468 || !imageWidth || !imageHeight) {
+    return null
+  }
+
+  const leftEye = toPixels(landmarks[LEFT_EYE_OUTER], imageWidth, imageHeight)
+  const rightEye = toPixels(landmarks[RIGHT_EYE_OUTER], imageWidth, imageHeight)
+  const leftCheek = toPixels(landmarks[LEFT_CHEEK], imageWidth, imageHeight)
+  const rightCheek = toPixels(landmarks[RIGHT_CHEEK], imageWidth, imageHeight)
+  const forehead = toPixels(landmarks[FOREHEAD], imageWidth, imageHeight)
+  const chin = toPixels(landmarks[CHIN], imageWidth, imageHeight)
+
+  const origin = {
+    x: (leftCheek.x + rightCheek.x) / 2,
+    y: (leftCheek.y + rightCheek.y) / 2,
+    z: (leftCheek.z + rightCheek.z) / 2
+  }
+
+  // Roll: tilt of the line between the outer eye corners
+  const roll = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x)
+
+  // Remove roll before measuring yaw and pitch so the angles don't mix
+  const cheekAxis = rotateZ({
+    x: rightCheek.x - leftCheek.x,
+    y: rightCheek.y - leftCheek.y,
+    z: rightCheek.z - leftCheek.z
+  }, -roll)
+  const verticalAxis = rotateZ({
+    x: chin.x - forehead.x,
+    y: chin.y - forehead.y,
+    z: chin.z - forehead.z
+  }, -roll)
+
+  // Yaw: depth difference across the cheeks; pitch: depth difference forehead to chin
+  const yaw = Math.atan2(cheekAxis.z, cheekAxis.x)
+  const pitch = Math.atan2(verticalAxis.z, verticalAxis.y)
+
+  return { yaw, roll, pitch, origin }
+}
+
+/**
+ * Map a pixel-space point ({ x, y, z }) into the head-aligned frame
+ */
+export function toHeadFrame(point, pose) {
+  let aligned = {
+    x: point.x - pose.origin.x,
+    y: point.y - pose.origin.y,
+    z: (point.z || 0) - pose.origin.z
+  }
+  aligned = rotateZ(aligned, -pose.roll)
+  aligned = rotateY(aligned, pose.yaw)
+  aligned = rotateX(aligned, -pose.pitch)
+  return aligned
+}
+
+/**
+ * Recompute the mouth geometry used by TongueDetector in the head-aligned frame
+ * Returns { innerLandmarks, center, boundingBox } with the same meaning as extractMouthRegion
+ */
+export function alignMouthRegion(mouthRegion, pose) {
+  const innerLandmarks = mouthRegion.innerLandmarks.map(point => toHeadFrame(point, pose))
+  const outerLandmarks = mouthRegion.outerLandmarks.map(point => toHeadFrame(point, pose))
+
+  const xs = outerLandmarks.map(p => p.x)
+  const ys = outerLandmarks.map(p => p.y)
+  const minX = Math.min(...xs)
+  const maxX = Math.max(...xs)
+  const minY = Math.min(...ys)
+  const maxY = Math.max(...ys)
+
+  // Same 20% padding as extractMouthRegion
+  const width = (maxX - minX) * 1.4
+  const height = (maxY - minY) * 1.4
+
+  return {
+    innerLandmarks,
+    center: { x: (minX + maxX) / 2, y: (minY + maxY) / 2 },
+    boundingBox: { x: minX - (maxX - minX) * 0.2, y: minY - (maxY - minY) * 0.2, width, height }
+  }
+}
+
+/**
+ * Pose angles in degrees, for debugging output
+ */
+export function poseToDegrees(pose) {
+  if (!pose) return null
+  return {
+    yaw: pose.yaw * RAD_TO_DEG,
+    roll: pose.roll * RAD_TO_DEG,
+    pitch: pose.pitch * RAD_TO_DEG
+  }
+}
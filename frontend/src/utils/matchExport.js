@@ -0,0 +1,194 @@
+/**
+ * Match Export - Match history out to files and back
+ * - One match as JSON, with its full timeline: { kind: 'tuggy-arena.match', schemaVersion, exportedAt, match }
+ * - Matches as CSV, one summary row each (CSV_COLUMNS), for spreadsheets
+ * - The whole history as one JSON bundle:
+ *   { kind: 'tuggy-arena.history', schemaVersion, exportedAt, profiles: [...], matches: [...] }
+ * Imports take either JSON kind and are validated field by field before anything is stored
+ */
+
+import { HISTORY_MODES } from './matchHistory'
+
+export const EXPORT_SCHEMA_VERSION = 1
+
+const MATCH_KIND = 'tuggy-arena.match'
+const HISTORY_KIND = 'tuggy-arena.history'
+
+// Problems listed in an import error before the rest are summarized
+const MAX_REPORTED_PROBLEMS = 5
+
+// Summary columns: header and value for a record
+export const CSV_COLUMNS = [
+  ['id', record => record.id],
+  ['played_at', record => record.playedAt],
+  ['mode', record => record.mode],
+  ['format', record => record.format],
+  ['left_player', record => record.sides[0].name],
+  ['right_player', record => record.sides[1].name],
+  ['opponent', record => record.opponent],
+  ['winner', record => (record.winner ? record.sides[record.winner === 'player1' ? 0 : 1].name : 'draw')],
+  ['finish_reason', record => record.finishReason],
+  ['left_count', record => record.counts[0]],
+  ['right_count', record => record.counts[1]],
+  ['rounds', record => record.rounds],
+  ['left_round_wins', record => record.seriesWins[0]],
+  ['right_round_wins', record => record.seriesWins[1]],
+  ['duration_s', record => (record.durationMs / 1000).toFixed(1)],
+  ['left_peak_per_s', record => record.peakRates[0]],
+  ['right_peak_per_s', record => record.peakRates[1]]
+]
+
+// Spreadsheets run cells starting with these (tab and carriage return included) as formulas;
+// names are prefixed with ' so they stay text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value)
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * One match as JSON text, timeline included
+ */
+export function exportMatchJSON(record) {
+  return JSON.stringify({ kind: MATCH_KIND, schemaVersion: EXPORT_SCHEMA_VERSION, exportedAt: new Date().toISOString(), match: record }, null, 2)
+}
+
+/**
+ * Summary rows as CSV text (header first)
+ */
+export function exportMatchesCSV(records) {
+  const lines = [CSV_COLUMNS.map(([header]) => header).join(',')]
+  records.forEach(record => {
+    lines.push(CSV_COLUMNS.map(([, value]) => csvCell(value(record))).join(','))
+  })
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * The whole history as one JSON bundle
+ */
+export function exportHistoryBundle(profiles, matches) {
+  return JSON.stringify({
+    kind: HISTORY_KIND,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    profiles,
+    matches
+  })
+}
+
+const HISTORY_MODE_IDS = HISTORY_MODES.map(mode => mode.id)
+
+const isString = value => typeof value === 'string'
+const isNumber = value => typeof value === 'number' && Number.isFinite(value)
+const isPair = (value, check) => Array.isArray(value) && value.length === 2 && value.every(check)
+
+function checkProfile(profile, path, problems) {
+  if (!profile || typeof profile !== 'object') {
+    problems.push(`${path} is not an object`)
+    return
+  }
+  for (const key of ['id', 'name', 'color', 'createdAt']) {
+    if (!isString(profile[key])) problems.push(`${path}.${key} must be a string`)
+  }
+}
+
+function checkSample(sample, path, problems) {
+  if (!sample || !isNumber(sample.t) || !isNumber(sample.round) || !isPair(sample.counts, isNumber) ||
+    !isNumber(sample.ropePosition) || !Array.isArray(sample.tongueStates)) {
+    problems.push(`${path} must have t, round, counts, ropePosition and tongueStates`)
+  }
+}
+
+function checkMatch(match, path, problems) {
+  if (!match || typeof match !== 'object') {
+    problems.push(`${path} is not an object`)
+    return
+  }
+  for (const key of ['id', 'playedAt', 'mode', 'format', 'opponent']) {
+    if (!isString(match[key])) problems.push(`${path}.${key} must be a string`)
+  }
+  if (isString(match.mode) && !HISTORY_MODE_IDS.includes(match.mode)) {
+    problems.push(`${path}.mode must be one of ${HISTORY_MODE_IDS.join(', ')}`)
+  }
+  if (!isPair(match.sides, side => side && isString(side.name) && (side.profileId === null || isString(side.profileId)))) {
+    problems.push(`${path}.sides must be two { profileId, name } entries`)
+  }
+  if (![null, 'player1', 'player2'].includes(match.winner)) {
+    problems.push(`${path}.winner must be 'player1', 'player2' or null`)
+  }
+  if (match.finishReason !== null && !isString(match.finishReason)) {
+    problems.push(`${path}.finishReason must be a string or null`)
+  }
+  for (const key of ['counts', 'seriesWins', 'peakRates']) {
+    if (!isPair(match[key], isNumber)) problems.push(`${path}.${key} must be two numbers`)
+  }
+  for (const key of ['rounds', 'durationMs']) {
+    if (!isNumber(match[key])) problems.push(`${path}.${key} must be a number`)
+  }
+  // Matches saved before timelines were recorded have none
+  if (match.timeline !== undefined) {
+    if (!Array.isArray(match.timeline)) {
+      problems.push(`${path}.timeline must be a list`)
+    } else {
+      match.timeline.forEach((sample, index) => checkSample(sample, `${path}.timeline[${index}]`, problems))
+    }
+  }
+}
+
+/**
+ * Parse and validate a history bundle or a single-match export
+ * Throws an Error naming the problems; returns { profiles, matches } ready to store
+ */
+export function parseImport(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('File is not valid JSON')
+  }
+  if (!data || (data.kind !== HISTORY_KIND && data.kind !== MATCH_KIND)) {
+    throw new Error('File is not a Tuggy Arena match or history export')
+  }
+  if (!isNumber(data.schemaVersion) || data.schemaVersion < 1) {
+    throw new Error('File has no schema version')
+  }
+  if (data.schemaVersion > EXPORT_SCHEMA_VERSION) {
+    throw new Error(`File uses schema version ${data.schemaVersion}, this version of the game reads up to ${EXPORT_SCHEMA_VERSION}`)
+  }
+
+  const profiles = data.kind === HISTORY_KIND ? data.profiles : []
+  const matches = data.kind === HISTORY_KIND ? data.matches : [data.match]
+  const problems = []
+  if (!Array.isArray(profiles)) problems.push('profiles must be a list')
+  if (!Array.isArray(matches)) problems.push('matches must be a list')
+  if (problems.length === 0) {
+    profiles.forEach((profile, index) => checkProfile(profile, `profiles[${index}]`, problems))
+    matches.forEach((match, index) => checkMatch(match, data.kind === HISTORY_KIND ? `matches[${index}]` : 'match', problems))
+  }
+
+  if (problems.length > 0) {
+    const more = problems.length > MAX_REPORTED_PROBLEMS ? ` (and ${problems.length - MAX_REPORTED_PROBLEMS} more)` : ''
+    throw new Error(`${problems.slice(0, MAX_REPORTED_PROBLEMS).join('; ')}${more}`)
+  }
+  return { profiles, matches: matches.map(match => ({ ...match, timeline: match.timeline || [] })) }
+}
+
+/**
+ * Trigger a browser download of exported text
+ */
+export function downloadExport(text, filename, type = 'application/json') {
+  const blob = new Blob([text], { type })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+
+  URL.revokeObjectURL(url)
+}
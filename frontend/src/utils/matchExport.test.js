@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import { exportMatchJSON, exportHistoryBundle, exportMatchesCSV, parseImport, EXPORT_SCHEMA_VERSION, CSV_COLUMNS } from './matchExport'
+import { PROFILE, MATCH_RECORD } from '../test/fixtures'
+
+// A valid history bundle; tests spread it and break one field
+const HISTORY = JSON.parse(exportHistoryBundle([PROFILE], [MATCH_RECORD]))
+
+describe('parseImport', () => {
+  it('reads back a single-match export', () => {
+    expect(parseImport(exportMatchJSON(MATCH_RECORD))).toEqual({ profiles: [], matches: [MATCH_RECORD] })
+  })
+
+  it('reads back a history bundle', () => {
+    expect(parseImport(JSON.stringify(HISTORY))).toEqual({ profiles: [PROFILE], matches: [MATCH_RECORD] })
+  })
+
+  it('gives matches saved without a timeline an empty one', () => {
+    const { timeline, ...record } = MATCH_RECORD
+    expect(timeline).toHaveLength(1)
+    expect(parseImport(exportMatchJSON(record)).matches[0].timeline).toEqual([])
+  })
+
+  it('rejects text that is not JSON', () => {
+    expect(() => parseImport('{ not json')).toThrow('File is not valid JSON')
+  })
+
+  it('rejects JSON that is not an export', () => {
+    expect(() => parseImport('null')).toThrow('not a Tuggy Arena match or history export')
+    expect(() => parseImport(JSON.stringify({ kind: 'something-else' }))).toThrow('not a Tuggy Arena match or history export')
+  })
+
+  it('rejects a missing or newer schema version', () => {
+    expect(() => parseImport(JSON.stringify({ ...HISTORY, schemaVersion: undefined }))).toThrow('File has no schema version')
+    expect(() => parseImport(JSON.stringify({ ...HISTORY, schemaVersion: EXPORT_SCHEMA_VERSION + 1 }))).toThrow(`reads up to ${EXPORT_SCHEMA_VERSION}`)
+  })
+
+  it('names the fields that are wrong', () => {
+    const text = JSON.stringify({ ...HISTORY, matches: [MATCH_RECORD, { ...MATCH_RECORD, winner: 'player3', counts: [1] }] })
+    expect(() => parseImport(text)).toThrow("matches[1].winner must be 'player1', 'player2' or null; matches[1].counts must be two numbers")
+  })
+
+  it('rejects modes the history does not know', () => {
+    expect(() => parseImport(exportMatchJSON({ ...MATCH_RECORD, mode: 'arcade' }))).toThrow('match.mode must be one of ai, human, team, online')
+  })
+
+  it('reports missing entries instead of failing on them', () => {
+    expect(() => parseImport(JSON.stringify({ ...HISTORY, profiles: [null], matches: [null] }))).toThrow('profiles[0] is not an object; matches[0] is not an object')
+    expect(() => parseImport(JSON.stringify({ ...HISTORY, matches: 'all of them' }))).toThrow('matches must be a list')
+  })
+
+  it('checks every timeline sample', () => {
+    const record = { ...MATCH_RECORD, timeline: [{ t: 0 }, null] }
+    expect(() => parseImport(exportMatchJSON(record))).toThrow('match.timeline[0] must have t, round, counts, ropePosition and tongueStates')
+  })
+
+  it('summarizes problems past the first few', () => {
+    const matches = Array.from({ length: 3 }, () => ({}))
+    let message = ''
+    try {
+      parseImport(JSON.stringify({ ...HISTORY, matches }))
+    } catch (err) {
+      message = err.message
+    }
+    expect(message.split('; ')).toHaveLength(5)
+    expect(message).toMatch(/\(and \d+ more\)$/)
+  })
+})
+
+describe('exportMatchesCSV', () => {
+  it('writes a header and one row per match', () => {
+    const lines = exportMatchesCSV([MATCH_RECORD, { ...MATCH_RECORD, id: 'match-2' }]).trimEnd().split('\n')
+    expect(lines).toHaveLength(3)
+    expect(lines[0]).toBe(CSV_COLUMNS.map(([header]) => header).join(','))
+    expect(lines[1]).toContain(',Ada,Normal Steady AI,Normal Steady AI,Ada,pull,42,30,')
+    expect(lines[1]).toContain(',21.5,6,3')
+  })
+
+  it('quotes cells with commas and quotes', () => {
+    const sides = [{ profileId: null, name: 'Tongue "Twister", Jr' }, { profileId: null, name: 'Bob' }]
+    const csv = exportMatchesCSV([{ ...MATCH_RECORD, sides }])
+    expect(csv).toContain('"Tongue ""Twister"", Jr"')
+  })
+
+  it('keeps names that look like formulas as text', () => {
+    const sides = [{ profileId: null, name: '=HYPERLINK("http://example.com")' }, { profileId: null, name: '@SUM(A1)' }]
+    const csv = exportMatchesCSV([{ ...MATCH_RECORD, sides, winner: null }])
+    expect(csv).toContain('"\'=HYPERLINK(""http://example.com"")"')
+    expect(csv).toContain(",'@SUM(A1),")
+    expect(csv).not.toMatch(/,[=+\-@]/)
+  })
+
+  it('keeps names starting with a tab or carriage return as text', () => {
+    const sides = [{ profileId: null, name: '\t=1+1' }, { profileId: null, name: '\r=1+1' }]
+    const csv = exportMatchesCSV([{ ...MATCH_RECORD, sides, winner: null }])
+    expect(csv).toContain(",'\t=1+1,")
+    expect(csv).toContain(',"\'\r=1+1",')
+  })
+})
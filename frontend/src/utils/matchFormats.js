@@ -0,0 +1,31 @@
+/**
+ * Match Formats - How a match is won
+ * - rounds: rounds in the series; the first side to win a majority takes the match (1 = single round)
+ * - timeLimitMs: round length, after which the side the rope leans toward wins the round (0 = no limit)
+ * - suddenDeath: on a tie at the time limit, play on until the next point decides the round
+ *   (without it the round is a draw)
+ * A round also ends as soon as one side pulls the knot past the other's line, whatever the format
+ */
+
+export const MATCH_FORMATS = {
+  classic: { id: 'classic', label: 'Classic', rounds: 1, timeLimitMs: 0, suddenDeath: false },
+  timed: { id: 'timed', label: '60s Timed', rounds: 1, timeLimitMs: 60000, suddenDeath: true },
+  bestOf3: { id: 'bestOf3', label: 'Best of 3', rounds: 3, timeLimitMs: 45000, suddenDeath: true },
+  bestOf5: { id: 'bestOf5', label: 'Best of 5', rounds: 5, timeLimitMs: 45000, suddenDeath: true }
+}
+
+export const DEFAULT_MATCH_FORMAT = 'classic'
+
+/**
+ * Look up a format by id, falling back to the default
+ */
+export function getMatchFormat(id) {
+  return MATCH_FORMATS[id] || MATCH_FORMATS[DEFAULT_MATCH_FORMAT]
+}
+
+/**
+ * Round wins that take the series (2 of 3, 3 of 5)
+ */
+export function winsNeeded(format) {
+  return Math.floor(format.rounds / 2) + 1
+}
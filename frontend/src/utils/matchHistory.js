@@ -0,0 +1,166 @@
+/**
+ * Match History - Records of finished matches and the rankings built from them
+ * A record is plain JSON (stored by profileStore):
+ *   { id, playedAt, mode, format, opponent, sides: [{ profileId, name }, { profileId, name }],
+ *     winner: 'player1' | 'player2' | null, finishReason, counts: [left, right], rounds, seriesWins,
+ *     durationMs, peakRates: [left, right], timeline }
+ * counts are the points each side scored over the whole match (every round of a series), peakRates the
+ * most points a side scored within one second
+ * timeline samples the match as it was played (see MatchTimeline):
+ *   [{ t: <ms since the match started>, round, counts: [left, right], ropePosition, tongueStates }]
+ */
+
+export const HISTORY_MODES = [
+  { id: 'ai', label: 'Solo vs AI' },
+  { id: 'human', label: 'Dual Player' },
+  { id: 'team', label: '2v2 Teams' },
+  { id: 'online', label: 'Online 1v1' }
+]
+
+// Rope moves (without a new count or tongue state) sampled at most this often
+const TIMELINE_SAMPLE_MS = 100
+
+/**
+ * Records the timeline of one match: a sample whenever a count or a tongue state changes,
+ * and the rope position at most every TIMELINE_SAMPLE_MS in between
+ */
+export class MatchTimeline {
+  constructor() {
+    this.startedAt = null
+    this.samples = []
+  }
+
+  /**
+   * Record the match at `at`; round 1 starting at a new startedAt begins a new timeline
+   * @param {Object} sample - { round, startedAt, counts: [left, right], ropePosition, tongueStates }
+   * @param {number} at - Timestamp (ms)
+   */
+  record({ round, startedAt, counts, ropePosition, tongueStates }, at) {
+    if (startedAt === null) return
+    if (round === 1 && startedAt !== this.startedAt) {
+      this.startedAt = startedAt
+      this.samples = []
+    }
+
+    const last = this.samples[this.samples.length - 1]
+    const t = Math.max(0, Math.round(at - this.startedAt))
+    const rope = Math.round(ropePosition * 100) / 100
+    const changed = !last || last.round !== round ||
+      last.counts[0] !== counts[0] || last.counts[1] !== counts[1] ||
+      last.tongueStates.join() !== tongueStates.join()
+    if (!changed && (t - last.t < TIMELINE_SAMPLE_MS || last.ropePosition === rope)) return
+
+    this.samples.push({ t, round, counts: [...counts], ropePosition: rope, tongueStates: [...tongueStates] })
+  }
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0)
+}
+
+/**
+ * Record for a finished match state (see matchState)
+ * @param {Object} match - Match state in the 'finished' phase
+ * @param {Object} details - { mode, opponent, sides: [{ profileId, name }, { profileId, name }], timeline }
+ */
+export function createMatchRecord(match, { mode, opponent, sides, timeline = [] }) {
+  const rounds = match.roundResults
+  return {
+    id: `match-${Date.now()}-${Math.floor(Math.random() * 1e6)}`,
+    playedAt: new Date().toISOString(),
+    mode,
+    format: match.format.id,
+    opponent,
+    sides: sides.map(side => ({ profileId: side.profileId || null, name: side.name })),
+    winner: match.winner,
+    finishReason: match.finishReason,
+    counts: rounds.length > 0
+      ? [0, 1].map(side => sum(rounds.map(round => round.scores[side])))
+      : [...match.scores],
+    rounds: Math.max(1, rounds.length),
+    seriesWins: [...match.seriesWins],
+    durationMs: rounds.length > 0 ? sum(rounds.map(round => round.durationMs)) : match.elapsedMs,
+    peakRates: [...match.peakRates],
+    timeline: [...timeline]
+  }
+}
+
+/**
+ * Side (0 / 1) a profile played on in a record, or -1
+ */
+export function sideOf(record, profileId) {
+  return record.sides.findIndex(side => side.profileId === profileId)
+}
+
+function resultFor(record, side) {
+  if (!record.winner) return 'draw'
+  return record.winner === `player${side + 1}` ? 'win' : 'loss'
+}
+
+/**
+ * Rankings for one mode: every profile that played it, by wins, then win rate, then matches played
+ * Matches played without a profile don't rank; names come from the current profiles when they still exist
+ */
+export function leaderboard(records, profiles, mode) {
+  const rows = new Map()
+
+  records.filter(record => record.mode === mode).forEach(record => {
+    record.sides.forEach((side, index) => {
+      if (!side.profileId) return
+      const row = rows.get(side.profileId) || {
+        profileId: side.profileId,
+        name: side.name,
+        color: null,
+        played: 0,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        bestScore: 0,
+        peakRate: 0
+      }
+      const result = resultFor(record, index)
+      row.played += 1
+      row.wins += result === 'win' ? 1 : 0
+      row.losses += result === 'loss' ? 1 : 0
+      row.draws += result === 'draw' ? 1 : 0
+      row.bestScore = Math.max(row.bestScore, record.counts[index])
+      row.peakRate = Math.max(row.peakRate, record.peakRates[index])
+      rows.set(side.profileId, row)
+    })
+  })
+
+  return [...rows.values()]
+    .map(row => {
+      const profile = profiles.find(candidate => candidate.id === row.profileId)
+      return {
+        ...row,
+        name: profile?.name || row.name,
+        color: profile?.color || null,
+        winRate: row.played > 0 ? row.wins / row.played : 0
+      }
+    })
+    .sort((a, b) => b.wins - a.wins || b.winRate - a.winRate || b.played - a.played)
+}
+
+/**
+ * A profile's records per mode: matches, wins, best score, peak wiggles per second and fastest win (ms)
+ */
+export function personalBests(records, profileId) {
+  return HISTORY_MODES.map(mode => {
+    const played = records
+      .filter(record => record.mode === mode.id)
+      .map(record => ({ record, side: sideOf(record, profileId) }))
+      .filter(({ side }) => side !== -1)
+    const wins = played.filter(({ record, side }) => resultFor(record, side) === 'win')
+
+    return {
+      mode: mode.id,
+      label: mode.label,
+      played: played.length,
+      wins: wins.length,
+      bestScore: Math.max(0, ...played.map(({ record, side }) => record.counts[side])),
+      peakRate: Math.max(0, ...played.map(({ record, side }) => record.peakRates[side])),
+      fastestWinMs: wins.length > 0 ? Math.min(...wins.map(({ record }) => record.durationMs)) : null
+    }
+  }).filter(best => best.played > 0)
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest'
+import { MatchTimeline, createMatchRecord, leaderboard, personalBests } from './matchHistory'
+import { createMatchState } from './matchState'
+import { MATCH_FORMATS } from './matchFormats'
+import { MATCH_RECORD } from '../test/fixtures'
+
+const ada = { profileId: 'ada', name: 'Ada' }
+const bob = { profileId: 'bob', name: 'Bob' }
+const guest = { profileId: null, name: 'Guest' }
+
+describe('MatchTimeline', () => {
+  // Round 1 of a match that started at 1000 ms, nobody has scored yet
+  const START = { round: 1, startedAt: 1000, counts: [0, 0], ropePosition: 50, tongueStates: ['CENTER', 'CENTER'] }
+
+  it('samples count changes and rope moves at most every 100 ms', () => {
+    const timeline = new MatchTimeline()
+    timeline.record(START, 1000)
+    timeline.record({ ...START, ropePosition: 49 }, 1050)
+    timeline.record({ ...START, counts: [1, 0], ropePosition: 48 }, 1060)
+    timeline.record({ ...START, counts: [1, 0], ropePosition: 47 }, 1200)
+    timeline.record({ ...START, counts: [1, 0], ropePosition: 47 }, 1400)
+    expect(timeline.samples.map(({ t, counts, ropePosition }) => [t, counts, ropePosition])).toEqual([
+      [0, [0, 0], 50],
+      [60, [1, 0], 48],
+      [200, [1, 0], 47]
+    ])
+  })
+
+  it('starts over with a new match and keeps going through later rounds', () => {
+    const timeline = new MatchTimeline()
+    timeline.record(START, 1000)
+    timeline.record({ ...START, round: 2, startedAt: 9000 }, 9000)
+    expect(timeline.samples).toHaveLength(2)
+
+    timeline.record({ ...START, startedAt: 20000 }, 20000)
+    expect(timeline.samples).toHaveLength(1)
+    expect(timeline.samples[0].t).toBe(0)
+  })
+})
+
+describe('createMatchRecord', () => {
+  it('sums the scores and durations of every round of a series', () => {
+    const match = {
+      ...createMatchState({ format: MATCH_FORMATS.bestOf3 }),
+      winner: 'player2',
+      finishReason: 'pull',
+      seriesWins: [1, 2],
+      peakRates: [6, 7],
+      roundResults: [
+        { round: 1, winner: 'player1', reason: 'pull', scores: [30, 10], durationMs: 20000 },
+        { round: 2, winner: 'player2', reason: 'pull', scores: [5, 25], durationMs: 15000 },
+        { round: 3, winner: 'player2', reason: 'time', scores: [12, 14], durationMs: 45000 }
+      ]
+    }
+    const result = createMatchRecord(match, { mode: 'human', opponent: 'Bob', sides: [ada, { ...bob, profileId: undefined }] })
+    expect(result.format).toBe('bestOf3')
+    expect(result.counts).toEqual([47, 49])
+    expect(result.rounds).toBe(3)
+    expect(result.durationMs).toBe(80000)
+    expect(result.sides[1].profileId).toBeNull()
+  })
+})
+
+describe('leaderboard', () => {
+  const records = [
+    { ...MATCH_RECORD, mode: 'human', sides: [ada, bob], winner: 'player1' },
+    { ...MATCH_RECORD, mode: 'human', sides: [bob, ada], winner: 'player1', counts: [30, 25], peakRates: [8, 6] },
+    { ...MATCH_RECORD, mode: 'human', sides: [ada, bob], winner: null },
+    { ...MATCH_RECORD, mode: 'human', sides: [guest, ada], winner: 'player2' },
+    { ...MATCH_RECORD, mode: 'ai', sides: [bob, guest], winner: 'player1' }
+  ]
+
+  it('ranks profiles by wins in one mode and leaves guests out', () => {
+    const rows = leaderboard(records, [{ id: 'ada', name: 'Ada L.', color: '#FFD700' }], 'human')
+    expect(rows.map(row => [row.profileId, row.played, row.wins, row.losses, row.draws])).toEqual([
+      ['ada', 4, 2, 1, 1],
+      ['bob', 3, 1, 1, 1]
+    ])
+    expect(rows[0].name).toBe('Ada L.')
+    expect(rows[0].color).toBe('#FFD700')
+    expect(rows[1].bestScore).toBe(30)
+    expect(rows[1].peakRate).toBe(8)
+  })
+})
+
+describe('personalBests', () => {
+  it('lists the modes a profile played, with its fastest win', () => {
+    const records = [
+      { ...MATCH_RECORD, mode: 'human', sides: [ada, bob], winner: 'player1', durationMs: 40000 },
+      { ...MATCH_RECORD, mode: 'human', sides: [bob, ada], winner: 'player2', durationMs: 25000 },
+      { ...MATCH_RECORD, mode: 'human', sides: [bob, ada], winner: 'player1', durationMs: 10000 }
+    ]
+    expect(personalBests(records, 'ada')).toEqual([
+      { mode: 'human', label: 'Dual Player', played: 3, wins: 2, bestScore: 42, peakRate: 6, fastestWinMs: 25000 }
+    ])
+  })
+})
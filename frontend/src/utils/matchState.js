@@ -0,0 +1,317 @@
+/**
+ * Match State - Pure reducer for one tug-of-war match
+ * Takes count and timing inputs and produces the phase, scores, rope position and winner;
+ * TugOfWar3D only renders the result
+ * The rope is simulated (see ropePhysics): wiggles push it, TICK moves it, and a side wins when
+ * the knot crosses the other side's line
+ *
+ * Phases: 'lobby' -> 'calibrating' -> 'ready' -> 'countdown' -> 'playing' <-> 'paused' -> 'finished'
+ * A series (see matchFormats) goes 'playing' -> 'roundOver' -> 'ready' for each further round
+ * Scores are [left, right]: side 1 (blue) and side 2 (white) as in TugOfWar3D
+ *
+ * Actions (at = timestamp in ms):
+ * - { type: 'RESET', options } back to the lobby, optionally with new match options
+ * - { type: 'CALIBRATE' } / { type: 'START', at, countdownMs } / { type: 'TICK', at }
+ * - { type: 'READY_CHECK' } wait for the players; { type: 'READY', ready, at } whether they all are (see readyCheck)
+ * - { type: 'COUNTS', counts: [left, right], at } latest raw counts from detection, the AI or the relay
+ * - { type: 'PAUSE', at } / { type: 'RESUME', at } / { type: 'NEXT_ROUND' }
+ * - { type: 'FINISH', winner, at } end the match from outside (e.g. the relay decided it)
+ */
+
+import { DEFAULT_MATCH_FORMAT, getMatchFormat, winsNeeded } from './matchFormats'
+import { ropeTuning, createRope, applyPulls, stepRope, resumeRope, ropeWinner } from './ropePhysics'
+
+export const MATCH_PHASES = {
+  LOBBY: 'lobby',
+  CALIBRATING: 'calibrating',
+  READY: 'ready',
+  COUNTDOWN: 'countdown',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  ROUND_OVER: 'roundOver',
+  FINISHED: 'finished'
+}
+
+// Score lead that wins a mirrored match (the relay's rule): the knot is drawn at the losing side's line
+export const WIN_DIFFERENCE = 20
+
+// Resolution of elapsedMs
+const ELAPSED_STEP_MS = 100
+
+// Window over which the peak pulling rate is measured (points per window = wiggles per second)
+const PEAK_WINDOW_MS = 1000
+
+// How far the knot moves from the center (in % of the rope) at a lead of WIN_DIFFERENCE
+const ROPE_TRAVEL = 40
+
+// Knot this close to the center (in % of the rope) at the time limit counts as a tie
+const TIE_MARGIN = 1
+
+/**
+ * Knot position in % of the rope for a score gap (50 = center, lower = toward the left side)
+ * Used when mirroring a match decided by score difference; not clamped, at 10 / 90 the lead is WIN_DIFFERENCE
+ */
+export function ropePositionFor(scores, winDifference = WIN_DIFFERENCE) {
+  return 50 - ((scores[0] - scores[1]) / winDifference) * ROPE_TRAVEL
+}
+
+/**
+ * Fresh match state
+ * options.winDifference: lead drawn at a side's line when mirroring (default WIN_DIFFERENCE)
+ * options.ropeTuning: rope physics constants over DEFAULT_ROPE_TUNING (impulse, mass, friction, ...)
+ * options.countdownMs: time between START (or everyone being ready) and play (default 0, straight to playing)
+ * options.readyHoldMs: how long everyone must stay ready before the countdown (default 0)
+ * options.authoritative: decide the winner here (default true); false mirrors someone else's match,
+ *   taking counts as the scores and ending only on FINISH
+ * options.format: rounds, time limit and sudden death (default MATCH_FORMATS.classic)
+ */
+export function createMatchState(options = {}) {
+  return {
+    phase: MATCH_PHASES.LOBBY,
+    winDifference: options.winDifference || WIN_DIFFERENCE,
+    countdownMs: options.countdownMs || 0,
+    readyHoldMs: options.readyHoldMs || 0,
+    authoritative: options.authoritative !== false,
+    format: options.format || getMatchFormat(DEFAULT_MATCH_FORMAT),
+    // Series so far: 1-based round, each finished round's { round, winner, reason, scores, durationMs }
+    // and round wins per side
+    round: 1,
+    roundResults: [],
+    seriesWins: [0, 0],
+    // Tied at the time limit: the next point decides the round
+    overtime: false,
+    scores: [0, 0],
+    // Last raw counts seen; only increases made while playing score
+    rawCounts: options.rawCounts || [0, 0],
+    ropeTuning: ropeTuning(options.ropeTuning),
+    rope: createRope(),
+    ropePosition: 50,
+    winner: null,
+    // Why the last round ended: 'pull', 'time', 'suddenDeath' or 'external'
+    finishReason: null,
+    allReady: false,
+    readySince: null,
+    countdownEndsAt: null,
+    // Whole seconds left while counting down (3, 2, 1)
+    countdown: null,
+    // Sides that moved during the countdown; flagged only, their moves never score
+    falseStarts: [false, false],
+    // Times of each side's points in the last PEAK_WINDOW_MS, and the most points in one window this match
+    recentPulls: [[], []],
+    peakRates: [0, 0],
+    startedAt: null,
+    finishedAt: null,
+    pausedAt: null,
+    pausedMs: 0,
+    elapsedMs: 0
+  }
+}
+
+export function matchReducer(state, action) {
+  switch (action.type) {
+    case 'RESET':
+      return createMatchState({ ...state, ...action.options })
+
+    case 'CALIBRATE':
+      if (state.phase === MATCH_PHASES.CALIBRATING) return state
+      return { ...createMatchState(state), phase: MATCH_PHASES.CALIBRATING }
+
+    case 'READY_CHECK':
+      return { ...createMatchState(state), phase: MATCH_PHASES.READY }
+
+    case 'NEXT_ROUND':
+      if (state.phase !== MATCH_PHASES.ROUND_OVER) return state
+      return {
+        ...createMatchState(state),
+        phase: MATCH_PHASES.READY,
+        round: state.round + 1,
+        roundResults: state.roundResults,
+        seriesWins: state.seriesWins,
+        peakRates: state.peakRates
+      }
+
+    case 'READY': {
+      if (state.phase !== MATCH_PHASES.READY) return state
+      const allReady = Boolean(action.ready)
+      const next = allReady === state.allReady
+        ? state
+        : { ...state, allReady, readySince: allReady ? action.at : null }
+      return checkReady(next, action.at)
+    }
+
+    case 'START':
+      return startCountdown(createMatchState(state), action.at, action.countdownMs ?? state.countdownMs)
+
+    case 'TICK':
+      if (state.phase === MATCH_PHASES.READY) {
+        return checkReady(state, action.at)
+      }
+      if (state.phase === MATCH_PHASES.COUNTDOWN) {
+        if (action.at >= state.countdownEndsAt) return beginPlaying(state, action.at)
+        const countdown = Math.ceil((state.countdownEndsAt - action.at) / 1000)
+        return countdown === state.countdown ? state : { ...state, countdown }
+      }
+      if (state.phase === MATCH_PHASES.PLAYING) {
+        const elapsedMs = action.at - state.startedAt - state.pausedMs
+        // Kept in steps; the clock only needs a few updates a second
+        const steppedMs = Math.floor(elapsedMs / ELAPSED_STEP_MS) * ELAPSED_STEP_MS
+        const next = moveRope(steppedMs === state.elapsedMs ? state : { ...state, elapsedMs: steppedMs }, action.at)
+        if (next.phase !== MATCH_PHASES.PLAYING) return next
+        return checkTimeLimit(next, elapsedMs, action.at)
+      }
+      return state
+
+    case 'COUNTS':
+      return applyCounts(state, action.counts, action.at)
+
+    case 'PAUSE':
+      if (state.phase !== MATCH_PHASES.PLAYING) return state
+      return { ...state, phase: MATCH_PHASES.PAUSED, pausedAt: action.at }
+
+    case 'RESUME':
+      if (state.phase !== MATCH_PHASES.PAUSED) return state
+      return {
+        ...state,
+        phase: MATCH_PHASES.PLAYING,
+        pausedMs: state.pausedMs + (action.at - state.pausedAt),
+        pausedAt: null,
+        rope: resumeRope(state.rope, action.at)
+      }
+
+    case 'FINISH':
+      if (state.phase === MATCH_PHASES.FINISHED) return state
+      return finish(state, action.winner || null, action.at, 'external')
+
+    default:
+      return state
+  }
+}
+
+function startCountdown(state, at, countdownMs) {
+  const next = {
+    ...state,
+    phase: MATCH_PHASES.COUNTDOWN,
+    countdownEndsAt: at + countdownMs,
+    countdown: Math.ceil(countdownMs / 1000)
+  }
+  return countdownMs > 0 ? next : beginPlaying(next, at)
+}
+
+// Everyone has been ready for readyHoldMs: count down
+function checkReady(state, at) {
+  if (!state.allReady || at - state.readySince < state.readyHoldMs) return state
+  return startCountdown(state, at, state.countdownMs)
+}
+
+function beginPlaying(state, at) {
+  return {
+    ...state,
+    phase: MATCH_PHASES.PLAYING,
+    startedAt: at,
+    countdownEndsAt: null,
+    countdown: null,
+    elapsedMs: 0,
+    rope: createRope(at)
+  }
+}
+
+// Advance the rope simulation; the knot crossing a line ends the round (only when deciding the match)
+function moveRope(state, at) {
+  if (!state.authoritative) return state
+
+  const rope = stepRope(state.rope, at, state.ropeTuning)
+  const next = { ...state, rope, ropePosition: rope.position }
+  const winner = ropeWinner(rope)
+  return winner ? endRound(next, winner, 'pull', at) : next
+}
+
+function finish(state, winner, at, reason) {
+  return { ...state, phase: MATCH_PHASES.FINISHED, winner, finishReason: reason, finishedAt: at ?? null, pausedAt: null }
+}
+
+/**
+ * Record the round and either finish the match (a side has won the series, or no rounds are left)
+ * or wait for the next round; winner is null for a drawn round
+ */
+function endRound(state, winner, reason, at) {
+  const result = { round: state.round, winner, reason, scores: state.scores, durationMs: state.elapsedMs }
+  const seriesWins = state.seriesWins.map((wins, side) => wins + (winner === `player${side + 1}` ? 1 : 0))
+  const next = { ...state, roundResults: [...state.roundResults, result], seriesWins, overtime: false }
+
+  const needed = winsNeeded(state.format)
+  if (seriesWins[0] >= needed || seriesWins[1] >= needed || state.round >= state.format.rounds) {
+    const seriesWinner = seriesWins[0] === seriesWins[1] ? null : (seriesWins[0] > seriesWins[1] ? 'player1' : 'player2')
+    return finish(next, seriesWinner, at, reason)
+  }
+  return { ...next, phase: MATCH_PHASES.ROUND_OVER, winner, finishReason: reason, pausedAt: null }
+}
+
+// Side the rope leans toward, or null when it is (about) centered
+function leader(state) {
+  if (Math.abs(state.ropePosition - 50) < TIE_MARGIN) return null
+  return state.ropePosition < 50 ? 'player1' : 'player2'
+}
+
+// At the time limit the leading side takes the round; a tie goes to sudden death (or is drawn)
+function checkTimeLimit(state, elapsedMs, at) {
+  const { timeLimitMs, suddenDeath } = state.format
+  if (!state.authoritative || !timeLimitMs || state.overtime || elapsedMs < timeLimitMs) return state
+
+  const winner = leader(state)
+  if (winner) return endRound(state, winner, 'time', at)
+  return suddenDeath ? { ...state, overtime: true } : endRound(state, null, 'time', at)
+}
+
+// Add each side's new points to its window and raise its peak rate
+function trackPeaks(state, gained, at) {
+  const recentPulls = state.recentPulls.map((times, side) => [
+    ...times.filter(time => at - time < PEAK_WINDOW_MS),
+    ...Array(gained[side]).fill(at)
+  ])
+  const peakRates = state.peakRates.map((peak, side) => Math.max(peak, recentPulls[side].length))
+  return { ...state, recentPulls, peakRates }
+}
+
+function sameCounts(a, b) {
+  return a[0] === b[0] && a[1] === b[1]
+}
+
+/**
+ * Authoritative: each side scores what its raw count gained while playing and each gained count
+ * pulls the rope, so counts made before GO, while paused or lost to a counter reset never move it;
+ * a count during the countdown is flagged as a false start
+ * Mirroring: the counts are the scores and set the rope by score gap (frozen once finished)
+ */
+function applyCounts(state, counts, at) {
+  if (state.phase === MATCH_PHASES.FINISHED) {
+    return sameCounts(counts, state.rawCounts) ? state : { ...state, rawCounts: counts }
+  }
+
+  if (!state.authoritative) {
+    if (sameCounts(counts, state.rawCounts)) return state
+    const mirrored = { ...state, rawCounts: counts, scores: counts, ropePosition: ropePositionFor(counts, state.winDifference) }
+    if (state.phase !== MATCH_PHASES.PLAYING) return mirrored
+    return trackPeaks(mirrored, counts.map((count, side) => Math.max(0, count - state.rawCounts[side])), at)
+  }
+
+  if (sameCounts(counts, state.rawCounts)) return state
+  const gained = counts.map((count, side) => Math.max(0, count - state.rawCounts[side]))
+  const next = { ...state, rawCounts: counts }
+
+  if (state.phase === MATCH_PHASES.COUNTDOWN) {
+    const falseStarts = state.falseStarts.map((flagged, side) => flagged || gained[side] > 0)
+    return sameCounts(falseStarts, state.falseStarts) ? next : { ...next, falseStarts }
+  }
+  if (state.phase !== MATCH_PHASES.PLAYING) return next
+
+  const played = trackPeaks({
+    ...next,
+    scores: state.scores.map((score, side) => score + gained[side]),
+    rope: applyPulls(state.rope, gained, state.ropeTuning)
+  }, gained, at)
+  // In sudden death the next point wins
+  if (state.overtime && gained[0] !== gained[1]) {
+    return endRound(played, gained[0] > gained[1] ? 'player1' : 'player2', 'suddenDeath', at)
+  }
+  return played
+}
@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest'
+import { createMatchState, matchReducer, MATCH_PHASES, ropePositionFor } from './matchState'
+import { MATCH_FORMATS } from './matchFormats'
+
+function run(state, actions) {
+  return actions.reduce(matchReducer, state)
+}
+
+// Tick the clock from `from` to `to` in steps, the way the game loop does
+function tickUntil(state, from, to, stepMs = 100) {
+  let next = state
+  for (let at = from; at <= to; at += stepMs) {
+    next = matchReducer(next, { type: 'TICK', at })
+  }
+  return next
+}
+
+// One side wiggles ten times a second until the round ends (or 20 s pass)
+function pullUntilRoundEnds(state, side, from) {
+  let next = state
+  const counts = [...next.rawCounts]
+  for (let at = from; at < from + 20000 && next.phase === MATCH_PHASES.PLAYING; at += 100) {
+    counts[side] += 1
+    next = run(next, [{ type: 'COUNTS', counts: [...counts], at }, { type: 'TICK', at }])
+  }
+  return next
+}
+
+function playing(options = {}, at = 0) {
+  return matchReducer(createMatchState(options), { type: 'START', at, countdownMs: 0 })
+}
+
+describe('matchReducer', () => {
+  it('counts down before play and plays when the countdown ends', () => {
+    let state = matchReducer(createMatchState(), { type: 'START', at: 0, countdownMs: 3000 })
+    expect(state.phase).toBe(MATCH_PHASES.COUNTDOWN)
+    expect(state.countdown).toBe(3)
+
+    state = matchReducer(state, { type: 'TICK', at: 1500 })
+    expect(state.countdown).toBe(2)
+
+    state = matchReducer(state, { type: 'TICK', at: 3000 })
+    expect(state.phase).toBe(MATCH_PHASES.PLAYING)
+    expect(state.startedAt).toBe(3000)
+    expect(state.countdown).toBeNull()
+  })
+
+  it('flags moves during the countdown as false starts without scoring them', () => {
+    let state = matchReducer(createMatchState(), { type: 'START', at: 0, countdownMs: 3000 })
+    state = matchReducer(state, { type: 'COUNTS', counts: [2, 0], at: 1000 })
+    expect(state.falseStarts).toEqual([true, false])
+
+    state = run(state, [{ type: 'TICK', at: 3000 }, { type: 'COUNTS', counts: [3, 1], at: 3100 }])
+    expect(state.scores).toEqual([1, 1])
+  })
+
+  it('scores only what each raw count gained while playing', () => {
+    let state = playing()
+    state = run(state, [
+      { type: 'COUNTS', counts: [3, 1], at: 100 },
+      // A detector reset drops the count; nothing is taken away
+      { type: 'COUNTS', counts: [0, 1], at: 200 },
+      { type: 'COUNTS', counts: [2, 4], at: 300 }
+    ])
+    expect(state.scores).toEqual([5, 4])
+  })
+
+  it('ignores counts while paused and leaves the pause out of the elapsed time', () => {
+    let state = playing()
+    state = run(state, [
+      { type: 'PAUSE', at: 1000 },
+      { type: 'COUNTS', counts: [5, 0], at: 1500 }
+    ])
+    expect(state.phase).toBe(MATCH_PHASES.PAUSED)
+    expect(state.scores).toEqual([0, 0])
+
+    state = run(state, [{ type: 'RESUME', at: 4000 }, { type: 'TICK', at: 5000 }])
+    expect(state.pausedMs).toBe(3000)
+    expect(state.elapsedMs).toBe(2000)
+  })
+
+  it('ends the match when a side pulls the knot past the line', () => {
+    const state = pullUntilRoundEnds(playing(), 0, 100)
+    expect(state.phase).toBe(MATCH_PHASES.FINISHED)
+    expect(state.winner).toBe('player1')
+    expect(state.finishReason).toBe('pull')
+    expect(state.ropePosition).toBeLessThanOrEqual(10)
+    expect(state.peakRates[0]).toBeGreaterThan(0)
+  })
+
+  it('gives a timed round to the side the rope leans toward', () => {
+    let state = playing({ format: MATCH_FORMATS.timed })
+    state = matchReducer(state, { type: 'COUNTS', counts: [1, 0], at: 0 })
+    state = tickUntil(state, 100, 60000)
+    expect(state.phase).toBe(MATCH_PHASES.FINISHED)
+    expect(state.winner).toBe('player1')
+    expect(state.finishReason).toBe('time')
+  })
+
+  it('goes to sudden death on a tie at the time limit', () => {
+    let state = tickUntil(playing({ format: MATCH_FORMATS.timed }), 100, 60000)
+    expect(state.phase).toBe(MATCH_PHASES.PLAYING)
+    expect(state.overtime).toBe(true)
+
+    state = matchReducer(state, { type: 'COUNTS', counts: [0, 1], at: 60100 })
+    expect(state.phase).toBe(MATCH_PHASES.FINISHED)
+    expect(state.winner).toBe('player2')
+    expect(state.finishReason).toBe('suddenDeath')
+  })
+
+  it('draws a tied round at the time limit without sudden death', () => {
+    const format = { ...MATCH_FORMATS.timed, suddenDeath: false }
+    const state = tickUntil(playing({ format }), 100, 60000)
+    expect(state.phase).toBe(MATCH_PHASES.FINISHED)
+    expect(state.winner).toBeNull()
+  })
+
+  it('plays a series round by round until a side has won the majority', () => {
+    let state = pullUntilRoundEnds(playing({ format: MATCH_FORMATS.bestOf3 }), 1, 100)
+    expect(state.phase).toBe(MATCH_PHASES.ROUND_OVER)
+    expect(state.seriesWins).toEqual([0, 1])
+
+    state = run(state, [{ type: 'NEXT_ROUND' }, { type: 'READY', ready: true, at: 30000 }])
+    expect(state.phase).toBe(MATCH_PHASES.PLAYING)
+    expect(state.round).toBe(2)
+    expect(state.scores).toEqual([0, 0])
+    expect(state.ropePosition).toBe(50)
+
+    state = pullUntilRoundEnds(state, 1, 30100)
+    expect(state.phase).toBe(MATCH_PHASES.FINISHED)
+    expect(state.winner).toBe('player2')
+    expect(state.seriesWins).toEqual([0, 2])
+    expect(state.roundResults.map(result => result.round)).toEqual([1, 2])
+  })
+
+  it('mirrors counts as scores and only ends on FINISH when not authoritative', () => {
+    let state = playing({ authoritative: false })
+    state = run(state, [
+      { type: 'COUNTS', counts: [30, 0], at: 100 },
+      { type: 'TICK', at: 70000 }
+    ])
+    expect(state.phase).toBe(MATCH_PHASES.PLAYING)
+    expect(state.scores).toEqual([30, 0])
+    expect(state.ropePosition).toBe(ropePositionFor([30, 0]))
+
+    state = matchReducer(state, { type: 'FINISH', winner: 'player1', at: 70100 })
+    expect(state.phase).toBe(MATCH_PHASES.FINISHED)
+    expect(state.finishReason).toBe('external')
+
+    // Counts after the end don't move the frozen result
+    state = matchReducer(state, { type: 'COUNTS', counts: [30, 40], at: 70200 })
+    expect(state.scores).toEqual([30, 0])
+  })
+
+  it('keeps the options on RESET and goes back to the lobby', () => {
+    const state = run(playing({ format: MATCH_FORMATS.bestOf5, countdownMs: 3000 }), [
+      { type: 'COUNTS', counts: [4, 2], at: 100 },
+      { type: 'RESET' }
+    ])
+    expect(state.phase).toBe(MATCH_PHASES.LOBBY)
+    expect(state.scores).toEqual([0, 0])
+    expect(state.format).toBe(MATCH_FORMATS.bestOf5)
+    expect(state.countdownMs).toBe(3000)
+  })
+})
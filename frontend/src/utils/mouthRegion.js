@@ -0,0 +1,73 @@
+/**
+ * Mouth Region - Mouth geometry from FaceMesh landmarks
+ * Kept free of DOM and MediaPipe imports, so the FaceMesh worker can crop mouths from the frame it ran on
+ */
+
+/**
+ * Extract mouth region coordinates from face landmarks
+ * MediaPipe Face Mesh has 468 landmarks
+ * Mouth landmarks: 61, 146, 91, 181, 84, 17, 314, 405, 320, 307, 375, 321
+ * Inner mouth: 13, 14, 312, 317, 318, 324
+ */
+export function extractMouthRegion(landmarks, imageWidth, imageHeight) {
+  if (!landmarks || landmarks.length === 0) {
+    return null
+  }
+
+  // Key mouth landmark indices
+  // Outer mouth: 61, 146, 91, 181, 84, 17, 314, 405, 320, 307, 375, 321
+  // Inner mouth (with refineLandmarks): 13, 14, 312, 317, 318, 324, 78, 95, 88, 178, 87, 14, 317, 402, 318, 324
+  // Better inner lip landmarks for tongue detection
+  const mouthOuterIndices = [61, 146, 91, 181, 84, 17, 314, 405, 320, 307, 375, 321]
+  const mouthInnerIndices = [13, 14, 78, 95, 88, 178, 87, 312, 317, 318, 324, 402]
+  
+  // Get mouth outer points
+  const mouthPoints = mouthOuterIndices.map(idx => {
+    const landmark = landmarks[idx]
+    return {
+      x: landmark.x * imageWidth,
+      y: landmark.y * imageHeight,
+      z: (landmark.z || 0) * imageWidth // Depth on the same scale as x, used for head pose alignment
+    }
+  })
+
+  // Calculate bounding box with padding
+  const xs = mouthPoints.map(p => p.x)
+  const ys = mouthPoints.map(p => p.y)
+  
+  const minX = Math.min(...xs)
+  const maxX = Math.max(...xs)
+  const minY = Math.min(...ys)
+  const maxY = Math.max(...ys)
+
+  // Add padding (20% on each side)
+  const paddingX = (maxX - minX) * 0.2
+  const paddingY = (maxY - minY) * 0.2
+
+  const x = Math.max(0, minX - paddingX)
+  const y = Math.max(0, minY - paddingY)
+  const width = Math.min(imageWidth - x, maxX - minX + paddingX * 2)
+  const height = Math.min(imageHeight - y, maxY - minY + paddingY * 2)
+
+  // Get mouth center
+  const centerX = (minX + maxX) / 2
+  const centerY = (minY + maxY) / 2
+
+  // Get inner mouth landmarks for tongue detection
+  const innerMouthLandmarks = mouthInnerIndices.map(idx => {
+    const landmark = landmarks[idx]
+    return {
+      x: landmark.x * imageWidth,
+      y: landmark.y * imageHeight,
+      z: (landmark.z || 0) * imageWidth // Depth on the same scale as x, used for head pose alignment
+    }
+  })
+
+  return {
+    boundingBox: { x, y, width, height },
+    center: { x: centerX, y: centerY },
+    innerLandmarks: innerMouthLandmarks,
+    outerLandmarks: mouthPoints,
+    allLandmarks: landmarks
+  }
+}
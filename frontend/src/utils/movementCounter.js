@@ -1,35 +1,69 @@
 /**
  * Movement Counter - Counts left-right movements within 1 second
- * Ignores CENTER states - counts when LEFT and RIGHT both occur within 1 second
+ * Debounced state machine over LEFT / CENTER / RIGHT:
+ * - Hysteresis: a side is entered past its enter threshold and only left again past
+ *   its (closer to center) exit threshold, so jitter around a threshold can't flip state
+ * - Minimum hold: a new state must persist for minHoldFrames frames and minHoldMs before it is accepted
+ * - Refractory period: no new count within refractoryMs of the previous one
+ * A count happens when LEFT and RIGHT are both confirmed within timeWindow (CENTER in between is ignored)
+ * Every state change (and every rejected one) is written to a transition log with the reason
  */
 export class MovementCounter {
   constructor(options = {}) {
     // Threshold for left/right classification (as fraction of mouth width)
     // Lower values = more sensitive (smaller movements detected)
-    this.leftThreshold = options.leftThreshold || -0.001  // Left if relativeX < -0.05
-    this.rightThreshold = options.rightThreshold || 0.001  // Right if relativeX > 0.05
-    
+    this.leftThreshold = options.leftThreshold || -0.001  // Enter LEFT if relativeX < leftThreshold
+    this.rightThreshold = options.rightThreshold || 0.001  // Enter RIGHT if relativeX > rightThreshold
+
+    // Exit thresholds sit this fraction of the way from center to the enter thresholds (0-1)
+    // 1 = no hysteresis, 0 = must return all the way to center
+    this.hysteresis = options.hysteresis !== undefined ? options.hysteresis : 0.5
+    // Explicit exit thresholds override the hysteresis fraction
+    this.explicitExitThresholds = options.leftExitThreshold !== undefined && options.rightExitThreshold !== undefined
+    this.leftExitThreshold = options.leftExitThreshold
+    this.rightExitThreshold = options.rightExitThreshold
+    this.updateExitThresholds()
+
     // Time window for counting (1 second = 1000ms)
     this.timeWindow = options.timeWindow || 1000
-    
-    // Current state
-    this.currentState = 'CENTER' // 'LEFT', 'CENTER', 'RIGHT'
-    
-    // Timestamps of when LEFT and RIGHT were detected
-    this.leftTimestamp = null
-    this.rightTimestamp = null
-    
-    // Movement count
-    this.count = 0
-    
-    // Last transition direction
-    this.lastTransition = null // 'LEFT_TO_RIGHT' or 'RIGHT_TO_LEFT'
+
+    // Debounce: frames and time a new state must be held before it is accepted
+    this.minHoldFrames = options.minHoldFrames || 1
+    this.minHoldMs = options.minHoldMs || 0
+
+    // No new count within this time after a count (ms)
+    this.refractoryMs = options.refractoryMs || 0
+
+    // Maximum transition log entries kept
+    this.maxLogEntries = options.maxLogEntries || 200
+
+    this.reset()
+  }
+
+  /**
+   * Derive exit thresholds from the enter thresholds (unless set explicitly)
+   */
+  updateExitThresholds() {
+    if (this.explicitExitThresholds) return
+
+    const center = (this.leftThreshold + this.rightThreshold) / 2
+    this.leftExitThreshold = center + (this.leftThreshold - center) * this.hysteresis
+    this.rightExitThreshold = center + (this.rightThreshold - center) * this.hysteresis
   }
 
   /**
    * Classify tongue position into state
+   * Uses enter thresholds from CENTER and exit thresholds from a side (hysteresis)
    */
-  classifyPosition(relativeX) {
+  classifyPosition(relativeX, fromState = this.currentState) {
+    if (fromState === 'LEFT') {
+      if (relativeX > this.rightThreshold) return 'RIGHT'
+      return relativeX < this.leftExitThreshold ? 'LEFT' : 'CENTER'
+    }
+    if (fromState === 'RIGHT') {
+      if (relativeX < this.leftThreshold) return 'LEFT'
+      return relativeX > this.rightExitThreshold ? 'RIGHT' : 'CENTER'
+    }
     if (relativeX < this.leftThreshold) {
       return 'LEFT'
     } else if (relativeX > this.rightThreshold) {
@@ -43,75 +77,140 @@ export class MovementCounter {
    * Update counter with new tongue position
    * Only counts when tongue is out
    * Counts when LEFT and RIGHT both occur within 1 second
+   * @param {number} timestamp - Frame time in ms (defaults to now, replays pass the recorded time)
    */
-  update(relativeX, tongueOut = false) {
-    const now = Date.now()
+  update(relativeX, tongueOut = false, timestamp = Date.now()) {
+    const now = timestamp
+    const previousState = this.currentState
     let transition = null
+    let event = null
 
-    // If tongue is not out, reset timestamps but keep current state
+    // If tongue is not out, forget confirmed sides and return to center
     if (!tongueOut || relativeX === null || relativeX === undefined) {
       if (!tongueOut) {
-        // Clear timestamps when tongue goes in
+        if (this.currentState !== 'CENTER') {
+          event = this.log(now, this.currentState, 'CENTER', relativeX, false, 'tongue-in')
+        }
         this.leftTimestamp = null
         this.rightTimestamp = null
         this.currentState = 'CENTER'
+        this.stateEnteredAt = now
+        this.clearCandidate()
       }
       return {
         count: this.count,
         state: this.currentState,
-        transition: null
+        previousState,
+        transition: null,
+        event
       }
     }
 
-    // Classify current position
-    const newState = this.classifyPosition(relativeX)
-    this.currentState = newState
+    const observedState = this.classifyPosition(relativeX)
 
-    // Track LEFT and RIGHT timestamps, ignore CENTER
-    if (newState === 'LEFT') {
-      this.leftTimestamp = now
-      
-      // Check if we've seen RIGHT within the time window
-      if (this.rightTimestamp && (now - this.rightTimestamp) <= this.timeWindow) {
-        // Both LEFT and RIGHT within 1 second - count it!
-        this.count++
-        transition = 'RIGHT_TO_LEFT'
-        this.lastTransition = 'RIGHT_TO_LEFT'
-        // Reset timestamps to prevent double counting
-        this.leftTimestamp = null
-        this.rightTimestamp = null
+    if (observedState === this.currentState) {
+      // Back in the current state - drop any pending candidate
+      if (this.candidateState !== null) {
+        event = this.log(now, this.currentState, this.candidateState, relativeX, false, 'hold-too-short')
+        this.clearCandidate()
       }
-    } else if (newState === 'RIGHT') {
-      this.rightTimestamp = now
-      
-      // Check if we've seen LEFT within the time window
-      if (this.leftTimestamp && (now - this.leftTimestamp) <= this.timeWindow) {
-        // Both LEFT and RIGHT within 1 second - count it!
-        this.count++
-        transition = 'LEFT_TO_RIGHT'
-        this.lastTransition = 'LEFT_TO_RIGHT'
-        // Reset timestamps to prevent double counting
-        this.leftTimestamp = null
-        this.rightTimestamp = null
+    } else {
+      // New candidate, or the same candidate held for another frame
+      if (this.candidateState !== observedState) {
+        if (this.candidateState !== null) {
+          this.log(now, this.currentState, this.candidateState, relativeX, false, 'hold-too-short')
+        }
+        this.candidateState = observedState
+        this.candidateSince = now
+        this.candidateFrames = 0
+      }
+      this.candidateFrames++
+
+      const heldFrames = this.candidateFrames >= this.minHoldFrames
+      const heldTime = now - this.candidateSince >= this.minHoldMs
+      if (heldFrames && heldTime) {
+        const result = this.enterState(observedState, relativeX, now)
+        transition = result.transition
+        event = result.event
       }
     }
-    // CENTER state - do nothing, just update currentState
 
     // Clean up old timestamps (older than time window)
-    if (this.leftTimestamp && (now - this.leftTimestamp) > this.timeWindow) {
+    if (this.leftTimestamp !== null && (now - this.leftTimestamp) > this.timeWindow) {
       this.leftTimestamp = null
     }
-    if (this.rightTimestamp && (now - this.rightTimestamp) > this.timeWindow) {
+    if (this.rightTimestamp !== null && (now - this.rightTimestamp) > this.timeWindow) {
       this.rightTimestamp = null
     }
 
     return {
       count: this.count,
       state: this.currentState,
-      previousState: this.currentState, // Not used anymore but kept for compatibility
-      transition: transition,
-      stateFrames: {} // Not used anymore but kept for compatibility
+      previousState,
+      transition,
+      event
+    }
+  }
+
+  /**
+   * Accept a new state and decide whether it completes a count
+   */
+  enterState(newState, relativeX, now) {
+    const fromState = this.currentState
+    this.currentState = newState
+    this.stateEnteredAt = now
+    this.clearCandidate()
+
+    // CENTER never counts, confirmed sides are kept so LEFT-CENTER-RIGHT still counts
+    if (newState === 'CENTER') {
+      return { transition: null, event: this.log(now, fromState, newState, relativeX, false, 'returned-to-center') }
+    }
+
+    const oppositeTimestamp = newState === 'LEFT' ? this.rightTimestamp : this.leftTimestamp
+    if (newState === 'LEFT') {
+      this.leftTimestamp = now
+    } else {
+      this.rightTimestamp = now
+    }
+
+    if (oppositeTimestamp === null) {
+      return { transition: null, event: this.log(now, fromState, newState, relativeX, false, 'no-opposite-side') }
+    }
+    if (now - oppositeTimestamp > this.timeWindow) {
+      return { transition: null, event: this.log(now, fromState, newState, relativeX, false, 'opposite-side-expired') }
+    }
+    if (this.lastCountTime !== null && now - this.lastCountTime < this.refractoryMs) {
+      return { transition: null, event: this.log(now, fromState, newState, relativeX, false, 'refractory') }
+    }
+
+    // Both LEFT and RIGHT within the time window - count it!
+    this.count++
+    this.lastCountTime = now
+    const transition = newState === 'LEFT' ? 'RIGHT_TO_LEFT' : 'LEFT_TO_RIGHT'
+    this.lastTransition = transition
+    // Reset timestamps to prevent double counting
+    this.leftTimestamp = null
+    this.rightTimestamp = null
+
+    return { transition, event: this.log(now, fromState, newState, relativeX, true, 'counted') }
+  }
+
+  clearCandidate() {
+    this.candidateState = null
+    this.candidateSince = null
+    this.candidateFrames = 0
+  }
+
+  /**
+   * Append an entry to the transition log
+   */
+  log(timestamp, from, to, relativeX, counted, reason) {
+    const entry = { timestamp, from, to, relativeX, counted, reason, count: this.count }
+    this.transitionLog.push(entry)
+    if (this.transitionLog.length > this.maxLogEntries) {
+      this.transitionLog.shift()
     }
+    return entry
   }
 
   /**
@@ -128,23 +227,51 @@ export class MovementCounter {
     return this.currentState
   }
 
+  /**
+   * Get the transition log (oldest first)
+   * Entries: { timestamp, from, to, relativeX, counted, reason, count }
+   */
+  getTransitionLog() {
+    return [...this.transitionLog]
+  }
+
   /**
    * Reset counter
    */
   reset() {
     this.count = 0
     this.currentState = 'CENTER'
+    this.stateEnteredAt = null
     this.leftTimestamp = null
     this.rightTimestamp = null
     this.lastTransition = null
+    this.lastCountTime = null
+    this.transitionLog = []
+    this.clearCandidate()
   }
 
   /**
    * Set thresholds
+   * Exit thresholds are derived from the hysteresis setting unless given
    */
-  setThresholds(leftThreshold, rightThreshold) {
+  setThresholds(leftThreshold, rightThreshold, leftExitThreshold, rightExitThreshold) {
     this.leftThreshold = leftThreshold
     this.rightThreshold = rightThreshold
+    this.explicitExitThresholds = leftExitThreshold !== undefined && rightExitThreshold !== undefined
+    if (this.explicitExitThresholds) {
+      this.leftExitThreshold = leftExitThreshold
+      this.rightExitThreshold = rightExitThreshold
+    }
+    this.updateExitThresholds()
+  }
+
+  /**
+   * Set hysteresis fraction and re-derive exit thresholds
+   */
+  setHysteresis(hysteresis) {
+    this.hysteresis = hysteresis
+    this.explicitExitThresholds = false
+    this.updateExitThresholds()
   }
 
   /**
@@ -153,4 +280,18 @@ export class MovementCounter {
   setMinHoldFrames(frames) {
     this.minHoldFrames = frames
   }
+
+  /**
+   * Set minimum hold time (ms)
+   */
+  setMinHoldMs(ms) {
+    this.minHoldMs = ms
+  }
+
+  /**
+   * Set refractory period after a count (ms)
+   */
+  setRefractoryPeriod(ms) {
+    this.refractoryMs = ms
+  }
 }
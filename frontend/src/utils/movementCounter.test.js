@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest'
+import { MovementCounter } from './movementCounter'
+
+const LEFT = -0.002
+const RIGHT = 0.002
+
+// Feed one position per frame, 33 ms apart from `start`; returns the last update result
+function feed(counter, positions, start = 0) {
+  let result = null
+  positions.forEach((relativeX, i) => {
+    result = counter.update(relativeX, true, start + i * 33)
+  })
+  return result
+}
+
+describe('MovementCounter', () => {
+  it('counts a left and a right within the time window, through center, from a first frame at time 0', () => {
+    const counter = new MovementCounter()
+    feed(counter, [LEFT, 0, RIGHT])
+    expect(counter.getCount()).toBe(1)
+    expect(counter.getState()).toBe('RIGHT')
+    expect(counter.getTransitionLog().map(entry => entry.reason)).toEqual([
+      'no-opposite-side', 'returned-to-center', 'counted'
+    ])
+  })
+
+  it('does not count sides further apart than the time window', () => {
+    const counter = new MovementCounter({ timeWindow: 1000 })
+    counter.update(LEFT, true, 0)
+    counter.update(0, true, 100)
+    const result = counter.update(RIGHT, true, 1200)
+    expect(result.count).toBe(0)
+    expect(result.event.reason).toBe('opposite-side-expired')
+  })
+
+  it('forgets the confirmed sides when the tongue goes in', () => {
+    const counter = new MovementCounter()
+    counter.update(LEFT, true, 0)
+    const result = counter.update(null, false, 33)
+    expect(result.state).toBe('CENTER')
+    expect(result.event.reason).toBe('tongue-in')
+    counter.update(RIGHT, true, 66)
+    expect(counter.getCount()).toBe(0)
+  })
+
+  describe('hysteresis', () => {
+    it('stays on a side until the position passes the exit threshold', () => {
+      // Enter at ±0.001, exit at ±0.0005
+      const counter = new MovementCounter({ hysteresis: 0.5 })
+      expect(feed(counter, [LEFT, -0.0006]).state).toBe('LEFT')
+      expect(feed(counter, [-0.0004], 100).state).toBe('CENTER')
+    })
+
+    it('has no memory with a hysteresis of 1', () => {
+      const counter = new MovementCounter({ hysteresis: 1 })
+      expect(feed(counter, [LEFT, -0.0009]).state).toBe('CENTER')
+    })
+
+    it('uses explicit exit thresholds over the hysteresis fraction', () => {
+      const counter = new MovementCounter()
+      counter.setThresholds(-0.001, 0.001, -0.0009, 0.0009)
+      expect(feed(counter, [LEFT, -0.0008]).state).toBe('CENTER')
+      counter.setHysteresis(0.5)
+      expect(feed(counter, [LEFT, -0.0008], 100).state).toBe('LEFT')
+    })
+  })
+
+  describe('minimum hold', () => {
+    it('accepts a side only after minHoldFrames frames on it', () => {
+      const counter = new MovementCounter({ minHoldFrames: 3 })
+      feed(counter, [LEFT, LEFT])
+      expect(counter.getState()).toBe('CENTER')
+      feed(counter, [LEFT], 66)
+      expect(counter.getState()).toBe('LEFT')
+    })
+
+    it('rejects a blip shorter than the hold and logs it', () => {
+      const counter = new MovementCounter({ minHoldFrames: 2 })
+      const result = feed(counter, [LEFT, 0])
+      expect(result.state).toBe('CENTER')
+      expect(result.event).toMatchObject({ from: 'CENTER', to: 'LEFT', counted: false, reason: 'hold-too-short' })
+    })
+
+    it('also needs minHoldMs on the new side', () => {
+      const counter = new MovementCounter({ minHoldMs: 50 })
+      counter.update(LEFT, true, 0)
+      counter.update(LEFT, true, 40)
+      expect(counter.getState()).toBe('CENTER')
+      counter.update(LEFT, true, 60)
+      expect(counter.getState()).toBe('LEFT')
+    })
+  })
+
+  describe('refractory period', () => {
+    it('ignores a second count too soon after the first, then counts again', () => {
+      const counter = new MovementCounter({ refractoryMs: 300 })
+      counter.update(LEFT, true, 0)
+      counter.update(RIGHT, true, 100)
+      expect(counter.getCount()).toBe(1)
+
+      counter.update(LEFT, true, 150)
+      const early = counter.update(RIGHT, true, 200)
+      expect(early.count).toBe(1)
+      expect(early.event.reason).toBe('refractory')
+
+      counter.update(LEFT, true, 450)
+      expect(counter.getCount()).toBe(2)
+    })
+  })
+
+  it('keeps at most maxLogEntries log entries, and clears them on reset', () => {
+    const counter = new MovementCounter({ maxLogEntries: 3 })
+    // A count uses up both sides, so this is two counts and five log entries
+    feed(counter, [LEFT, RIGHT, LEFT, RIGHT, LEFT])
+    expect(counter.getTransitionLog().map(entry => entry.reason)).toEqual(['no-opposite-side', 'counted', 'no-opposite-side'])
+
+    counter.reset()
+    expect(counter.getCount()).toBe(0)
+    expect(counter.getState()).toBe('CENTER')
+    expect(counter.getTransitionLog()).toEqual([])
+  })
+})
@@ -0,0 +1,122 @@
+/**
+ * Profile Store - Player profiles and finished matches, kept in IndexedDB
+ * Object stores:
+ *   profiles: { id, name, color, createdAt }
+ *   matches:  match records (see matchHistory), indexed by playedAt
+ * The database is opened once and shared; without IndexedDB (some private modes) every call rejects
+ * and the game plays on without saving anything
+ */
+
+const DB_NAME = 'tuggy-arena'
+const DB_VERSION = 1
+const PROFILES = 'profiles'
+const MATCHES = 'matches'
+
+// Colors a profile can pick
+export const PROFILE_COLORS = ['#35679B', '#FFD700', '#B23A48', '#3E8E63', '#8E5BB5', '#F1F2F6']
+
+let databasePromise = null
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(PROFILES)) {
+          db.createObjectStore(PROFILES, { keyPath: 'id' })
+        }
+        if (!db.objectStoreNames.contains(MATCHES)) {
+          db.createObjectStore(MATCHES, { keyPath: 'id' }).createIndex('playedAt', 'playedAt')
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Let a later call try again
+    databasePromise.catch(() => {
+      databasePromise = null
+    })
+  }
+  return databasePromise
+}
+
+/**
+ * Run one request in its own transaction; resolves with the request's result once the transaction commits
+ */
+async function transact(storeName, mode, makeRequest) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = makeRequest(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * All profiles, oldest first
+ */
+export async function listProfiles() {
+  const profiles = await transact(PROFILES, 'readonly', store => store.getAll())
+  return profiles.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+}
+
+/**
+ * Create a profile; returns it
+ */
+export async function createProfile(name, color = PROFILE_COLORS[0]) {
+  const profile = {
+    id: `profile-${Date.now()}-${Math.floor(Math.random() * 1e6)}`,
+    name: name.trim().slice(0, 24) || 'Player',
+    color,
+    createdAt: new Date().toISOString()
+  }
+  await transact(PROFILES, 'readwrite', store => store.put(profile))
+  return profile
+}
+
+/**
+ * Delete a profile; its matches stay in the history under the name they were played with
+ */
+export async function deleteProfile(id) {
+  await transact(PROFILES, 'readwrite', store => store.delete(id))
+}
+
+/**
+ * Save a finished match record
+ */
+export async function saveMatch(record) {
+  await transact(MATCHES, 'readwrite', store => store.put(record))
+  return record
+}
+
+/**
+ * Store imported profiles and matches in one transaction (all or nothing)
+ * Entries keep their ids, so importing the same export twice changes nothing
+ */
+export async function importHistory(profiles, matches) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PROFILES, MATCHES], 'readwrite')
+    profiles.forEach(profile => transaction.objectStore(PROFILES).put(profile))
+    matches.forEach(match => transaction.objectStore(MATCHES).put(match))
+    transaction.oncomplete = () => resolve({ profiles: profiles.length, matches: matches.length })
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * All saved matches, newest first
+ */
+export async function listMatches() {
+  const matches = await transact(MATCHES, 'readonly', store => store.index('playedAt').getAll())
+  return matches.reverse()
+}
@@ -0,0 +1,48 @@
+/**
+ * Ready Check - Is each player in position before a match starts
+ * A player is ready when their face is tracked, roughly centered in the camera and their tongue is in
+ */
+
+import { FACE_STATUS } from './faceIdentityTracker'
+
+// Nose tip, in normalized FaceMesh coordinates
+const NOSE_TIP = 1
+
+// How far the nose may be from the frame center (fraction of the frame) and still count as centered
+// Several players share the frame, so they only need to keep clear of its edges
+const SOLO_MAX_OFFSET = { x: 0.2, y: 0.25 }
+const SHARED_MAX_OFFSET = { x: 0.42, y: 0.3 }
+
+/**
+ * Whether a face is centered enough to play
+ * @param {Array} landmarks - FaceMesh landmarks (normalized 0-1)
+ * @param {number} playerCount - Players sharing the camera
+ */
+export function isFaceCentered(landmarks, playerCount = 1) {
+  const nose = landmarks?.[NOSE_TIP]
+  if (!nose) return false
+
+  const maxOffset = playerCount > 1 ? SHARED_MAX_OFFSET : SOLO_MAX_OFFSET
+  return Math.abs(nose.x - 0.5) <= maxOffset.x && Math.abs(nose.y - 0.5) <= maxOffset.y
+}
+
+/**
+ * Readiness of one player from their detection state ({ faceStatus, faceCentered, tongueOut })
+ * @returns {Object} { faceVisible, centered, tongueIn, ready }
+ */
+export function playerReadiness(player) {
+  const faceVisible = player?.faceStatus === FACE_STATUS.TRACKED || player?.faceStatus === FACE_STATUS.REACQUIRED
+  const centered = faceVisible && Boolean(player.faceCentered)
+  const tongueIn = faceVisible && !player.tongueOut
+  return { faceVisible, centered, tongueIn, ready: centered && tongueIn }
+}
+
+/**
+ * Whether all required players are ready
+ * @param {Array} players - Detection state per player
+ * @param {number} requiredCount - Players the mode needs (missing players aren't ready)
+ */
+export function allPlayersReady(players, requiredCount = players.length) {
+  if (players.length < requiredCount || requiredCount === 0) return false
+  return players.slice(0, requiredCount).every(player => playerReadiness(player).ready)
+}
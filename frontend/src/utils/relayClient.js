@@ -0,0 +1,187 @@
+/**
+ * Relay Client - Browser side of the match relay (see server/relay.js)
+ * Keeps a clock offset to the relay so events can be stamped in server time,
+ * which lets the relay order both players' events fairly despite different latencies
+ */
+
+// Relay on the same machine that serves the game, port 8787 (see VITE_RELAY_URL)
+export const DEFAULT_RELAY_URL = import.meta.env.VITE_RELAY_URL ||
+  `ws://${window.location.hostname || 'localhost'}:8787`
+
+export class RelayClient {
+  constructor(options = {}) {
+    this.url = options.url || DEFAULT_RELAY_URL
+    // Give up connecting after this long (ms)
+    this.connectTimeout = options.connectTimeout || 5000
+    // Clock sync: pings per burst, and time between bursts (ms)
+    this.syncSamples = options.syncSamples || 6
+    this.syncIntervalMs = options.syncIntervalMs || 5000
+
+    this.socket = null
+    this.listeners = new Map()
+    // Best (lowest round trip) clock samples: { offset, rtt }
+    this.clockSamples = []
+    this.syncTimer = null
+  }
+
+  /**
+   * Open the connection and start clock sync
+   * Rejects if the relay can't be reached
+   */
+  connect() {
+    if (this.socket) return Promise.resolve()
+
+    return new Promise((resolve, reject) => {
+      let settled = false
+      const socket = new WebSocket(this.url)
+      const timer = setTimeout(() => {
+        if (settled) return
+        settled = true
+        socket.close()
+        reject(new Error(`Could not reach the match relay at ${this.url}`))
+      }, this.connectTimeout)
+
+      socket.onopen = () => {
+        if (settled) return
+        settled = true
+        clearTimeout(timer)
+        this.socket = socket
+        this.startClockSync()
+        resolve()
+      }
+      socket.onerror = () => {
+        if (settled) return
+        settled = true
+        clearTimeout(timer)
+        reject(new Error(`Could not reach the match relay at ${this.url}`))
+      }
+      socket.onclose = () => {
+        const wasOpen = this.socket === socket
+        this.stopClockSync()
+        if (wasOpen) {
+          this.socket = null
+          this.emit({ type: 'disconnected' })
+        }
+      }
+      socket.onmessage = (event) => {
+        let message
+        try {
+          message = JSON.parse(event.data)
+        } catch {
+          return
+        }
+        if (message.type === 'pong') {
+          this.addClockSample(message)
+        }
+        this.emit(message)
+      }
+    })
+  }
+
+  /**
+   * Listen for a message type ('*' for all)
+   * @returns {Function} Unsubscribe
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set())
+    }
+    this.listeners.get(type).add(listener)
+    return () => this.listeners.get(type)?.delete(listener)
+  }
+
+  emit(message) {
+    this.listeners.get(message.type)?.forEach(listener => listener(message))
+    this.listeners.get('*')?.forEach(listener => listener(message))
+  }
+
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message))
+    }
+  }
+
+  createRoom(name) {
+    this.send({ type: 'create', name })
+  }
+
+  joinRoom(code, name) {
+    this.send({ type: 'join', code: code.trim().toUpperCase(), name })
+  }
+
+  leaveRoom() {
+    this.send({ type: 'leave' })
+  }
+
+  setReady(ready = true) {
+    this.send({ type: 'ready', ready })
+  }
+
+  /**
+   * Report this player's count, stamped with when it happened in server time
+   */
+  sendCount(count, tongueState, at = this.serverNow()) {
+    this.send({ type: 'count', count, tongueState, at })
+  }
+
+  startClockSync() {
+    const burst = () => {
+      for (let i = 0; i < this.syncSamples; i++) {
+        setTimeout(() => this.send({ type: 'ping', clientTime: Date.now() }), i * 50)
+      }
+    }
+    burst()
+    this.syncTimer = setInterval(burst, this.syncIntervalMs)
+  }
+
+  stopClockSync() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer)
+      this.syncTimer = null
+    }
+  }
+
+  /**
+   * NTP-style sample: assume the reply was stamped halfway through the round trip
+   * Only the fastest round trips are kept, they have the least queuing error
+   */
+  addClockSample({ clientTime, serverTime }) {
+    const now = Date.now()
+    const rtt = now - clientTime
+    const offset = serverTime - (clientTime + rtt / 2)
+    this.clockSamples = [...this.clockSamples, { offset, rtt }]
+      .sort((a, b) => a.rtt - b.rtt)
+      .slice(0, this.syncSamples)
+  }
+
+  /**
+   * Current time on the relay's clock (ms)
+   */
+  serverNow() {
+    return Date.now() + this.getClockOffset()
+  }
+
+  getClockOffset() {
+    if (this.clockSamples.length === 0) return 0
+    const offsets = this.clockSamples.map(sample => sample.offset).sort((a, b) => a - b)
+    return offsets[Math.floor(offsets.length / 2)]
+  }
+
+  /**
+   * One-way latency estimate (ms), null before the first sample
+   */
+  getLatency() {
+    if (this.clockSamples.length === 0) return null
+    return Math.round(this.clockSamples[0].rtt / 2)
+  }
+
+  close() {
+    this.stopClockSync()
+    if (this.socket) {
+      const socket = this.socket
+      this.socket = null
+      socket.close()
+    }
+    this.listeners.clear()
+  }
+}
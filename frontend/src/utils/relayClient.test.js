@@ -0,0 +1,47 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+
+// The default relay URL is read from the page's location when the module loads
+vi.hoisted(() => {
+  globalThis.window = { location: { hostname: 'localhost' } }
+})
+
+const { RelayClient } = await import('./relayClient')
+
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+// A pong for a ping sent at clientTime and answered `rtt` ms later, by a relay `offset` ms ahead
+function pong(client, clientTime, rtt, offset) {
+  vi.setSystemTime(clientTime + rtt)
+  client.addClockSample({ clientTime, serverTime: clientTime + rtt / 2 + offset })
+}
+
+describe('RelayClient clock sync', () => {
+  it('has no offset and no latency before the first pong', () => {
+    const client = new RelayClient({ url: 'ws://relay.test' })
+    expect(client.getClockOffset()).toBe(0)
+    expect(client.getLatency()).toBeNull()
+  })
+
+  it('estimates the offset assuming the relay answered halfway through the round trip', () => {
+    vi.useFakeTimers()
+    const client = new RelayClient({ url: 'ws://relay.test' })
+    pong(client, 10000, 40, 500)
+    expect(client.getClockOffset()).toBe(500)
+    expect(client.getLatency()).toBe(20)
+    expect(client.serverNow()).toBe(10040 + 500)
+  })
+
+  it('keeps the fastest round trips and takes the median of their offsets', () => {
+    vi.useFakeTimers()
+    const client = new RelayClient({ url: 'ws://relay.test', syncSamples: 3 })
+    pong(client, 1000, 20, 100)
+    pong(client, 2000, 30, 110)
+    pong(client, 3000, 25, 300)
+    // A slow round trip is dropped, however far off its offset is
+    pong(client, 4000, 400, -5000)
+    expect(client.getClockOffset()).toBe(110)
+    expect(client.getLatency()).toBe(10)
+  })
+})
@@ -0,0 +1,95 @@
+/**
+ * Rope Physics - Force-and-momentum model for the rope knot
+ * Each counted wiggle gives the rope an impulse toward the puller's side; friction bleeds the speed off,
+ * so the knot is driven by how fast each side is pulling right now rather than by the total count gap
+ *
+ * Position is in % of the rope (50 = center, lower = toward the left side), velocity in % per second
+ * Pure functions over a plain rope state, so the match reducer can hold it; the simulation advances
+ * in fixed steps (stepMs) whatever the frame rate of the caller
+ */
+
+export const DEFAULT_ROPE_TUNING = {
+  // Velocity (% per second) one wiggle adds, before dividing by mass
+  impulse: 2,
+  // Inertia: heavier ropes react less to each wiggle
+  mass: 1,
+  // Fraction of the velocity lost per second (exponential decay)
+  friction: 1.2,
+  // Top speed in % per second
+  maxSpeed: 30,
+  // Simulation step
+  stepMs: 1000 / 120,
+  // Longest gap simulated at once (e.g. after a stalled tab); the rest is dropped
+  maxCatchUpMs: 250
+}
+
+// Knot position at which a side has won: the other side's starting line
+export const ROPE_WIN_LINES = [10, 90]
+
+/**
+ * Merge tuning constants over the defaults
+ */
+export function ropeTuning(overrides = {}) {
+  return { ...DEFAULT_ROPE_TUNING, ...overrides }
+}
+
+/**
+ * Rope at rest in the center; `at` is when the simulation starts
+ */
+export function createRope(at = null) {
+  return { position: 50, velocity: 0, lastStepAt: at, accumulatorMs: 0 }
+}
+
+/**
+ * Apply the wiggles each side made since the last call
+ * @param {Object} rope - Rope state
+ * @param {Array} pulls - [left, right] wiggles
+ */
+export function applyPulls(rope, pulls, tuning = DEFAULT_ROPE_TUNING) {
+  const net = (pulls[1] || 0) - (pulls[0] || 0)
+  if (net === 0) return rope
+  const velocity = clampSpeed(rope.velocity + (net * tuning.impulse) / tuning.mass, tuning)
+  return { ...rope, velocity }
+}
+
+/**
+ * Advance the simulation to `at` in fixed steps; leftover time carries to the next call
+ */
+export function stepRope(rope, at, tuning = DEFAULT_ROPE_TUNING) {
+  if (rope.lastStepAt === null) return { ...rope, lastStepAt: at }
+
+  let accumulatorMs = rope.accumulatorMs + Math.min(Math.max(0, at - rope.lastStepAt), tuning.maxCatchUpMs)
+  let { position, velocity } = rope
+  const dt = tuning.stepMs / 1000
+  const decay = Math.exp(-tuning.friction * dt)
+
+  while (accumulatorMs >= tuning.stepMs) {
+    velocity *= decay
+    position += velocity * dt
+    accumulatorMs -= tuning.stepMs
+  }
+
+  // Settled: stop the knot drifting by fractions of a pixel
+  if (Math.abs(velocity) < 0.01) velocity = 0
+  return { position, velocity, lastStepAt: at, accumulatorMs }
+}
+
+/**
+ * Restart the clock without simulating the gap (e.g. when a paused match resumes)
+ */
+export function resumeRope(rope, at) {
+  return { ...rope, lastStepAt: at, accumulatorMs: 0 }
+}
+
+/**
+ * Side whose line the knot has crossed ('player1' / 'player2'), or null
+ */
+export function ropeWinner(rope) {
+  if (rope.position <= ROPE_WIN_LINES[0]) return 'player1'
+  if (rope.position >= ROPE_WIN_LINES[1]) return 'player2'
+  return null
+}
+
+function clampSpeed(velocity, tuning) {
+  return Math.max(-tuning.maxSpeed, Math.min(tuning.maxSpeed, velocity))
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import { createRope, applyPulls, stepRope, resumeRope, ropeWinner, ropeTuning, DEFAULT_ROPE_TUNING } from './ropePhysics'
+
+// Step the rope every `stepMs` from `from` to `to`
+function stepUntil(rope, from, to, stepMs = 16) {
+  let next = rope
+  for (let at = from; at <= to; at += stepMs) {
+    next = stepRope(next, at)
+  }
+  return next
+}
+
+describe('ropePhysics', () => {
+  it('moves the knot toward the side that pulls', () => {
+    const left = stepUntil(applyPulls(createRope(0), [3, 0]), 0, 500)
+    const right = stepUntil(applyPulls(createRope(0), [0, 3]), 0, 500)
+    expect(left.position).toBeLessThan(50)
+    expect(right.position).toBeGreaterThan(50)
+  })
+
+  it('cancels equal pulls', () => {
+    const rope = createRope(0)
+    expect(applyPulls(rope, [4, 4])).toBe(rope)
+  })
+
+  it('slows down and settles through friction', () => {
+    const rope = stepUntil(applyPulls(createRope(0), [0, 1]), 0, 10000)
+    expect(rope.velocity).toBe(0)
+    // One wiggle drifts about impulse / friction % before it stops
+    expect(rope.position - 50).toBeCloseTo(DEFAULT_ROPE_TUNING.impulse / DEFAULT_ROPE_TUNING.friction, 1)
+  })
+
+  it('caps the speed', () => {
+    const rope = applyPulls(createRope(0), [0, 1000])
+    expect(rope.velocity).toBe(DEFAULT_ROPE_TUNING.maxSpeed)
+  })
+
+  it('moves less with a heavier rope', () => {
+    const light = applyPulls(createRope(0), [0, 2])
+    const heavy = applyPulls(createRope(0), [0, 2], ropeTuning({ mass: 4 }))
+    expect(heavy.velocity).toBe(light.velocity / 4)
+  })
+
+  it('steps the same whatever the frame rate', () => {
+    const pulled = applyPulls(createRope(0), [0, 5])
+    const fast = stepUntil(pulled, 0, 1000, 10)
+    const slow = stepUntil(pulled, 0, 1000, 50)
+    expect(fast.position).toBeCloseTo(slow.position, 5)
+  })
+
+  it('drops long gaps and does not simulate a pause', () => {
+    const pulled = stepRope(applyPulls(createRope(0), [0, 5]), 0)
+    const stalled = stepRope(pulled, 10000)
+    const caughtUp = stepUntil(pulled, 0, DEFAULT_ROPE_TUNING.maxCatchUpMs, DEFAULT_ROPE_TUNING.maxCatchUpMs)
+    expect(stalled.position).toBeCloseTo(caughtUp.position, 5)
+
+    const resumed = stepRope(resumeRope(pulled, 10000), 10000)
+    expect(resumed.position).toBe(pulled.position)
+  })
+
+  it('names the winner once the knot crosses a line', () => {
+    expect(ropeWinner({ ...createRope(), position: 50 })).toBeNull()
+    expect(ropeWinner({ ...createRope(), position: 10 })).toBe('player1')
+    expect(ropeWinner({ ...createRope(), position: 90 })).toBe('player2')
+  })
+})
@@ -0,0 +1,25 @@
+/**
+ * Seeded Random - Small deterministic PRNG (mulberry32)
+ * The same seed always gives the same sequence, so a match against the AI can be replayed exactly
+ */
+
+/**
+ * New 32-bit seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000)
+}
+
+/**
+ * Random number generator for a seed: returns a function giving floats in [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000
+  }
+}
@@ -0,0 +1,247 @@
+/**
+ * Session Recorder - Records and replays FaceMesh landmark streams
+ * Lets the detection pipeline be tuned without a webcam
+ *
+ * Session file format (JSONL):
+ *   line 1: { "type": "header", "version": 1, "width", "height", "recordedAt" }
+ *   line N: { "t": <ms since start>, "faces": [[x, y, z, x, y, z, ...], ...] }
+ * The same data can also be stored as a single JSON object ({ ...header, frames })
+ */
+
+export const SESSION_FORMAT_VERSION = 1
+
+// Landmark coordinates are normalized (0-1), 5 decimals is well below a pixel
+const COORDINATE_PRECISION = 1e5
+
+function packLandmarks(landmarks) {
+  const packed = new Array(landmarks.length * 3)
+  landmarks.forEach((landmark, index) => {
+    packed[index * 3] = Math.round(landmark.x * COORDINATE_PRECISION) / COORDINATE_PRECISION
+    packed[index * 3 + 1] = Math.round(landmark.y * COORDINATE_PRECISION) / COORDINATE_PRECISION
+    packed[index * 3 + 2] = Math.round((landmark.z || 0) * COORDINATE_PRECISION) / COORDINATE_PRECISION
+  })
+  return packed
+}
+
+function unpackLandmarks(packed) {
+  const landmarks = []
+  for (let i = 0; i + 2 < packed.length; i += 3) {
+    landmarks.push({ x: packed[i], y: packed[i + 1], z: packed[i + 2] })
+  }
+  return landmarks
+}
+
+/**
+ * Records multiFaceLandmarks results with timestamps
+ */
+export class SessionRecorder {
+  constructor(options = {}) {
+    this.width = options.width || 0
+    this.height = options.height || 0
+    this.frames = []
+    this.startTime = null
+    this.recordedAt = null
+    this.isRecording = false
+  }
+
+  /**
+   * Start a new recording (clears previous frames)
+   */
+  start() {
+    this.frames = []
+    this.startTime = null
+    this.recordedAt = new Date().toISOString()
+    this.isRecording = true
+  }
+
+  /**
+   * Record one FaceMesh results object
+   */
+  record(results, timestamp = performance.now()) {
+    if (!this.isRecording || !results) return
+
+    if (this.startTime === null) {
+      this.startTime = timestamp
+    }
+
+    // Pick up frame size from the first results that carry an image
+    if (!this.width && results.image) {
+      this.width = results.image.width || 0
+      this.height = results.image.height || 0
+    }
+
+    const faces = (results.multiFaceLandmarks || []).map(packLandmarks)
+    this.frames.push({
+      t: Math.round(timestamp - this.startTime),
+      faces
+    })
+  }
+
+  /**
+   * Stop recording and return the session
+   */
+  stop() {
+    this.isRecording = false
+    return {
+      version: SESSION_FORMAT_VERSION,
+      width: this.width,
+      height: this.height,
+      recordedAt: this.recordedAt,
+      frames: this.frames
+    }
+  }
+}
+
+/**
+ * Serialize a session to JSONL (default) or JSON text
+ */
+export function serializeSession(session, format = 'jsonl') {
+  if (format === 'json') {
+    return JSON.stringify(session)
+  }
+
+  const header = {
+    type: 'header',
+    version: session.version,
+    width: session.width,
+    height: session.height,
+    recordedAt: session.recordedAt
+  }
+  const lines = [JSON.stringify(header)]
+  session.frames.forEach(frame => {
+    lines.push(JSON.stringify(frame))
+  })
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Parse JSONL or JSON session text
+ */
+export function parseSession(text) {
+  const trimmed = (text || '').trim()
+  if (!trimmed) {
+    throw new Error('Session file is empty')
+  }
+
+  let session
+  const firstLine = trimmed.split('\n', 1)[0]
+  const firstObject = JSON.parse(firstLine)
+
+  if (firstObject.type === 'header') {
+    const frames = trimmed.split('\n')
+      .slice(1)
+      .filter(line => line.trim().length > 0)
+      .map(line => JSON.parse(line))
+    session = { ...firstObject, frames }
+    delete session.type
+  } else {
+    session = JSON.parse(trimmed)
+  }
+
+  if (session.version !== SESSION_FORMAT_VERSION) {
+    throw new Error(`Unsupported session version: ${session.version}`)
+  }
+  if (!Array.isArray(session.frames)) {
+    throw new Error('Session file has no frames')
+  }
+
+  return session
+}
+
+/**
+ * Trigger a browser download of a session
+ */
+export function downloadSession(session, filename = `tuggy-session-${Date.now()}.jsonl`) {
+  const format = filename.endsWith('.json') ? 'json' : 'jsonl'
+  const blob = new Blob([serializeSession(session, format)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Replays a recorded session into an onResults callback
+ * Frames keep their original spacing, divided by speed (speed 0 = as fast as possible)
+ */
+export class SessionPlayer {
+  constructor(session, options = {}) {
+    this.session = session
+    this.speed = options.speed !== undefined ? options.speed : 1
+    this.loop = options.loop || false
+    this.onEnd = options.onEnd || null
+    this.timeoutId = null
+    this.frameIndex = 0
+    this.isPlaying = false
+    // Wall-clock time the replayed stream pretends to have started at
+    this.baseTimestamp = 0
+  }
+
+  /**
+   * Start feeding frames into onResults
+   */
+  play(onResults) {
+    this.stop()
+    this.onResults = onResults
+    this.frameIndex = 0
+    this.isPlaying = true
+    this.baseTimestamp = Date.now()
+    this.scheduleNext()
+  }
+
+  scheduleNext() {
+    if (!this.isPlaying) return
+
+    const frames = this.session.frames
+    if (this.frameIndex >= frames.length) {
+      if (this.loop && frames.length > 0) {
+        // Continue the timeline after the last frame so timestamps keep increasing
+        this.baseTimestamp += frames[frames.length - 1].t + 1
+        this.frameIndex = 0
+      } else {
+        this.isPlaying = false
+        if (this.onEnd) {
+          this.onEnd()
+        }
+        return
+      }
+    }
+
+    const frame = frames[this.frameIndex]
+    const previousT = this.frameIndex > 0 ? frames[this.frameIndex - 1].t : frame.t
+    const delay = this.speed > 0 ? (frame.t - previousT) / this.speed : 0
+
+    this.timeoutId = setTimeout(() => {
+      this.emitFrame(frame)
+      this.frameIndex++
+      this.scheduleNext()
+    }, delay)
+  }
+
+  emitFrame(frame) {
+    if (!this.onResults) return
+
+    this.onResults({
+      multiFaceLandmarks: frame.faces.map(unpackLandmarks),
+      // Original capture time, so timing-based logic behaves the same at any speed
+      timestamp: this.baseTimestamp + frame.t,
+      frameSize: { width: this.session.width, height: this.session.height },
+      isReplay: true
+    })
+  }
+
+  /**
+   * Stop playback
+   */
+  stop() {
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId)
+      this.timeoutId = null
+    }
+    this.isPlaying = false
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Teams - Which players pull on which side of the rope
+ * Side 0 is the left (blue) side, side 1 the right (white) side
+ * Players are numbered by face slot, and slot 0 is the leftmost face on the mirrored preview
+ */
+
+// Most players one camera can handle (FaceMesh tracks up to 4 faces reliably)
+export const MAX_PLAYERS = 4
+
+/**
+ * Split players into the two sides, left half first
+ * 2 players -> [[0], [1]], 4 players -> [[0, 1], [2, 3]]
+ * @returns {Array} [leftTeam, rightTeam], each a list of player indices
+ */
+export function buildTeams(playerCount) {
+  const count = Math.min(MAX_PLAYERS, Math.max(1, playerCount))
+  const leftSize = Math.ceil(count / 2)
+  const players = Array.from({ length: count }, (_, index) => index)
+  return [players.slice(0, leftSize), players.slice(leftSize)]
+}
+
+/**
+ * Side (0 or 1) a player pulls for, -1 if the player isn't on a team
+ */
+export function teamOf(player, teams) {
+  return teams.findIndex(team => team.includes(player))
+}
+
+/**
+ * Each side's pull: the sum of its players' counts
+ * @returns {Array} [leftPull, rightPull]
+ */
+export function sumTeamCounts(counts, teams) {
+  return teams.map(team => team.reduce((sum, player) => sum + (counts[player] || 0), 0))
+}
@@ -1,46 +1,122 @@
+import { estimateHeadPose, alignMouthRegion, poseToDegrees } from './headPose'
+import { loadTongueModel, detectTongue } from './tongueModel'
+
+/**
+ * Detection modes
+ * - landmarks: FaceMesh inner-lip heuristics only
+ * - model: TF.js tongue model on the cropped mouth canvas
+ * - fused: landmarks decide whether the mouth is open, model and landmarks are blended for position
+ */
+export const DETECTION_MODES = ['landmarks', 'model', 'fused']
+
+// Tongue model to load when none is passed (null: no model is shipped, so model modes need one configured)
+export const DEFAULT_MODEL_URL = import.meta.env.VITE_TONGUE_MODEL_URL || null
+
 /**
  * Tongue Detector using TensorFlow.js or MediaPipe landmark heuristics
  * Detects tongue position within mouth region
  */
 export class TongueDetector {
-  constructor() {
+  constructor(options = {}) {
     this.model = null
     this.useModel = false
     this.isInitialized = false
     this.tf = null // TensorFlow.js - loaded dynamically if needed
+    // Requested mode and the mode actually in use (falls back to landmarks)
+    this.requestedMode = 'landmarks'
+    this.mode = 'landmarks'
+    this.modelError = null
+    // The model runs elsewhere (the engine's shared model) and its detections are passed to detect()
+    this.externalModel = false
+    // Square input size fed to the model
+    this.inputSize = options.inputSize || 128
+    // Mask probability above which a pixel counts as tongue
+    this.maskThreshold = options.maskThreshold || 0.5
+    // Minimum fraction of the crop covered by tongue pixels to count as "out"
+    this.minMaskArea = options.minMaskArea || 0.02
+    // Weight of the model position when fusing (0 = landmarks only, 1 = model only)
+    this.fusionWeight = options.fusionWeight !== undefined ? options.fusionWeight : 0.6
+    // Frames with both detections used to learn the model-to-landmark scale before the model is blended in
+    this.fusionScaleFrames = options.fusionScaleFrames || 30
+    this.resetFusionScale()
+    // Mouth must be at least this open (fraction of mouth box height) for the tongue to count as out
+    this.minOpeningRatio = options.minOpeningRatio || 0.3
+    // Measure the mouth in a head-aligned frame so yaw/roll don't move relativeX
+    this.compensateHeadPose = options.compensateHeadPose !== undefined ? options.compensateHeadPose : true
   }
 
   /**
    * Initialize detector
-   * For now, we'll use landmark-based heuristics (no model loading needed)
-   * Can be extended to load a TF.js model later
+   * @param {string|boolean} mode - 'landmarks', 'model' or 'fused' (true is treated as 'model')
+   * @param {Object} options - { modelUrl } location of the TF.js model.json (defaults to DEFAULT_MODEL_URL),
+   *   { externalModel: true } when the caller already runs the model and passes its detections to detect(),
+   *   { modelError } when the caller's model failed to load (the detector falls back without loading its own)
    */
-  async initialize(useModel = false) {
-    this.useModel = useModel
-    
-    if (useModel) {
+  async initialize(mode = 'landmarks', options = {}) {
+    if (mode === true) mode = 'model'
+    if (!mode) mode = 'landmarks'
+
+    this.requestedMode = mode
+    this.mode = 'landmarks'
+    this.modelError = null
+    // A previous model (other mode or URL) is not needed any more
+    this.disposeModel()
+    this.resetFusionScale()
+    this.externalModel = false
+
+    if ((mode === 'model' || mode === 'fused') && options.externalModel) {
+      this.externalModel = true
+      this.mode = mode
+    } else if ((mode === 'model' || mode === 'fused') && options.modelError) {
+      this.modelError = options.modelError
+    } else if (mode === 'model' || mode === 'fused') {
       try {
+        const modelUrl = options.modelUrl || DEFAULT_MODEL_URL
+        if (!modelUrl) {
+          throw new Error('No tongue model configured')
+        }
         // Dynamically import TensorFlow.js only if needed
         this.tf = await import('@tensorflow/tfjs')
-        // TODO: Load TF.js tongue segmentation model
+        await this.tf.ready()
+        await this.loadModel(modelUrl)
+        this.mode = mode
       } catch (err) {
+        // Fall back to landmark heuristics when the model can't load
+        this.modelError = err.message
         this.useModel = false
+        this.mode = 'landmarks'
       }
     }
-    
+
     this.isInitialized = true
   }
 
+  /**
+   * Get the detection mode in use (may differ from the requested one after a fallback)
+   */
+  getMode() {
+    return this.mode
+  }
+
   /**
    * Detect tongue position using MediaPipe landmarks
    * Uses inner lip landmarks to infer tongue position based on mouth opening and lip displacement
+   * With head pose compensation the mouth is first rotated into a head-aligned frame
    */
   detectFromLandmarks(mouthRegion, imageWidth, imageHeight) {
     if (!mouthRegion || !mouthRegion.innerLandmarks || mouthRegion.innerLandmarks.length === 0) {
       return null
     }
 
-    const { innerLandmarks, center, boundingBox, outerLandmarks } = mouthRegion
+    let { innerLandmarks, center, boundingBox } = mouthRegion
+
+    // Estimate head pose from the full mesh and undo it before measuring the mouth
+    const headPose = this.compensateHeadPose
+      ? estimateHeadPose(mouthRegion.allLandmarks, imageWidth, imageHeight)
+      : null
+    if (headPose) {
+      ({ innerLandmarks, center, boundingBox } = alignMouthRegion(mouthRegion, headPose))
+    }
     
     // Calculate mouth opening (vertical distance between top and bottom inner lips)
     const topLipY = Math.min(...innerLandmarks.map(l => l.y))
@@ -50,8 +126,8 @@ export class TongueDetector {
     // Calculate opening ratio first
     const openingRatio = mouthOpening / boundingBox.height
     
-    // Stricter threshold: mouth must be at least 30% open for tongue to be considered "out"
-    const minOpeningRatio = 0.3
+    // Mouth must be open enough for tongue to be considered "out" (30% unless calibrated)
+    const minOpeningRatio = this.minOpeningRatio
     const tongueOut = openingRatio >= minOpeningRatio
     
     // If mouth is not open enough, tongue is not visible
@@ -92,93 +168,199 @@ export class TongueDetector {
     const mouthOpenness = Math.sqrt(spreadX * spreadX + spreadY * spreadY) / Math.max(boundingBox.width, boundingBox.height)
     
     // Confidence based on mouth openness and opening size
-    // More open = more confident, stricter threshold (must be at least 30% open)
-    const confidence = Math.min(1.0, Math.max(0.0, (openingRatio - 0.3) * 2)) // Scale confidence based on opening, stricter
+    // More open = more confident, measured from the minimum opening ratio
+    const confidence = Math.min(1.0, Math.max(0.0, (openingRatio - minOpeningRatio) * 2)) // Scale confidence based on opening, stricter
 
     // Amplify the relativeX signal for better sensitivity
     // When mouth opens wider, tongue movement is more detectable
     // Increased amplification for better detection of small movements
     const amplifiedX = relativeX * (1 + mouthOpenness * 3)
 
+    // Absolute position stays in image pixels even when measured in the head frame
+    const imageX = mouthRegion.innerLandmarks.reduce((sum, l) => sum + l.x, 0) / mouthRegion.innerLandmarks.length
+    const imageY = mouthRegion.innerLandmarks.reduce((sum, l) => sum + l.y, 0) / mouthRegion.innerLandmarks.length
+
     return {
       position: {
-        x: avgX,
-        y: avgY,
+        x: imageX,
+        y: imageY,
         relativeX: amplifiedX, // Amplified for better sensitivity
         relativeY: relativeY
       },
       confidence: confidence,
       mouthOpenness: mouthOpenness,
       openingRatio: openingRatio,
-      tongueOut: tongueOut // Explicit flag for tongue being out
+      tongueOut: tongueOut, // Explicit flag for tongue being out
+      headPose: poseToDegrees(headPose), // Estimated yaw/roll/pitch in degrees (null if not compensated)
+      source: 'landmarks'
     }
   }
 
   /**
-   * Detect tongue using TF.js model (future implementation)
+   * Detect tongue using TF.js model on the cropped mouth canvas (see tongueModel)
    */
-  async detectFromModel(mouthCanvas) {
+  async detectFromModel(mouthCanvas, mouthRegion) {
     if (!this.model || !this.tf) {
       throw new Error('Model not loaded')
     }
+    return detectTongue(this.tf, this.model, mouthCanvas, mouthRegion, this.getModelOptions())
+  }
 
-    // Preprocess image
-    const tensor = this.tf.browser.fromPixels(mouthCanvas)
-      .resizeNearestNeighbor([128, 128])
-      .expandDims(0)
-      .div(255.0)
+  /**
+   * Options the model runs with, also sent to a model running in the FaceMesh worker
+   */
+  getModelOptions() {
+    return { inputSize: this.inputSize, maskThreshold: this.maskThreshold, minMaskArea: this.minMaskArea }
+  }
 
-    // Run inference
-    const prediction = await this.model.predict(tensor)
-    const mask = await prediction.data()
+  /**
+   * Forget the learned model-to-landmark scale
+   */
+  resetFusionScale() {
+    this.fusionScale = { frames: 0, landmarkX: 0, modelX: 0, landmarkY: 0, modelY: 0 }
+  }
 
-    // Calculate tongue centroid
-    // This is a placeholder - actual implementation depends on model output format
-    tensor.dispose()
-    prediction.dispose()
+  /**
+   * Track the mean distance from the mouth center each source reports
+   * Cumulative over the first fusionScaleFrames frames, a moving average after that
+   */
+  updateFusionScale(landmarkPosition, modelPosition) {
+    const scale = this.fusionScale
+    scale.frames += 1
+    const rate = 1 / Math.min(scale.frames, this.fusionScaleFrames)
+    const track = (key, value) => {
+      scale[key] += (Math.abs(value) - scale[key]) * rate
+    }
+    track('landmarkX', landmarkPosition.relativeX)
+    track('modelX', modelPosition.relativeX)
+    track('landmarkY', landmarkPosition.relativeY)
+    track('modelY', modelPosition.relativeY)
+  }
+
+  /**
+   * Blend landmark and model detections
+   * Landmarks decide whether the mouth is open; the model refines the position
+   * The two measure relativeX on different scales (amplified lip shift vs. tongue centroid in the crop),
+   * so model positions are rescaled to the landmark scale first and the counter thresholds keep their meaning;
+   * until that scale is learned the landmark detection is used as is
+   */
+  fuseDetections(landmarkDetection, modelDetection) {
+    if (!landmarkDetection) {
+      return null
+    }
+    if (!modelDetection || !modelDetection.tongueOut) {
+      return { ...landmarkDetection, source: 'landmarks' }
+    }
+
+    this.updateFusionScale(landmarkDetection.position, modelDetection.position)
+    const scale = this.fusionScale
+    if (scale.frames < this.fusionScaleFrames) {
+      return { ...landmarkDetection, source: 'landmarks' }
+    }
+    const toLandmarkScale = (value, landmarkMean, modelMean) => (modelMean > 0 ? value * landmarkMean / modelMean : 0)
+
+    const weight = this.fusionWeight * modelDetection.confidence
+    const blend = (a, b) => a * (1 - weight) + b * weight
 
     return {
-      position: { x: 0, y: 0, relativeX: 0 },
-      confidence: 0.5,
-      mask: mask
+      ...landmarkDetection,
+      position: {
+        x: blend(landmarkDetection.position.x, modelDetection.position.x),
+        y: blend(landmarkDetection.position.y, modelDetection.position.y),
+        relativeX: blend(
+          landmarkDetection.position.relativeX,
+          toLandmarkScale(modelDetection.position.relativeX, scale.landmarkX, scale.modelX)
+        ),
+        relativeY: blend(
+          landmarkDetection.position.relativeY,
+          toLandmarkScale(modelDetection.position.relativeY, scale.landmarkY, scale.modelY)
+        )
+      },
+      confidence: Math.max(landmarkDetection.confidence, modelDetection.confidence),
+      maskArea: modelDetection.maskArea,
+      source: 'fused'
     }
   }
 
   /**
    * Main detection method
+   * With an external model, modelDetection is the model's result for this mouth (null: no tongue seen,
+   * undefined: the model didn't run on this frame, so only heuristics are used)
    */
-  async detect(mouthRegion, mouthCanvas, imageWidth, imageHeight) {
+  async detect(mouthRegion, mouthCanvas, imageWidth, imageHeight, modelDetection) {
     if (!this.isInitialized) {
       throw new Error('TongueDetector not initialized')
     }
 
-    if (this.useModel && this.model && mouthCanvas) {
-      return await this.detectFromModel(mouthCanvas)
-    } else {
+    const runModel = async () => {
+      if (this.externalModel) return modelDetection
+      try {
+        return await this.detectFromModel(mouthCanvas, mouthRegion)
+      } catch {
+        return undefined
+      }
+    }
+
+    // Without a model or pixels (e.g. replayed landmarks) only heuristics are possible
+    const hasModel = this.externalModel ? modelDetection !== undefined : Boolean(this.model && mouthCanvas)
+    if (this.mode === 'landmarks' || !hasModel) {
       return this.detectFromLandmarks(mouthRegion, imageWidth, imageHeight)
     }
+
+    if (this.mode === 'model') {
+      const detection = await runModel()
+      return detection !== undefined ? detection : this.detectFromLandmarks(mouthRegion, imageWidth, imageHeight)
+    }
+
+    const landmarkDetection = this.detectFromLandmarks(mouthRegion, imageWidth, imageHeight)
+    if (!landmarkDetection) {
+      return null
+    }
+    return this.fuseDetections(landmarkDetection, (await runModel()) || null)
   }
 
   /**
-   * Load TF.js model (for future use)
+   * Load TF.js model from a URL (graph or layers format), replacing any loaded one
    */
   async loadModel(modelPath) {
-    try {
-      this.model = await tf.loadLayersModel(modelPath)
-      this.useModel = true
-    } catch (error) {
-      throw error
+    if (!this.tf) {
+      this.tf = await import('@tensorflow/tfjs')
     }
+    this.disposeModel()
+    this.model = await loadTongueModel(this.tf, modelPath, this.inputSize)
+    this.useModel = true
   }
 
   /**
-   * Dispose resources
+   * Enable or disable head pose compensation
    */
-  dispose() {
+  setHeadPoseCompensation(enabled) {
+    this.compensateHeadPose = enabled
+  }
+
+  /**
+   * Set minimum mouth opening ratio (e.g. from calibration)
+   */
+  setMinOpeningRatio(ratio) {
+    this.minOpeningRatio = ratio
+  }
+
+  /**
+   * Release the model's tensors
+   */
+  disposeModel() {
     if (this.model) {
       this.model.dispose()
       this.model = null
     }
+    this.useModel = false
+  }
+
+  /**
+   * Dispose resources
+   */
+  dispose() {
+    this.disposeModel()
     this.isInitialized = false
   }
 }
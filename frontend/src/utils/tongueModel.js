@@ -0,0 +1,120 @@
+/**
+ * Tongue Model - Loads and runs the TF.js tongue model on a mouth crop
+ * TF.js is passed in rather than imported, so the same code runs with the package TongueDetector
+ * imports on the main thread and with the script the FaceMesh worker loads
+ *
+ * Supports two output formats:
+ * - segmentation mask [1, H, W] or [1, H, W, 1] with per-pixel tongue probability
+ * - keypoint [1, 3] as (x, y, confidence) normalized to the crop
+ */
+
+// The crop is the mouth box plus 20% padding each side, so crop fractions
+// are scaled by 1.4 to express position as a fraction of mouth size
+const CROP_PADDING_SCALE = 1.4
+
+/**
+ * Load a model from a URL (graph or layers format) and warm it up
+ */
+export async function loadTongueModel(tf, modelPath, inputSize) {
+  let model
+  try {
+    model = await tf.loadGraphModel(modelPath)
+  } catch {
+    // Not a graph model - try the layers format before giving up
+    model = await tf.loadLayersModel(modelPath)
+  }
+
+  // Warm up so the first real frame doesn't pay for shader compilation
+  tf.tidy(() => {
+    const warmup = tf.zeros([1, inputSize, inputSize, 3])
+    model.predict(warmup)
+  })
+  return model
+}
+
+/**
+ * Turn a segmentation mask into a tongue centroid, area fraction and confidence
+ */
+async function centroidFromMask(tf, maskTensor, { maskThreshold, minMaskArea }) {
+  const statsTensor = tf.tidy(() => {
+    const mask = maskTensor.squeeze()
+    const [height, width] = mask.shape
+    const binary = mask.greater(maskThreshold).toFloat()
+
+    const xs = tf.linspace(0, 1, width).reshape([1, width])
+    const ys = tf.linspace(0, 1, height).reshape([height, 1])
+
+    const area = binary.sum()
+    const sumX = binary.mul(xs).sum()
+    const sumY = binary.mul(ys).sum()
+    // Mean probability inside the detected region
+    const meanProb = mask.mul(binary).sum().div(area.maximum(1))
+
+    return tf.stack([area.div(height * width), sumX.div(area.maximum(1)), sumY.div(area.maximum(1)), meanProb])
+  })
+  const [area, cx, cy, meanProb] = await statsTensor.data()
+  statsTensor.dispose()
+
+  if (area <= 0) {
+    return null
+  }
+
+  // Small blobs are less trustworthy than a clearly visible tongue
+  const areaFactor = Math.min(1, area / (minMaskArea * 2))
+  return { cx, cy, area, confidence: meanProb * areaFactor }
+}
+
+/**
+ * Run the model on a mouth crop
+ * @param {Object} image - Crop of mouthRegion.boundingBox (canvas, ImageData or ImageBitmap)
+ * @param {Object} options - { inputSize, maskThreshold, minMaskArea } (see TongueDetector)
+ * @returns {Promise<Object|null>} Detection with source 'model', or null when no tongue is visible
+ */
+export async function detectTongue(tf, model, image, mouthRegion, options) {
+  const size = options.inputSize
+
+  // Preprocess image and run inference; keep only the raw output tensor
+  const output = tf.tidy(() => {
+    const input = tf.browser.fromPixels(image)
+      .resizeBilinear([size, size])
+      .toFloat()
+      .div(255.0)
+      .expandDims(0)
+    const prediction = model.predict(input)
+    return Array.isArray(prediction) ? prediction[0] : prediction
+  })
+
+  let result
+  if (output.shape.length >= 3) {
+    result = await centroidFromMask(tf, output, options)
+  } else {
+    const [x, y, confidence = 1] = await output.data()
+    result = { cx: x, cy: y, confidence, area: null }
+  }
+  output.dispose()
+
+  if (result === null) {
+    return null
+  }
+
+  const relativeX = (result.cx - 0.5) * CROP_PADDING_SCALE
+  const relativeY = (result.cy - 0.5) * CROP_PADDING_SCALE
+  const tongueOut = result.area === null
+    ? result.confidence >= 0.5
+    : result.area >= options.minMaskArea
+
+  const box = mouthRegion ? mouthRegion.boundingBox : { x: 0, y: 0, width: 0, height: 0 }
+
+  return {
+    position: {
+      x: box.x + result.cx * box.width,
+      y: box.y + result.cy * box.height,
+      relativeX: relativeX,
+      relativeY: relativeY
+    },
+    confidence: result.confidence,
+    maskArea: result.area,
+    tongueOut: tongueOut,
+    source: 'model'
+  }
+}
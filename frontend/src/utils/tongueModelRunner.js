@@ -0,0 +1,47 @@
+import { loadTongueModel, detectTongue } from './tongueModel'
+
+/**
+ * Tongue Model Runner - The TF.js tongue model on the main thread
+ * Same interface as TongueModelWorkerClient (load, detect, close), for browsers where the worker can't run;
+ * one runner serves every player, so the model is loaded and held once
+ */
+export class TongueModelRunner {
+  constructor() {
+    this.tf = null
+    this.model = null
+    this.options = null
+  }
+
+  /**
+   * Load the model
+   * @param {Object} options - { inputSize, maskThreshold, minMaskArea } (see TongueDetector.getModelOptions)
+   */
+  async load(modelUrl, options) {
+    // Dynamically import TensorFlow.js only if needed
+    this.tf = await import('@tensorflow/tfjs')
+    await this.tf.ready()
+    this.model = await loadTongueModel(this.tf, modelUrl, options.inputSize)
+    this.options = options
+  }
+
+  /**
+   * Run the model on a mouth crop
+   * @returns {Promise<Object|null>} Model detection, null when no tongue is seen
+   */
+  async detect(mouthCanvas, mouthRegion) {
+    if (!this.model) {
+      throw new Error('Tongue model not loaded')
+    }
+    return detectTongue(this.tf, this.model, mouthCanvas, mouthRegion, this.options)
+  }
+
+  /**
+   * Release the model
+   */
+  close() {
+    if (this.model) {
+      this.model.dispose()
+      this.model = null
+    }
+  }
+}
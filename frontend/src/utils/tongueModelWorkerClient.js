@@ -0,0 +1,147 @@
+/**
+ * Tongue Model Worker Client - Main-thread side of workers/tongueModelWorker.js
+ * Runs the TF.js tongue model on mouth crops off the main thread; detections match
+ * TongueDetector.detectFromModel, so they can be passed to TongueDetector.detect()
+ */
+
+export class TongueModelWorkerClient {
+  constructor(config = {}) {
+    // Give up if the model isn't loaded within this time (ms)
+    this.loadTimeout = config.loadTimeout || 30000
+    // Called when a worker with a loaded model dies (error) - detections can't be made any more
+    this.onFatalError = config.onFatalError || null
+    this.worker = null
+    this.loaded = false
+    this.loadHandlers = null
+    this.nextRequestId = 0
+    // Request id -> { resolve, reject } for crops sent but not answered yet
+    this.pendingRequests = new Map()
+  }
+
+  /**
+   * Start the worker and load the model in it
+   * @param {Object} options - { inputSize, maskThreshold, minMaskArea } (see TongueDetector.getModelOptions)
+   * Rejects if the model can't load or isn't loaded within loadTimeout
+   */
+  load(modelUrl, options) {
+    const loading = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.fail(new Error(`Tongue model not loaded after ${this.loadTimeout}ms`))
+      }, this.loadTimeout)
+      this.loadHandlers = {
+        resolve: () => {
+          clearTimeout(timer)
+          this.loaded = true
+          resolve()
+        },
+        reject: (error) => {
+          clearTimeout(timer)
+          reject(error)
+        }
+      }
+    })
+
+    this.worker = new Worker(new URL('../workers/tongueModelWorker.js', import.meta.url), { type: 'module' })
+    this.worker.onmessage = (event) => this.handleMessage(event.data)
+    this.worker.onerror = (event) => {
+      event.preventDefault()
+      this.fail(new Error(event.message || 'Tongue model worker failed'))
+    }
+    this.worker.postMessage({ type: 'load', modelUrl, options })
+
+    return loading
+  }
+
+  /**
+   * Run the model on a mouth crop (copied into an ImageBitmap and transferred)
+   * @returns {Promise<Object|null>} Model detection, null when no tongue is seen
+   */
+  async detect(mouthCanvas, mouthRegion) {
+    if (!this.loaded || !this.worker) {
+      throw new Error('Tongue model worker not running')
+    }
+
+    const bitmap = await createImageBitmap(mouthCanvas)
+    if (!this.worker) {
+      bitmap.close()
+      throw new Error('Tongue model worker not running')
+    }
+    const id = ++this.nextRequestId
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, { resolve, reject })
+      this.worker.postMessage({ type: 'detect', id, image: bitmap, boundingBox: mouthRegion.boundingBox }, [bitmap])
+    })
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'loaded':
+        this.loadHandlers?.resolve()
+        break
+      case 'detection':
+        this.settleRequest(message.id, null, message.detection)
+        break
+      case 'error':
+        if (message.id === null) {
+          this.fail(new Error(message.message))
+        } else {
+          this.settleRequest(message.id, new Error(message.message))
+        }
+        break
+      default:
+        break
+    }
+  }
+
+  settleRequest(id, error, detection = null) {
+    const pending = this.pendingRequests.get(id)
+    if (!pending) return
+    this.pendingRequests.delete(id)
+    if (error) {
+      pending.reject(error)
+    } else {
+      pending.resolve(detection)
+    }
+  }
+
+  /**
+   * Fail loading and any crops in flight, and stop the worker
+   * A worker whose model was loaded reports the failure through onFatalError
+   */
+  fail(error) {
+    const wasLoaded = this.loaded
+    this.loadHandlers?.reject(error)
+    this.stop(error, true)
+    if (wasLoaded && this.onFatalError) {
+      this.onFatalError(error)
+    }
+  }
+
+  /**
+   * Stop the worker and release the model
+   */
+  close() {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'close' })
+    }
+    this.stop(new Error('Tongue model worker closed'), false)
+  }
+
+  /**
+   * Drop the worker and reject crops in flight (terminate: kill it rather than let it close itself)
+   */
+  stop(error, terminate) {
+    if (this.worker) {
+      this.worker.onmessage = null
+      this.worker.onerror = null
+      if (terminate) {
+        this.worker.terminate()
+      }
+      this.worker = null
+    }
+    this.loaded = false
+    this.loadHandlers = null
+    this.pendingRequests.forEach(pending => pending.reject(error))
+    this.pendingRequests.clear()
+  }
+}
@@ -1,13 +1,21 @@
+import { createFilter } from './filters.js'
+
 /**
  * Tongue Tracker - Tracks tongue position over time with smoothing
+ * Smoothing is pluggable (see filters.js): 'weighted' (frame-count average, default),
+ * or the time-aware 'oneEuro', 'kalman' and 'ema' filters that use each sample's timestamp
  */
 export class TongueTracker {
   constructor(options = {}) {
-    // Smoothing window size (number of frames)
+    // Smoothing window size (number of frames, 'weighted' filter only)
     this.smoothingWindow = options.smoothingWindow || 5
     // Minimum confidence to consider detection valid
     this.minConfidence = options.minConfidence || 0.3
-    // Position history for smoothing
+    // Filter type and its parameters
+    this.filterType = options.filter || 'weighted'
+    this.filterParams = options.filterParams || {}
+    this.createFilters()
+    // Recent raw positions (for debugging)
     this.positionHistory = []
     // Current smoothed position
     this.currentPosition = null
@@ -17,8 +25,10 @@ export class TongueTracker {
 
   /**
    * Update tracker with new detection
+   * @param {Object} detection - Result from TongueDetector.detect
+   * @param {number} timestamp - Frame time in ms (defaults to now, replays pass the recorded time)
    */
-  update(detection) {
+  update(detection, timestamp = Date.now()) {
     // Require both confidence threshold AND tongue being out
     if (!detection || detection.confidence < this.minConfidence || !detection.tongueOut) {
       this.isVisible = false
@@ -30,8 +40,9 @@ export class TongueTracker {
     // Add to history
     this.positionHistory.push({
       relativeX: detection.position.relativeX,
+      relativeY: detection.position.relativeY || 0,
       confidence: detection.confidence,
-      timestamp: Date.now()
+      timestamp: timestamp
     })
 
     // Keep only recent history
@@ -39,31 +50,55 @@ export class TongueTracker {
       this.positionHistory.shift()
     }
 
-    // Calculate smoothed position (weighted average)
-    if (this.positionHistory.length > 0) {
-      let weightedSum = 0
-      let totalWeight = 0
-
-      this.positionHistory.forEach((pos, index) => {
-        // More recent positions have higher weight
-        const weight = (index + 1) * pos.confidence
-        weightedSum += pos.relativeX * weight
-        totalWeight += weight
-      })
+    // Smooth each axis (confidence weights samples in the 'weighted' filter)
+    const smoothedX = this.filterX.filter(detection.position.relativeX, timestamp, detection.confidence)
+    const smoothedY = this.filterY.filter(detection.position.relativeY || 0, timestamp, detection.confidence)
 
-      const smoothedX = totalWeight > 0 ? weightedSum / totalWeight : 0
-
-      this.currentPosition = {
-        relativeX: smoothedX,
-        rawX: detection.position.relativeX,
-        confidence: detection.confidence,
-        isVisible: true
-      }
+    this.currentPosition = {
+      relativeX: smoothedX.value,
+      relativeY: smoothedY.value,
+      // Velocity in relative units per second
+      velocityX: smoothedX.velocity,
+      velocityY: smoothedY.velocity,
+      rawX: detection.position.relativeX,
+      rawY: detection.position.relativeY || 0,
+      confidence: detection.confidence,
+      timestamp: timestamp,
+      isVisible: true
     }
 
     return this.currentPosition
   }
 
+  /**
+   * Create the per-axis filters from the current settings
+   */
+  createFilters() {
+    const params = this.filterType === 'weighted'
+      ? { window: this.smoothingWindow, ...this.filterParams }
+      : this.filterParams
+    this.filterX = createFilter(this.filterType, params)
+    this.filterY = createFilter(this.filterType, params)
+  }
+
+  /**
+   * Switch smoothing filter (clears filter state)
+   * @param {string} type - 'weighted', 'oneEuro', 'kalman' or 'ema'
+   * @param {Object} params - Filter parameters (see filters.js)
+   */
+  setFilter(type, params = {}) {
+    this.filterType = type
+    this.filterParams = params
+    this.createFilters()
+  }
+
+  /**
+   * Get the active filter type
+   */
+  getFilterType() {
+    return this.filterType
+  }
+
   /**
    * Get current smoothed position
    */
@@ -85,6 +120,8 @@ export class TongueTracker {
     this.positionHistory = []
     this.currentPosition = null
     this.isVisible = false
+    this.filterX.reset()
+    this.filterY.reset()
   }
 
   /**
@@ -0,0 +1,102 @@
+/**
+ * FaceMesh Worker - Runs MediaPipe Face Mesh inference off the main thread
+ * Loaded as a classic worker: MediaPipe pulls in its wasm loader with importScripts,
+ * which module workers don't have
+ *
+ * Messages in:
+ * - { type: 'init', assetBase, options }
+ * - { type: 'options', options } (changes options after init, e.g. maxNumFaces)
+ * - { type: 'frame', id, image } (image is a transferred ImageBitmap)
+ * - { type: 'close' }
+ * Messages out:
+ * - { type: 'ready' }
+ * - { type: 'results', id, multiFaceLandmarks, width, height, image } (image is the frame the landmarks came
+ *   from, transferred back so the main thread crops mouths from the same pixels)
+ * - { type: 'error', id, message } (id is null for initialization errors)
+ */
+
+let faceMesh = null
+// Frame currently being processed and the landmarks found in it
+let currentFrame = null
+
+function toPlainLandmarks(landmarks) {
+  return landmarks.map(landmark => ({ x: landmark.x, y: landmark.y, z: landmark.z }))
+}
+
+function handleResults(results) {
+  if (currentFrame) {
+    currentFrame.multiFaceLandmarks = (results.multiFaceLandmarks || []).map(toPlainLandmarks)
+  }
+
+  // FaceMesh's output image isn't sent back (the input frame is), free it here
+  if (results.image && results.image !== currentFrame?.image && typeof results.image.close === 'function') {
+    results.image.close()
+  }
+}
+
+async function initialize({ assetBase, options }) {
+  try {
+    self.importScripts(`${assetBase}face_mesh.js`)
+    faceMesh = new self.FaceMesh({
+      locateFile: (file) => `${assetBase}${file}`
+    })
+    faceMesh.setOptions(options)
+    faceMesh.onResults(handleResults)
+    await faceMesh.initialize()
+    self.postMessage({ type: 'ready' })
+  } catch (error) {
+    self.postMessage({ type: 'error', id: null, message: error.message || String(error) })
+  }
+}
+
+async function processFrame({ id, image }) {
+  currentFrame = { id, image, multiFaceLandmarks: [] }
+  try {
+    await faceMesh.send({ image })
+    // Always answer (no faces when FaceMesh gave no results), so the main thread never waits on a frame forever
+    self.postMessage({
+      type: 'results',
+      id,
+      multiFaceLandmarks: currentFrame.multiFaceLandmarks,
+      width: image.width,
+      height: image.height,
+      image
+    }, [image])
+  } catch (error) {
+    image.close()
+    self.postMessage({ type: 'error', id, message: error.message || String(error) })
+  } finally {
+    currentFrame = null
+  }
+}
+
+self.onmessage = (event) => {
+  const message = event.data
+  switch (message.type) {
+    case 'init':
+      initialize(message)
+      break
+    case 'options':
+      if (faceMesh) {
+        faceMesh.setOptions(message.options)
+      }
+      break
+    case 'frame':
+      if (!faceMesh) {
+        message.image.close()
+        self.postMessage({ type: 'error', id: message.id, message: 'FaceMesh worker not initialized' })
+        break
+      }
+      processFrame(message)
+      break
+    case 'close':
+      if (faceMesh) {
+        faceMesh.close()
+        faceMesh = null
+      }
+      self.close()
+      break
+    default:
+      break
+  }
+}
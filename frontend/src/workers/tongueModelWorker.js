@@ -0,0 +1,71 @@
+/**
+ * Tongue Model Worker - Runs the TF.js tongue model off the main thread
+ * A module worker (the FaceMesh one can't be, MediaPipe needs importScripts), so TF.js and
+ * tongueModel are imported directly; it is only started when a model detection mode is used
+ *
+ * Messages in:
+ * - { type: 'load', modelUrl, options } (options: { inputSize, maskThreshold, minMaskArea })
+ * - { type: 'detect', id, image, boundingBox } (image is a transferred ImageBitmap of the mouth crop)
+ * - { type: 'close' }
+ * Messages out:
+ * - { type: 'loaded' }
+ * - { type: 'detection', id, detection } (detection is null when no tongue is seen)
+ * - { type: 'error', id, message } (id is null for load errors)
+ */
+import * as tf from '@tensorflow/tfjs'
+import { loadTongueModel, detectTongue } from '../utils/tongueModel'
+
+let model = null
+let modelOptions = null
+
+async function load({ modelUrl, options }) {
+  try {
+    await tf.ready()
+    if (model) {
+      model.dispose()
+      model = null
+    }
+    model = await loadTongueModel(tf, modelUrl, options.inputSize)
+    modelOptions = options
+    self.postMessage({ type: 'loaded' })
+  } catch (error) {
+    self.postMessage({ type: 'error', id: null, message: error.message || String(error) })
+  }
+}
+
+async function detect({ id, image, boundingBox }) {
+  try {
+    const detection = await detectTongue(tf, model, image, { boundingBox }, modelOptions)
+    self.postMessage({ type: 'detection', id, detection })
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message || String(error) })
+  } finally {
+    image.close()
+  }
+}
+
+self.onmessage = (event) => {
+  const message = event.data
+  switch (message.type) {
+    case 'load':
+      load(message)
+      break
+    case 'detect':
+      if (!model) {
+        message.image.close()
+        self.postMessage({ type: 'error', id: message.id, message: 'Tongue model not loaded' })
+        break
+      }
+      detect(message)
+      break
+    case 'close':
+      if (model) {
+        model.dispose()
+        model = null
+      }
+      self.close()
+      break
+    default:
+      break
+  }
+}
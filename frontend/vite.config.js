@@ -2,16 +2,66 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 import path from 'path'
+import fs from 'fs'
+import { fileURLToPath } from 'url'
+
+// MediaPipe Face Mesh runtime files (wasm, model, data), served from our own origin
+const MEDIAPIPE_FACE_MESH_DIR = fileURLToPath(new URL('./node_modules/@mediapipe/face_mesh', import.meta.url))
+const MEDIAPIPE_PUBLIC_PATH = 'mediapipe/face_mesh'
+const MEDIAPIPE_SKIP_FILES = ['package.json', 'README.md', 'index.d.ts']
+
+const CONTENT_TYPES = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+  '.data': 'application/octet-stream',
+  '.binarypb': 'application/octet-stream'
+}
+
+/**
+ * Serve the MediaPipe Face Mesh files under /mediapipe/face_mesh/ in dev
+ * and copy them there in the build, so detection works without a CDN
+ */
+function mediapipeAssets() {
+  const listFiles = () => fs.readdirSync(MEDIAPIPE_FACE_MESH_DIR)
+    .filter(file => !MEDIAPIPE_SKIP_FILES.includes(file))
+
+  return {
+    name: 'mediapipe-assets',
+    configureServer(server) {
+      const files = new Set(listFiles())
+      server.middlewares.use(`/${MEDIAPIPE_PUBLIC_PATH}/`, (req, res, next) => {
+        const file = decodeURIComponent(req.url.split('?')[0].replace(/^\//, ''))
+        if (!files.has(file)) {
+          next()
+          return
+        }
+        res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)] || 'application/octet-stream')
+        fs.createReadStream(path.join(MEDIAPIPE_FACE_MESH_DIR, file)).pipe(res)
+      })
+    },
+    generateBundle() {
+      listFiles().forEach(file => {
+        this.emitFile({
+          type: 'asset',
+          // File names are fixed, MediaPipe builds them from the asset base at runtime
+          fileName: `${MEDIAPIPE_PUBLIC_PATH}/${file}`,
+          source: fs.readFileSync(path.join(MEDIAPIPE_FACE_MESH_DIR, file))
+        })
+      })
+    }
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     react(),
-    tailwindcss()
+    tailwindcss(),
+    mediapipeAssets()
 ],
   resolve: {
     alias: {
-      "@": path.resolve(__dirname, 'src'),
+      "@": fileURLToPath(new URL('./src', import.meta.url)),
     },
   },
-})
\ No newline at end of file
+})
@@ -0,0 +1,21 @@
+import { WebSocketServer } from 'ws'
+import { RelayServer } from './relay.js'
+
+// Listens on every interface by default so other machines on the LAN can join
+const port = Number(process.env.RELAY_PORT) || 8787
+const host = process.env.RELAY_HOST || '0.0.0.0'
+
+const relay = new RelayServer()
+const wss = new WebSocketServer({ port, host })
+
+wss.on('connection', (socket) => relay.handleConnection(socket))
+wss.on('listening', () => {
+  console.log(`Tuggy relay listening on ws://${host}:${port}`)
+})
+
+const shutdown = () => {
+  relay.close()
+  wss.close(() => process.exit(0))
+}
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
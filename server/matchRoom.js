@@ -0,0 +1,251 @@
+/**
+ * Match Room - One head-to-head match between two browsers
+ * The room is the single source of truth: it agrees the start time,
+ * orders both players' count events by when they happened and decides the winner
+ *
+ * Phases: 'waiting' (fewer than 2 players) -> 'lobby' -> 'countdown' -> 'playing' -> 'finished'
+ * A finished room goes back to 'lobby' when both players are ready for a rematch
+ */
+
+export const ROOM_PHASES = {
+  WAITING: 'waiting',
+  LOBBY: 'lobby',
+  COUNTDOWN: 'countdown',
+  PLAYING: 'playing',
+  FINISHED: 'finished'
+}
+
+// Count lead that wins the match (the rope knot reaches a player's line, as in TugOfWar3D)
+export const WIN_DIFFERENCE = 20
+
+export class MatchRoom {
+  constructor(code, options = {}) {
+    this.code = code
+    // Time between everyone being ready and the start (ms)
+    this.countdownMs = options.countdownMs || 3000
+    this.winDifference = options.winDifference || WIN_DIFFERENCE
+    // Events are held this long so a slower player's earlier events are applied first (ms)
+    this.jitterBufferMs = options.jitterBufferMs || 120
+    // Furthest back an event's reported time is trusted (ms)
+    this.maxCompensationMs = options.maxCompensationMs || 250
+    // Sends a message to every player in the room
+    this.broadcast = options.broadcast || (() => {})
+    this.now = options.now || Date.now
+
+    this.players = [] // { id, side, name, ready, count, tongueState }
+    this.phase = ROOM_PHASES.WAITING
+    this.matchId = 0
+    this.startAt = null
+    this.winner = null
+    this.pendingEvents = []
+  }
+
+  /**
+   * Add a player to the free side (1 = left/blue, 2 = right/white)
+   * @returns {Object|null} The player, or null if the room is full
+   */
+  addPlayer(id, name) {
+    if (this.players.length >= 2) return null
+
+    const side = this.players.some(player => player.side === 1) ? 2 : 1
+    const player = { id, side, name: name || `Player ${side}`, ready: false, count: 0, tongueState: 'CENTER' }
+    this.players.push(player)
+    if (this.players.length === 2 && this.phase === ROOM_PHASES.WAITING) {
+      this.phase = ROOM_PHASES.LOBBY
+    }
+    this.broadcastRoom()
+    return player
+  }
+
+  /**
+   * Remove a player; leaving a running match forfeits it
+   */
+  removePlayer(id) {
+    const leaving = this.players.find(player => player.id === id)
+    if (!leaving) return
+
+    this.players = this.players.filter(player => player.id !== id)
+    const remaining = this.players[0]
+    if (remaining && (this.phase === ROOM_PHASES.PLAYING || this.phase === ROOM_PHASES.COUNTDOWN)) {
+      this.finish(remaining.side, 'forfeit')
+    }
+
+    this.players.forEach(player => {
+      player.ready = false
+    })
+    this.phase = ROOM_PHASES.WAITING
+    this.startAt = null
+    this.pendingEvents = []
+    this.broadcastRoom()
+  }
+
+  isEmpty() {
+    return this.players.length === 0
+  }
+
+  /**
+   * Mark a player ready; the countdown starts once both are
+   */
+  setReady(id, ready) {
+    const player = this.players.find(item => item.id === id)
+    if (!player || this.phase === ROOM_PHASES.COUNTDOWN || this.phase === ROOM_PHASES.PLAYING) return
+
+    // Readying up after a finished match asks for a rematch
+    if (this.phase === ROOM_PHASES.FINISHED && ready) {
+      this.phase = ROOM_PHASES.LOBBY
+      this.players.forEach(item => {
+        if (item !== player) item.ready = false
+      })
+    }
+
+    player.ready = Boolean(ready)
+    if (this.players.length === 2 && this.players.every(item => item.ready)) {
+      this.startCountdown()
+    } else {
+      this.broadcastRoom()
+    }
+  }
+
+  startCountdown() {
+    this.matchId++
+    this.phase = ROOM_PHASES.COUNTDOWN
+    this.startAt = this.now() + this.countdownMs
+    this.winner = null
+    this.pendingEvents = []
+    this.players.forEach(player => {
+      player.count = 0
+      player.tongueState = 'CENTER'
+    })
+    this.broadcast({ type: 'start', matchId: this.matchId, startAt: this.startAt, winDifference: this.winDifference })
+    this.broadcastRoom()
+  }
+
+  /**
+   * Queue a player's count update
+   * @param {number} count - Player's count since the start
+   * @param {string} tongueState - LEFT / CENTER / RIGHT
+   * @param {number} at - When it happened, in server time (estimated by the client)
+   */
+  submitCount(id, count, tongueState, at) {
+    const player = this.players.find(item => item.id === id)
+    if (!player || !Number.isFinite(count)) return
+    if (this.phase !== ROOM_PHASES.COUNTDOWN && this.phase !== ROOM_PHASES.PLAYING) return
+
+    // Trust the reported time only within the compensation window
+    const receivedAt = this.now()
+    const reportedAt = Number.isFinite(at) ? at : receivedAt
+    const eventAt = Math.min(receivedAt, Math.max(receivedAt - this.maxCompensationMs, reportedAt))
+
+    this.pendingEvents.push({ side: player.side, count: Math.floor(count), tongueState, at: eventAt })
+  }
+
+  /**
+   * Advance the match: start it when the countdown ends, then apply buffered events in time order
+   * Called regularly by the relay
+   */
+  tick() {
+    const now = this.now()
+
+    if (this.phase === ROOM_PHASES.COUNTDOWN && now >= this.startAt) {
+      this.phase = ROOM_PHASES.PLAYING
+      this.broadcastRoom()
+    }
+    if (this.phase !== ROOM_PHASES.PLAYING || this.pendingEvents.length === 0) return
+
+    const due = this.pendingEvents
+      .filter(event => event.at <= now - this.jitterBufferMs)
+      .sort((a, b) => a.at - b.at)
+    if (due.length === 0) return
+    this.pendingEvents = this.pendingEvents.filter(event => !due.includes(event))
+
+    let changed = false
+    for (const event of due) {
+      // Counts from before the agreed start are false starts
+      if (event.at < this.startAt) continue
+
+      const player = this.players.find(item => item.side === event.side)
+      if (!player) continue
+      if (event.count > player.count) {
+        player.count = event.count
+        changed = true
+      }
+      if (event.tongueState && event.tongueState !== player.tongueState) {
+        player.tongueState = event.tongueState
+        changed = true
+      }
+
+      const winner = this.checkWinner()
+      if (winner) {
+        this.broadcastState()
+        this.finish(winner, 'pull', event.at)
+        return
+      }
+    }
+
+    if (changed) {
+      this.broadcastState()
+    }
+  }
+
+  /**
+   * Side that has pulled far enough ahead, or null
+   */
+  checkWinner() {
+    const left = this.getCount(1)
+    const right = this.getCount(2)
+    if (left - right >= this.winDifference) return 1
+    if (right - left >= this.winDifference) return 2
+    return null
+  }
+
+  getCount(side) {
+    return this.players.find(player => player.side === side)?.count || 0
+  }
+
+  finish(side, reason, at = this.now()) {
+    this.phase = ROOM_PHASES.FINISHED
+    this.winner = side
+    this.pendingEvents = []
+    this.players.forEach(player => {
+      player.ready = false
+    })
+    this.broadcast({
+      type: 'finished',
+      matchId: this.matchId,
+      winner: side,
+      reason,
+      at,
+      counts: { 1: this.getCount(1), 2: this.getCount(2) }
+    })
+    this.broadcastRoom()
+  }
+
+  broadcastState() {
+    const tongueStates = {}
+    this.players.forEach(player => {
+      tongueStates[player.side] = player.tongueState
+    })
+    this.broadcast({
+      type: 'state',
+      matchId: this.matchId,
+      counts: { 1: this.getCount(1), 2: this.getCount(2) },
+      tongueStates,
+      serverTime: this.now()
+    })
+  }
+
+  broadcastRoom() {
+    this.broadcast({ type: 'room', ...this.describe() })
+  }
+
+  describe() {
+    return {
+      code: this.code,
+      phase: this.phase,
+      matchId: this.matchId,
+      startAt: this.startAt,
+      winner: this.winner,
+      players: this.players.map(({ side, name, ready }) => ({ side, name, ready }))
+    }
+  }
+}
@@ -0,0 +1,141 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { MatchRoom, ROOM_PHASES } from './matchRoom.js'
+
+describe('MatchRoom', () => {
+  let clock
+  let sent
+  let room
+
+  const messages = type => sent.filter(message => message.type === type)
+
+  // Both players ready at 1000, so the match starts at 4000
+  const startMatch = () => {
+    room.addPlayer('a', 'Ada')
+    room.addPlayer('b', 'Bob')
+    room.setReady('a', true)
+    room.setReady('b', true)
+    clock = 4000
+    room.tick()
+  }
+
+  beforeEach(() => {
+    clock = 1000
+    sent = []
+    room = new MatchRoom('ABCD', { winDifference: 2, now: () => clock, broadcast: message => sent.push(message) })
+  })
+
+  it('seats two players on opposite sides and refuses a third', () => {
+    assert.equal(room.addPlayer('a').side, 1)
+    assert.equal(room.describe().phase, ROOM_PHASES.WAITING)
+    const second = room.addPlayer('b', 'Bob')
+    assert.deepEqual([second.side, second.name], [2, 'Bob'])
+    assert.equal(room.describe().phase, ROOM_PHASES.LOBBY)
+    assert.equal(room.addPlayer('c'), null)
+
+    room.removePlayer('a')
+    assert.equal(room.addPlayer('c').side, 1)
+  })
+
+  it('counts down once both players are ready, then plays', () => {
+    room.addPlayer('a')
+    room.addPlayer('b')
+    room.setReady('a', true)
+    assert.equal(room.describe().phase, ROOM_PHASES.LOBBY)
+    room.setReady('b', true)
+    assert.equal(room.describe().phase, ROOM_PHASES.COUNTDOWN)
+    assert.deepEqual(messages('start'), [{ type: 'start', matchId: 1, startAt: 4000, winDifference: 2 }])
+
+    clock = 3999
+    room.tick()
+    assert.equal(room.describe().phase, ROOM_PHASES.COUNTDOWN)
+    clock = 4000
+    room.tick()
+    assert.equal(room.describe().phase, ROOM_PHASES.PLAYING)
+  })
+
+  it('holds events for the jitter buffer, then applies them', () => {
+    startMatch()
+    clock = 4100
+    room.submitCount('a', 1, 'LEFT', 4100)
+    clock = 4200
+    room.tick()
+    assert.equal(room.getCount(1), 0)
+    clock = 4220
+    room.tick()
+    assert.equal(room.getCount(1), 1)
+    assert.deepEqual(messages('state').at(-1).tongueStates, { 1: 'LEFT', 2: 'CENTER' })
+  })
+
+  it('applies events in the order they happened, not the order they arrived', () => {
+    startMatch()
+    clock = 4100
+    room.submitCount('a', 2, 'RIGHT', 4100)
+    // Bob's count happened first but took longer to arrive
+    clock = 4150
+    room.submitCount('b', 1, 'RIGHT', 4050)
+    clock = 4300
+    room.tick()
+    assert.equal(room.describe().phase, ROOM_PHASES.PLAYING)
+    assert.deepEqual([room.getCount(1), room.getCount(2)], [2, 1])
+  })
+
+  it('trusts a reported time only within the compensation window', () => {
+    startMatch()
+    // Reported from before the start, but only 250 ms back is trusted: at 4050 it isn't a false start
+    clock = 4300
+    room.submitCount('a', 1, 'LEFT', 3000)
+    // Reported from the future, so it is taken as received at 4300 and applied last
+    room.submitCount('b', 1, 'LEFT', 9000)
+    clock = 4419
+    room.tick()
+    assert.deepEqual([room.getCount(1), room.getCount(2)], [1, 0])
+    clock = 4420
+    room.tick()
+    assert.deepEqual([room.getCount(1), room.getCount(2)], [1, 1])
+  })
+
+  it('ignores counts from before the start as false starts', () => {
+    startMatch()
+    clock = 4100
+    room.submitCount('a', 3, 'LEFT', 3900)
+    clock = 4300
+    room.tick()
+    assert.equal(room.getCount(1), 0)
+  })
+
+  it('finishes when a side leads by the win difference, at the time of the winning event', () => {
+    startMatch()
+    clock = 4010
+    room.submitCount('b', 2, 'RIGHT', 4010)
+    clock = 4200
+    room.tick()
+    assert.equal(room.describe().phase, ROOM_PHASES.FINISHED)
+    assert.deepEqual(messages('finished'), [
+      { type: 'finished', matchId: 1, winner: 2, reason: 'pull', at: 4010, counts: { 1: 0, 2: 2 } }
+    ])
+  })
+
+  it('gives the match to the other side when a player leaves it', () => {
+    startMatch()
+    room.removePlayer('b')
+    assert.deepEqual(messages('finished').map(({ winner, reason }) => [winner, reason]), [[1, 'forfeit']])
+    assert.equal(room.describe().phase, ROOM_PHASES.WAITING)
+  })
+
+  it('goes back to the lobby for a rematch and starts a new match once both are ready', () => {
+    startMatch()
+    clock = 4010
+    room.submitCount('a', 2, 'LEFT', 4010)
+    clock = 4200
+    room.tick()
+
+    room.setReady('b', true)
+    assert.equal(room.describe().phase, ROOM_PHASES.LOBBY)
+    assert.deepEqual(room.describe().players.map(player => player.ready), [false, true])
+    room.setReady('a', true)
+    assert.equal(room.describe().phase, ROOM_PHASES.COUNTDOWN)
+    assert.equal(room.describe().matchId, 2)
+    assert.deepEqual([room.getCount(1), room.getCount(2)], [0, 0])
+  })
+})
@@ -0,0 +1,142 @@
+import { MatchRoom } from './matchRoom.js'
+
+// Join code alphabet without look-alike characters (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+const CODE_LENGTH = 4
+
+/**
+ * Relay Server - Rooms with join codes, clock sync and message routing
+ * Transport-agnostic: pass it each connected WebSocket (see index.js)
+ *
+ * Messages in:
+ * - { type: 'create', name } / { type: 'join', code, name } / { type: 'leave' }
+ * - { type: 'ready', ready }
+ * - { type: 'count', count, tongueState, at } (at = when it happened, in server time)
+ * - { type: 'ping', clientTime }
+ * Messages out:
+ * - { type: 'joined', code, side, room } / { type: 'room', ... } / { type: 'left' }
+ * - { type: 'start', matchId, startAt, winDifference } / { type: 'state', ... } / { type: 'finished', ... }
+ * - { type: 'pong', clientTime, serverTime }
+ * - { type: 'error', code, message }
+ */
+export class RelayServer {
+  constructor(options = {}) {
+    this.roomOptions = options.roomOptions || {}
+    // How often rooms apply buffered events (ms)
+    this.tickMs = options.tickMs || 30
+    this.rooms = new Map()
+    this.nextClientId = 1
+    this.timer = setInterval(() => this.tick(), this.tickMs)
+  }
+
+  /**
+   * Take over a connected socket
+   */
+  handleConnection(socket) {
+    const client = { id: this.nextClientId++, socket, room: null }
+
+    socket.on('message', (data) => {
+      let message
+      try {
+        message = JSON.parse(data.toString())
+      } catch {
+        this.send(client, { type: 'error', code: 'bad-message', message: 'Messages must be JSON' })
+        return
+      }
+      this.handleMessage(client, message)
+    })
+    socket.on('close', () => this.leaveRoom(client))
+    socket.on('error', () => this.leaveRoom(client))
+  }
+
+  handleMessage(client, message) {
+    switch (message.type) {
+      case 'ping':
+        this.send(client, { type: 'pong', clientTime: message.clientTime, serverTime: Date.now() })
+        break
+      case 'create':
+        this.leaveRoom(client)
+        this.joinRoom(client, this.createRoom(), message.name)
+        break
+      case 'join': {
+        const room = this.rooms.get(String(message.code || '').toUpperCase())
+        if (!room) {
+          this.send(client, { type: 'error', code: 'room-not-found', message: 'No room with that code' })
+          break
+        }
+        if (room !== client.room) {
+          this.leaveRoom(client)
+          this.joinRoom(client, room, message.name)
+        }
+        break
+      }
+      case 'leave':
+        this.leaveRoom(client)
+        this.send(client, { type: 'left' })
+        break
+      case 'ready':
+        client.room?.setReady(client.id, message.ready !== false)
+        break
+      case 'count':
+        client.room?.submitCount(client.id, message.count, message.tongueState, message.at)
+        break
+      default:
+        this.send(client, { type: 'error', code: 'unknown-type', message: `Unknown message type: ${message.type}` })
+    }
+  }
+
+  createRoom() {
+    let code
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)]).join('')
+    } while (this.rooms.has(code))
+
+    const members = new Set()
+    const room = new MatchRoom(code, {
+      ...this.roomOptions,
+      broadcast: (message) => members.forEach(member => this.send(member, message))
+    })
+    room.members = members
+    this.rooms.set(code, room)
+    return room
+  }
+
+  joinRoom(client, room, name) {
+    const player = room.addPlayer(client.id, name)
+    if (!player) {
+      this.send(client, { type: 'error', code: 'room-full', message: 'That room already has two players' })
+      if (room.isEmpty()) this.rooms.delete(room.code)
+      return
+    }
+    room.members.add(client)
+    client.room = room
+    this.send(client, { type: 'joined', code: room.code, side: player.side, room: room.describe() })
+  }
+
+  leaveRoom(client) {
+    const room = client.room
+    if (!room) return
+
+    room.members.delete(client)
+    client.room = null
+    room.removePlayer(client.id)
+    if (room.isEmpty()) {
+      this.rooms.delete(room.code)
+    }
+  }
+
+  tick() {
+    this.rooms.forEach(room => room.tick())
+  }
+
+  send(client, message) {
+    if (client.socket.readyState === 1) {
+      client.socket.send(JSON.stringify(message))
+    }
+  }
+
+  close() {
+    clearInterval(this.timer)
+    this.rooms.clear()
+  }
+}
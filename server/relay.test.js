@@ -0,0 +1,100 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { RelayServer } from './relay.js'
+
+// Stand-in for a ws socket: records what the relay sends and lets the test deliver messages
+function connect(relay) {
+  const handlers = {}
+  const socket = {
+    readyState: 1,
+    sent: [],
+    send: data => socket.sent.push(JSON.parse(data)),
+    on: (event, handler) => {
+      handlers[event] = handler
+    },
+    receive: message => handlers.message(Buffer.from(typeof message === 'string' ? message : JSON.stringify(message))),
+    disconnect: () => handlers.close(),
+    last: () => socket.sent.at(-1)
+  }
+  relay.handleConnection(socket)
+  return socket
+}
+
+describe('RelayServer', () => {
+  let relay
+
+  beforeEach(() => {
+    relay = new RelayServer({ tickMs: 1000 })
+  })
+
+  afterEach(() => {
+    relay.close()
+  })
+
+  it('answers a ping with the client\'s time and its own', () => {
+    const socket = connect(relay)
+    const before = Date.now()
+    socket.receive({ type: 'ping', clientTime: 123 })
+    const pong = socket.last()
+    assert.equal(pong.type, 'pong')
+    assert.equal(pong.clientTime, 123)
+    assert.ok(pong.serverTime >= before && pong.serverTime <= Date.now())
+  })
+
+  it('creates a room with a join code that another player can join in any case', () => {
+    const host = connect(relay)
+    host.receive({ type: 'create', name: 'Ada' })
+    const joined = host.sent.find(message => message.type === 'joined')
+    assert.match(joined.code, /^[ABCDEFGHJKMNPQRSTUVWXYZ2-9]{4}$/)
+    assert.equal(joined.side, 1)
+
+    const guest = connect(relay)
+    guest.receive({ type: 'join', code: joined.code.toLowerCase(), name: 'Bob' })
+    assert.equal(guest.sent.find(message => message.type === 'joined').side, 2)
+    assert.deepEqual(host.last(), {
+      type: 'room',
+      code: joined.code,
+      phase: 'lobby',
+      matchId: 0,
+      startAt: null,
+      winner: null,
+      players: [{ side: 1, name: 'Ada', ready: false }, { side: 2, name: 'Bob', ready: false }]
+    })
+  })
+
+  it('reports unknown rooms, full rooms, unknown messages and bad JSON', () => {
+    const players = [connect(relay), connect(relay), connect(relay)]
+    players[0].receive({ type: 'join', code: 'ZZZZ' })
+    assert.equal(players[0].last().code, 'room-not-found')
+
+    players[0].receive({ type: 'create' })
+    const { code } = players[0].sent.find(message => message.type === 'joined')
+    players[1].receive({ type: 'join', code })
+    players[2].receive({ type: 'join', code })
+    assert.equal(players[2].last().code, 'room-full')
+
+    players[2].receive({ type: 'dance' })
+    assert.equal(players[2].last().message, 'Unknown message type: dance')
+    players[2].receive('{ nope')
+    assert.equal(players[2].last().code, 'bad-message')
+  })
+
+  it('routes ready and count messages to the room and closes empty rooms', () => {
+    const [host, guest] = [connect(relay), connect(relay)]
+    host.receive({ type: 'create' })
+    const { code } = host.sent.find(message => message.type === 'joined')
+    guest.receive({ type: 'join', code })
+    host.receive({ type: 'ready' })
+    guest.receive({ type: 'ready', ready: true })
+    assert.equal(host.sent.filter(message => message.type === 'start').length, 1)
+
+    guest.disconnect()
+    assert.deepEqual(host.sent.filter(message => message.type === 'finished').map(message => message.reason), ['forfeit'])
+    host.receive({ type: 'leave' })
+    assert.equal(host.last().type, 'left')
+
+    const late = connect(relay)
+    late.receive({ type: 'join', code })
+    assert.equal(late.last().code, 'room-not-found')
+  })
+})